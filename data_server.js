@@ -1,10 +1,20 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const MusicDatabase = require('./lib/music_database');
 const MusicScanner = require('./lib/music_scanner');
 const AppDatabase = require('./lib/app_database');
+const AudioTranscoder = require('./lib/audio_transcoder');
+const RemoteControl = require('./lib/remote_control');
+const GuestSessions = require('./lib/guest_sessions');
+const QueueManager = require('./lib/queue_manager');
+const CoinAcceptor = require('./lib/coin_acceptor');
+const AutoDj = require('./lib/auto_dj');
+const { normalizeKey } = require('./lib/track_similarity');
+const playlistFormats = require('./lib/playlist_formats');
+const { normalizeRules } = require('./lib/smart_playlist_rules');
 
 // Determine the correct root directory for both PKG and normal execution
 let ROOT_PATH;
@@ -67,13 +77,60 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Phones get a server-issued guest id in a signed cookie (lib/guest_sessions.js)
+app.use((req, res, next) => {
+  if (guestSessions && !isKioskRequest(req)) {
+    req.guestId = guestSessions.read(req.headers.cookie);
+    if (!req.guestId) {
+      const session = guestSessions.create();
+      req.guestId = session.id;
+      res.setHeader('Set-Cookie', session.cookie);
+    }
+  }
+  next();
+});
+
 // Initialize database and scanner
 let musicDB = null;
 let appDB = null;
+let guestSessions = null;
 let musicScanner = null;
+let queueManager = null;
+let autoDj = null;
 
-// Cache for converted audio files
+// Cache for converted audio files (running and failed ffmpeg jobs, keyed by <id>_<mtime>)
 const conversionCache = new Map();
+const transcoder = new AudioTranscoder(path.join(ROOT_PATH, 'data/converted'), conversionCache);
+
+// Phone remote relay (commands from phones, queue snapshot from the kiosk)
+const remoteControl = new RemoteControl();
+const coinAcceptor = new CoinAcceptor(config.coinAcceptor || {});
+
+// Credits of the kiosk itself (coins, top-ups at the machine); phones use their guest id
+const KIOSK_CREDIT_SESSION = 'kiosk';
+
+// Content types for audio formats the scanner indexes
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg; codecs=opus',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.wma': 'audio/x-ms-wma'
+};
+
+// Formats that current browsers play directly from the original file
+const NATIVE_STREAM_FORMATS = ['.mp3', '.flac', '.ogg', '.oga', '.opus', '.m4a', '.mp4', '.aac', '.wav'];
+
+// Target used for formats the browser cannot play (setting audio.transcodeFormat)
+function getDefaultTranscodeFormat() {
+  const format = appDB ? appDB.getSetting('audio', 'transcodeFormat', 'mp3') : 'mp3';
+  return AudioTranscoder.isSupportedTarget(format) ? format : 'mp3';
+}
 
 async function initializeServer() {
   try {
@@ -96,12 +153,38 @@ async function initializeServer() {
     // Restore settings cache
     await appDB.restoreCache();
     
+    // Guest cookies stay valid across restarts
+    let sessionSecret = appDB.getSetting('remote', 'sessionSecret', null);
+    if (!sessionSecret) {
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+      await appDB.setSetting('remote', 'sessionSecret', sessionSecret);
+    }
+    guestSessions = new GuestSessions(sessionSecret);
+    
+    // Server-owned play queue, pushed to all clients via /api/queue/events
+    queueManager = new QueueManager(appDB);
+    await queueManager.load();
+    queueManager.on('change', ({ state }) => broadcastEvent('queue', state));
+    autoDj = new AutoDj(musicDB, appDB, queueManager);
+    
+    // Coins always go to the kiosk's balance
+    coinAcceptor.on('coin', async ({ credits, source }) => {
+      try {
+        const balance = await appDB.addCredits(KIOSK_CREDIT_SESSION, credits, `coin:${source}`);
+        console.log(`[COINS] 🪙 +${credits} credits (${source}), kiosk balance ${balance}`);
+        broadcastEvent('credits', { sessionId: KIOSK_CREDIT_SESSION, balance });
+      } catch (error) {
+        console.error('❌ Error booking coin:', error);
+      }
+    });
+    coinAcceptor.start();
+    
     // Load debugging setting
     isDebuggingEnabled = await appDB.getSetting('admin', 'debuggingEnabled', true);
     debugLog('SERVER', `🔧 Debugging ${isDebuggingEnabled ? 'enabled' : 'disabled'}`);
     
     // Initialize scanner
-    musicScanner = new MusicScanner(path.join(ROOT_PATH, 'music'), musicDB);
+    musicScanner = new MusicScanner(path.join(ROOT_PATH, 'music'), musicDB, { artists: config.artists });
     await musicScanner.init();
     
     debugLog('SERVER', '✅ Data Server initialized successfully');
@@ -134,13 +217,17 @@ async function initializeServer() {
 
 app.get('/api/tracks', async (req, res) => {
   try {
-    const { artist, album, genre, year, search, limit = 50000, offset = 0 } = req.query;
+    const { artist, album, genre, year, search, bpmMin, bpmMax, key, limit = 50000, offset = 0 } = req.query;
     
     const tracks = await musicDB.getTracks({
       artist,
       album, 
       genre,
       year,
+      bpmMin: parseFloat(bpmMin) || null,
+      bpmMax: parseFloat(bpmMax) || null,
+      // "Am", "A minor", "8A" all find the stored "Am"
+      key: key ? normalizeKey(key) || key : null,
       search,
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -172,6 +259,63 @@ app.get('/api/tracks/:id', async (req, res) => {
   }
 });
 
+// Resolve a track's file_path (absolute or relative to ROOT_PATH) to an existing file
+async function resolveTrackFilePath(track) {
+  if (path.isAbsolute(track.file_path)) {
+    // If file_path is absolute, check if it exists as-is first
+    if (await fs.pathExists(track.file_path)) {
+      return track.file_path;
+    }
+    // If absolute path doesn't exist, try to make it relative to ROOT_PATH
+    const relativePath = path.relative(path.dirname(ROOT_PATH), track.file_path);
+    return path.join(ROOT_PATH, relativePath);
+  }
+  // If file_path is relative, join with ROOT_PATH
+  return path.join(ROOT_PATH, track.file_path);
+}
+
+// Send a complete audio file, honouring range requests for seeking
+async function sendAudioFile(req, res, filePath, contentType) {
+  const stat = await fs.stat(filePath);
+  const range = req.headers.range;
+  
+  if (range) {
+    // Handle range requests for audio seeking
+    const parts = range.replace(/bytes=/, "").split("-");
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
+    const chunksize = (end - start) + 1;
+    
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${stat.size}`,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': chunksize,
+      'Content-Type': contentType,
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Range'
+    });
+    
+    fs.createReadStream(filePath, { start, end }).pipe(res);
+  } else {
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Range',
+      'Content-Length': stat.size,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    
+    fs.createReadStream(filePath).pipe(res);
+  }
+}
+
+// Stream a track. Non-native formats (or ?transcode=mp3|opus) are converted
+// through ffmpeg, streamed while converting and cached in data/converted.
+// ?quality=high|medium|low serves a reduced-bitrate rendition for weak connections.
 app.get('/api/stream/:id', async (req, res) => {
   try {
     const track = await musicDB.getTrackById(req.params.id);
@@ -179,73 +323,67 @@ app.get('/api/stream/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Track not found' });
     }
     
-    // Handle both relative and absolute paths correctly
-    let filePath;
-    if (path.isAbsolute(track.file_path)) {
-      // If file_path is absolute, check if it exists as-is first
-      if (await fs.pathExists(track.file_path)) {
-        filePath = track.file_path;
-      } else {
-        // If absolute path doesn't exist, try to make it relative to ROOT_PATH
-        const relativePath = path.relative(path.dirname(ROOT_PATH), track.file_path);
-        filePath = path.join(ROOT_PATH, relativePath);
-      }
-    } else {
-      // If file_path is relative, join with ROOT_PATH
-      filePath = path.join(ROOT_PATH, track.file_path);
-    }
+    const filePath = await resolveTrackFilePath(track);
     
     if (!await fs.pathExists(filePath)) {
       return res.status(404).json({ success: false, error: 'Audio file not found', attempted_path: filePath });
     }
     
     const fileExtension = path.extname(filePath).toLowerCase();
-    if (fileExtension !== '.mp3') {
-      return res.status(415).json({ success: false, error: 'Unsupported media type. Only MP3 files are supported.' });
+    const requestedTarget = req.query.transcode ? String(req.query.transcode).toLowerCase() : null;
+    
+    if (requestedTarget && !AudioTranscoder.isSupportedTarget(requestedTarget)) {
+      return res.status(400).json({ success: false, error: `Unsupported transcode target: ${requestedTarget}` });
     }
     
-    debugLog('STREAM', `🎵 Serving MP3: ${track.title}`);
+    const quality = req.query.quality ? String(req.query.quality).toLowerCase() : 'original';
+    if (!AudioTranscoder.isSupportedQuality(quality)) {
+      return res.status(400).json({ success: false, error: `Unsupported quality: ${quality}` });
+    }
     
-    const stat = await fs.stat(filePath);
-    const range = req.headers.range;
+    const targetFormat = requestedTarget || getDefaultTranscodeFormat();
+    const isNative = NATIVE_STREAM_FORMATS.includes(fileExtension);
     
-    if (range) {
-      // Handle range requests for audio seeking
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
-      const chunksize = (end - start) + 1;
-      
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${stat.size}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'audio/mpeg',
-        'Cache-Control': 'public, max-age=3600',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Range'
-      });
-      
-      fs.createReadStream(filePath, { start, end }).pipe(res);
-    } else {
-      res.writeHead(200, {
-        'Content-Type': 'audio/mpeg',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Range',
-        'Content-Length': stat.size,
-        'Accept-Ranges': 'bytes',
-        'Cache-Control': 'public, max-age=3600'
-      });
-      
-      fs.createReadStream(filePath).pipe(res);
+    // Files already at or below the profile bitrate gain nothing from re-encoding
+    const profileBitrate = AudioTranscoder.getQualityBitrate(quality, targetFormat);
+    const needsDownsampling = Boolean(profileBitrate) && (!track.bitrate || track.bitrate > profileBitrate * 1000);
+    const rendition = needsDownsampling ? quality : null;
+    
+    if (!requestedTarget && isNative && !needsDownsampling) {
+      debugLog('STREAM', `🎵 Serving ${fileExtension.slice(1).toUpperCase()}: ${track.title}`);
+      return await sendAudioFile(req, res, filePath, AUDIO_MIME_TYPES[fileExtension]);
     }
     
+    const contentType = AudioTranscoder.getTargetMimeType(targetFormat);
+    
+    if (await transcoder.isCached(track, targetFormat, rendition)) {
+      debugLog('STREAM', `💾 Serving cached ${targetFormat.toUpperCase()} conversion (${quality}): ${track.title}`);
+      return await sendAudioFile(req, res, transcoder.getCachePath(track, targetFormat, rendition), contentType);
+    }
+    
+    debugLog('STREAM', `🔄 Transcoding ${fileExtension.slice(1).toUpperCase()} → ${targetFormat.toUpperCase()} (${quality}): ${track.title}`);
+    const job = transcoder.startConversion(track, filePath, targetFormat, rendition);
+    
+    // Length is unknown until ffmpeg finishes, so seeking is unavailable for this response
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Range',
+      'Accept-Ranges': 'none',
+      'Cache-Control': 'no-cache'
+    });
+    
+    await transcoder.streamJob(job, res);
+    
   } catch (error) {
     debugLog('SERVER', '❌ Error streaming track:', error.message);
     console.error('Error streaming track:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
   }
 });
 
@@ -493,8 +631,8 @@ app.get('/api/artists', async (req, res) => {
 // Get all albums
 app.get('/api/albums', async (req, res) => {
   try {
-    const { artist } = req.query;
-    const albums = await musicDB.getAlbums(artist);
+    const { artist, compilations } = req.query;
+    const albums = await musicDB.getAlbums(artist, { compilations: compilations === '1' || compilations === 'true' });
     res.json({ success: true, data: albums });
   } catch (error) {
     debugLog('SERVER', '❌ Error fetching albums:', error.message);
@@ -515,8 +653,60 @@ app.get('/api/genres', async (req, res) => {
   }
 });
 
+// Search across the library, grouped by artists, albums, tracks, genres, playlists and cached Spotify tracks.
+// Shared by the kiosk, the phone remote and the admin tools.
+// ?q= search words, ?year=1994 or 1990-1999, ?genre=, ?source=local|spotify, ?types=tracks,artists, ?limit= per group
+const SEARCH_TYPES = ['artists', 'albums', 'tracks', 'genres', 'playlists', 'spotify'];
+
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q = '', year, genre, source, types, limit = 20 } = req.query;
+    const query = String(q).trim();
+
+    if (!query && !year && !genre) {
+      return res.status(400).json({ success: false, error: 'Search query or filter required' });
+    }
+    if (year && !/^\d{4}(-\d{4})?$/.test(year)) {
+      return res.status(400).json({ success: false, error: 'Invalid year filter' });
+    }
+    if (source && !['local', 'spotify', 'all'].includes(source)) {
+      return res.status(400).json({ success: false, error: 'Invalid source filter' });
+    }
+
+    const requestedTypes = types ? String(types).split(',').filter(type => SEARCH_TYPES.includes(type)) : null;
+    const { results, counts } = await musicDB.searchLibrary(query, {
+      year: year || null,
+      genre: genre || null,
+      source: source === 'all' ? null : source,
+      types: requestedTypes,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 200)
+    });
+
+    res.json({ success: true, query, results, counts });
+  } catch (error) {
+    debugLog('SERVER', '❌ Error searching library:', error.message);
+    console.error('Error searching library:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Completions (artist, album, title) and a spelling correction while typing; ?q=, ?limit=
+app.get('/api/search/suggest', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+    const { suggestions, correction } = await musicDB.getSearchSuggestions(query, limit);
+    res.json({ success: true, query, suggestions, correction });
+  } catch (error) {
+    debugLog('SERVER', '❌ Error fetching search suggestions:', error.message);
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Manual rescan
 app.post('/api/rescan', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     debugLog('SERVER', '🔄 Manual rescan requested');
     await musicScanner.scanAll();
@@ -956,6 +1146,7 @@ app.post('/api/spotify/bulk-add', async (req, res) => {
 
 // Clean up orphaned database entries
 app.post('/api/cleanup', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     debugLog('SERVER', '🧹 Starting database cleanup...');
     
@@ -993,6 +1184,7 @@ app.post('/api/cleanup', async (req, res) => {
 
 // Clear entire database (admin function)
 app.post('/api/clear-database', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     debugLog('SERVER', '🗑️ Starting complete database clear...');
     
@@ -1022,7 +1214,12 @@ app.get('/api/conversion-status/:id', async (req, res) => {
     }
     
     const fileExtension = path.extname(track.file_path).toLowerCase();
-    const needsConversion = ['.flac', '.ogg', '.m4a', '.wma'].includes(fileExtension);
+    const requestedTarget = req.query.transcode ? String(req.query.transcode).toLowerCase() : null;
+    const targetFormat = AudioTranscoder.isSupportedTarget(requestedTarget) ? requestedTarget : getDefaultTranscodeFormat();
+    const quality = AudioTranscoder.isSupportedQuality(req.query.quality) ? req.query.quality : 'original';
+    const profileBitrate = AudioTranscoder.getQualityBitrate(quality, targetFormat);
+    const rendition = profileBitrate && (!track.bitrate || track.bitrate > profileBitrate * 1000) ? quality : null;
+    const needsConversion = Boolean(requestedTarget) || Boolean(rendition) || !NATIVE_STREAM_FORMATS.includes(fileExtension);
     
     if (!needsConversion) {
       return res.json({ 
@@ -1033,17 +1230,18 @@ app.get('/api/conversion-status/:id', async (req, res) => {
       });
     }
     
-    const cacheKey = `${track.id}_${track.file_mtime}`;
-    const cachedPath = path.join(ROOT_PATH, 'data/converted', `${cacheKey}.mp3`);
-    const isCached = await fs.pathExists(cachedPath);
+    const conversion = await transcoder.getStatus(track, targetFormat, rendition);
     
     res.json({
       success: true,
       needsConversion: true,
       originalFormat: fileExtension,
-      targetFormat: '.mp3',
-      isCached: isCached,
-      status: isCached ? 'cached' : 'will-convert'
+      targetFormat: AudioTranscoder.TARGET_FORMATS[targetFormat].extension,
+      quality: rendition || 'original',
+      isCached: conversion.isCached,
+      status: conversion.status,
+      progress: conversion.progress,
+      error: conversion.error
     });
   } catch (error) {
     console.error('Error checking conversion status:', error);
@@ -1161,60 +1359,251 @@ app.delete('/api/custom-playlists', async (req, res) => {
   }
 });
 
-// === QUEUE API ===
+// === LOCAL PLAYLISTS API ===
+// Own playlists mixing library tracks and Spotify tracks; changes need admin mode.
+// Smart playlists (body.rules, see lib/smart_playlist_rules.js) list the matching library tracks instead.
 
-// Save queue state
-app.post('/api/queue/save', async (req, res) => {
+function requirePlaylistAdmin(req, res) {
+  if (isAdminRequest(req)) return true;
+  res.status(403).json({ success: false, error: 'Admin mode required' });
+  return false;
+}
+
+function parsePlaylistName(name) {
+  return typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : null;
+}
+
+app.get('/api/playlists', async (req, res) => {
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const queueState = req.body;
+    res.json({ success: true, playlists: await musicDB.getPlaylists() });
+  } catch (error) {
+    console.error('❌ Error loading playlists:', error);
+    res.status(500).json({ success: false, error: 'Failed to load playlists' });
+  }
+});
 
-    if (!queueState || typeof queueState !== 'object') {
-      return res.status(400).json({ error: 'Invalid queue state data' });
+app.get('/api/playlists/:id', async (req, res) => {
+  try {
+    const playlist = await musicDB.getPlaylist(parseInt(req.params.id, 10));
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
     }
+    res.json({ success: true, playlist });
+  } catch (error) {
+    console.error('❌ Error loading playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to load playlist' });
+  }
+});
 
-    const stateId = await appDB.saveQueueState(sessionId, queueState);
-    
-    res.json({ 
-      success: true, 
-      stateId, 
-      sessionId,
-      queueLength: queueState.queue?.length || 0
-    });
+app.post('/api/playlists', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  const name = parsePlaylistName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ success: false, error: 'Name is required' });
+  }
+  const rules = req.body.rules !== undefined ? normalizeRules(req.body.rules) : null;
+  if (req.body.rules !== undefined && !rules) {
+    return res.status(400).json({ success: false, error: 'Invalid smart playlist rules' });
+  }
+  try {
+    const id = await musicDB.createPlaylist(name, req.body.description || null, rules);
+    debugLog('SERVER', `📋 Created ${rules ? 'smart ' : ''}playlist: ${name}`);
+    res.json({ success: true, playlist: await musicDB.getPlaylist(id) });
   } catch (error) {
-    console.error('❌ Error saving queue state:', error);
-    res.status(500).json({ error: 'Failed to save queue state' });
+    console.error('❌ Error creating playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to create playlist' });
   }
 });
 
-// Load queue state
-app.get('/api/queue/load', async (req, res) => {
+// Rename / change description / change the rules of a smart playlist
+app.put('/api/playlists/:id', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  const name = req.body?.name !== undefined ? parsePlaylistName(req.body.name) : undefined;
+  if (name === null) {
+    return res.status(400).json({ success: false, error: 'Name must not be empty' });
+  }
+  const rules = req.body.rules !== undefined ? normalizeRules(req.body.rules) : undefined;
+  if (rules === null) {
+    return res.status(400).json({ success: false, error: 'Invalid smart playlist rules' });
+  }
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    
-    const queueState = await appDB.loadQueueState(sessionId);
-    
-    if (!queueState) {
-      return res.json({ 
-        success: false, 
-        message: 'No queue state found',
-        sessionId 
-      });
+    const id = parseInt(req.params.id, 10);
+    const changes = await musicDB.updatePlaylist(id, { name, description: req.body.description, rules });
+    if (changes === 0) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
     }
-    
-    console.log('[QUEUE] ✅ Queue state loaded for session:', sessionId, '- Queue length:', queueState.queue?.length || 0);
-    
-    res.json({ 
-      success: true, 
-      queueState,
-      sessionId
+    res.json({ success: true, playlist: await musicDB.getPlaylist(id) });
+  } catch (error) {
+    console.error('❌ Error updating playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to update playlist' });
+  }
+});
+
+app.delete('/api/playlists/:id', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  try {
+    const deleted = await musicDB.deletePlaylist(parseInt(req.params.id, 10));
+    if (deleted === 0) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete playlist' });
+  }
+});
+
+// body: { items: [{ trackId } | { spotifyId, title, artist, album, image, duration }], position? }
+app.post('/api/playlists/:id/items', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  if (items.length === 0) {
+    return res.status(400).json({ success: false, error: 'No items given' });
+  }
+  try {
+    const id = parseInt(req.params.id, 10);
+    const playlist = await musicDB.getPlaylist(id);
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    if (playlist.rules) {
+      return res.status(400).json({ success: false, code: 'SMART_PLAYLIST', error: 'Smart playlists are defined by their rules' });
+    }
+    const position = req.body.position !== undefined ? req.body.position : null;
+    const added = await musicDB.addPlaylistItems(id, items, position);
+    res.json({ success: true, added: added.length, playlist: await musicDB.getPlaylist(id) });
+  } catch (error) {
+    console.error('❌ Error adding playlist items:', error);
+    res.status(500).json({ success: false, error: 'Failed to add tracks' });
+  }
+});
+
+app.delete('/api/playlists/:id/items/:itemId', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  try {
+    const id = parseInt(req.params.id, 10);
+    const removed = await musicDB.removePlaylistItem(id, parseInt(req.params.itemId, 10));
+    if (removed === 0) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    res.json({ success: true, playlist: await musicDB.getPlaylist(id) });
+  } catch (error) {
+    console.error('❌ Error removing playlist item:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove track' });
+  }
+});
+
+app.post('/api/playlists/:id/items/:itemId/move', async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  const toIndex = parseInt(req.body?.toIndex, 10);
+  if (isNaN(toIndex)) {
+    return res.status(400).json({ success: false, error: 'toIndex is required' });
+  }
+  try {
+    const id = parseInt(req.params.id, 10);
+    const moved = await musicDB.movePlaylistItem(id, parseInt(req.params.itemId, 10), toIndex);
+    if (!moved) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    res.json({ success: true, playlist: await musicDB.getPlaylist(id) });
+  } catch (error) {
+    console.error('❌ Error moving playlist item:', error);
+    res.status(500).json({ success: false, error: 'Failed to move track' });
+  }
+});
+
+// === PLAYLIST FILES (M3U/M3U8, PLS, XSPF) ===
+
+// Export items { location, title, artist, album, duration }; paths=relative writes paths relative to the music folder
+function toPlaylistFileItem(track, relative) {
+  if (track.spotify_id || track.spotifyId) {
+    return { ...track, location: `https://open.spotify.com/track/${track.spotify_id || track.spotifyId}` };
+  }
+  const filePath = track.file_path || track.path;
+  if (!filePath) return null;
+  const location = relative ? path.relative(path.join(ROOT_PATH, 'music'), filePath).split(path.sep).join('/') : filePath;
+  return { ...track, location };
+}
+
+function sendPlaylistFile(res, items, format, name) {
+  const fileName = `${name.replace(/[\\/:*?"<>|]+/g, '_')}.${format}`;
+  res.set('Content-Type', playlistFormats.CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.send(playlistFormats.serializePlaylist(items, format, { name }));
+}
+
+function parsePlaylistFormat(format) {
+  const value = String(format || 'm3u8').toLowerCase();
+  return playlistFormats.FORMATS.includes(value) ? value : null;
+}
+
+// Raw playlist file as body; ?name=&filename=&format=&baseDir= (relative entries are also tried against the music folder)
+app.post('/api/playlists/import', express.text({ type: () => true, limit: '5mb' }), async (req, res) => {
+  if (!requirePlaylistAdmin(req, res)) return;
+  const content = typeof req.body === 'string' ? req.body : '';
+  if (!content.trim()) {
+    return res.status(400).json({ success: false, error: 'Playlist file is empty' });
+  }
+
+  const filename = String(req.query.filename || '');
+  const format = req.query.format ? parsePlaylistFormat(req.query.format) : playlistFormats.detectFormat(content, filename);
+  if (!format) {
+    return res.status(400).json({ success: false, error: 'Unsupported playlist format' });
+  }
+
+  try {
+    const entries = playlistFormats.parsePlaylist(content, format);
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, error: 'No entries found in playlist file' });
+    }
+
+    const baseDirs = [req.query.baseDir, path.join(ROOT_PATH, 'music')].filter(Boolean);
+    const { items, unresolved } = await playlistFormats.resolveEntries(musicDB, entries, baseDirs);
+
+    const name = parsePlaylistName(req.query.name) || parsePlaylistName(path.basename(filename, path.extname(filename))) || 'Import';
+    const id = await musicDB.createPlaylist(name);
+    if (items.length > 0) {
+      await musicDB.addPlaylistItems(id, items);
+    }
+
+    debugLog('SERVER', `📋 Imported ${format} playlist "${name}": ${items.length}/${entries.length} entries resolved`);
+    res.json({
+      success: true,
+      playlist: await musicDB.getPlaylist(id),
+      total: entries.length,
+      resolved: items.length,
+      unresolved
     });
   } catch (error) {
-    console.error('❌ Error loading queue state:', error);
-    res.status(500).json({ error: 'Failed to load queue state' });
+    console.error('❌ Error importing playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to import playlist' });
   }
 });
 
+app.get('/api/playlists/:id/export', async (req, res) => {
+  const format = parsePlaylistFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ success: false, error: 'Unsupported playlist format' });
+  }
+  try {
+    const playlist = await musicDB.getPlaylist(parseInt(req.params.id, 10));
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    // Local items whose file is gone from the library are left out
+    const items = playlist.items
+      .filter(item => item.available)
+      .map(item => toPlaylistFileItem(item.source === 'local' ? { ...item, file_path: item.track.file_path } : item, req.query.paths === 'relative'))
+      .filter(Boolean);
+    sendPlaylistFile(res, items, format, playlist.name);
+  } catch (error) {
+    console.error('❌ Error exporting playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to export playlist' });
+  }
+});
+
+// === QUEUE API ===
+
 // Get queue statistics
 app.get('/api/queue/stats', async (req, res) => {
   try {
@@ -1252,8 +1641,629 @@ app.post('/api/queue/cleanup', async (req, res) => {
   }
 });
 
-// Settings API Endpoints
+// Server-Owned Queue Endpoints
+
+const queueSubscribers = new Set();
+
+// Queue state ('queue') and pending song request count ('requests')
+function broadcastEvent(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  queueSubscribers.forEach(res => res.write(message));
+}
+
+// Keep proxies and browsers from closing idle event streams
+setInterval(() => {
+  queueSubscribers.forEach(res => res.write(': ping\n\n'));
+}, 25000);
+
+// The kiosk talks to the data server directly from this machine; phones come
+// through the jukebox_server.js proxy (X-Forwarded-For) or from the network
+function isLoopbackRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function isKioskRequest(req) {
+  return isLoopbackRequest(req) && !req.headers['x-forwarded-for'];
+}
+
+// Admins may bypass the lock-time and duplicate checks
+function isAdminRequest(req) {
+  if (remoteControl.isAdminSession(req.headers['x-remote-token'])) return true;
+  return isKioskRequest(req) && req.headers['x-admin-mode'] === 'true';
+}
+
+// Settings, rescans and database maintenance: only the kiosk, never a phone
+function requireKiosk(req, res) {
+  if (isKioskRequest(req)) return true;
+  res.status(403).json({ success: false, error: 'Kiosk only' });
+  return false;
+}
+
+// The phone's address; X-Forwarded-For is only trusted from the proxy on this machine
+function getClientAddress(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  return isLoopbackRequest(req) && forwardedFor ? String(forwardedFor) : (req.socket.remoteAddress || '');
+}
+
+// Admin PIN from a phone; locks the phone out after repeated wrong PINs. Sends the error response itself.
+function verifyAdminPin(req, res, pin) {
+  const client = getClientAddress(req);
+  const lockedMs = remoteControl.getPinLockout(client);
+  if (lockedMs > 0) {
+    res.status(429).json({ success: false, code: 'PIN_LOCKED', error: 'Too many wrong PINs', retryMinutes: Math.ceil(lockedMs / 60000) });
+    return false;
+  }
+
+  const adminPin = appDB.getSetting('admin', 'adminPin', '1234');
+  const valid = Boolean(pin) && String(pin) === String(adminPin);
+  remoteControl.recordPinAttempt(client, valid);
+  if (!valid) {
+    console.warn('[REMOTE] ⚠️ Wrong admin PIN from', client);
+    res.status(401).json({ success: false, error: 'Invalid PIN' });
+    return false;
+  }
+  return true;
+}
+
+// Device/session of the requester (QueueAPI.sessionId on the kiosk, the guest cookie on phones)
+function getRequesterId(req) {
+  if (!isKioskRequest(req)) return req.guestId || null;
+  const id = req.headers['x-session-id'];
+  return typeof id === 'string' && id ? id.slice(0, 64) : null;
+}
+
+// Phone address the hourly quota and votes are keyed on as well, so dropping the guest cookie resets neither
+function getGuestAddress(req) {
+  return isKioskRequest(req) ? null : (getClientAddress(req) || null);
+}
+
+function sendQueueResult(res, result) {
+  if (result.success) {
+    return res.json(result);
+  }
+  const status = { NOT_FOUND: 404, INSUFFICIENT_CREDITS: 402, RECENTLY_PLAYED: 409, ALREADY_QUEUED: 409, ALREADY_REQUESTED: 409, ALREADY_DECIDED: 409, QUOTA_EXCEEDED: 429 }[result.code] || 400;
+  res.status(status).json(result);
+}
+
+// Queue entry for a library track, with the fields the kiosk player needs
+function toQueueTrack(track) {
+  return {
+    id: track.id,
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    album_artist: track.album_artist,
+    year: track.year,
+    bpm: track.bpm,
+    musical_key: track.musical_key,
+    genre: track.genre,
+    duration: track.duration,
+    path: track.file_path,
+    type: 'server',
+    replaygain_track_gain: track.replaygain_track_gain,
+    replaygain_track_peak: track.replaygain_track_peak,
+    replaygain_album_gain: track.replaygain_album_gain,
+    replaygain_album_peak: track.replaygain_album_peak,
+    audio_start: track.audio_start,
+    audio_end: track.audio_end
+  };
+}
+
+// Queue entry for a cached Spotify track (spotify_tracks), as the kiosk builds it for playlists
+function toSpotifyQueueTrack(track) {
+  const uri = track.spotify_uri || `spotify:track:${track.spotify_id}`;
+  return {
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    year: track.year,
+    genre: track.genre,
+    duration_ms: track.duration ? track.duration * 1000 : null,
+    spotifyUri: uri,
+    spotifyId: track.spotify_id,
+    source: 'spotify',
+    type: 'spotify',
+    uri,
+    image: track.image_url || '',
+    spotifyAlbumImage: track.image_url || ''
+  };
+}
+
+app.get('/api/queue', (req, res) => {
+  res.json({ success: true, state: queueManager.getState() });
+});
+
+// Current track and everything after it as playlist file (?format=m3u|m3u8|pls|xspf&paths=relative)
+app.get('/api/queue/export', (req, res) => {
+  const format = parsePlaylistFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ success: false, error: 'Unsupported playlist format' });
+  }
+  const { queue, currentTrackIndex } = queueManager.getState();
+  const items = queue.slice(Math.max(currentTrackIndex, 0))
+    .map(entry => {
+      if (entry.type !== 'spotify') return entry;
+      const spotifyId = entry.spotifyId || String(entry.uri || entry.spotifyUri || '').split(':').pop();
+      // Spotify entries only carry reliable lengths as duration_ms
+      return spotifyId ? { ...entry, spotifyId, duration: entry.duration_ms ? entry.duration_ms / 1000 : null } : null;
+    })
+    .filter(Boolean)
+    .map(entry => toPlaylistFileItem(entry, req.query.paths === 'relative'))
+    .filter(Boolean);
+  sendPlaylistFile(res, items, format, `Queue ${new Date().toISOString().slice(0, 10)}`);
+});
+
+// Server-Sent Events: full queue state on connect and after every change
+app.get('/api/queue/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`event: queue\ndata: ${JSON.stringify(queueManager.getState())}\n\n`);
+
+  queueSubscribers.add(res);
+  req.on('close', () => queueSubscribers.delete(res));
+});
+
+// Whose balance pays for a request
+function getCreditSessionId(req) {
+  return isKioskRequest(req) ? KIOSK_CREDIT_SESSION : getRequesterId(req);
+}
+
+function isPayToPlayActive() {
+  return appDB.getSetting('credits', 'enabled', false) && !appDB.isFreePlayTime();
+}
+
+// Pay-to-play: deduct the track price up front (null = nothing to pay)
+async function chargeCredits(req, track) {
+  if (!isPayToPlayActive()) return null;
+
+  const price = appDB.getTrackPrice(track);
+  if (price === 0) return null;
+
+  const sessionId = getCreditSessionId(req);
+  const result = sessionId ? await appDB.spendCredits(sessionId, price, `track:${track.title || ''}`) : { success: false, balance: 0 };
+  if (!result.success) {
+    return { success: false, code: 'INSUFFICIENT_CREDITS', error: 'Not enough credits', price, balance: result.balance };
+  }
+
+  broadcastEvent('credits', { sessionId, balance: result.balance });
+  return { success: true, sessionId, amount: price, balance: result.balance };
+}
+
+// Rejected requests and failed adds give the credits back
+async function refundCredits(charge, reason) {
+  if (!charge) return;
+  const balance = await appDB.addCredits(charge.sessionId, charge.amount, reason);
+  broadcastEvent('credits', { sessionId: charge.sessionId, balance });
+}
+
+// Guest submissions go to the approval list unless an auto-approve rule lets them through
+function needsApproval(track) {
+  if (!appDB.getSetting('requests', 'approvalEnabled', false)) return false;
+  if (track.type === 'spotify') {
+    return !appDB.getSetting('requests', 'autoApproveSpotify', false);
+  }
+  return !appDB.getSetting('requests', 'autoApproveLocal', true);
+}
+
+async function broadcastSongRequests() {
+  const pending = await appDB.getSongRequests('pending');
+  broadcastEvent('requests', { pendingCount: pending.length });
+}
+
+async function createSongRequest(track, requestedBy, requesterId, clientAddress, creditCharge = null) {
+  const entry = QueueManager.normalizeTrack(track);
+  const rejection = queueManager.checkTrack(entry, { requesterId, clientAddress });
+  if (rejection) return rejection;
+
+  const trackKey = QueueManager.getTrackKey(entry);
+  if (await appDB.isSongRequestPending(trackKey)) {
+    return { success: false, code: 'ALREADY_REQUESTED', error: 'Track is already waiting for approval' };
+  }
+
+  const source = entry.type === 'spotify' ? 'spotify' : 'local';
+  const id = await appDB.createSongRequest({ track: { ...entry, requesterId, creditCharge }, trackKey, source, requestedBy });
+  queueManager.recordRequest(requesterId, clientAddress);
+  debugLog('QUEUE', `📨 Song request #${id} "${entry.title}" by ${requestedBy || 'guest'} awaits approval`);
+  await broadcastSongRequests();
+  return { success: true, pending: true, request: await appDB.getSongRequest(id) };
+}
+
+// Add a track object (kiosk only), a library track by id or a cached Spotify track by id; position: 'end' | 'next'.
+// Also used as the guest submission endpoint: returns { pending: true } when moderated.
+async function addOrRequestTrack(req, res) {
+  try {
+    const { track, trackId, spotifyId, position = 'end', autoDj = false, requestedBy } = req.body || {};
+    // Phones can't choose type, path or stream URL: their tracks are loaded here
+    let queueTrack = isKioskRequest(req) ? track : null;
+
+    if (!queueTrack && trackId) {
+      const libraryTrack = await musicDB.getTrackById(trackId);
+      if (!libraryTrack) {
+        return res.status(404).json({ success: false, error: 'Track not found' });
+      }
+      queueTrack = toQueueTrack(libraryTrack);
+    }
+    if (!queueTrack && spotifyId) {
+      const spotifyTrack = await musicDB.getSpotifyTrack(String(spotifyId));
+      if (!spotifyTrack) {
+        return res.status(404).json({ success: false, error: 'Track not found' });
+      }
+      queueTrack = toSpotifyQueueTrack(spotifyTrack);
+    }
+    if (!queueTrack || typeof queueTrack !== 'object') {
+      return res.status(400).json({ success: false, error: 'trackId or spotifyId required' });
+    }
+
+    const isAdmin = isAdminRequest(req);
+    const isAutoDj = autoDj === true && isKioskRequest(req);
+    const normalizedTrack = QueueManager.normalizeTrack(queueTrack);
+
+    // Admins and the Auto-DJ play for free
+    const charge = isAdmin || isAutoDj ? null : await chargeCredits(req, normalizedTrack);
+    if (charge && !charge.success) {
+      return sendQueueResult(res, charge);
+    }
+    const withCredits = (result) => charge ? { ...result, credits: { spent: charge.amount, balance: charge.balance } } : result;
+
+    if (!isAdmin && !isAutoDj && needsApproval(normalizedTrack)) {
+      const name = typeof requestedBy === 'string' ? requestedBy.trim().slice(0, 40) : '';
+      const result = await createSongRequest(queueTrack, name || (isKioskRequest(req) ? 'Kiosk' : null), getRequesterId(req), getGuestAddress(req), charge);
+      if (!result.success) await refundCredits(charge, 'refund:rejected');
+      return sendQueueResult(res, withCredits(result));
+    }
+
+    const result = queueManager.add(queueTrack, {
+      position: position === 'next' ? 'next' : 'end',
+      isAdmin,
+      ignoreLockTime: isAutoDj,
+      ignoreQuota: isAutoDj,
+      requesterId: isAutoDj ? null : getRequesterId(req),
+      clientAddress: isAutoDj ? null : getGuestAddress(req),
+      addedBy: isAutoDj ? 'autodj' : (isKioskRequest(req) ? 'kiosk' : 'remote')
+    });
+    if (result.success) {
+      debugLog('QUEUE', `➕ Queued "${result.entry.title}" (${result.entry.addedBy})`);
+    } else {
+      await refundCredits(charge, 'refund:rejected');
+    }
+    sendQueueResult(res, withCredits(result));
+  } catch (error) {
+    console.error('❌ Error adding track to queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to add track' });
+  }
+}
+
+app.post('/api/queue/tracks', addOrRequestTrack);
+
+// Removing and reordering: admin mode on the kiosk or the admin PIN on a phone
+app.delete('/api/queue/tracks/:queueId', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  sendQueueResult(res, queueManager.remove(parseInt(req.params.queueId, 10)));
+});
+
+app.post('/api/queue/tracks/:queueId/move', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  const toIndex = parseInt(req.body?.toIndex, 10);
+  if (!Number.isInteger(toIndex)) {
+    return res.status(400).json({ success: false, error: 'toIndex is required' });
+  }
+  sendQueueResult(res, queueManager.move(parseInt(req.params.queueId, 10), toIndex));
+});
+
+// Guest votes: one per phone (its address; the guest cookie alone can be dropped), 1 / -1 / 0 to withdraw
+app.post('/api/queue/tracks/:queueId/vote', (req, res) => {
+  const voterId = getGuestAddress(req) || getRequesterId(req);
+  const vote = parseInt(req.body?.vote, 10);
+  if (!voterId) {
+    return res.status(400).json({ success: false, error: 'Session id required to vote' });
+  }
+  if (![1, -1, 0].includes(vote)) {
+    return res.status(400).json({ success: false, error: 'Vote must be 1, -1 or 0' });
+  }
+
+  const result = queueManager.vote(parseInt(req.params.queueId, 10), voterId, vote);
+  if (result.skip) {
+    remoteControl.pushCommand('skip');
+    debugLog('QUEUE', '👎 Downvote threshold reached, skipping current track');
+  }
+  sendQueueResult(res, result);
+});
+
+app.post('/api/queue/tracks/:queueId/pin', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  sendQueueResult(res, queueManager.setPinned(parseInt(req.params.queueId, 10), !!req.body?.pinned));
+});
+
+// Position, playback state and whole-queue changes come from the kiosk player only
+
+// Playing position, reported by the kiosk when it starts or skips a track
+app.post('/api/queue/current', (req, res) => {
+  if (!requireKiosk(req, res)) return;
+  sendQueueResult(res, queueManager.setCurrentIndex(parseInt(req.body?.index, 10)));
+});
+
+// Replace the whole queue (playlists, clearing)
+app.put('/api/queue', (req, res) => {
+  if (!requireKiosk(req, res)) return;
+  const { queue, currentTrackIndex = -1 } = req.body || {};
+  if (!Array.isArray(queue)) {
+    return res.status(400).json({ success: false, error: 'Queue array required' });
+  }
+  sendQueueResult(res, queueManager.replace(queue, parseInt(currentTrackIndex, 10)));
+});
+
+app.post('/api/queue/playback', (req, res) => {
+  if (!requireKiosk(req, res)) return;
+  sendQueueResult(res, queueManager.setPlayback({ isPlaying: !!req.body?.isPlaying }));
+});
+
+// Auto-DJ from the local library (the kiosk calls this when the queue runs low)
+app.post('/api/autodj/local', async (req, res) => {
+  if (!isKioskRequest(req) && !isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Auto-DJ runs on the kiosk only' });
+  }
+  try {
+    const count = Math.min(Math.max(parseInt(req.body?.count, 10) || 5, 1), 20);
+    const picks = await autoDj.pickTracks(count);
+
+    const added = [];
+    for (const { track, ignoreLockTime } of picks) {
+      const result = queueManager.add(toQueueTrack(track), {
+        ignoreLockTime,
+        ignoreQuota: true,
+        addedBy: 'autodj'
+      });
+      if (result.success) added.push(result.entry);
+    }
+
+    debugLog('QUEUE', `🤖 Auto-DJ queued ${added.length} local tracks`);
+    res.json({ success: true, added, state: queueManager.getState() });
+  } catch (error) {
+    console.error('❌ Error picking Auto-DJ tracks:', error);
+    res.status(500).json({ success: false, error: 'Failed to pick Auto-DJ tracks' });
+  }
+});
+
+// Dayparting: the schedule slot Auto-DJ follows right now (null = default settings)
+app.get('/api/autodj/schedule/active', (req, res) => {
+  res.json({ success: true, slot: autoDj.getActiveSlot() });
+});
+
+// Song Request Approval Endpoints
+
+app.post('/api/requests', addOrRequestTrack);
+
+// status: pending (default) | approved | rejected | all
+app.get('/api/requests', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  try {
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    res.json({ success: true, requests: await appDB.getSongRequests(status) });
+  } catch (error) {
+    console.error('❌ Error loading song requests:', error);
+    res.status(500).json({ success: false, error: 'Failed to load requests' });
+  }
+});
+
+async function decideSongRequest(req, res, approve) {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  try {
+    const request = await appDB.getSongRequest(parseInt(req.params.id, 10));
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+    if (request.status !== 'pending') {
+      return sendQueueResult(res, { success: false, code: 'ALREADY_DECIDED', error: `Request was already ${request.status}` });
+    }
+
+    let status = approve ? 'approved' : 'rejected';
+    let queueFailure = null;
+    if (approve) {
+      // The lock time was checked on submission; a duplicate may have been queued since
+      // The quota was counted on submission as well
+      const result = queueManager.add(request.track, {
+        ignoreLockTime: true,
+        ignoreQuota: true,
+        requesterId: request.track.requesterId || null,
+        addedBy: 'request'
+      });
+      if (!result.success) {
+        // A request that can't be queued any more is closed instead of staying pending
+        status = 'rejected';
+        queueFailure = result;
+      }
+    }
+
+    await appDB.updateSongRequestStatus(request.id, status);
+    if (status === 'rejected') {
+      await refundCredits(request.track.creditCharge, `refund:request#${request.id}`);
+    }
+    await broadcastSongRequests();
+    debugLog('QUEUE', `📨 Song request #${request.id} "${request.track.title}" ${status}`);
+    if (queueFailure) {
+      return sendQueueResult(res, { ...queueFailure, request: { ...request, status } });
+    }
+    res.json({ success: true, request: { ...request, status } });
+  } catch (error) {
+    console.error('❌ Error deciding song request:', error);
+    res.status(500).json({ success: false, error: 'Failed to update request' });
+  }
+}
+
+app.post('/api/requests/:id/approve', (req, res) => decideSongRequest(req, res, true));
+app.post('/api/requests/:id/reject', (req, res) => decideSongRequest(req, res, false));
+
+// Phone Remote API Endpoints
+
+// Admin login on a phone with the kiosk's admin PIN
+app.post('/api/remote/login', async (req, res) => {
+  try {
+    const { pin } = req.body || {};
+    if (!verifyAdminPin(req, res, pin)) return;
+
+    console.log('[REMOTE] 🔓 Admin session opened from', req.ip);
+    res.json({ success: true, token: remoteControl.createAdminSession() });
+  } catch (error) {
+    console.error('❌ Error during remote login:', error);
+    res.status(500).json({ success: false, error: 'Remote login failed' });
+  }
+});
+
+app.post('/api/remote/logout', (req, res) => {
+  remoteControl.endSession(req.headers['x-remote-token']);
+  res.json({ success: true });
+});
+
+app.get('/api/remote/session', (req, res) => {
+  res.json({ success: true, isAdmin: remoteControl.isAdminSession(req.headers['x-remote-token']) });
+});
+
+// Playback control for PIN-authenticated phones (executed by the kiosk player)
+app.post('/api/remote/control', (req, res) => {
+  const { action } = req.body || {};
+
+  if (!remoteControl.isAdminSession(req.headers['x-remote-token'])) {
+    return res.status(403).json({ success: false, error: 'Admin PIN required' });
+  }
+  if (!RemoteControl.isAdminCommand(action)) {
+    return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+  }
+
+  const command = remoteControl.pushCommand(action);
+  debugLog('REMOTE', `📱 Admin command from phone: ${action}`);
+  res.json({ success: true, commandId: command.id });
+});
+
+// Kiosk side: poll pending playback commands
+app.get('/api/remote/commands', (req, res) => {
+  const since = parseInt(req.query.since, 10) || 0;
+  res.json({
+    success: true,
+    commands: remoteControl.getCommandsSince(since),
+    lastId: remoteControl.getLastCommandId()
+  });
+});
+
+// Credits (Pay-to-Play) Endpoints
+
+// Balance of the caller plus what a track costs right now
+app.get('/api/credits', async (req, res) => {
+  try {
+    const sessionId = getCreditSessionId(req);
+    res.json({
+      success: true,
+      enabled: appDB.getSetting('credits', 'enabled', false),
+      freePlay: appDB.isFreePlayTime(),
+      sessionId,
+      balance: sessionId ? await appDB.getCreditBalance(sessionId) : 0,
+      prices: {
+        local: appDB.getTrackPrice({ type: 'server' }),
+        spotify: appDB.getTrackPrice({ type: 'spotify' })
+      },
+      packs: await appDB.getCreditPacks()
+    });
+  } catch (error) {
+    console.error('❌ Error loading credits:', error);
+    res.status(500).json({ success: false, error: 'Failed to load credits' });
+  }
+});
+
+// Top up a pack (or a custom amount) after cash payment; needs admin mode or the admin PIN
+app.post('/api/credits/topup', async (req, res) => {
+  try {
+    const { pin, packId, credits, sessionId } = req.body || {};
+    if (!isAdminRequest(req) && !verifyAdminPin(req, res, pin)) return;
+
+    let amount = parseInt(credits, 10);
+    if (packId) {
+      const pack = await appDB.getCreditPack(parseInt(packId, 10));
+      if (!pack) {
+        return res.status(404).json({ success: false, error: 'Credit pack not found' });
+      }
+      amount = pack.credits;
+    }
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'Credits or packId required' });
+    }
+
+    const targetSession = typeof sessionId === 'string' && sessionId ? sessionId.slice(0, 64) : getCreditSessionId(req);
+    if (!targetSession) {
+      return res.status(400).json({ success: false, error: 'Session id required' });
+    }
+
+    const balance = await appDB.addCredits(targetSession, amount, packId ? `topup:pack#${packId}` : 'topup');
+    console.log(`[CREDITS] 💰 +${amount} credits for ${targetSession}, balance ${balance}`);
+    broadcastEvent('credits', { sessionId: targetSession, balance });
+    res.json({ success: true, sessionId: targetSession, added: amount, balance });
+  } catch (error) {
+    console.error('❌ Error topping up credits:', error);
+    res.status(500).json({ success: false, error: 'Failed to top up credits' });
+  }
+});
+
+app.post('/api/credits/packs', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  try {
+    const { name, credits, price } = req.body || {};
+    const amount = parseInt(credits, 10);
+    if (!name || !(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'Name and credits required' });
+    }
+    const id = await appDB.createCreditPack({ name: String(name).slice(0, 40), credits: amount, price: price ? String(price).slice(0, 20) : null });
+    res.json({ success: true, pack: await appDB.getCreditPack(id) });
+  } catch (error) {
+    console.error('❌ Error creating credit pack:', error);
+    res.status(500).json({ success: false, error: 'Failed to create credit pack' });
+  }
+});
+
+app.delete('/api/credits/packs/:id', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Admin mode required' });
+  }
+  try {
+    const deleted = await appDB.deleteCreditPack(parseInt(req.params.id, 10));
+    res.json({ success: deleted > 0 });
+  } catch (error) {
+    console.error('❌ Error deleting credit pack:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete credit pack' });
+  }
+});
+
+// HTTP coin acceptor driver: only from the jukebox machine itself
+app.post('/api/credits/coin', (req, res) => {
+  if (!coinAcceptor.acceptsHttp) {
+    return res.status(404).json({ success: false, error: 'HTTP coin input disabled' });
+  }
+  if (!isKioskRequest(req)) {
+    return res.status(403).json({ success: false, error: 'Coins can only be reported locally' });
+  }
+  const coin = coinAcceptor.insert(req.body?.pulses ?? 1, 'http');
+  if (!coin) {
+    return res.status(400).json({ success: false, error: 'pulses must be a positive number' });
+  }
+  res.json({ success: true, ...coin });
+});
+
+// Settings API Endpoints (kiosk only: they hold the admin PIN and pay-to-play prices)
 app.get('/api/settings', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { category } = req.query;
     
@@ -1275,6 +2285,7 @@ app.get('/api/settings', async (req, res) => {
 });
 
 app.get('/api/settings/:category/:key', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { category, key } = req.params;
     const { defaultValue } = req.query;
@@ -1294,6 +2305,7 @@ app.get('/api/settings/:category/:key', async (req, res) => {
 });
 
 app.post('/api/settings/:category/:key', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { category, key } = req.params;
     const { value, type = 'string', description } = req.body;
@@ -1320,6 +2332,7 @@ app.post('/api/settings/:category/:key', async (req, res) => {
 });
 
 app.post('/api/settings/batch', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { settings } = req.body;
     const results = [];
@@ -1349,6 +2362,7 @@ app.post('/api/settings/batch', async (req, res) => {
 });
 
 app.delete('/api/settings/:category/:key', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { category, key } = req.params;
     
@@ -1367,6 +2381,7 @@ app.delete('/api/settings/:category/:key', async (req, res) => {
 });
 
 app.get('/api/settings/history/:category/:key', async (req, res) => {
+  if (!requireKiosk(req, res)) return;
   try {
     const { category, key } = req.params;
     const { limit = 50 } = req.query;
@@ -1586,22 +2601,16 @@ initializeServer().then(() => {
 process.on('SIGINT', async () => {
   console.log('[SERVER] 🛑 Shutting down Data Server...');
   
-  // Clean up old cache files (older than 24 hours)
+  // Drop unfinished conversions and renditions of changed or removed tracks
   try {
-    const cacheDir = path.join(ROOT_PATH, 'data/converted');
-    if (await fs.pathExists(cacheDir)) {
-      const files = await fs.readdir(cacheDir);
-      const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-      
-      for (const file of files) {
-        const filePath = path.join(cacheDir, file);
-        const stats = await fs.stat(filePath);
-        if (now - stats.mtime.getTime() > maxAge) {
-          await fs.remove(filePath);
-          debugLog('SERVER', `🗑️ Removed old cache file: ${file}`);
-        }
-      }
+    const removed = await transcoder.cleanup(async (file) => {
+      const match = file.match(/^(\d+)_(\d+)/);
+      if (!match) return false;
+      const track = await musicDB.getTrackById(match[1]);
+      return Boolean(track) && String(track.file_mtime) === match[2];
+    });
+    if (removed > 0) {
+      debugLog('SERVER', `🗑️ Removed ${removed} stale conversion cache file(s)`);
     }
   } catch (error) {
     console.warn('⚠️  Cache cleanup failed:', error.message);
@@ -1610,6 +2619,9 @@ process.on('SIGINT', async () => {
   if (musicScanner) {
     await musicScanner.destroy();
   }
+  if (queueManager) {
+    await queueManager.save();
+  }
   if (appDB) {
     await appDB.close();
   }
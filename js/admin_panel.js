@@ -612,6 +612,9 @@ class AdminSettingsManager {
             if (window.queue) {
               window.queue.length = 0;
             }
+            if (window.queueAPI) {
+              window.queueAPI.endQueue();
+            }
             
             // Update UI
             this.updateMusicServerStatus();
@@ -833,6 +836,7 @@ class AdminSettingsManager {
       this.updateAdminUI(adminSettings);
       this.updateVisualizationUI(updatedVisualizationSettings);
       this.updateGlobalVariables(adminSettings, updatedVisualizationSettings, audioSettings, uiSettings);
+      this.updateAudioUI();
 
       // Emit settings loaded event
       document.dispatchEvent(new CustomEvent('settingsLoaded', {
@@ -998,6 +1002,115 @@ class AdminSettingsManager {
       
       debugLog('admin', '🎨 Global visualization settings SET from Settings API:', window.visualizationSettings);
     }
+
+    // Player settings used by js/audio.js
+    if (audioSettings) {
+      const getValue = (setting, defaultVal) => {
+        if (setting === undefined || setting === null) return defaultVal;
+        if (typeof setting === 'object' && setting.value !== undefined) return setting.value;
+        return setting;
+      };
+
+      window.audioSettings = {
+        ...(window.audioSettings || {}),
+        streamQuality: getValue(audioSettings.streamQuality, 'original'),
+        transcodeFormat: getValue(audioSettings.transcodeFormat, 'mp3'),
+        replayGainMode: getValue(audioSettings.replayGainMode, 'track'),
+        replayGainPreamp: getValue(audioSettings.replayGainPreamp, 0),
+        crossfadeSeconds: getValue(audioSettings.crossfadeSeconds, 0),
+        trimSilence: getValue(audioSettings.trimSilence, true),
+        eqEnabled: getValue(audioSettings.eqEnabled, false),
+        eqPreset: getValue(audioSettings.eqPreset, 'flat'),
+        eqGains: getValue(audioSettings.eqGains, []),
+        eqCustomPresets: getValue(audioSettings.eqCustomPresets, {})
+      };
+
+      if (window.AudioEQModule) {
+        window.AudioEQModule.applySettings(window.audioSettings);
+      }
+
+      debugLog('admin', '🔊 Global audio settings SET from Settings API:', window.audioSettings);
+    }
+  }
+
+  updateAudioUI() {
+    const audioSettings = window.audioSettings || {};
+
+    const streamQualitySelect = document.getElementById('streamQualitySelect');
+    if (streamQualitySelect) {
+      streamQualitySelect.value = audioSettings.streamQuality || 'original';
+    }
+
+    const transcodeFormatSelect = document.getElementById('transcodeFormatSelect');
+    if (transcodeFormatSelect) {
+      transcodeFormatSelect.value = audioSettings.transcodeFormat || 'mp3';
+    }
+
+    const replayGainModeSelect = document.getElementById('replayGainModeSelect');
+    if (replayGainModeSelect) {
+      replayGainModeSelect.value = audioSettings.replayGainMode || 'track';
+    }
+
+    const replayGainPreampInput = document.getElementById('replayGainPreampInput');
+    if (replayGainPreampInput) {
+      replayGainPreampInput.value = audioSettings.replayGainPreamp ?? 0;
+    }
+
+    const crossfadeSecondsInput = document.getElementById('crossfadeSecondsInput');
+    if (crossfadeSecondsInput) {
+      crossfadeSecondsInput.value = audioSettings.crossfadeSeconds ?? 0;
+    }
+
+    const trimSilenceToggle = document.getElementById('trimSilenceToggle');
+    if (trimSilenceToggle) {
+      trimSilenceToggle.checked = audioSettings.trimSilence !== false;
+    }
+
+    const eqEnabledToggle = document.getElementById('eqEnabledToggle');
+    if (eqEnabledToggle) {
+      eqEnabledToggle.checked = audioSettings.eqEnabled === true;
+    }
+
+    this.renderEqualizerUI();
+  }
+
+  // Preset dropdown and one vertical slider per EQ band
+  renderEqualizerUI() {
+    const eq = window.AudioEQModule;
+    const presetSelect = document.getElementById('eqPresetSelect');
+    const bandsContainer = document.getElementById('eqBandsContainer');
+    if (!eq || !presetSelect || !bandsContainer) return;
+
+    const audioSettings = window.audioSettings || {};
+    const customPresets = audioSettings.eqCustomPresets || {};
+    const t = (key, fallback) => (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t(key, fallback) : fallback;
+    const builtinLabels = {
+      flat: t('ui.labels.eqPresetFlat', 'Neutral'),
+      bassBoost: t('ui.labels.eqPresetBassBoost', 'Bass Boost'),
+      party: t('ui.labels.eqPresetParty', 'Party'),
+      speech: t('ui.labels.eqPresetSpeech', 'Sprache')
+    };
+
+    presetSelect.innerHTML = '';
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      presetSelect.appendChild(option);
+    };
+    Object.keys(eq.BUILTIN_PRESETS).forEach(name => addOption(name, builtinLabels[name] || name));
+    Object.keys(customPresets).sort().forEach(name => addOption(name, `⭐ ${name}`));
+    addOption('', t('ui.labels.eqPresetManual', 'Manuell'));
+    presetSelect.value = eq.getPresetGains(audioSettings.eqPreset, customPresets) ? audioSettings.eqPreset : '';
+
+    const gains = eq.getGains();
+    bandsContainer.innerHTML = eq.BANDS.map((frequency, index) => `
+      <div style="display: flex; flex-direction: column; align-items: center; gap: 4px; flex: 1;">
+        <span class="eq-band-value" style="color: #ccc; font-size: 0.75em;">${gains[index] > 0 ? '+' : ''}${gains[index]}</span>
+        <input type="range" class="eq-band-slider" data-band="${index}" min="-${eq.MAX_GAIN_DB}" max="${eq.MAX_GAIN_DB}" step="0.5" value="${gains[index]}" style="writing-mode: vertical-lr; direction: rtl; height: 110px; width: 20px; cursor: pointer;">
+        <span style="color: #666; font-size: 0.7em;">${frequency >= 1000 ? `${frequency / 1000}k` : frequency}</span>
+      </div>
+    `).join('');
   }
 
   setupEventListeners() {
@@ -1016,6 +1129,661 @@ class AdminSettingsManager {
     this.setupDebuggingHandler();
     this.setupVisualizationHandlers();
     this.setupSpotifyConfigHandler();
+    this.setupAudioSettingsHandlers();
+    this.setupEqualizerHandlers();
+    this.setupSongRequestHandlers();
+    this.setupCreditHandlers();
+    this.setupAutoDjLibraryHandlers();
+    this.setupAutoDjScheduleHandlers();
+  }
+
+  setupAudioSettingsHandlers() {
+    const audioInputs = [
+      { id: 'streamQualitySelect', key: 'streamQuality', type: 'string' },
+      { id: 'transcodeFormatSelect', key: 'transcodeFormat', type: 'string' },
+      { id: 'replayGainModeSelect', key: 'replayGainMode', type: 'string', affectsGain: true },
+      { id: 'replayGainPreampInput', key: 'replayGainPreamp', type: 'number', affectsGain: true, min: -15, max: 15 },
+      { id: 'crossfadeSecondsInput', key: 'crossfadeSeconds', type: 'number', min: 0, max: 12 },
+      { id: 'trimSilenceToggle', key: 'trimSilence', type: 'boolean' }
+    ];
+
+    audioInputs.forEach(({ id, key, type, affectsGain, min, max }) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+
+      // Remove existing listeners
+      const newInput = input.cloneNode(true);
+      input.parentNode.replaceChild(newInput, input);
+
+      newInput.addEventListener('change', async () => {
+        let value = type === 'boolean' ? newInput.checked : newInput.value;
+        if (type === 'number') {
+          value = parseFloat(value);
+          if (isNaN(value) || value < min || value > max) {
+            if (typeof window.toast !== 'undefined') {
+              window.toast.warning(`Bitte einen Wert zwischen ${min} und ${max} eingeben.`);
+            }
+            return;
+          }
+        }
+
+        const success = await window.settingsAPI.setSetting('audio', key, value, type);
+        if (success) {
+          window.audioSettings = { ...(window.audioSettings || {}), [key]: value };
+          debugLog('admin', `🔊 Audio-Einstellung ${key} gespeichert:`, value);
+
+          // Re-apply normalization to the track that is playing right now
+          const currentTrack = window.queue && window.queue[window.currentTrackIndex];
+          if (affectsGain && currentTrack && currentTrack.type !== 'spotify' && typeof window.applyReplayGain === 'function') {
+            window.applyReplayGain(currentTrack);
+          }
+
+          if (typeof window.toast !== 'undefined') {
+            window.toast.success('Audio-Einstellungen gespeichert!');
+          }
+        } else if (typeof window.toast !== 'undefined') {
+          window.toast.error('Fehler beim Speichern der Einstellungen');
+        }
+      });
+    });
+
+    // Cloned inputs lose their current value
+    this.updateAudioUI();
+  }
+
+  // Save several audio settings and mirror them into window.audioSettings
+  async saveAudioSettings(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const type = Array.isArray(value) ? 'array' : typeof value;
+      const success = await window.settingsAPI.setSetting('audio', key, value, type);
+      if (!success) {
+        if (typeof window.toast !== 'undefined') {
+          window.toast.error('Fehler beim Speichern der Einstellungen');
+        }
+        return false;
+      }
+      window.audioSettings = { ...(window.audioSettings || {}), [key]: value };
+    }
+    return true;
+  }
+
+  setupEqualizerHandlers() {
+    const eq = window.AudioEQModule;
+    if (!eq) return;
+
+    // Remove existing listeners
+    const replaceWithClone = (id) => {
+      const element = document.getElementById(id);
+      if (!element) return null;
+      const clone = element.cloneNode(true);
+      element.parentNode.replaceChild(clone, element);
+      return clone;
+    };
+
+    const enabledToggle = replaceWithClone('eqEnabledToggle');
+    const presetSelect = replaceWithClone('eqPresetSelect');
+    const bandsContainer = replaceWithClone('eqBandsContainer');
+    const presetNameInput = document.getElementById('eqPresetNameInput');
+    const saveButton = replaceWithClone('saveEqPresetBtn');
+    const deleteButton = replaceWithClone('deleteEqPresetBtn');
+
+    enabledToggle?.addEventListener('change', async () => {
+      eq.setEnabled(enabledToggle.checked);
+      // The filters live in the playback graph, which is only built on demand
+      if (enabledToggle.checked && typeof window.ensurePlaybackGraph === 'function') {
+        window.ensurePlaybackGraph();
+      }
+      if (await this.saveAudioSettings({ eqEnabled: enabledToggle.checked })) {
+        debugLog('admin', `🎚️ Equalizer ${enabledToggle.checked ? 'aktiviert' : 'deaktiviert'}`);
+      }
+    });
+
+    presetSelect?.addEventListener('change', async () => {
+      const gains = eq.getPresetGains(presetSelect.value, window.audioSettings?.eqCustomPresets);
+      if (!gains) return;
+
+      eq.setGains(gains);
+      this.renderEqualizerUI();
+      if (await this.saveAudioSettings({ eqPreset: presetSelect.value, eqGains: gains })) {
+        debugLog('admin', `🎚️ EQ-Preset ${presetSelect.value} geladen`);
+      }
+    });
+
+    // Live preview while dragging, persist when released
+    bandsContainer?.addEventListener('input', (event) => {
+      const slider = event.target.closest('.eq-band-slider');
+      if (!slider) return;
+      const value = parseFloat(slider.value);
+      eq.setBandGain(parseInt(slider.dataset.band, 10), value);
+      const label = slider.parentNode.querySelector('.eq-band-value');
+      if (label) label.textContent = `${value > 0 ? '+' : ''}${value}`;
+    });
+
+    bandsContainer?.addEventListener('change', async (event) => {
+      if (!event.target.closest('.eq-band-slider')) return;
+      const currentPresetSelect = document.getElementById('eqPresetSelect');
+      if (currentPresetSelect) currentPresetSelect.value = '';
+      await this.saveAudioSettings({ eqPreset: '', eqGains: eq.getGains() });
+    });
+
+    saveButton?.addEventListener('click', async () => {
+      const name = presetNameInput ? presetNameInput.value.trim() : '';
+      if (!name || eq.isBuiltinPreset(name)) {
+        if (typeof window.toast !== 'undefined') {
+          window.toast.warning('Bitte einen eigenen Namen für das Preset eingeben.');
+        }
+        return;
+      }
+
+      const customPresets = { ...(window.audioSettings?.eqCustomPresets || {}), [name]: eq.getGains() };
+      if (await this.saveAudioSettings({ eqCustomPresets: customPresets, eqPreset: name, eqGains: eq.getGains() })) {
+        presetNameInput.value = '';
+        this.renderEqualizerUI();
+        if (typeof window.toast !== 'undefined') {
+          window.toast.success(`EQ-Preset "${name}" gespeichert!`);
+        }
+      }
+    });
+
+    deleteButton?.addEventListener('click', async () => {
+      const currentPresetSelect = document.getElementById('eqPresetSelect');
+      const name = currentPresetSelect ? currentPresetSelect.value : '';
+      const customPresets = { ...(window.audioSettings?.eqCustomPresets || {}) };
+      if (!name || !customPresets[name]) {
+        if (typeof window.toast !== 'undefined') {
+          window.toast.warning('Nur eigene Presets können gelöscht werden.');
+        }
+        return;
+      }
+
+      delete customPresets[name];
+      if (await this.saveAudioSettings({ eqCustomPresets: customPresets, eqPreset: '' })) {
+        this.renderEqualizerUI();
+        if (typeof window.toast !== 'undefined') {
+          window.toast.success(`EQ-Preset "${name}" gelöscht`);
+        }
+      }
+    });
+
+    this.renderEqualizerUI();
+  }
+
+  setupSongRequestHandlers() {
+    const requestInputs = [
+      { id: 'requestApprovalToggle', key: 'approvalEnabled', type: 'boolean', defaultValue: false },
+      { id: 'autoApproveLocalToggle', key: 'autoApproveLocal', type: 'boolean', defaultValue: true },
+      { id: 'autoApproveSpotifyToggle', key: 'autoApproveSpotify', type: 'boolean', defaultValue: false },
+      { id: 'requestsPerHourInput', key: 'maxPerHour', type: 'number', defaultValue: 0, min: 0, max: 50 },
+      { id: 'fairShareToggle', key: 'fairShare', type: 'boolean', defaultValue: false },
+      { id: 'maxConsecutiveInput', key: 'maxConsecutive', type: 'number', defaultValue: 1, min: 1, max: 10 },
+      { id: 'voteOrderingToggle', key: 'voteOrdering', type: 'boolean', defaultValue: false },
+      { id: 'downvoteSkipInput', key: 'downvoteSkipThreshold', type: 'number', defaultValue: 0, min: 0, max: 50 }
+    ];
+
+    window.settingsAPI.getRequestSettings().then(requestSettings => {
+      requestInputs.forEach(({ id, key, type, defaultValue }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        if (type === 'boolean') {
+          input.checked = requestSettings[key] ?? defaultValue;
+        } else {
+          input.value = requestSettings[key] ?? defaultValue;
+        }
+      });
+    }).catch(error => debugLog('ADMIN', 'Error loading request settings:', error));
+
+    requestInputs.forEach(({ id, key, type, min, max }) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+
+      // Remove existing listeners
+      const newInput = input.cloneNode(true);
+      input.parentNode.replaceChild(newInput, input);
+
+      newInput.addEventListener('change', async () => {
+        let value = type === 'boolean' ? newInput.checked : parseInt(newInput.value, 10);
+        if (type === 'number' && (isNaN(value) || value < min || value > max)) {
+          if (typeof window.toast !== 'undefined') {
+            window.toast.warning(`Bitte einen Wert zwischen ${min} und ${max} eingeben.`);
+          }
+          return;
+        }
+
+        const success = await window.settingsAPI.setSetting('requests', key, value, type);
+        if (typeof window.toast !== 'undefined') {
+          success ? window.toast.success('Einstellungen gespeichert!') : window.toast.error('Fehler beim Speichern der Einstellungen');
+        }
+      });
+    });
+
+    const list = document.getElementById('songRequestsList');
+    if (list && !list.dataset.handlersAttached) {
+      list.dataset.handlersAttached = 'true';
+      list.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-request-action]');
+        if (button) this.decideSongRequest(parseInt(button.dataset.requestId, 10), button.dataset.requestAction === 'approve');
+      });
+    }
+
+    document.getElementById('requestsTabBtn')?.addEventListener('click', () => this.loadSongRequests());
+
+    // Pushed by the data server whenever a request is submitted or decided
+    if (!this.songRequestListenerAttached) {
+      this.songRequestListenerAttached = true;
+      let lastPendingCount = null;
+      document.addEventListener('songRequestsChanged', (event) => {
+        const { pendingCount } = event.detail;
+        if (isAdminMode && lastPendingCount !== null && pendingCount > lastPendingCount && typeof window.toast !== 'undefined') {
+          window.toast.info((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.newSongRequest') : 'Neuer Musikwunsch wartet auf Freigabe');
+        }
+        lastPendingCount = pendingCount;
+
+        const content = document.getElementById('requests-content');
+        if (content && content.style.display !== 'none') {
+          this.loadSongRequests();
+        }
+      });
+    }
+  }
+
+  async loadSongRequests() {
+    const list = document.getElementById('songRequestsList');
+    if (!list || !window.musicAPI) return;
+
+    try {
+      const response = await window.musicAPI.getSongRequests('pending');
+      this.renderSongRequests(response.requests || []);
+    } catch (error) {
+      debugLog('ADMIN', 'Error loading song requests:', error);
+      list.innerHTML = '<div style="color: #e74c3c;">Fehler beim Laden der Wünsche</div>';
+    }
+  }
+
+  renderSongRequests(requests) {
+    const list = document.getElementById('songRequestsList');
+    const t = (key, fallback) => (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t(key, fallback) : fallback;
+
+    if (requests.length === 0) {
+      list.innerHTML = `<div style="color: #666; font-size: 0.9em;">${this.escapeHtml(t('ui.labels.noPendingRequests', 'Keine offenen Wünsche'))}</div>`;
+      return;
+    }
+
+    list.innerHTML = requests.map(request => `
+      <div style="display: flex; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid #333;">
+        <span title="${request.source === 'spotify' ? 'Spotify' : 'Lokal'}">${request.source === 'spotify' ? '🟢' : '💿'}</span>
+        <div style="flex: 1; min-width: 0;">
+          <div style="color: #eee; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${this.escapeHtml(request.track.title || '')} – ${this.escapeHtml(request.track.artist || '')}</div>
+          <small style="color: #666;">${this.escapeHtml(request.requestedBy || t('ui.labels.requestGuest', 'Gast'))} · ${new Date(request.requestedAt).toLocaleTimeString()}</small>
+        </div>
+        <button data-request-action="approve" data-request-id="${request.id}" style="background: var(--button-primary); color: white;">${this.escapeHtml(t('ui.buttons.approveRequest', '✔ Freigeben'))}</button>
+        <button data-request-action="reject" data-request-id="${request.id}" style="background: #e74c3c; color: white;">${this.escapeHtml(t('ui.buttons.rejectRequest', '✖ Ablehnen'))}</button>
+      </div>
+    `).join('');
+  }
+
+  async decideSongRequest(requestId, approve) {
+    try {
+      const response = approve
+        ? await window.musicAPI.approveSongRequest(requestId)
+        : await window.musicAPI.rejectSongRequest(requestId);
+      if (!response.success) throw new Error(response.error);
+      debugLog('admin', `📨 Wunsch #${requestId} ${approve ? 'freigegeben' : 'abgelehnt'}`);
+    } catch (error) {
+      debugLog('ADMIN', 'Error deciding song request:', error);
+      if (typeof window.toast !== 'undefined') {
+        window.toast.error(approve
+          ? 'Wunsch konnte nicht eingereiht werden (bereits in der Warteschlange?) und wurde abgelehnt'
+          : 'Wunsch konnte nicht bearbeitet werden');
+      }
+    }
+    this.loadSongRequests();
+  }
+
+  setupCreditHandlers() {
+    const creditInputs = [
+      { id: 'creditsEnabledToggle', key: 'enabled', type: 'boolean', defaultValue: false },
+      { id: 'localPriceInput', key: 'localPrice', type: 'number', defaultValue: 1, min: 0, max: 20 },
+      { id: 'spotifyPriceInput', key: 'spotifyPrice', type: 'number', defaultValue: 2, min: 0, max: 20 },
+      { id: 'freePlayStartInput', key: 'freePlayStart', type: 'string', defaultValue: '' },
+      { id: 'freePlayEndInput', key: 'freePlayEnd', type: 'string', defaultValue: '' }
+    ];
+
+    window.settingsAPI.getCreditSettings().then(creditSettings => {
+      creditInputs.forEach(({ id, key, type, defaultValue }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        if (type === 'boolean') {
+          input.checked = creditSettings[key] ?? defaultValue;
+        } else {
+          input.value = creditSettings[key] ?? defaultValue;
+        }
+      });
+    }).catch(error => debugLog('ADMIN', 'Error loading credit settings:', error));
+
+    creditInputs.forEach(({ id, key, type, min, max }) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+
+      // Remove existing listeners
+      const newInput = input.cloneNode(true);
+      input.parentNode.replaceChild(newInput, input);
+
+      newInput.addEventListener('change', async () => {
+        let value = type === 'boolean' ? newInput.checked : (type === 'number' ? parseInt(newInput.value, 10) : newInput.value);
+        if (type === 'number' && (isNaN(value) || value < min || value > max)) {
+          if (typeof window.toast !== 'undefined') {
+            window.toast.warning(`Bitte einen Wert zwischen ${min} und ${max} eingeben.`);
+          }
+          return;
+        }
+
+        const success = await window.settingsAPI.setSetting('credits', key, value, type);
+        if (typeof window.toast !== 'undefined') {
+          success ? window.toast.success('Einstellungen gespeichert!') : window.toast.error('Fehler beim Speichern der Einstellungen');
+        }
+        // Badge visibility, prices and free play follow the settings
+        if (window.creditsUI) window.creditsUI.refresh();
+      });
+    });
+
+    const list = document.getElementById('creditPacksAdminList');
+    if (list && !list.dataset.handlersAttached) {
+      list.dataset.handlersAttached = 'true';
+      list.addEventListener('click', async (event) => {
+        const button = event.target.closest('button[data-delete-pack]');
+        if (!button) return;
+        try {
+          await window.musicAPI.deleteCreditPack(parseInt(button.dataset.deletePack, 10));
+        } catch (error) {
+          debugLog('ADMIN', 'Error deleting credit pack:', error);
+        }
+        this.loadCreditPacks();
+      });
+    }
+
+    const addButton = document.getElementById('addCreditPackBtn');
+    if (addButton && !addButton.dataset.handlersAttached) {
+      addButton.dataset.handlersAttached = 'true';
+      addButton.addEventListener('click', async () => {
+        const nameInput = document.getElementById('newPackName');
+        const creditsInput = document.getElementById('newPackCredits');
+        const priceInput = document.getElementById('newPackPrice');
+        const credits = parseInt(creditsInput.value, 10);
+        if (!nameInput.value.trim() || isNaN(credits) || credits < 1) {
+          if (typeof window.toast !== 'undefined') {
+            window.toast.warning('Bitte Name und Anzahl Credits angeben.');
+          }
+          return;
+        }
+
+        try {
+          await window.musicAPI.createCreditPack({ name: nameInput.value.trim(), credits, price: priceInput.value.trim() });
+          nameInput.value = '';
+          priceInput.value = '';
+        } catch (error) {
+          debugLog('ADMIN', 'Error creating credit pack:', error);
+          if (typeof window.toast !== 'undefined') {
+            window.toast.error('Paket konnte nicht gespeichert werden');
+          }
+        }
+        this.loadCreditPacks();
+      });
+    }
+
+    document.getElementById('creditsTabBtn')?.addEventListener('click', () => this.loadCreditPacks());
+  }
+
+  async loadCreditPacks() {
+    const list = document.getElementById('creditPacksAdminList');
+    if (!list || !window.musicAPI) return;
+
+    try {
+      const response = await window.musicAPI.getCredits();
+      const packs = response.packs || [];
+      list.innerHTML = packs.map(pack => `
+        <div style="display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid #333;">
+          <span style="flex: 1; color: #eee;">${this.escapeHtml(pack.name)}</span>
+          <span style="color: #ccc;">${pack.credits} 🪙</span>
+          <span style="color: #666; min-width: 60px;">${this.escapeHtml(pack.price || '')}</span>
+          <button data-delete-pack="${pack.id}" style="background: #e74c3c; color: white;">✕</button>
+        </div>
+      `).join('');
+    } catch (error) {
+      debugLog('ADMIN', 'Error loading credit packs:', error);
+      list.innerHTML = '<div style="color: #e74c3c;">Fehler beim Laden der Pakete</div>';
+    }
+    if (window.creditsUI) window.creditsUI.refresh();
+  }
+
+  // Local-library Auto-DJ: source, genre/decade filters, smart playlist and variety (lib/auto_dj.js)
+  setupAutoDjLibraryHandlers() {
+    const sourceSelect = document.getElementById('autoDjSourceSelect');
+    const genresInput = document.getElementById('autoDjGenresInput');
+    const decadesContainer = document.getElementById('autoDjDecades');
+    const varietyInput = document.getElementById('autoDjVarietyInput');
+    const smartPlaylistSelect = document.getElementById('autoDjSmartPlaylistSelect');
+    if (!sourceSelect || !genresInput || !decadesContainer || !varietyInput || !smartPlaylistSelect) return;
+
+    const decades = [1950, 1960, 1970, 1980, 1990, 2000, 2010, 2020];
+    let selectedDecades = [];
+
+    const saveSetting = async (key, value, type) => {
+      const success = await window.settingsAPI.setSetting('autodj', key, value, type);
+      if (typeof window.toast !== 'undefined') {
+        success ? window.toast.success('Einstellungen gespeichert!') : window.toast.error('Fehler beim Speichern der Einstellungen');
+      }
+    };
+
+    const renderDecades = () => {
+      decadesContainer.innerHTML = decades.map(decade => `
+        <button type="button" data-decade="${decade}" style="padding: 4px 8px; border-radius: 12px; border: 1px solid #555; cursor: pointer; background: ${selectedDecades.includes(decade) ? 'var(--button-primary)' : '#1f1f1f'}; color: white;">${String(decade).slice(2)}er</button>
+      `).join('');
+    };
+
+    Promise.all([
+      window.settingsAPI.getSetting('autodj', 'source', 'auto'),
+      window.settingsAPI.getSetting('autodj', 'genres', []),
+      window.settingsAPI.getSetting('autodj', 'decades', []),
+      window.settingsAPI.getSetting('autodj', 'variety', 30),
+      window.settingsAPI.getSetting('autodj', 'smartPlaylistId', 0),
+      window.musicAPI.getPlaylists().catch(() => ({ playlists: [] }))
+    ]).then(([source, genres, savedDecades, variety, smartPlaylistId, playlistData]) => {
+      sourceSelect.value = source || 'auto';
+      genresInput.value = Array.isArray(genres) ? genres.join(', ') : '';
+      selectedDecades = Array.isArray(savedDecades) ? savedDecades.map(Number) : [];
+      varietyInput.value = variety;
+      renderDecades();
+
+      const wholeLibrary = smartPlaylistSelect.options[0];
+      smartPlaylistSelect.innerHTML = '';
+      smartPlaylistSelect.appendChild(wholeLibrary);
+      (playlistData.playlists || []).filter(playlist => playlist.rules).forEach(playlist => {
+        smartPlaylistSelect.appendChild(new Option(`⚡ ${playlist.name}`, playlist.id));
+      });
+      smartPlaylistSelect.value = String(smartPlaylistId || 0);
+      if (smartPlaylistSelect.selectedIndex === -1) smartPlaylistSelect.value = '0';
+    }).catch(error => debugLog('ADMIN', 'Error loading Auto-DJ settings:', error));
+    renderDecades();
+
+    if (sourceSelect.dataset.handlersAttached) return;
+    sourceSelect.dataset.handlersAttached = 'true';
+
+    sourceSelect.addEventListener('change', () => saveSetting('source', sourceSelect.value, 'string'));
+    smartPlaylistSelect.addEventListener('change', () => saveSetting('smartPlaylistId', parseInt(smartPlaylistSelect.value, 10) || 0, 'number'));
+    genresInput.addEventListener('change', () => {
+      const genres = genresInput.value.split(',').map(genre => genre.trim()).filter(Boolean);
+      saveSetting('genres', genres, 'array');
+    });
+    decadesContainer.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-decade]');
+      if (!button) return;
+      const decade = parseInt(button.dataset.decade, 10);
+      selectedDecades = selectedDecades.includes(decade)
+        ? selectedDecades.filter(value => value !== decade)
+        : [...selectedDecades, decade].sort();
+      renderDecades();
+      saveSetting('decades', selectedDecades, 'array');
+    });
+    varietyInput.addEventListener('change', () => {
+      const variety = Math.min(Math.max(parseInt(varietyInput.value, 10) || 0, 0), 100);
+      varietyInput.value = variety;
+      saveSetting('variety', variety, 'number');
+    });
+  }
+
+  // Auto-DJ dayparting: weekday/time slots with their own source (lib/auto_dj.js)
+  setupAutoDjScheduleHandlers() {
+    const list = document.getElementById('autoDjScheduleList');
+    const addButton = document.getElementById('addAutoDjSlotBtn');
+    if (!list || !addButton) return;
+
+    this.autoDjSchedule = this.autoDjSchedule || [];
+    this.autoDjSchedulePlaylists = this.autoDjSchedulePlaylists || [];
+    this.autoDjSmartPlaylists = this.autoDjSmartPlaylists || [];
+
+    Promise.all([
+      window.settingsAPI.getSetting('autodj', 'schedule', []),
+      window.musicAPI.getCustomPlaylists().catch(() => ({ playlists: [] })),
+      window.musicAPI.getPlaylists().catch(() => ({ playlists: [] }))
+    ]).then(([schedule, playlistData, localPlaylistData]) => {
+      this.autoDjSchedule = Array.isArray(schedule) ? schedule : [];
+      this.autoDjSchedulePlaylists = playlistData.playlists || [];
+      this.autoDjSmartPlaylists = (localPlaylistData.playlists || []).filter(playlist => playlist.rules);
+      this.renderAutoDjSchedule();
+    }).catch(error => debugLog('ADMIN', 'Error loading Auto-DJ schedule:', error));
+
+    if (list.dataset.handlersAttached) return;
+    list.dataset.handlersAttached = 'true';
+
+    const saveSchedule = async () => {
+      const success = await window.settingsAPI.setSetting('autodj', 'schedule', this.autoDjSchedule, 'array');
+      if (typeof window.toast !== 'undefined') {
+        success ? window.toast.success('Einstellungen gespeichert!') : window.toast.error('Fehler beim Speichern der Einstellungen');
+      }
+    };
+    const toNumbers = (text) => text.split(',').map(value => parseInt(value, 10)).filter(value => !isNaN(value));
+
+    addButton.addEventListener('click', () => {
+      this.autoDjSchedule.push({
+        id: `slot-${Date.now()}`,
+        name: '',
+        days: [],
+        start: '18:00',
+        end: '22:00',
+        source: 'local',
+        genres: [],
+        decades: [],
+        playlistIds: []
+      });
+      this.renderAutoDjSchedule();
+      saveSchedule();
+    });
+
+    list.addEventListener('click', (event) => {
+      const card = event.target.closest('[data-slot-index]');
+      if (!card) return;
+      const slot = this.autoDjSchedule[parseInt(card.dataset.slotIndex, 10)];
+
+      const dayButton = event.target.closest('button[data-day]');
+      if (dayButton) {
+        const day = parseInt(dayButton.dataset.day, 10);
+        const days = Array.isArray(slot.days) ? slot.days : [];
+        slot.days = days.includes(day) ? days.filter(value => value !== day) : [...days, day];
+      } else if (event.target.closest('button[data-action="delete"]')) {
+        this.autoDjSchedule.splice(this.autoDjSchedule.indexOf(slot), 1);
+      } else {
+        return;
+      }
+      this.renderAutoDjSchedule();
+      saveSchedule();
+    });
+
+    list.addEventListener('change', (event) => {
+      const card = event.target.closest('[data-slot-index]');
+      const field = event.target.dataset.field;
+      if (!card || !field) return;
+      const slot = this.autoDjSchedule[parseInt(card.dataset.slotIndex, 10)];
+      const value = event.target.value;
+
+      if (field === 'genres') {
+        slot.genres = value.split(',').map(genre => genre.trim()).filter(Boolean);
+      } else if (field === 'decades') {
+        // "80, 1990" -> [1980, 1990]
+        slot.decades = toNumbers(value).map(decade => decade < 100 ? 1900 + decade : decade).map(decade => Math.floor(decade / 10) * 10);
+      } else if (field === 'playlist') {
+        const playlistIds = Array.from(card.querySelectorAll('input[data-field="playlist"]:checked')).map(input => parseInt(input.value, 10));
+        slot.playlistIds = playlistIds;
+      } else if (field === 'smartPlaylistId') {
+        slot.smartPlaylistId = parseInt(value, 10) || null;
+      } else {
+        slot[field] = value;
+      }
+
+      if (field === 'source' || field === 'decades') this.renderAutoDjSchedule();
+      saveSchedule();
+    });
+  }
+
+  renderAutoDjSchedule() {
+    const list = document.getElementById('autoDjScheduleList');
+    if (!list) return;
+
+    const dayLabels = [[1, 'Mo'], [2, 'Di'], [3, 'Mi'], [4, 'Do'], [5, 'Fr'], [6, 'Sa'], [0, 'So']];
+    const t = (key, fallback) => (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t(key, fallback) : fallback;
+    const inputStyle = 'background: #1f1f1f; color: white; border: 1px solid #555; border-radius: 4px; padding: 4px;';
+
+    if (this.autoDjSchedule.length === 0) {
+      list.innerHTML = `<div style="color: #666; font-size: 0.85em;">${this.escapeHtml(t('ui.labels.autoDjNoSchedule', 'Kein Zeitplan - es gelten die Einstellungen oben'))}</div>`;
+      return;
+    }
+
+    list.innerHTML = this.autoDjSchedule.map((slot, index) => {
+      const days = Array.isArray(slot.days) ? slot.days : [];
+      const playlistIds = Array.isArray(slot.playlistIds) ? slot.playlistIds : [];
+      const smartOptions = this.autoDjSmartPlaylists.length > 0
+        ? `<select data-field="smartPlaylistId" style="width: 100%; ${inputStyle}">
+            <option value="">–</option>
+            ${this.autoDjSmartPlaylists.map(playlist => `<option value="${playlist.id}" ${playlist.id === slot.smartPlaylistId ? 'selected' : ''}>⚡ ${this.escapeHtml(playlist.name)}</option>`).join('')}
+          </select>`
+        : '<div style="color: #666; font-size: 0.85em;">Keine Smart-Playlists vorhanden</div>';
+      const sourceOptions = slot.source === 'smart' ? smartOptions : slot.source === 'playlists'
+        ? (this.autoDjSchedulePlaylists.length > 0
+          ? this.autoDjSchedulePlaylists.map(playlist => `
+              <label style="display: flex; align-items: center; gap: 6px; font-size: 0.85em; color: #ccc;">
+                <input type="checkbox" data-field="playlist" value="${playlist.id}" ${playlistIds.includes(playlist.id) ? 'checked' : ''}>
+                ${this.escapeHtml(playlist.name)}
+              </label>`).join('')
+          : '<div style="color: #666; font-size: 0.85em;">Keine Custom Playlists vorhanden</div>')
+        : `
+          <input type="text" data-field="genres" autocomplete="off" placeholder="Genres, z.B. Chillout, Lounge" value="${this.escapeHtml((slot.genres || []).join(', '))}" style="width: 100%; ${inputStyle}">
+          <input type="text" data-field="decades" autocomplete="off" placeholder="Jahrzehnte, z.B. 80, 90" value="${this.escapeHtml((slot.decades || []).join(', '))}" style="width: 100%; margin-top: 4px; ${inputStyle}">`;
+
+      return `
+        <div data-slot-index="${index}" style="background: #1a1a1a; border: 1px solid #444; border-radius: 6px; padding: 8px;">
+          <div style="display: flex; gap: 6px; align-items: center;">
+            <input type="text" data-field="name" autocomplete="off" placeholder="Name, z.B. Party" value="${this.escapeHtml(slot.name || '')}" style="flex: 1; ${inputStyle}">
+            <button type="button" data-action="delete" title="Zeitfenster löschen" style="background: #e74c3c; color: white; border: none; border-radius: 4px; padding: 4px 8px; cursor: pointer;">✕</button>
+          </div>
+          <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px;">
+            ${dayLabels.map(([day, label]) => `
+              <button type="button" data-day="${day}" style="padding: 2px 8px; border-radius: 12px; border: 1px solid #555; cursor: pointer; background: ${days.includes(day) ? 'var(--button-primary)' : '#1f1f1f'}; color: white;">${label}</button>
+            `).join('')}
+            ${days.length === 0 ? `<span style="color: #666; font-size: 0.8em; align-self: center;">${this.escapeHtml(t('ui.labels.autoDjDaily', 'täglich'))}</span>` : ''}
+          </div>
+          <div style="display: flex; gap: 6px; align-items: center; margin-top: 6px;">
+            <input type="time" data-field="start" value="${this.escapeHtml(slot.start || '')}" style="${inputStyle}">
+            <span style="color: #ccc;">–</span>
+            <input type="time" data-field="end" value="${this.escapeHtml(slot.end || '')}" style="${inputStyle}">
+            <select data-field="source" style="flex: 1; ${inputStyle}">
+              <option value="local" ${!['playlists', 'smart'].includes(slot.source) ? 'selected' : ''}>${this.escapeHtml(t('ui.labels.autoDjSourceLocal', 'Lokale Bibliothek'))}</option>
+              <option value="smart" ${slot.source === 'smart' ? 'selected' : ''}>${this.escapeHtml(t('ui.labels.autoDjSourceSmart', 'Smart-Playlist'))}</option>
+              <option value="playlists" ${slot.source === 'playlists' ? 'selected' : ''}>${this.escapeHtml(t('ui.labels.autoDjSourcePlaylists', 'Custom Playlists'))}</option>
+            </select>
+          </div>
+          <div style="margin-top: 6px;">${sourceOptions}</div>
+        </div>
+      `;
+    }).join('');
   }
 
   setupTrackLockTimeHandler() {
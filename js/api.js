@@ -77,6 +77,9 @@ class DataServerAPI {
     if (filters.album) params.append('album', filters.album);
     if (filters.genre) params.append('genre', filters.genre);
     if (filters.year) params.append('year', filters.year);
+    if (filters.bpmMin) params.append('bpmMin', filters.bpmMin);
+    if (filters.bpmMax) params.append('bpmMax', filters.bpmMax);
+    if (filters.key) params.append('key', filters.key);
     if (filters.search) params.append('search', filters.search);
     if (filters.limit) params.append('limit', filters.limit);
     if (filters.offset) params.append('offset', filters.offset);
@@ -87,14 +90,43 @@ class DataServerAPI {
     return await this.fetch(endpoint);
   }
 
+  // Grouped library search (artists, albums, tracks, genres, playlists, spotify) with counts per group
+  // filters: year ('1994' or '1990-1999'), genre, source ('local' | 'spotify'), types (array of groups), limit
+  async search(query, filters = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (filters.year) params.append('year', filters.year);
+    if (filters.genre) params.append('genre', filters.genre);
+    if (filters.source) params.append('source', filters.source);
+    if (filters.types) params.append('types', filters.types.join(','));
+    if (filters.limit) params.append('limit', filters.limit);
+    return await this.fetch(`/api/search?${params}`);
+  }
+
+  // Search-as-you-type: { suggestions: [{ type: 'artist' | 'album' | 'title', text }], correction }
+  async getSearchSuggestions(query, limit = 8) {
+    return await this.fetch(`/api/search/suggest?q=${encodeURIComponent(query)}&limit=${limit}`);
+  }
+
   // Get single track
   async getTrack(id) {
     return await this.fetch(`/api/tracks/${id}`);
   }
 
   // Get audio stream URL
-  getStreamURL(id) {
-    return `${this.baseURL}/api/stream/${id}`;
+  // options.transcode: 'mp3' | 'opus' forces server-side conversion
+  // options.quality: 'original' | 'high' | 'medium' | 'low' selects a bandwidth profile
+  getStreamURL(id, options = {}) {
+    const params = new URLSearchParams();
+    if (options.transcode) params.append('transcode', options.transcode);
+    if (options.quality && options.quality !== 'original') params.append('quality', options.quality);
+    
+    const queryString = params.toString();
+    return `${this.baseURL}/api/stream/${id}${queryString ? '?' + queryString : ''}`;
+  }
+
+  // Get transcoding state/progress for a track
+  async getConversionStatus(id) {
+    return await this.fetch(`/api/conversion-status/${id}`);
   }
 
   // Get cover image URL
@@ -107,11 +139,15 @@ class DataServerAPI {
     return await this.fetch('/api/artists');
   }
 
-  // Get all albums
-  async getAlbums(artist = null, forceRefresh = false) {
-    const params = artist ? `?artist=${encodeURIComponent(artist)}` : '';
-    const url = `/api/albums${params}${forceRefresh ? (params ? '&' : '?') + '_=' + Date.now() : ''}`;
-    return await this.fetch(url);
+  // Get all albums (grouped by album artist); options.compilations lists compilations only
+  async getAlbums(artist = null, forceRefresh = false, options = {}) {
+    const params = new URLSearchParams();
+    if (artist) params.append('artist', artist);
+    if (options.compilations) params.append('compilations', '1');
+    if (forceRefresh) params.append('_', Date.now().toString());
+
+    const queryString = params.toString();
+    return await this.fetch(`/api/albums${queryString ? '?' + queryString : ''}`);
   }
 
   // Get all genres
@@ -164,6 +200,99 @@ class DataServerAPI {
   async getPlayStats() {
     return await this.fetch('/api/play-stats');
   }
+
+  // Song requests awaiting approval (admin only)
+  async getSongRequests(status = 'pending') {
+    return await this.fetch(`/api/requests?status=${status}`, { headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  async approveSongRequest(id) {
+    return await this.fetch(`/api/requests/${id}/approve`, { method: 'POST', headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  async rejectSongRequest(id) {
+    return await this.fetch(`/api/requests/${id}/reject`, { method: 'POST', headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  // Pay-to-play: balance of this kiosk, prices and credit packs
+  async getCredits() {
+    return await this.fetch('/api/credits');
+  }
+
+  async createCreditPack(pack) {
+    return await this.fetch('/api/credits/packs', { method: 'POST', headers: { 'X-Admin-Mode': 'true' }, body: JSON.stringify(pack) });
+  }
+
+  async deleteCreditPack(id) {
+    return await this.fetch(`/api/credits/packs/${id}`, { method: 'DELETE', headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  // Auto-DJ dayparting: schedule slot active right now (null outside all slots)
+  async getActiveAutoDjSlot() {
+    return await this.fetch('/api/autodj/schedule/active');
+  }
+
+  async getCustomPlaylists() {
+    return await this.fetch('/api/custom-playlists');
+  }
+
+  // Local playlists (library and Spotify tracks); changes need admin mode
+  async getPlaylists() {
+    return await this.fetch('/api/playlists');
+  }
+
+  async getPlaylist(id) {
+    return await this.fetch(`/api/playlists/${id}`);
+  }
+
+  // rules: smart playlist (see lib/smart_playlist_rules.js)
+  async createPlaylist(name, rules = undefined) {
+    return await this.fetch('/api/playlists', { method: 'POST', headers: { 'X-Admin-Mode': 'true' }, body: JSON.stringify({ name, rules }) });
+  }
+
+  async updatePlaylist(id, changes) {
+    return await this.fetch(`/api/playlists/${id}`, { method: 'PUT', headers: { 'X-Admin-Mode': 'true' }, body: JSON.stringify(changes) });
+  }
+
+  async deletePlaylist(id) {
+    return await this.fetch(`/api/playlists/${id}`, { method: 'DELETE', headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  async addPlaylistItems(id, items, position = undefined) {
+    return await this.fetch(`/api/playlists/${id}/items`, { method: 'POST', headers: { 'X-Admin-Mode': 'true' }, body: JSON.stringify({ items, position }) });
+  }
+
+  async removePlaylistItem(id, itemId) {
+    return await this.fetch(`/api/playlists/${id}/items/${itemId}`, { method: 'DELETE', headers: { 'X-Admin-Mode': 'true' } });
+  }
+
+  async movePlaylistItem(id, itemId, toIndex) {
+    return await this.fetch(`/api/playlists/${id}/items/${itemId}/move`, { method: 'POST', headers: { 'X-Admin-Mode': 'true' }, body: JSON.stringify({ toIndex }) });
+  }
+
+  // M3U/M3U8, PLS or XSPF file -> new playlist; the response lists entries not found in the library
+  async importPlaylistFile(file) {
+    const params = new URLSearchParams({ filename: file.name });
+    return await this.fetch(`/api/playlists/import?${params}`, {
+      method: 'POST',
+      headers: { 'X-Admin-Mode': 'true', 'Content-Type': 'text/plain' },
+      body: await file.text()
+    });
+  }
+
+  // format: 'm3u' | 'm3u8' | 'pls' | 'xspf'
+  getPlaylistExportURL(id, format) {
+    return `${this.baseURL}/api/playlists/${id}/export?format=${encodeURIComponent(format)}`;
+  }
+
+  getQueueExportURL(format) {
+    return `${this.baseURL}/api/queue/export?format=${encodeURIComponent(format)}`;
+  }
+
+  // Phone remote: commands queued by phones since the given command id
+  async getRemoteCommands(since = 0) {
+    return await this.fetch(`/api/remote/commands?since=${since}`);
+  }
 }
 
 // Export to global scope for compatibility
@@ -7,6 +7,46 @@ let volumeSlider = null;
 let currentTrackDuration = 0;
 let progressUpdateInterval = null;
 
+// Dual-deck playback: audioPlayer always points to the active deck
+let audioDecks = [];
+const activeDeckListeners = [];
+
+// Create the hidden second <audio> element next to the primary one
+function createStandbyDeck(primaryDeck) {
+  const deck = primaryDeck.cloneNode(false);
+  deck.id = 'audioPlayerB';
+  deck.removeAttribute('src');
+  deck.preload = 'auto';
+  primaryDeck.parentNode.insertBefore(deck, primaryDeck.nextSibling);
+  
+  // Listeners registered before the deck existed (e.g. by jukebox.js)
+  activeDeckListeners.forEach(({ type, handler }) => bindActiveDeckListener(deck, type, handler));
+  return deck;
+}
+
+function getStandbyDeck() {
+  return audioDecks.find(deck => deck !== audioPlayer) || null;
+}
+
+// Register a media event handler that only fires for the currently active deck
+function addActiveDeckListener(type, handler) {
+  activeDeckListeners.push({ type, handler });
+  const decks = audioDecks.length > 0 ? audioDecks : [audioPlayer || document.getElementById('audioPlayer')];
+  decks.filter(Boolean).forEach(deck => bindActiveDeckListener(deck, type, handler));
+}
+
+function bindActiveDeckListener(deck, type, handler) {
+  deck.addEventListener(type, (event) => {
+    if (deck !== audioPlayer) return;
+    // The deck ran out before the scheduled gapless start: switch now instead of skipping
+    if (type === 'ended' && deckTransition && !deckTransition.started) {
+      beginDeckTransition();
+      return;
+    }
+    handler(event);
+  });
+}
+
 // Initialize audio player
 function initializeAudioPlayer() {
   // Try to get the audio player element
@@ -30,8 +70,10 @@ function initializeAudioPlayer() {
   // Mark as initialized
   audioPlayer.dataset.initialized = 'true';
   
-  // Add event listeners for audio player
-  audioPlayer.addEventListener('loadedmetadata', () => {
+  // Second deck for crossfades/gapless transitions; listeners only react to the active deck
+  audioDecks = [audioPlayer, createStandbyDeck(audioPlayer)];
+  
+  addActiveDeckListener('loadedmetadata', () => {
     if (audioPlayer.duration && isFinite(audioPlayer.duration)) {
       setTrackDuration(audioPlayer.duration);
       if (typeof debugLog !== 'undefined') {
@@ -40,13 +82,14 @@ function initializeAudioPlayer() {
     }
   });
   
-  audioPlayer.addEventListener('timeupdate', () => {
+  addActiveDeckListener('timeupdate', () => {
     if (!audioPlayer.paused && audioPlayer.duration) {
       updateProgressDisplay(audioPlayer.currentTime, audioPlayer.duration);
     }
+    checkUpcomingTransition();
   });
   
-  audioPlayer.addEventListener('ended', () => {
+  addActiveDeckListener('ended', () => {
     if (typeof debugLog !== 'undefined') {
       debugLog('AUDIO', 'Track ended, advancing to next');
     }
@@ -55,7 +98,7 @@ function initializeAudioPlayer() {
     }
   });
   
-  audioPlayer.addEventListener('error', (e) => {
+  addActiveDeckListener('error', (e) => {
     // Only log meaningful errors, ignore expected ones like when src is cleared
     if (audioPlayer.error && audioPlayer.error.code !== 4) { // 4 = MEDIA_ELEMENT_ERROR: Media loading aborted
       debugLog('AUDIO', 'Audio playback error:', {
@@ -113,6 +156,10 @@ function initializeAudioPlayer() {
 function stopAllPlayback() {
   debugLog('audio', '[STOP] Stopping all playback...');
   
+  // Drop any crossfade in progress and the preloaded next track
+  settleDeckTransition();
+  clearStandbyDeck();
+  
   // Stop local audio player
   if (audioPlayer) {
     if (!audioPlayer.paused) {
@@ -154,6 +201,372 @@ function stopAllPlayback() {
   }
 }
 
+// ===== PLAYBACK GRAPH =====
+// each deck: MediaElementSource → normalization gain → fade gain → mix bus → EQ → destination
+
+let playbackAudioCtx = null;
+let playbackMixBus = null;
+const deckNodes = new Map(); // deck element -> { source, normalization, fade }
+
+// Fields from the track analysis that queue entries may not carry yet
+const PLAYBACK_METADATA_FIELDS = [
+  'replaygain_track_gain', 'replaygain_track_peak',
+  'replaygain_album_gain', 'replaygain_album_peak',
+  'audio_start', 'audio_end'
+];
+
+// Build the Web Audio graph for local playback (a media element can only be captured once)
+function ensurePlaybackGraph() {
+  if (playbackAudioCtx || !audioPlayer) return playbackAudioCtx;
+  
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new AudioCtx();
+    playbackMixBus = ctx.createGain();
+    
+    // 10-band EQ between the mix bus and the output (js/audio_eq.js)
+    if (window.AudioEQModule) {
+      window.AudioEQModule.applySettings(window.audioSettings);
+      window.AudioEQModule.attach(ctx, playbackMixBus, ctx.destination);
+    } else {
+      playbackMixBus.connect(ctx.destination);
+    }
+    
+    const decks = audioDecks.length > 0 ? audioDecks : [audioPlayer];
+    decks.forEach(deck => {
+      const source = ctx.createMediaElementSource(deck);
+      const normalization = ctx.createGain();
+      const fade = ctx.createGain();
+      source.connect(normalization);
+      normalization.connect(fade);
+      fade.connect(playbackMixBus);
+      deckNodes.set(deck, { source, normalization, fade });
+    });
+    
+    playbackAudioCtx = ctx;
+    debugLog('audio', '[GRAPH] Playback graph created');
+  } catch (error) {
+    debugLog('AUDIO', 'Could not create playback audio graph:', error);
+    playbackAudioCtx = null;
+  }
+  
+  return playbackAudioCtx;
+}
+
+// The AudioContext may need a resume after autoplay restrictions
+function resumePlaybackContext() {
+  if (playbackAudioCtx && playbackAudioCtx.state === 'suspended') {
+    playbackAudioCtx.resume().catch(error => debugLog('AUDIO', 'AudioContext resume failed:', error));
+  }
+}
+
+// Load ReplayGain values and silence bounds from the data server if the queue entry lacks them
+async function ensurePlaybackMetadata(track) {
+  const missing = PLAYBACK_METADATA_FIELDS.some(field => track[field] === undefined);
+  if (!missing || !window.musicAPI || !track.id) return track;
+  
+  try {
+    const response = await window.musicAPI.getTrack(track.id);
+    const data = response.data || {};
+    PLAYBACK_METADATA_FIELDS.forEach(field => {
+      // null marks "analysed, no value" so we do not ask again
+      track[field] = data[field] !== undefined ? data[field] : null;
+    });
+  } catch (error) {
+    debugLog('AUDIO', 'Could not load playback metadata:', error);
+  }
+  return track;
+}
+
+// ===== LOUDNESS NORMALIZATION (REPLAYGAIN) =====
+
+function getReplayGainMode() {
+  const mode = window.audioSettings && window.audioSettings.replayGainMode;
+  return ['track', 'album', 'off'].includes(mode) ? mode : 'track';
+}
+
+// Calculate the linear gain for a track from its stored ReplayGain values
+function calculateReplayGain(track) {
+  const mode = getReplayGainMode();
+  if (mode === 'off' || !track) return 1;
+  
+  const trackGain = track.replaygain_track_gain;
+  const albumGain = track.replaygain_album_gain;
+  const hasValue = (value) => value !== null && value !== undefined && isFinite(value);
+  
+  // Fall back to the other value when the preferred one is missing
+  let gainDb = mode === 'album' ? (hasValue(albumGain) ? albumGain : trackGain) : (hasValue(trackGain) ? trackGain : albumGain);
+  if (!hasValue(gainDb)) return 1;
+  
+  const preampDb = parseFloat(window.audioSettings && window.audioSettings.replayGainPreamp) || 0;
+  let gain = Math.pow(10, (gainDb + preampDb) / 20);
+  
+  // Prevent clipping: keep the amplified peak at or below full scale
+  const peak = mode === 'album' && hasValue(track.replaygain_album_peak) ? track.replaygain_album_peak : track.replaygain_track_peak;
+  if (hasValue(peak) && peak > 0) {
+    gain = Math.min(gain, 1 / peak);
+  }
+  
+  return gain;
+}
+
+// Apply normalization for a local track on a deck; loads missing gain values from the data server
+async function applyReplayGain(track, deck = audioPlayer) {
+  const eqActive = window.AudioEQModule && window.audioSettings && window.audioSettings.eqEnabled === true;
+  if (getReplayGainMode() === 'off' && !eqActive && !playbackAudioCtx) return;
+  if (!ensurePlaybackGraph()) return;
+  
+  await ensurePlaybackMetadata(track);
+  const nodes = deckNodes.get(deck);
+  if (!nodes) return;
+  
+  const gain = calculateReplayGain(track);
+  // Short ramp avoids clicks when the gain arrives after playback started
+  nodes.normalization.gain.setTargetAtTime(gain, playbackAudioCtx.currentTime, 0.05);
+  debugLog('audio', `[REPLAYGAIN] ${getReplayGainMode()} gain for "${track.title}": ${(20 * Math.log10(gain)).toFixed(2)} dB`);
+}
+
+// ===== CROSSFADE / GAPLESS =====
+// The next local track is preloaded on the standby deck and started while the
+// active deck is still playing; audioPlayer then switches to the new deck.
+
+const PRELOAD_LEAD_SECONDS = 15;      // start buffering the next track this early
+const GAPLESS_LEAD_SECONDS = 0.3;     // schedule a gapless start once this close to the end
+const GAPLESS_OVERLAP_SECONDS = 0.05; // start slightly early so the decoder has no gap
+
+let preparedTrack = null;   // queue entry loaded on the standby deck
+let deckTransition = null;  // { fromDeck, toDeck, previousTrack, track, fadeSeconds, started, timers }
+
+// Crossfade length from the audio settings; 0 means gapless
+function getCrossfadeSeconds() {
+  const seconds = parseFloat(window.audioSettings && window.audioSettings.crossfadeSeconds);
+  return isFinite(seconds) ? Math.min(12, Math.max(0, seconds)) : 0;
+}
+
+function isSilenceTrimEnabled() {
+  return !window.audioSettings || window.audioSettings.trimSilence !== false;
+}
+
+function isLocalQueueTrack(track) {
+  if (!track) return false;
+  const isSpotifyTrack = track.type === 'spotify' || track.uri || track.spotify_uri || track.isSpotify;
+  return !isSpotifyTrack && !!(track.type === 'server' || track.streamUrl || track.path || track.file_path);
+}
+
+function isSameQueueTrack(a, b) {
+  return !!a && !!b && (a === b || (a.id !== undefined && a.id === b.id));
+}
+
+// Position where audible content starts (leading silence skipped)
+function getTrackStartTime(track) {
+  return isSilenceTrimEnabled() && track && track.audio_start > 0 ? track.audio_start : 0;
+}
+
+// Position where audible content ends on the given deck (trailing silence skipped)
+function getTrackEndTime(track, deck) {
+  const duration = deck.duration;
+  if (isSilenceTrimEnabled() && track && track.audio_end > 0 && (!isFinite(duration) || track.audio_end < duration)) {
+    return track.audio_end;
+  }
+  return duration;
+}
+
+// Seek a freshly loaded deck past the leading silence of its track
+function seekToTrackStart(deck, track) {
+  const start = getTrackStartTime(track);
+  if (start <= 0) return;
+  
+  const seek = () => {
+    if (deck.currentTime < start) deck.currentTime = start;
+  };
+  if (deck.readyState >= 1) {
+    seek();
+  } else {
+    deck.addEventListener('loadedmetadata', seek, { once: true });
+  }
+}
+
+function setDeckFade(deck, value, duration = 0) {
+  const nodes = deckNodes.get(deck);
+  if (!nodes || !playbackAudioCtx) return;
+  
+  const param = nodes.fade.gain;
+  const now = playbackAudioCtx.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  if (duration > 0) {
+    param.linearRampToValueAtTime(value, now + duration);
+  } else {
+    param.setValueAtTime(value, now);
+  }
+}
+
+// Load the upcoming track on the standby deck so it can start without buffering
+function prepareStandbyDeck(track) {
+  const deck = getStandbyDeck();
+  const streamUrl = deck ? buildLocalStreamUrl(track) : null;
+  if (!streamUrl) return;
+  
+  preparedTrack = track;
+  deck.src = streamUrl;
+  deck.load();
+  setDeckFade(deck, 0);
+  
+  ensurePlaybackMetadata(track).then(() => {
+    if (preparedTrack !== track) return;
+    seekToTrackStart(deck, track);
+    applyReplayGain(track, deck);
+  });
+  debugLog('audio', '[CROSSFADE] Preloading next track:', track.title);
+}
+
+function clearStandbyDeck() {
+  const deck = getStandbyDeck();
+  preparedTrack = null;
+  if (!deck) return;
+  
+  if (!deck.paused) deck.pause();
+  if (deck.src && !deck.src.endsWith('about:blank')) {
+    deck.removeAttribute('src');
+    deck.load();
+  }
+}
+
+// Called on every timeupdate of the active deck
+function checkUpcomingTransition() {
+  if (deckTransition || window.isCurrentlyPlayingTrack || !audioPlayer || audioPlayer.paused) return;
+  if (!window.queue || window.currentTrackIndex < 0) return;
+  
+  const current = window.queue[window.currentTrackIndex];
+  const next = window.queue[window.currentTrackIndex + 1];
+  // Transitions only work between two local tracks (Spotify has its own player)
+  if (!isLocalQueueTrack(current) || !isLocalQueueTrack(next)) return;
+  
+  const end = getTrackEndTime(current, audioPlayer);
+  if (!isFinite(end) || end <= 0) return;
+  
+  const remaining = end - audioPlayer.currentTime;
+  const fadeSeconds = getCrossfadeSeconds();
+  
+  if (!isSameQueueTrack(preparedTrack, next) && remaining <= fadeSeconds + PRELOAD_LEAD_SECONDS) {
+    prepareStandbyDeck(next);
+  }
+  
+  if (isSameQueueTrack(preparedTrack, next) && remaining <= Math.max(fadeSeconds, GAPLESS_LEAD_SECONDS)) {
+    startDeckTransition(current, next, remaining);
+  }
+}
+
+function startDeckTransition(previousTrack, track, remaining) {
+  const fadeSeconds = Math.min(getCrossfadeSeconds(), Math.max(0, remaining));
+  deckTransition = {
+    fromDeck: audioPlayer,
+    toDeck: getStandbyDeck(),
+    previousTrack,
+    track,
+    fadeSeconds,
+    started: false,
+    timers: []
+  };
+  
+  if (fadeSeconds > 0) {
+    beginDeckTransition();
+  } else {
+    const delay = Math.max(0, remaining - GAPLESS_OVERLAP_SECONDS) * 1000;
+    deckTransition.timers.push(setTimeout(beginDeckTransition, delay));
+  }
+}
+
+// Start the standby deck and make it the active one
+function beginDeckTransition() {
+  const transition = deckTransition;
+  if (!transition || transition.started) return;
+  transition.started = true;
+  
+  const { fromDeck, toDeck, fadeSeconds } = transition;
+  const canFade = fadeSeconds > 0 && ensurePlaybackGraph();
+  resumePlaybackContext();
+  
+  toDeck.volume = fromDeck.volume;
+  if (canFade) {
+    setDeckFade(toDeck, 0);
+    setDeckFade(toDeck, 1, fadeSeconds);
+    setDeckFade(fromDeck, 0, fadeSeconds);
+  } else {
+    setDeckFade(toDeck, 1);
+  }
+  
+  toDeck.play().catch(error => {
+    debugLog('AUDIO', 'Crossfade playback failed:', error);
+    if (typeof toast !== 'undefined') {
+      toast.error(`Playback failed: ${error.message}`);
+    }
+  });
+  
+  audioPlayer = toDeck;
+  preparedTrack = null;
+  advanceQueueAfterTransition(transition.previousTrack, transition.track);
+  
+  // Stop the old deck just before its natural end so its 'ended' event never fires
+  const finishDelay = canFade ? Math.max(0, fadeSeconds - 0.1) * 1000 : GAPLESS_OVERLAP_SECONDS * 1000;
+  transition.timers.push(setTimeout(finishDeckTransition, finishDelay));
+  debugLog('audio', `[CROSSFADE] ${canFade ? `${fadeSeconds.toFixed(1)}s crossfade` : 'Gapless transition'} to "${transition.track.title}"`);
+}
+
+// Same bookkeeping skipTrack() + playCurrentTrack() do, without reloading the player
+function advanceQueueAfterTransition(previousTrack, track) {
+  if (typeof recordTrackPlayStatistics === 'function') {
+    recordTrackPlayStatistics(previousTrack, 'local');
+  }
+  
+  window.currentTrackIndex = window.currentTrackIndex + 1;
+  if (typeof saveAppState === 'function') {
+    saveAppState();
+  }
+  
+  rememberPlayedTrack(track);
+  if (window.queueAPI) {
+    window.queueAPI.reportPlayingTrack(track);
+  }
+  if (audioPlayer.duration && isFinite(audioPlayer.duration)) {
+    setTrackDuration(audioPlayer.duration);
+  }
+  updateNowPlayingDisplay(track);
+  recordTrackPlay(track);
+  
+  if (typeof debouncedUpdateQueueDisplay !== 'undefined') {
+    debouncedUpdateQueueDisplay();
+  }
+}
+
+function finishDeckTransition() {
+  const transition = deckTransition;
+  if (!transition) return;
+  deckTransition = null;
+  transition.timers.forEach(timer => clearTimeout(timer));
+  
+  const { fromDeck } = transition;
+  if (!fromDeck.paused) fromDeck.pause();
+  if (fromDeck.src && !fromDeck.src.endsWith('about:blank')) {
+    fromDeck.removeAttribute('src');
+    fromDeck.load();
+  }
+  setDeckFade(fromDeck, 1);
+}
+
+// Resolve a running transition immediately (pause/stop/manual track change)
+function settleDeckTransition() {
+  if (!deckTransition) return;
+  
+  if (deckTransition.started) {
+    finishDeckTransition();
+    setDeckFade(audioPlayer, 1);
+  } else {
+    deckTransition.timers.forEach(timer => clearTimeout(timer));
+    deckTransition = null;
+  }
+}
+
 // Play current track from queue
 // Prevent race conditions
 let isCurrentlyPlayingTrack = false; 
@@ -220,27 +633,14 @@ function playCurrentTrack() {
   debugLog('audio', '[PLAY] Track type:', track.type);
   debugLog('audio', '[PLAY] Track path:', track.path);
   
-  // Add to played tracks history  
-  if (window.playedTracks) {
-    window.playedTracks.push({
-      uri: track.uri || null,
-      path: track.path || null,
-      id: track.id || null,
-      streamUrl: track.streamUrl || null,
-      artist: track.artist || null,
-      title: track.title || null,
-      album: track.album || null,
-      timestamp: Date.now()
-    });
-    
-    // Keep only last hour of played tracks
-    const oneHour = 60 * 60 * 1000;
-    const now = Date.now();
-    window.playedTracks = window.playedTracks.filter(playedTrack => 
-      (now - playedTrack.timestamp) < oneHour
-    );
+  // Add to played tracks history
+  rememberPlayedTrack(track);
+
+  // Move the server-side queue position along (no-op if the server already points here)
+  if (window.queueAPI) {
+    window.queueAPI.reportPlayingTrack(track);
   }
-  
+
   // Determine track type
   const isSpotifyTrack = track.type === 'spotify' || track.uri || track.spotify_uri || track.isSpotify;
   const isLocalTrack = track.type === 'server' || track.streamUrl || track.path || track.file_path;
@@ -282,6 +682,29 @@ function playCurrentTrack() {
   window.isCurrentlyPlayingTrack = false;
 }
 
+// Add a track to the one-hour played history used for duplicate prevention
+function rememberPlayedTrack(track) {
+  if (window.playedTracks) {
+    window.playedTracks.push({
+      uri: track.uri || null,
+      path: track.path || null,
+      id: track.id || null,
+      streamUrl: track.streamUrl || null,
+      artist: track.artist || null,
+      title: track.title || null,
+      album: track.album || null,
+      timestamp: Date.now()
+    });
+    
+    // Keep only last hour of played tracks
+    const oneHour = 60 * 60 * 1000;
+    const now = Date.now();
+    window.playedTracks = window.playedTracks.filter(playedTrack => 
+      (now - playedTrack.timestamp) < oneHour
+    );
+  }
+}
+
 // Play local (server) track
 function playLocalTrack(track) {
   debugLog('audio', '[LOCAL] Playing local track:', track.title);
@@ -291,7 +714,7 @@ function playLocalTrack(track) {
     return;
   }
   
-  const streamUrl = track.streamUrl || (window.musicAPI ? window.musicAPI.getStreamURL(track.id) : null);
+  const streamUrl = buildLocalStreamUrl(track);
   
   if (!streamUrl) {
     debugLog('AUDIO', 'No stream URL available for track:', track);
@@ -306,6 +729,16 @@ function playLocalTrack(track) {
   // Set up audio player
   audioPlayer.src = streamUrl;
   audioPlayer.volume = 0.7; // Default volume
+  setDeckFade(audioPlayer, 1);
+  
+  // Loudness normalization and leading-silence trimming need the analysis fields
+  applyReplayGain(track);
+  ensurePlaybackMetadata(track).then(() => {
+    if (window.queue && window.queue[window.currentTrackIndex] === track) {
+      seekToTrackStart(audioPlayer, track);
+    }
+  });
+  resumePlaybackContext();
   
   // Play with error handling
   audioPlayer.play().then(() => {
@@ -324,6 +757,62 @@ function playLocalTrack(track) {
   });
 }
 
+// Stream URL for a local track, honouring quality profile and browser format support
+function buildLocalStreamUrl(track) {
+  let streamUrl = track.streamUrl || (window.musicAPI ? window.musicAPI.getStreamURL(track.id) : null);
+  
+  if (window.musicAPI && track.id) {
+    const streamOptions = {
+      // Bandwidth profile from the audio settings (admin panel → Audio)
+      quality: getStreamQuality()
+    };
+    
+    // Let the server transcode formats this browser cannot decode (e.g. Opus/FLAC on older Safari)
+    if (!canPlayLocalFormat(track.path || track.file_path)) {
+      debugLog('audio', '[LOCAL] Browser cannot play original format, requesting MP3 transcode');
+      streamOptions.transcode = 'mp3';
+    }
+    
+    if (streamOptions.transcode || streamOptions.quality !== 'original') {
+      streamUrl = window.musicAPI.getStreamURL(track.id, streamOptions);
+    }
+  }
+  
+  return streamUrl;
+}
+
+// MIME types of formats the data server streams without conversion
+const LOCAL_FORMAT_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg; codecs="opus"',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  wav: 'audio/wav'
+};
+
+// Streaming profile for local tracks: original | high | medium | low
+function getStreamQuality() {
+  const quality = window.audioSettings && window.audioSettings.streamQuality;
+  return ['original', 'high', 'medium', 'low'].includes(quality) ? quality : 'original';
+}
+
+// Check whether the browser can decode a local file's format natively
+function canPlayLocalFormat(filePath) {
+  if (!filePath || !audioPlayer || typeof audioPlayer.canPlayType !== 'function') return true;
+  
+  const extension = filePath.split('.').pop().toLowerCase();
+  const mimeType = LOCAL_FORMAT_MIME_TYPES[extension];
+  
+  // Unknown formats (e.g. WMA) are transcoded by the server anyway
+  if (!mimeType) return true;
+  
+  return audioPlayer.canPlayType(mimeType) !== '';
+}
+
 // Play Spotify track
 function playSpotifyTrackFromObject(track) {
   debugLog('audio', '[SPOTIFY] Playing Spotify track:', track.title);
@@ -496,6 +985,8 @@ function getVolume() {
 
 // Audio playback control
 function pauseCurrentTrack() {
+  settleDeckTransition();
+  
   if (audioPlayer && !audioPlayer.paused) {
     audioPlayer.pause();
     debugLog('audio', '[AUDIO] Local track paused');
@@ -588,14 +1079,9 @@ async function playTrack(trackId) {
     
     const response = await window.musicAPI.getTrack(trackId);
     if (response && response.success && response.data) {
-      // Add to queue first, then play it
+      // Add to queue; the server starts it right away if nothing was queued
       if (typeof addToQueue !== 'undefined') {
-        addToQueue(response.data);
-        // If this is the only track in queue, it should auto-play
-        if (window.queue && window.queue.length === 1) {
-          window.currentTrackIndex = 0;
-          playCurrentTrack();
-        }
+        await addToQueue(response.data);
       } else {
         debugLog('AUDIO', 'Queue management not available');
       }
@@ -721,6 +1207,7 @@ async function pausePlayback() {
       window.isSpotifyCurrentlyPlaying = false;
     }
   } else if (audioPlayer && !audioPlayer.paused) {
+    settleDeckTransition();
     audioPlayer.pause();
     debugLog('audio', '[PAUSE] Local track paused');
   }
@@ -763,6 +1250,8 @@ async function stopPlayback() {
       window.isSpotifyCurrentlyPlaying = false;
     }
   } else if (audioPlayer) {
+    settleDeckTransition();
+    clearStandbyDeck();
     audioPlayer.pause();
     audioPlayer.currentTime = 0;
     debugLog('audio', '[STOP] Local track stopped');
@@ -862,6 +1351,10 @@ if (typeof window !== 'undefined') {
   window.stopAllPlayback = stopAllPlayback;
   window.playCurrentTrack = playCurrentTrack;
   window.playLocalTrack = playLocalTrack;
+  window.applyReplayGain = applyReplayGain;
+  window.ensurePlaybackGraph = ensurePlaybackGraph;
+  window.addActiveDeckListener = addActiveDeckListener;
+  window.settleDeckTransition = settleDeckTransition;
   // Don't export playSpotifyTrack to avoid overwriting main file's function
   window.updateNowPlayingDisplay = updateNowPlayingDisplay;
   window.updateProgressDisplay = updateProgressDisplay;
@@ -0,0 +1,167 @@
+/**
+ * Audio EQ Module
+ *
+ * 10-band graphic equalizer in the local playback signal path.
+ * Unlike js/equalizer.js (footer visualization only) this shapes the sound:
+ * playback mix bus → 10 BiquadFilter nodes → headroom gain → output.
+ *
+ * Features:
+ * - Low/high shelf on the outer bands, peaking filters in between
+ * - Built-in presets (Flat, Bass Boost, Party, Speech)
+ * - Custom presets stored per installation via the Settings API (audio.eqCustomPresets)
+ * - Automatic headroom so boosted bands do not clip
+ */
+
+(function() {
+  'use strict';
+
+  // Center frequencies in Hz
+  const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const MAX_GAIN_DB = 12;
+  const BAND_Q = 1.41; // one octave per band
+
+  // Gains in dB per band
+  const BUILTIN_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    bassBoost: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    party: [4, 3, 1, 0, -1, 0, 1, 3, 4, 4],
+    speech: [-6, -4, -2, 0, 2, 4, 4, 2, 0, -2]
+  };
+
+  // EQ state
+  let eqAudioCtx = null;
+  let eqFilters = [];
+  let eqOutputGain = null;
+  let eqEnabled = false;
+  let eqGains = BUILTIN_PRESETS.flat.slice();
+
+  /**
+   * Insert the filter chain between two nodes of the playback graph
+   * @param {AudioContext} audioCtx - Context of the playback graph
+   * @param {AudioNode} inputNode - Node feeding the EQ (playback mix bus)
+   * @param {AudioNode} outputNode - Node the EQ feeds (usually the destination)
+   */
+  function attachEQ(audioCtx, inputNode, outputNode) {
+    if (eqAudioCtx) return;
+
+    eqAudioCtx = audioCtx;
+    eqFilters = EQ_BANDS.map((frequency, index) => {
+      const filter = audioCtx.createBiquadFilter();
+      if (index === 0) {
+        filter.type = 'lowshelf';
+      } else if (index === EQ_BANDS.length - 1) {
+        filter.type = 'highshelf';
+      } else {
+        filter.type = 'peaking';
+        filter.Q.value = BAND_Q;
+      }
+      filter.frequency.value = frequency;
+      filter.gain.value = 0;
+      return filter;
+    });
+    eqOutputGain = audioCtx.createGain();
+
+    let previous = inputNode;
+    eqFilters.forEach(filter => {
+      previous.connect(filter);
+      previous = filter;
+    });
+    previous.connect(eqOutputGain);
+    eqOutputGain.connect(outputNode);
+
+    applyFilterGains();
+    debugLog('audio', '[EQ] Filter chain attached to playback graph');
+  }
+
+  // Push the current state to the filter nodes (flat when disabled)
+  function applyFilterGains() {
+    if (!eqAudioCtx) return;
+
+    const now = eqAudioCtx.currentTime;
+    const gains = eqEnabled ? eqGains : BUILTIN_PRESETS.flat;
+    eqFilters.forEach((filter, index) => {
+      filter.gain.setTargetAtTime(gains[index] || 0, now, 0.02);
+    });
+
+    // Pull the output down by the largest boost to keep headroom
+    const maxBoost = Math.max(0, ...gains);
+    eqOutputGain.gain.setTargetAtTime(Math.pow(10, -maxBoost / 20), now, 0.02);
+  }
+
+  // Clamp a gain list to EQ_BANDS.length values within ±MAX_GAIN_DB
+  function normalizeGains(gains) {
+    return EQ_BANDS.map((_, index) => {
+      const value = parseFloat(Array.isArray(gains) ? gains[index] : 0);
+      return isFinite(value) ? Math.max(-MAX_GAIN_DB, Math.min(MAX_GAIN_DB, value)) : 0;
+    });
+  }
+
+  /**
+   * Take over the EQ values from window.audioSettings
+   * @param {Object} settings - Audio settings (eqEnabled, eqGains)
+   */
+  function applySettings(settings) {
+    if (!settings) return;
+    eqEnabled = settings.eqEnabled === true;
+    eqGains = normalizeGains(settings.eqGains);
+    applyFilterGains();
+  }
+
+  function setEnabled(enabled) {
+    eqEnabled = !!enabled;
+    applyFilterGains();
+  }
+
+  function setBandGain(index, gainDb) {
+    if (index < 0 || index >= EQ_BANDS.length) return;
+    eqGains[index] = normalizeGains([gainDb])[0];
+    applyFilterGains();
+  }
+
+  function setGains(gains) {
+    eqGains = normalizeGains(gains);
+    applyFilterGains();
+  }
+
+  /**
+   * Gains of a built-in or custom preset
+   * @param {string} name - Preset name
+   * @param {Object} customPresets - Custom presets (name → gains)
+   * @returns {number[]|null} Gains in dB or null if unknown
+   */
+  function getPresetGains(name, customPresets = {}) {
+    if (BUILTIN_PRESETS[name]) return BUILTIN_PRESETS[name].slice();
+    if (customPresets && Array.isArray(customPresets[name])) return normalizeGains(customPresets[name]);
+    return null;
+  }
+
+  function isBuiltinPreset(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name);
+  }
+
+  // Helper function for debug logging (will use global debugLog if available)
+  function debugLog(category, ...args) {
+    if (typeof window.debugLog === 'function') {
+      window.debugLog(category, ...args);
+    } else {
+      console.log(`[${category}]`, ...args);
+    }
+  }
+
+  // Export to window object
+  window.AudioEQModule = {
+    BANDS: EQ_BANDS,
+    MAX_GAIN_DB,
+    BUILTIN_PRESETS,
+    attach: attachEQ,
+    applySettings,
+    setEnabled,
+    setBandGain,
+    setGains,
+    getGains: () => eqGains.slice(),
+    isEnabled: () => eqEnabled,
+    getPresetGains,
+    isBuiltinPreset
+  };
+
+})();
@@ -0,0 +1,170 @@
+// Pay-to-Play Credits
+// Shows the kiosk's credit balance and the top-up dialog (credit packs + admin PIN).
+// Balances live on the data server; coins and top-ups arrive via the queue event stream.
+class CreditsUI {
+  constructor() {
+    this.info = null;
+    this.selectedPackId = null;
+    this.pin = '';
+    this.refreshTimer = null;
+  }
+
+  get baseUrl() {
+    return window.musicAPI ? window.musicAPI.baseURL : 'http://127.0.0.1:3001';
+  }
+
+  t(key, params, fallback) {
+    return (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t(key, params) : fallback;
+  }
+
+  // Returns the JSON body for error statuses as well (wrong PIN etc.)
+  async request(endpoint, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (isAdminMode) headers['X-Admin-Mode'] = 'true';
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, { ...options, headers });
+    return response.json();
+  }
+
+  init() {
+    document.getElementById('creditsBadge')?.addEventListener('click', () => this.openTopUp());
+    document.getElementById('closeCreditsPanel')?.addEventListener('click', () => this.closeTopUp());
+    document.getElementById('creditPacksList')?.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-pack-id]');
+      if (button) this.selectPack(parseInt(button.dataset.packId, 10));
+    });
+    document.getElementById('creditsPinKeypad')?.addEventListener('click', (event) => {
+      const key = event.target.closest('.pin-key');
+      if (key) this.handleKey(key.dataset.key);
+    });
+
+    document.addEventListener('creditsChanged', (event) => {
+      if (!this.info || event.detail.sessionId !== this.info.sessionId) return;
+      this.info.balance = event.detail.balance;
+      this.render();
+    });
+
+    this.refresh();
+    // Free-play hours start and end without any event
+    this.refreshTimer = setInterval(() => this.refresh(), 60000);
+  }
+
+  async refresh() {
+    try {
+      const data = await this.request('/api/credits');
+      if (!data.success) return;
+      this.info = data;
+      this.render();
+    } catch (error) {
+      debugLog('CREDITS', 'Could not load credits:', error.message);
+    }
+  }
+
+  render() {
+    const badge = document.getElementById('creditsBadge');
+    if (!badge || !this.info) return;
+
+    badge.classList.toggle('hidden', !this.info.enabled);
+    badge.classList.toggle('free-play', this.info.freePlay);
+    badge.textContent = this.info.freePlay
+      ? `🎉 ${this.t('ui.labels.freePlay', null, 'Free Play')}`
+      : `🪙 ${this.info.balance}`;
+    badge.title = this.t('ui.labels.creditsBalance', { balance: this.info.balance }, `Balance: ${this.info.balance} credits`);
+
+    const overlay = document.getElementById('creditsOverlay');
+    if (overlay && !overlay.classList.contains('hidden')) {
+      this.renderTopUp();
+    }
+  }
+
+  openTopUp() {
+    if (!this.info || !this.info.enabled) return;
+    this.selectedPackId = null;
+    this.pin = '';
+    this.renderTopUp();
+    document.getElementById('creditsOverlay').classList.remove('hidden');
+  }
+
+  closeTopUp() {
+    document.getElementById('creditsOverlay').classList.add('hidden');
+    this.pin = '';
+  }
+
+  renderTopUp() {
+    const { balance, prices, packs } = this.info;
+    document.getElementById('creditsPanelBalance').textContent =
+      this.t('ui.labels.creditsBalance', { balance }, `Balance: ${balance} credits`);
+    document.getElementById('creditsPanelPrices').textContent =
+      this.t('ui.labels.creditPrices', { local: prices.local, spotify: prices.spotify }, `Local track: ${prices.local} · Spotify track: ${prices.spotify} credits`);
+
+    document.getElementById('creditPacksList').innerHTML = packs.map(pack => `
+      <button class="credit-pack-btn${pack.id === this.selectedPackId ? ' selected' : ''}" data-pack-id="${pack.id}">
+        <strong>${escapeHtml(pack.name)}</strong>
+        <span>${pack.credits} 🪙${pack.price ? ` · ${escapeHtml(pack.price)}` : ''}</span>
+      </button>
+    `).join('');
+
+    // In admin mode the PIN is already known
+    document.getElementById('creditsPinSection').classList.toggle('hidden', isAdminMode || !this.selectedPackId);
+    document.getElementById('creditsPinInput').value = '•'.repeat(this.pin.length);
+    document.getElementById('creditsPinError').classList.remove('show');
+  }
+
+  selectPack(packId) {
+    this.selectedPackId = packId;
+    if (isAdminMode) {
+      this.topUp();
+      return;
+    }
+    this.pin = '';
+    this.renderTopUp();
+  }
+
+  handleKey(key) {
+    if (key === 'clear') {
+      this.pin = '';
+    } else if (key === 'ok') {
+      this.topUp();
+      return;
+    } else if (this.pin.length < 8) {
+      this.pin += key;
+    }
+    document.getElementById('creditsPinInput').value = '•'.repeat(this.pin.length);
+  }
+
+  async topUp() {
+    if (!this.selectedPackId) return;
+    try {
+      const result = await this.request('/api/credits/topup', {
+        method: 'POST',
+        body: JSON.stringify({ packId: this.selectedPackId, pin: this.pin })
+      });
+      this.pin = '';
+
+      if (!result.success) {
+        document.getElementById('creditsPinInput').value = '';
+        document.getElementById('creditsPinError').classList.add('show');
+        return;
+      }
+
+      this.info.balance = result.balance;
+      this.render();
+      this.closeTopUp();
+      if (typeof toast !== 'undefined') {
+        toast.success(this.t('ui.messages.creditsAdded', { credits: result.added, balance: result.balance }, `${result.added} credits added (balance: ${result.balance})`));
+      }
+    } catch (error) {
+      debugLog('CREDITS', 'Top-up failed:', error.message);
+      if (typeof toast !== 'undefined') toast.error(error.message);
+    }
+  }
+}
+
+// Initialize global credits instance
+if (typeof window !== 'undefined') {
+  window.creditsUI = new CreditsUI();
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.creditsUI.init();
+  });
+}
@@ -123,6 +123,12 @@
         const stream = audioElement.captureStream();
         const source = equalizerAudioCtx.createMediaStreamSource(stream);
         source.connect(equalizerAnalyser);
+        
+        // Zweites Deck (Crossfade/Gapless) ebenfalls erfassen
+        const standbyDeck = document.getElementById('audioPlayerB');
+        if (standbyDeck && standbyDeck !== audioElement && typeof standbyDeck.captureStream === 'function') {
+          equalizerAudioCtx.createMediaStreamSource(standbyDeck.captureStream()).connect(equalizerAnalyser);
+        }
         debugLog('main', '[EQUALIZER] ✅ Local audio element directly captured (for local tracks)');
         return true;
       } catch (e) {
@@ -320,13 +320,14 @@ async function renderArtistsList(preserveAZFilter = false) {
   }
 }
 
-async function renderAlbumsList(artistName = null) {
+// options.compilations: only compilations (albums by various artists, "Sampler" navigation)
+async function renderAlbumsList(artistName = null, options = {}) {
   try {
     libraryGridEl.classList.remove('hidden');
     libraryListEl.classList.add('hidden');
     
     // Prüfe DOM-Cache zuerst
-    const cacheKey = artistName || 'all';
+    const cacheKey = options.compilations ? `compilations-${currentAZFilter}` : artistName || 'all';
     if (domCache.albums.has(cacheKey) && browsedAlbums && browsedAlbums.length > 0) {
       debugLog('CACHE', `Using cached Albums view for: ${cacheKey}`);
       libraryGridEl.innerHTML = '';
@@ -366,6 +367,10 @@ async function renderAlbumsList(artistName = null) {
         navigationState.level = 'albums';
         navigationState.currentArtist = artistName;
         navigationState.currentAlbum = null;
+      } else if (options.compilations) {
+        navigationState.level = 'root';
+        navigationState.currentArtist = null;
+        navigationState.currentAlbum = null;
       } else {
         navigationState.level = 'albums';
         navigationState.currentArtist = null;
@@ -378,9 +383,7 @@ async function renderAlbumsList(artistName = null) {
     const loadingAlbumsText = (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.loadingAlbums') : 'Lade Alben...';
     libraryGridEl.innerHTML = `<div class="loading">${loadingAlbumsText}</div>`;
     
-    const response = artistName ? 
-      await musicAPI.getAlbums(artistName) : 
-      await musicAPI.getAlbums();
+    const response = await musicAPI.getAlbums(artistName, false, { compilations: options.compilations });
     const albums = response.data || response; // Handle both formats
     browsedAlbums = albums;
     
@@ -542,10 +545,9 @@ async function renderAlbumsList(artistName = null) {
     }
     
     // Cache das DOM für späteren Gebrauch
-    const albumsCacheKey = artistName || 'all';
-    if (!domCache.albums.has(albumsCacheKey)) {
-      debugLog('CACHE', `Caching Albums view for: ${albumsCacheKey}`);
-      domCache.albums.set(albumsCacheKey, libraryGridEl.cloneNode(true));
+    if (!domCache.albums.has(cacheKey)) {
+      debugLog('CACHE', `Caching Albums view for: ${cacheKey}`);
+      domCache.albums.set(cacheKey, libraryGridEl.cloneNode(true));
     }
     
   } catch (error) {
@@ -704,11 +706,35 @@ async function renderTracksList(artistName, albumName = null) {
       metaDiv.appendChild(trackCount);
       infoDiv.appendChild(metaDiv);
       
+      const playAlbumButton = document.createElement('button');
+      playAlbumButton.textContent = (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.labels.playAlbum') : '▶ Ganzes Album';
+      playAlbumButton.style.cssText = `
+        margin-top: 1rem;
+        padding: 0.6rem 1.4rem;
+        background: #1DB954;
+        color: #fff;
+        border: none;
+        border-radius: 2rem;
+        font-size: 1rem;
+        cursor: pointer;
+      `;
+      playAlbumButton.addEventListener('click', () => queueAlbum(tracks));
+      infoDiv.appendChild(playAlbumButton);
+      
       albumHeader.appendChild(infoDiv);
       libraryListEl.appendChild(albumHeader);
     }
     
+    // Disc headers on multi-disc albums (tracks come in disc order)
+    const discCount = albumName ? new Set(tracks.map(track => track.disc_number || 1)).size : 1;
+    let currentDisc = null;
+    
     tracks.forEach(track => {
+      if (discCount > 1 && (track.disc_number || 1) !== currentDisc) {
+        currentDisc = track.disc_number || 1;
+        libraryListEl.appendChild(createDiscHeader(currentDisc));
+      }
+      
       const li = document.createElement('li');
       const isRecent = isTrackRecentlyPlayed(track);
       const isInQueue = isTrackInQueue(track);
@@ -800,12 +826,11 @@ async function renderTracksList(artistName, albumName = null) {
       titleDiv.style.color = (isRecent || isInQueue) && !isAdminMode ? '#666' : '#fff';
       infoDiv.appendChild(titleDiv);
       
+      // Per-track artist in compilations and on guest appearances
       if (!albumName || track.artist !== artistName) {
         const detailsDiv = document.createElement('div');
-        let detailsText = '';
-        if (!albumName) detailsText += track.artist;
-        if (!albumName && track.album) detailsText += ' • ';
-        if (track.album && track.album !== albumName) detailsText += track.album;
+        let detailsText = track.artist;
+        if (track.album && track.album !== albumName) detailsText += ` • ${track.album}`;
         detailsDiv.textContent = detailsText;
         detailsDiv.style.fontSize = '0.8rem';
         detailsDiv.style.color = '#999';
@@ -814,6 +839,9 @@ async function renderTracksList(artistName, albumName = null) {
       
       li.appendChild(infoDiv);
       
+      const tempoKeySpan = createTempoKeySpan(track);
+      if (tempoKeySpan) li.appendChild(tempoKeySpan);
+      
       // Duration
       if (track.duration) {
         const durationSpan = document.createElement('span');
@@ -889,6 +917,52 @@ async function renderTracksList(artistName, albumName = null) {
   }
 }
 
+// "💿 CD 2" above the tracks of each disc
+function createDiscHeader(discNumber) {
+  const header = document.createElement('div');
+  const discText = (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.labels.disc') : 'CD';
+  header.textContent = `💿 ${discText} ${discNumber}`;
+  header.style.cssText = `
+    margin: 1.5rem 0 0.8rem 0;
+    padding-bottom: 0.4rem;
+    border-bottom: 1px solid #333;
+    color: #1DB954;
+    font-size: 1.1rem;
+    font-weight: bold;
+  `;
+  return header;
+}
+
+// "Ganzes Album": every track in disc and track order; stops at the first track the server rejects
+async function queueAlbum(tracks) {
+  let added = 0;
+  for (const track of tracks) {
+    if ((isTrackRecentlyPlayed(track) || isTrackInQueue(track)) && !isAdminMode) continue;
+    if (!(await addToQueue(track))) break;
+    added++;
+  }
+  if (added > 0) {
+    showNotification(`➕ ${added} Tracks aus "${tracks[0].album}" hinzugefügt`);
+  }
+}
+
+// "128 BPM · Am" next to the duration (tagged or estimated by the scanner)
+function createTempoKeySpan(track) {
+  const parts = [];
+  if (track.bpm) parts.push(`${Math.round(track.bpm)} BPM`);
+  if (track.musical_key) parts.push(track.musical_key);
+  if (parts.length === 0) return null;
+
+  const span = document.createElement('span');
+  span.className = 'track-tempo-key';
+  span.textContent = parts.join(' · ');
+  span.style.marginLeft = '1rem';
+  span.style.color = '#666';
+  span.style.fontSize = '0.8rem';
+  span.style.whiteSpace = 'nowrap';
+  return span;
+}
+
 // Main renderLibrary function that routes to specific renderers
 function renderLibrary() {
   debugLog('[DEBUG] === renderLibrary ENTRY ===');
@@ -919,6 +993,14 @@ function renderLibrary() {
     return renderAllAlbumsList();
   }
 
+  if (filter === 'compilations') {
+    return renderAlbumsList(null, { compilations: true });
+  }
+  
+  if (filter === 'playlists') {
+    return renderPlaylistsView();
+  }
+
   if (currentView==='cover') { return renderCoverView(filter); }
   debugLog('[DEBUG] Check filter === "new":', filter === 'new', 'filter:', filter);
   if (filter==='new') {
@@ -1000,3 +1082,4 @@ window.renderLibrary = renderLibrary;
 window.renderArtistsList = renderArtistsList;
 window.renderAlbumsList = renderAlbumsList;
 window.renderTracksList = renderTracksList;
+window.createTempoKeySpan = createTempoKeySpan;
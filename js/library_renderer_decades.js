@@ -736,6 +736,12 @@ function renderDecadeTracks(decadeName, tracks) {
     
     li.appendChild(textContainer);
     
+    const tempoKeySpan = createTempoKeySpan(track);
+    if (tempoKeySpan) {
+      tempoKeySpan.style.marginRight = '0.8rem';
+      li.appendChild(tempoKeySpan);
+    }
+    
     if (track.duration) {
       const durationSpan = document.createElement('span');
       const minutes = Math.floor(track.duration / 60);
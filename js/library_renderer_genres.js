@@ -751,6 +751,9 @@ async function renderGenreTracks(genreName, artistName) {
       
       li.appendChild(infoDiv);
       
+      const tempoKeySpan = createTempoKeySpan(track);
+      if (tempoKeySpan) li.appendChild(tempoKeySpan);
+      
       // Duration
       const durationSpan = document.createElement('span');
       const minutes = Math.floor(track.duration / 60);
@@ -165,6 +165,11 @@ function createPlaylistItem(item, isCurrent) {
     startPlaylistMiniVisualizer(miniVisualizer);
   }
   
+  // Guest votes (entries from the server carry a queueId)
+  if (item.queueId && window.voteQueueTrack) {
+    li.appendChild(createPlaylistVoteControls(item, isCurrent));
+  }
+  
   // Add remove button (only in admin mode)
   if (isAdminMode && window.removeFromQueue) {
     const removeBtn = document.createElement('button');
@@ -182,6 +187,53 @@ function createPlaylistItem(item, isCurrent) {
   return li; // Return the element instead of appending it here
 }
 
+// 👍 / 👎 with the score; admins can pin upcoming tracks against vote reordering
+function createPlaylistVoteControls(item, isCurrent) {
+  const votesDiv = document.createElement('div');
+  votesDiv.className = 'playlist-votes';
+  if (isAdminMode && window.removeFromQueue) {
+    votesDiv.classList.add('with-remove-btn');
+  }
+  
+  const myVote = window.queueAPI.myVotes.get(item.queueId) || 0;
+  const score = (item.upvotes || 0) - (item.downvotes || 0);
+  
+  const createVoteBtn = (vote, label, titleKey, fallbackTitle) => {
+    const btn = document.createElement('button');
+    btn.className = 'playlist-vote-btn' + (myVote === vote ? ' active' : '');
+    btn.textContent = label;
+    btn.title = window.i18nSystem ? window.i18nSystem.t(titleKey) : fallbackTitle;
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      voteQueueTrack(item.queueId, vote);
+    };
+    return btn;
+  };
+  
+  votesDiv.appendChild(createVoteBtn(1, '👍', 'ui.labels.voteUp', 'Gefällt mir'));
+  
+  const scoreSpan = document.createElement('span');
+  scoreSpan.className = 'playlist-vote-score' + (score > 0 ? ' positive' : score < 0 ? ' negative' : '');
+  scoreSpan.textContent = score > 0 ? `+${score}` : String(score);
+  votesDiv.appendChild(scoreSpan);
+  
+  votesDiv.appendChild(createVoteBtn(-1, '👎', 'ui.labels.voteDown', 'Gefällt mir nicht'));
+  
+  if (isAdminMode && !isCurrent) {
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'playlist-vote-btn playlist-pin-btn' + (item.pinned ? ' active' : '');
+    pinBtn.textContent = '📌';
+    pinBtn.title = window.i18nSystem ? window.i18nSystem.t(item.pinned ? 'ui.labels.unpinTrack' : 'ui.labels.pinTrack') : (item.pinned ? 'Position freigeben' : 'Position festhalten');
+    pinBtn.onclick = (e) => {
+      e.stopPropagation();
+      pinQueueTrack(item.queueId, !item.pinned);
+    };
+    votesDiv.appendChild(pinBtn);
+  }
+  
+  return votesDiv;
+}
+
 // ===== PLAYLIST TOGGLE FUNCTIONS =====
 function initPlaylistToggle() {
   const showMoreBtn = document.getElementById('showMoreTracks');
@@ -229,40 +281,18 @@ function stopPlaylistMiniVisualizer() {
 // ===== QUEUE MANAGEMENT FUNCTIONS =====
 // Note: isAddingToQueue variable is declared in web_renderer.js
 
-// Special Auto-DJ version of addToQueue that bypasses restrictions
-function addToQueueForAutoDj(track) {
+// Special Auto-DJ version of addToQueue that bypasses the lock time
+// (the server still rejects tracks that are already queued)
+async function addToQueueForAutoDj(track) {
   debugLog('AUTO-DJ', `Adding track to queue (unrestricted):`, track);
   
-  // Only check for exact duplicates in current queue (no time restrictions)
-  let trackKey;
-  if (track.type === 'spotify') {
-    trackKey = track.uri;
-  } else {
-    trackKey = track.path || track.id || track.streamUrl || `${track.artist}_${track.title}_${track.album}`;
-  }
-  
-  // Simple duplicate check only for current queue
-  const isAlreadyInQueue = queue.some(queueTrack => {
-    let queueKey;
-    if (queueTrack.type === 'spotify') {
-      queueKey = queueTrack.uri;
-    } else {
-      queueKey = queueTrack.path || queueTrack.id || queueTrack.streamUrl || `${queueTrack.artist}_${queueTrack.title}_${queueTrack.album}`;
-    }
-    return queueKey === trackKey;
-  });
-  
-  if (isAlreadyInQueue) {
-    debugLog('playlist', `[AUTO-DJ] Track already in current queue, skipping:`, track.title);
+  const result = await window.queueAPI.sendQueueCommand('/api/queue/tracks', 'POST', { track, autoDj: true });
+  if (!result.success) {
+    debugLog('playlist', `[AUTO-DJ] Track not queued (${result.code || result.error}):`, track.title);
     return false;
   }
   
-  queue.push(track); 
   debugLog('playlist', `[AUTO-DJ] Track added to queue: ${track.title} by ${track.artist} - Queue length now: ${queue.length}`);
-  debouncedUpdateQueueDisplay(); 
-  saveAppState();
-  
-  debugLog('playlist', `[AUTO-DJ] Queue after update:`, queue.map(t => `${t.title} by ${t.artist}`));
   return true;
 }
 
@@ -275,6 +305,7 @@ function clearPlaylist() {
   // Clear the queue
   queue.length = 0;
   currentTrackIndex = -1;
+  window.queueAPI.endQueue();
   
   // Save the cleared state
   saveAppState();
@@ -399,11 +430,93 @@ function updatePlaylistsGrid() {
   `).join('');
 }
 
+// Own playlists from the data server (library + Spotify tracks), shown before the auto-learned ones
+let localPlaylists = [];
+
 async function loadPlaylistsSection() {
   debugLog('playlist', '[PLAYLISTS] Loading playlists section...');
   
-  // Show auto-learned playlists only
-  renderPlaylistsGrid(autoLearnedPlaylists);
+  try {
+    const response = await window.musicAPI.getPlaylists();
+    localPlaylists = response.success ? response.playlists : [];
+  } catch (error) {
+    debugLog('playlist', '[PLAYLISTS] Could not load local playlists:', error.message);
+    localPlaylists = [];
+  }
+  
+  const ownPlaylists = localPlaylists.map(playlist => ({
+    id: `local-${playlist.id}`,
+    localId: playlist.id,
+    name: playlist.name,
+    trackCount: playlist.item_count,
+    category: playlist.rules ? 'smart' : 'local'
+  }));
+  renderPlaylistsGrid([...ownPlaylists, ...autoLearnedPlaylists]);
+}
+
+// Playlists view in the library area (nav tile "Playlists")
+function renderPlaylistsView() {
+  libraryGridEl.innerHTML = '';
+  libraryGridEl.classList.remove('hidden');
+  libraryListEl.classList.add('hidden');
+  libraryGridEl.style.display = 'block';
+  libraryGridEl.style.gridTemplateColumns = '';
+  libraryGridEl.style.gap = '';
+  libraryGridEl.style.padding = '';
+  libraryGridEl.style.justifyItems = '';
+  
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; margin-bottom: 16px;';
+  header.innerHTML = `<h2 style="margin: 0; color: #1DB954;">📋 Playlists</h2>`;
+  
+  if (isAdminMode) {
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px;';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.m3u,.m3u8,.pls,.xspf';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) importPlaylistFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    const importButton = document.createElement('button');
+    importButton.textContent = '📥 Importieren';
+    importButton.title = 'M3U, M3U8, PLS oder XSPF';
+    importButton.style.cssText = 'background: #333; color: white; border: 1px solid #555; padding: 8px 14px; border-radius: 6px; cursor: pointer;';
+    importButton.addEventListener('click', () => fileInput.click());
+
+    const queueExportButton = document.createElement('button');
+    queueExportButton.textContent = '⬇️ Warteschlange exportieren';
+    queueExportButton.style.cssText = importButton.style.cssText;
+    queueExportButton.addEventListener('click', () => {
+      downloadPlaylistFile(window.musicAPI.getQueueExportURL('m3u8'));
+    });
+
+    const newButton = document.createElement('button');
+    newButton.textContent = '+ Neue Playlist';
+    newButton.style.cssText = 'background: var(--button-primary); color: #000; border: none; padding: 8px 14px; border-radius: 6px; cursor: pointer;';
+    newButton.addEventListener('click', () => createLocalPlaylist());
+
+    const smartButton = document.createElement('button');
+    smartButton.textContent = '+ Smart-Playlist';
+    smartButton.title = 'Titel nach Regeln, z.B. Genre, Jahr oder Wiedergaben';
+    smartButton.style.cssText = newButton.style.cssText;
+    smartButton.addEventListener('click', () => createLocalPlaylist(true));
+
+    actions.append(fileInput, importButton, queueExportButton, newButton, smartButton);
+    header.appendChild(actions);
+  }
+  
+  const grid = document.createElement('div');
+  grid.id = 'playlistsGrid';
+  grid.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 16px;';
+  
+  libraryGridEl.appendChild(header);
+  libraryGridEl.appendChild(grid);
+  loadPlaylistsSection();
 }
 
 function renderPlaylistsGrid(playlists) {
@@ -415,7 +528,7 @@ function renderPlaylistsGrid(playlists) {
       <div style="grid-column: 1 / -1; text-align: center; color: #666; padding: 40px;">
         <div style="font-size: 3em; margin-bottom: 16px;">🎵</div>
         <h3 style="margin: 0 0 8px 0;">Keine Playlists geladen</h3>
-        <p style="margin: 0; font-size: 0.9em;">Verwende das Auto-Learning im Admin-Bereich um Playlists zu laden.</p>
+        <p style="margin: 0; font-size: 0.9em;">Lege im Admin-Modus eine eigene Playlist an oder verwende das Auto-Learning im Admin-Bereich.</p>
       </div>
     `;
     return;
@@ -434,10 +547,12 @@ function renderPlaylistsGrid(playlists) {
         <div style="font-size: 2em;">
           ${playlist.category === 'germany' ? '🇩🇪' : 
             playlist.category === 'party' ? '🎉' : 
-            playlist.category === 'custom' ? '🔗' : '🎵'}
+            playlist.category === 'custom' ? '🔗' : 
+            playlist.category === 'local' ? '📁' : 
+            playlist.category === 'smart' ? '⚡' : '🎵'}
         </div>
         <div style="flex: 1;">
-          <h4 style="margin: 0; color: #1DB954; font-size: 1em;">${playlist.name}</h4>
+          <h4 style="margin: 0; color: #1DB954; font-size: 1em;">${escapeHtml(playlist.name)}</h4>
           <div style="color: #666; font-size: 0.8em; margin-top: 4px;">
             ${playlist.trackCount || playlist.tracks?.length || 0} Tracks
             ${playlist.category ? ` • ${playlist.category.toUpperCase()}` : ''}
@@ -454,6 +569,11 @@ function renderPlaylistsGrid(playlists) {
                 style="background: rgba(52, 152, 219, 0.1); border: 1px solid #3498db; color: #3498db; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 0.9em;">
           + Anhängen
         </button>
+        ${playlist.localId && isAdminMode ? `
+        <button onclick="openPlaylistEditor(${playlist.localId})" title="Bearbeiten"
+                style="background: rgba(255, 215, 0, 0.1); border: 1px solid #ffd700; color: #ffd700; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 0.9em;">
+          ✏️
+        </button>` : ''}
       </div>
     </div>
   `).join('');
@@ -488,22 +608,68 @@ function filterPlaylists() {
 }
 
 // ===== PLAYLIST MANAGEMENT FUNCTIONS =====
-window.loadPlaylistToQueue = function(playlistId) {
+
+// Playlist item from the data server -> queue track
+function playlistItemToQueueTrack(item) {
+  if (item.source === 'spotify') {
+    return {
+      title: item.title,
+      artist: item.artist,
+      album: item.album,
+      spotifyUri: `spotify:track:${item.spotify_id}`,
+      spotifyId: item.spotify_id,
+      source: 'spotify',
+      type: 'spotify',
+      uri: `spotify:track:${item.spotify_id}`,
+      image: item.image_url || '',
+      spotifyAlbumImage: item.image_url || ''
+    };
+  }
+  
+  const track = item.track;
+  return {
+    id: track.id,
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    image: track.cover_path ? musicAPI.getCoverURL(track.id) : 'assets/default_cover.png',
+    uri: null,
+    path: track.file_path,
+    source: 'server'
+  };
+}
+
+// Auto-learned playlists are kept in memory, own playlists ("local-<id>") come from the data server
+async function resolvePlaylist(playlistId) {
+  if (!String(playlistId).startsWith('local-')) {
+    return findPlaylistById(playlistId);
+  }
+  
+  try {
+    const response = await window.musicAPI.getPlaylist(String(playlistId).slice('local-'.length));
+    if (!response.success) return null;
+    return {
+      name: response.playlist.name,
+      // Files removed from the library are skipped
+      tracks: response.playlist.items.filter(item => item.available).map(playlistItemToQueueTrack)
+    };
+  } catch (error) {
+    debugLog('playlist', '[PLAYLISTS] Could not load playlist:', error.message);
+    return null;
+  }
+}
+
+window.loadPlaylistToQueue = async function(playlistId) {
   debugLog('playlist', '[PLAYLISTS] Loading playlist to queue:', playlistId);
   
-  const playlist = findPlaylistById(playlistId);
+  const playlist = await resolvePlaylist(playlistId);
   if (playlist && playlist.tracks) {
     debugLog('playlist', '[PLAYLISTS] Playlist has tracks:', playlist.tracks.length);
     
-    // Clear current queue
-    queue.length = 0;
-    currentTrackIndex = -1;
-    
-    // Add tracks using proper addToQueue function to ensure correct formatting
-    playlist.tracks.forEach(track => {
-      // Ensure Spotify tracks have proper structure
+    // Ensure Spotify tracks have proper structure
+    const tracks = playlist.tracks.map(track => {
       if (track.spotifyUri || track.uri) {
-        const queueTrack = {
+        return {
           title: track.title || track.name,
           artist: track.artist,
           album: track.album,
@@ -515,20 +681,12 @@ window.loadPlaylistToQueue = function(playlistId) {
           image: track.image || track.spotifyAlbumImage,
           spotifyAlbumImage: track.image || track.spotifyAlbumImage
         };
-        queue.push(queueTrack);
-      } else {
-        queue.push(track);
       }
+      return track;
     });
     
-    debouncedUpdateQueueDisplay();
-    saveAppState();
-    
-    // Start playing first track
-    if (queue.length > 0) {
-      currentTrackIndex = 0;
-      playCurrentTrack();
-    }
+    // Replace the server queue and start with the first track; the pushed state starts playback
+    window.queueAPI.replaceQueue(tracks, tracks.length > 0 ? 0 : -1);
     
     showNotification(`📋 Playlist "${playlist.name}" geladen (${playlist.tracks.length} Tracks)`);
   } else {
@@ -537,10 +695,10 @@ window.loadPlaylistToQueue = function(playlistId) {
   }
 };
 
-window.addPlaylistToQueue = function(playlistId) {
+window.addPlaylistToQueue = async function(playlistId) {
   debugLog('playlist', '[PLAYLISTS] Adding playlist to queue:', playlistId);
   
-  const playlist = findPlaylistById(playlistId);
+  const playlist = await resolvePlaylist(playlistId);
   if (playlist && playlist.tracks) {
     playlist.tracks.forEach(track => addToQueue(track));
     debouncedUpdateQueueDisplay();
@@ -549,6 +707,350 @@ window.addPlaylistToQueue = function(playlistId) {
   }
 };
 
+// ===== PLAYLIST EDITOR (own playlists, admin mode) =====
+let editedPlaylist = null;
+let playlistSearchTimeout = null;
+// Smart playlist rules as edited; the server drops incomplete conditions, the editor keeps them
+let smartRulesDraft = null;
+
+// Mirrors lib/smart_playlist_rules.js
+const SMART_RULE_FIELDS = {
+  title: ['Titel', 'text'],
+  artist: ['Interpret', 'text'],
+  album: ['Album', 'text'],
+  album_artist: ['Album-Interpret', 'text'],
+  genre: ['Genre', 'text'],
+  musical_key: ['Tonart', 'text'],
+  year: ['Jahr', 'number'],
+  bpm: ['BPM', 'number'],
+  duration: ['Dauer (Sek.)', 'number'],
+  play_count: ['Wiedergaben', 'number'],
+  date_added: ['Hinzugefügt', 'date'],
+  last_played: ['Zuletzt gespielt', 'date']
+};
+
+const SMART_RULE_OPERATORS = {
+  text: { is: 'ist', is_not: 'ist nicht', contains: 'enthält', not_contains: 'enthält nicht', starts_with: 'beginnt mit' },
+  number: { eq: '=', ne: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤', between: 'zwischen' },
+  date: { in_last: 'in den letzten … Tagen', not_in_last: 'nicht in den letzten … Tagen', never: 'nie' }
+};
+
+const SMART_RULE_SORTS = {
+  random: 'Zufällig',
+  title: 'Titel',
+  artist: 'Interpret',
+  year: 'Jahr',
+  added: 'Zuletzt hinzugefügt',
+  last_played: 'Zuletzt gespielt',
+  most_played: 'Meistgespielt'
+};
+
+async function createLocalPlaylist(smart = false) {
+  try {
+    const response = smart
+      ? await window.musicAPI.createPlaylist('Neue Smart-Playlist', { match: 'all', conditions: [], sort: 'random', limit: 50 })
+      : await window.musicAPI.createPlaylist('Neue Playlist');
+    if (response.success) {
+      await loadPlaylistsSection();
+      openPlaylistEditor(response.playlist.id);
+    }
+  } catch (error) {
+    showNotification(`❌ Playlist konnte nicht angelegt werden: ${error.message}`);
+  }
+}
+
+async function importPlaylistFile(file) {
+  try {
+    const response = await window.musicAPI.importPlaylistFile(file);
+    if (!response.success) return;
+
+    if (response.unresolved.length > 0) {
+      debugLog('playlist', '[PLAYLISTS] Import: entries not found in library:', response.unresolved);
+      const examples = response.unresolved.slice(0, 3)
+        .map(entry => entry.title ? [entry.artist, entry.title].filter(Boolean).join(' - ') : entry.location.split(/[\\/]/).pop());
+      showNotification(`⚠️ ${response.resolved} von ${response.total} Titeln importiert, nicht gefunden: ${examples.join(', ')}${response.unresolved.length > 3 ? ' …' : ''}`);
+    } else {
+      showNotification(`📥 Playlist "${response.playlist.name}" importiert (${response.resolved} Titel)`);
+    }
+    await loadPlaylistsSection();
+    openPlaylistEditor(response.playlist.id);
+  } catch (error) {
+    showNotification(`❌ Playlist konnte nicht importiert werden: ${error.message}`);
+  }
+}
+
+function downloadPlaylistFile(url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+async function openPlaylistEditor(playlistId) {
+  try {
+    const response = await window.musicAPI.getPlaylist(playlistId);
+    if (!response.success) return;
+    editedPlaylist = response.playlist;
+  } catch (error) {
+    showNotification(`❌ Playlist konnte nicht geladen werden: ${error.message}`);
+    return;
+  }
+  
+  document.getElementById('playlistEditorName').value = editedPlaylist.name;
+  document.getElementById('playlistEditorSearch').value = '';
+  document.getElementById('playlistEditorResults').innerHTML = '';
+  smartRulesDraft = editedPlaylist.rules ? JSON.parse(JSON.stringify(editedPlaylist.rules)) : null;
+  document.getElementById('playlistEditorRules').classList.toggle('hidden', !smartRulesDraft);
+  document.getElementById('playlistEditorAddSection').classList.toggle('hidden', !!smartRulesDraft);
+  renderSmartRulesEditor();
+  renderPlaylistEditorItems();
+  document.getElementById('playlistEditorOverlay').classList.remove('hidden');
+}
+
+function closePlaylistEditor() {
+  document.getElementById('playlistEditorOverlay').classList.add('hidden');
+  editedPlaylist = null;
+  smartRulesDraft = null;
+  if (currentFilter === 'playlists') loadPlaylistsSection();
+}
+
+function renderPlaylistEditorItems() {
+  const list = document.getElementById('playlistEditorItems');
+  if (!list || !editedPlaylist) return;
+  
+  if (editedPlaylist.items.length === 0) {
+    list.innerHTML = editedPlaylist.rules
+      ? '<li style="color: #666; padding: 8px;">Keine Titel passen zu den Regeln</li>'
+      : '<li style="color: #666; padding: 8px;">Noch keine Titel - unten suchen und hinzufügen</li>';
+    return;
+  }
+  
+  // Smart playlists: read-only preview of the current matches
+  if (editedPlaylist.rules) {
+    list.innerHTML = editedPlaylist.items.map(item => `
+      <li class="playlist-editor-item">
+        <span class="playlist-editor-source">💿</span>
+        <span class="playlist-editor-title">${escapeHtml(item.title || '')} – ${escapeHtml(item.artist || '')}</span>
+      </li>
+    `).join('');
+    return;
+  }
+  
+  const lastIndex = editedPlaylist.items.length - 1;
+  list.innerHTML = editedPlaylist.items.map((item, index) => `
+    <li class="playlist-editor-item${item.available ? '' : ' unavailable'}" data-item-id="${item.id}">
+      <span class="playlist-editor-source">${item.source === 'spotify' ? '🟢' : '💿'}</span>
+      <span class="playlist-editor-title">${escapeHtml(item.title || '')} – ${escapeHtml(item.artist || '')}</span>
+      <button data-action="up" ${index === 0 ? 'disabled' : ''} title="Nach oben">▲</button>
+      <button data-action="down" ${index === lastIndex ? 'disabled' : ''} title="Nach unten">▼</button>
+      <button data-action="remove" title="Entfernen">✕</button>
+    </li>
+  `).join('');
+}
+
+// All editor requests return the updated playlist
+async function applyPlaylistChange(request) {
+  try {
+    const response = await request;
+    if (response.success) {
+      editedPlaylist = response.playlist;
+      renderPlaylistEditorItems();
+    }
+    return response;
+  } catch (error) {
+    showNotification(`❌ Playlist konnte nicht gespeichert werden: ${error.message}`);
+    return null;
+  }
+}
+
+function renderSmartRulesEditor() {
+  const container = document.getElementById('playlistEditorRules');
+  if (!container || !smartRulesDraft) return;
+  
+  const options = (entries, selected) => Object.entries(entries)
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+  
+  const conditionRows = smartRulesDraft.conditions.map((condition, index) => {
+    const type = (SMART_RULE_FIELDS[condition.field] || SMART_RULE_FIELDS.genre)[1];
+    let valueInputs = '';
+    if (condition.operator === 'between') {
+      const [from, to] = Array.isArray(condition.value) ? condition.value : ['', ''];
+      valueInputs = `
+        <input type="number" data-rule="from" value="${escapeHtml(String(from ?? ''))}">
+        <input type="number" data-rule="to" value="${escapeHtml(String(to ?? ''))}">`;
+    } else if (condition.operator !== 'never') {
+      valueInputs = `<input type="${type === 'text' ? 'text' : 'number'}" data-rule="value" autocomplete="off" value="${escapeHtml(String(condition.value ?? ''))}">`;
+    }
+    return `
+      <div class="smart-rule" data-condition-index="${index}">
+        <select data-rule="field">${options(Object.fromEntries(Object.entries(SMART_RULE_FIELDS).map(([field, [label]]) => [field, label])), condition.field)}</select>
+        <select data-rule="operator">${options(SMART_RULE_OPERATORS[type], condition.operator)}</select>
+        ${valueInputs}
+        <button data-rule="remove" title="Regel entfernen">✕</button>
+      </div>
+    `;
+  }).join('');
+  
+  container.innerHTML = `
+    <div class="smart-rule">
+      Titel, die
+      <select data-rule="match">${options({ all: 'alle', any: 'mindestens eine' }, smartRulesDraft.match)}</select>
+      Regeln erfüllen
+    </div>
+    ${conditionRows}
+    <button data-rule="add">+ Regel</button>
+    <div class="smart-rule">
+      Sortierung
+      <select data-rule="sort">${options(SMART_RULE_SORTS, smartRulesDraft.sort)}</select>
+      max.
+      <input type="number" data-rule="limit" min="0" max="1000" value="${smartRulesDraft.limit || 0}">
+      Titel (0 = alle)
+    </div>
+  `;
+}
+
+// Applies one editor change to the draft; true if the rules should be saved
+function updateSmartRulesDraft(target) {
+  const rule = target.dataset.rule;
+  const row = target.closest('[data-condition-index]');
+  const condition = row ? smartRulesDraft.conditions[parseInt(row.dataset.conditionIndex, 10)] : null;
+  
+  if (rule === 'add') {
+    smartRulesDraft.conditions.push({ field: 'genre', operator: 'is', value: '' });
+  } else if (rule === 'remove' && condition) {
+    smartRulesDraft.conditions.splice(smartRulesDraft.conditions.indexOf(condition), 1);
+  } else if (rule === 'match' || rule === 'sort') {
+    smartRulesDraft[rule] = target.value;
+  } else if (rule === 'limit') {
+    smartRulesDraft.limit = Math.min(Math.max(parseInt(target.value, 10) || 0, 0), 1000);
+  } else if (rule === 'field' && condition) {
+    const type = SMART_RULE_FIELDS[target.value][1];
+    // Keep operator and value while the field type stays the same
+    if (type !== SMART_RULE_FIELDS[condition.field][1]) {
+      condition.operator = Object.keys(SMART_RULE_OPERATORS[type])[0];
+      condition.value = '';
+    }
+    condition.field = target.value;
+  } else if (rule === 'operator' && condition) {
+    condition.operator = target.value;
+    condition.value = target.value === 'between' ? ['', ''] : (Array.isArray(condition.value) ? '' : condition.value);
+  } else if (rule === 'value' && condition) {
+    condition.value = target.value;
+  } else if ((rule === 'from' || rule === 'to') && condition) {
+    const range = Array.isArray(condition.value) ? condition.value : ['', ''];
+    range[rule === 'from' ? 0 : 1] = target.value;
+    condition.value = range;
+  } else {
+    return false;
+  }
+  return true;
+}
+
+async function saveSmartRules(rerender) {
+  if (rerender) renderSmartRulesEditor();
+  await applyPlaylistChange(window.musicAPI.updatePlaylist(editedPlaylist.id, { rules: smartRulesDraft }));
+}
+
+async function searchPlaylistEditorTracks(term) {
+  const results = document.getElementById('playlistEditorResults');
+  if (!term || term.length < 2) {
+    results.innerHTML = '';
+    return;
+  }
+  
+  try {
+    const response = await window.musicAPI.search(term, { source: 'local', types: ['tracks'], limit: 20 });
+    const tracks = response.results.tracks;
+    results.innerHTML = tracks.length === 0
+      ? '<li style="color: #666; padding: 8px;">Keine Titel gefunden</li>'
+      : tracks.map(track => `
+        <li class="playlist-editor-item" data-track-id="${track.id}">
+          <span class="playlist-editor-source">💿</span>
+          <span class="playlist-editor-title">${escapeHtml(track.title || '')} – ${escapeHtml(track.artist || '')}</span>
+          <button data-action="add" title="Hinzufügen">+</button>
+        </li>
+      `).join('');
+  } catch (error) {
+    debugLog('playlist', '[PLAYLISTS] Track search failed:', error.message);
+  }
+}
+
+function initPlaylistEditor() {
+  const overlay = document.getElementById('playlistEditorOverlay');
+  if (!overlay) return;
+  
+  document.getElementById('closePlaylistEditor').addEventListener('click', closePlaylistEditor);
+  
+  document.getElementById('playlistEditorName').addEventListener('change', async (event) => {
+    const name = event.target.value.trim();
+    if (!editedPlaylist || !name) return;
+    await applyPlaylistChange(window.musicAPI.updatePlaylist(editedPlaylist.id, { name }));
+  });
+  
+  document.getElementById('deletePlaylistBtn').addEventListener('click', async () => {
+    if (!editedPlaylist || !confirm(`Playlist "${editedPlaylist.name}" löschen?`)) return;
+    try {
+      await window.musicAPI.deletePlaylist(editedPlaylist.id);
+      showNotification(`🗑️ Playlist "${editedPlaylist.name}" gelöscht`);
+    } catch (error) {
+      showNotification(`❌ Playlist konnte nicht gelöscht werden: ${error.message}`);
+    }
+    closePlaylistEditor();
+  });
+  
+  const rulesContainer = document.getElementById('playlistEditorRules');
+  rulesContainer.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-rule]');
+    if (button && smartRulesDraft && updateSmartRulesDraft(button)) saveSmartRules(true);
+  });
+  rulesContainer.addEventListener('change', (event) => {
+    if (!smartRulesDraft || !updateSmartRulesDraft(event.target)) return;
+    // New inputs are only needed when the field or operator changed
+    saveSmartRules(['field', 'operator'].includes(event.target.dataset.rule));
+  });
+  
+  document.getElementById('exportPlaylistBtn').addEventListener('click', () => {
+    if (!editedPlaylist) return;
+    const format = document.getElementById('playlistExportFormat').value;
+    downloadPlaylistFile(window.musicAPI.getPlaylistExportURL(editedPlaylist.id, format));
+  });
+  
+  document.getElementById('playlistEditorItems').addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const row = event.target.closest('[data-item-id]');
+    if (!button || !row || !editedPlaylist) return;
+    
+    const itemId = parseInt(row.dataset.itemId, 10);
+    const index = editedPlaylist.items.findIndex(item => item.id === itemId);
+    if (button.dataset.action === 'remove') {
+      applyPlaylistChange(window.musicAPI.removePlaylistItem(editedPlaylist.id, itemId));
+    } else {
+      const toIndex = button.dataset.action === 'up' ? index - 1 : index + 1;
+      applyPlaylistChange(window.musicAPI.movePlaylistItem(editedPlaylist.id, itemId, toIndex));
+    }
+  });
+  
+  document.getElementById('playlistEditorSearch').addEventListener('input', (event) => {
+    clearTimeout(playlistSearchTimeout);
+    playlistSearchTimeout = setTimeout(() => searchPlaylistEditorTracks(event.target.value.trim()), 300);
+  });
+  
+  document.getElementById('playlistEditorResults').addEventListener('click', async (event) => {
+    const row = event.target.closest('[data-track-id]');
+    if (!event.target.closest('button[data-action="add"]') || !row || !editedPlaylist) return;
+    
+    const response = await applyPlaylistChange(
+      window.musicAPI.addPlaylistItems(editedPlaylist.id, [{ trackId: parseInt(row.dataset.trackId, 10) }])
+    );
+    if (response && response.added > 0) row.classList.add('added');
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initPlaylistEditor);
+
 // ===== GLOBAL EXPORTS =====
 // Make functions available globally for compatibility
 window.debouncedUpdateQueueDisplay = debouncedUpdateQueueDisplay;
@@ -563,6 +1065,9 @@ window.initializeAutoDjAndPlaylists = initializeAutoDjAndPlaylists;
 window.updatePlaylistsGrid = updatePlaylistsGrid;
 window.loadPlaylistsSection = loadPlaylistsSection;
 window.renderPlaylistsGrid = renderPlaylistsGrid;
+window.renderPlaylistsView = renderPlaylistsView;
+window.openPlaylistEditor = openPlaylistEditor;
+window.closePlaylistEditor = closePlaylistEditor;
 window.filterPlaylists = filterPlaylists;
 
 debugLog('playlist', '[PLAYLISTS] Playlist module loaded successfully');
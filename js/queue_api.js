@@ -3,8 +3,16 @@ class QueueAPI {
   constructor(baseUrl = 'http://127.0.0.1:3001') {
     this.baseUrl = baseUrl;
     this.sessionId = this.generateSessionId();
-    this.autoSaveInterval = null;
     this.debugEnabled = false;
+
+    // Server-owned queue (see lib/queue_manager.js)
+    this.eventSource = null;
+    this.appliedVersion = 0;
+    this.pendingCommands = 0;
+    this.deferredState = null;
+    this.playingQueueId = null;
+    this.lastState = null;
+    this.myVotes = new Map(); // queueId -> 1 / -1, only to highlight the buttons
   }
 
   generateSessionId() {
@@ -51,72 +59,6 @@ class QueueAPI {
     }
   }
 
-  async saveQueue(queueState) {
-    try {
-      this.log('Saving queue state:', queueState);
-      
-      const response = await this.request('/api/queue/save', {
-        method: 'POST',
-        body: JSON.stringify(queueState)
-      });
-
-      if (response.success) {
-        this.log('Queue saved successfully:', response);
-        return response;
-      } else {
-        throw new Error(response.error || 'Failed to save queue');
-      }
-    } catch (error) {
-      debugLog('QUEUE-API', 'Save failed:', error);
-      // Fallback to localStorage if server fails
-      try {
-        localStorage.setItem('jukebox_queue_fallback', JSON.stringify(queueState));
-        this.log('Fallback: Saved to localStorage');
-        return { success: true, fallback: true };
-      } catch (fallbackError) {
-        debugLog('QUEUE-API', 'Fallback save failed:', fallbackError);
-        throw error;
-      }
-    }
-  }
-
-  async loadQueue() {
-    try {
-      this.log('Loading queue state for session:', this.sessionId);
-      
-      const response = await this.request('/api/queue/load');
-
-      if (response.success && response.queueState) {
-        this.log('Queue loaded successfully:', response.queueState);
-        return response.queueState;
-      } else {
-        this.log('No queue found on server, checking fallback');
-        // Try localStorage fallback
-        const fallback = localStorage.getItem('jukebox_queue_fallback');
-        if (fallback) {
-          const queueState = JSON.parse(fallback);
-          this.log('Loaded from localStorage fallback:', queueState);
-          return queueState;
-        }
-        return null;
-      }
-    } catch (error) {
-      debugLog('QUEUE-API', 'Load failed:', error);
-      // Try localStorage fallback
-      try {
-        const fallback = localStorage.getItem('jukebox_queue_fallback');
-        if (fallback) {
-          const queueState = JSON.parse(fallback);
-          this.log('Fallback: Loaded from localStorage');
-          return queueState;
-        }
-      } catch (fallbackError) {
-        debugLog('QUEUE-API', 'Fallback load failed:', fallbackError);
-      }
-      return null;
-    }
-  }
-
   async getStats() {
     try {
       const response = await this.request('/api/queue/stats');
@@ -140,65 +82,144 @@ class QueueAPI {
     }
   }
 
-  startAutoSave(interval = 30000) {
-    this.stopAutoSave();
-    
-    this.autoSaveInterval = setInterval(async () => {
-      if (typeof saveAppState === 'function') {
-        try {
-          // Get current app state
-          const queueState = {
-            queue: window.queue || [],
-            currentTrackIndex: window.currentTrackIndex || 0,
-            currentFilter: window.currentFilter || 'new',
-            currentView: window.currentView || 'list',
-            currentAZFilter: window.currentAZFilter || 'all',
-            playedTracks: window.playedTracks || [],
-            volume: window.audioPlayer?.volume || 0.7
-          };
-
-          await this.saveQueue(queueState);
-          this.log('Auto-save completed');
-        } catch (error) {
-          debugLog('QUEUE-API', 'Auto-save failed:', error);
-        }
-      }
-    }, interval);
+  // ===== SERVER-OWNED QUEUE =====
+  // The data server owns the queue; this page mirrors it and reports what it plays
+
+  // Returns the parsed result even for rejected changes, so callers can read result.code
+  // options.asAdmin: player housekeeping that needs admin rights outside admin mode
+  async sendQueueCommand(endpoint, method = 'POST', body = null, options = {}) {
+    // The session id identifies the requester for quotas and fair-share ordering
+    const headers = { 'Content-Type': 'application/json', 'X-Session-ID': this.sessionId };
+    if (options.asAdmin || (window.adminPanel && window.adminPanel.isAdminMode && window.adminPanel.isAdminMode())) {
+      headers['X-Admin-Mode'] = 'true';
+    }
+
+    this.pendingCommands++;
+    let result;
+    try {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      result = await response.json();
+    } catch (error) {
+      debugLog('QUEUE-API', `Queue command ${method} ${endpoint} failed:`, error);
+      result = { success: false, error: error.message };
+    } finally {
+      this.pendingCommands--;
+    }
+
+    this.receiveState(result.state || this.deferredState);
+    return result;
+  }
+
+  async getServerQueue() {
+    const response = await this.request('/api/queue');
+    return response.success ? response.state : null;
+  }
+
+  addTrack(track, position = 'end') {
+    return this.sendQueueCommand('/api/queue/tracks', 'POST', { track, position });
+  }
+
+  // options.asAdmin: the player drops an unplayable entry on its own
+  removeTrack(queueId, options = {}) {
+    return this.sendQueueCommand(`/api/queue/tracks/${queueId}`, 'DELETE', null, options);
+  }
+
+  moveTrack(queueId, toIndex) {
+    return this.sendQueueCommand(`/api/queue/tracks/${queueId}/move`, 'POST', { toIndex });
+  }
+
+  // Auto-DJ picks from the local library, added by the server
+  addLocalAutoDjTracks(count) {
+    return this.sendQueueCommand('/api/autodj/local', 'POST', { count });
+  }
+
+  voteTrack(queueId, vote) {
+    return this.sendQueueCommand(`/api/queue/tracks/${queueId}/vote`, 'POST', { vote });
+  }
+
+  pinTrack(queueId, pinned) {
+    return this.sendQueueCommand(`/api/queue/tracks/${queueId}/pin`, 'POST', { pinned });
+  }
+
+  setCurrentIndex(index) {
+    return this.sendQueueCommand('/api/queue/current', 'POST', { index });
+  }
+
+  // Nothing left to play: the server clears the queue
+  endQueue() {
+    this.playingQueueId = null;
+    return this.setCurrentIndex(-1);
+  }
+
+  replaceQueue(tracks, currentTrackIndex = -1) {
+    return this.sendQueueCommand('/api/queue', 'PUT', { queue: tracks, currentTrackIndex });
+  }
 
-    this.log('Auto-save started, interval:', interval);
+  setPlayback(isPlaying) {
+    return this.sendQueueCommand('/api/queue/playback', 'POST', { isPlaying });
   }
 
-  stopAutoSave() {
-    if (this.autoSaveInterval) {
-      clearInterval(this.autoSaveInterval);
-      this.autoSaveInterval = null;
-      this.log('Auto-save stopped');
+  // Called by playCurrentTrack(): remember the entry and move the server's position to it
+  reportPlayingTrack(track) {
+    this.playingQueueId = track.queueId || null;
+    if (track.queueId && this.lastState) {
+      const serverCurrent = this.lastState.queue[this.lastState.currentTrackIndex];
+      if (!serverCurrent || serverCurrent.queueId !== track.queueId) {
+        this.setCurrentIndex(window.currentTrackIndex);
+      }
     }
   }
 
-  async migrateLegacyState() {
-    try {
-      // Check for old localStorage/sessionStorage data
-      const legacyState = localStorage.getItem('jukebox_app_state') || 
-                         sessionStorage.getItem('jukebox_app_state');
-      
-      if (legacyState) {
-        const state = JSON.parse(legacyState);
-        this.log('Found legacy state, migrating:', state);
-        
-        // Save to new queue API
-        await this.saveQueue(state);
-        
-        // Clean up old storage (optional - keep as backup for now)
-        this.log('Migration completed, legacy data preserved as backup');
-        return true;
+  // Full state pushed by the server (event stream or command response)
+  receiveState(state) {
+    if (!state) return;
+
+    // A response to our own pending change is newer than anything pushed meanwhile
+    if (this.pendingCommands > 0) {
+      if (!this.deferredState || state.version > this.deferredState.version) {
+        this.deferredState = state;
       }
-      
-      return false;
-    } catch (error) {
-      debugLog('QUEUE-API', 'Migration failed:', error);
-      return false;
+      return;
+    }
+
+    if (this.deferredState && this.deferredState.version > state.version) {
+      state = this.deferredState;
     }
+    this.deferredState = null;
+
+    if (state.version <= this.appliedVersion) return;
+
+    const isFirstState = this.appliedVersion === 0;
+    this.appliedVersion = state.version;
+    this.lastState = state;
+    applyServerQueueState(state, isFirstState);
+  }
+
+  subscribe() {
+    if (this.eventSource || typeof EventSource === 'undefined') return;
+
+    // EventSource reconnects by itself; the server sends the full state on every connect
+    this.eventSource = new EventSource(`${this.baseUrl}/api/queue/events`);
+    this.eventSource.addEventListener('queue', (event) => {
+      try {
+        this.receiveState(JSON.parse(event.data));
+      } catch (error) {
+        debugLog('QUEUE-API', 'Invalid queue event:', error);
+      }
+    });
+    this.eventSource.addEventListener('requests', (event) => {
+      document.dispatchEvent(new CustomEvent('songRequestsChanged', { detail: JSON.parse(event.data) }));
+    });
+    this.eventSource.addEventListener('credits', (event) => {
+      document.dispatchEvent(new CustomEvent('creditsChanged', { detail: JSON.parse(event.data) }));
+    });
+    this.eventSource.onerror = () => {
+      this.log('Queue event stream interrupted, reconnecting...');
+    };
   }
 
   enableDebug() {
@@ -282,173 +303,154 @@ function isTrackInQueue(track) {
   return result;
 }
 
-// Add track to queue with validation and lock time checking
-function addToQueue(track) { 
+// Mirror a server queue state into window.queue and follow its position
+function applyServerQueueState(state, isFirstState = false) {
+  if (!window.queue) {
+    window.queue = [];
+  }
+
+  const previous = window.queue[window.currentTrackIndex];
+  const previousQueueId = previous ? previous.queueId : null;
+
+  // Keep the array identity - jukebox.js and playlists.js hold references to it
+  window.queue.length = 0;
+  window.queue.push(...state.queue);
+  window.currentTrackIndex = state.currentTrackIndex;
+  debugLog('queue', `[QUEUE] Server state v${state.version}: ${state.queue.length} tracks, index ${state.currentTrackIndex}`);
+
+  if (typeof window.debouncedUpdateQueueDisplay === 'function') {
+    window.debouncedUpdateQueueDisplay();
+  }
+
+  // On page load only mirror the queue; Auto-DJ decides whether to resume
+  if (isFirstState) {
+    if (typeof window.updateUILayout === 'function') {
+      window.updateUILayout();
+    }
+    return;
+  }
+
+  const current = window.queue[window.currentTrackIndex];
+  const playingQueueId = window.queueAPI.playingQueueId;
+  if (!current) {
+    if (previousQueueId && playingQueueId) {
+      debugLog('queue', '[QUEUE] Queue ended on the server - stopping playback');
+      window.queueAPI.playingQueueId = null;
+      if (typeof window.stopAllPlayback === 'function') {
+        window.stopAllPlayback();
+      }
+      if (typeof window.updateUILayout === 'function') {
+        window.updateUILayout();
+      }
+    }
+  } else if (current.queueId !== previousQueueId && current.queueId !== playingQueueId) {
+    // Position changed elsewhere (first track queued, phone skip), start the new entry
+    if (!window.isCurrentlyPlayingTrack && typeof window.playCurrentTrack === 'function') {
+      window.playCurrentTrack();
+    }
+  }
+}
+
+// Show the toast for a change the server rejected
+function showQueueRejection(result) {
+  if (typeof toast === 'undefined') return;
+  const i18n = (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem : null;
+
+  switch (result.code) {
+    case 'RECENTLY_PLAYED':
+      toast.info(i18n ? i18n.t('ui.messages.trackRecentlyPlayed', {minutes: result.remainingMinutes}) : `This track was recently played. Please wait ${result.remainingMinutes} more minutes.`);
+      break;
+    case 'ALREADY_QUEUED':
+      toast.warning(i18n ? i18n.t('ui.messages.trackAlreadyInQueue') : 'This track is already in the playlist.');
+      break;
+    case 'QUOTA_EXCEEDED':
+      toast.warning(i18n ? i18n.t('ui.messages.requestQuotaExceeded', {minutes: result.retryMinutes}) : `Request limit reached. Please try again in ${result.retryMinutes} minutes.`);
+      break;
+    case 'ALREADY_REQUESTED':
+      toast.warning(i18n ? i18n.t('ui.messages.trackAlreadyRequested') : 'This track is already waiting for approval.');
+      break;
+    case 'INSUFFICIENT_CREDITS':
+      toast.warning(i18n ? i18n.t('ui.messages.notEnoughCredits', {price: result.price, balance: result.balance}) : `Not enough credits: this track costs ${result.price}, your balance is ${result.balance}.`);
+      if (window.creditsUI) window.creditsUI.openTopUp();
+      break;
+    case 'CURRENT_TRACK':
+      toast.warning(i18n ? i18n.t('ui.messages.cannotRemoveCurrentTrack') : 'The currently playing track cannot be removed.');
+      break;
+    default:
+      toast.error(result.error || 'Queue error');
+  }
+}
+
+// Add track to queue; lock time and duplicates are checked by the server
+async function addToQueue(track, position = 'end') {
   debugLog('QUEUE', `Adding track to queue:`, track);
   
   if (typeof window.isAddingToQueue !== 'undefined') {
     window.isAddingToQueue = true; // Set flag to prevent navigation activity
   }
   
-  // Normalize track type - this was missing and caused playlist issues!
-  if (!track.type) {
-    if (track.uri || track.spotify_uri) {
-      track.type = 'spotify';
-    } else if (track.file_path || track.id || track.streamUrl) {
-      track.type = 'server';  // Local tracks from musicAPI
+  try {
+    const result = await window.queueAPI.addTrack(track, position);
+    if (!result.success) {
+      debugLog('queue', `[QUEUE] Track rejected by server: ${result.code || result.error}`);
+      showQueueRejection(result);
+      return false;
     }
-  }
-  
-  // Generate a more robust track key
-  let trackKey;
-  if (track.type === 'spotify') {
-    trackKey = track.uri;
-  } else {
-    // For local tracks, use multiple fallbacks to create a unique key
-    trackKey = track.path || track.file_path || track.id || track.streamUrl || `${track.artist}_${track.title}_${track.album}`;
-  }
-  
-  const now = Date.now();
-  const lockTimeMs = (window.trackLockTimeMinutes || 60) * 60 * 1000; // Convert minutes to milliseconds
-  
-  // Skip lock check if lock time is 0 (disabled)
-  if (lockTimeMs > 0) {
-    // Find if this track was played recently
-    const recentPlay = window.playedTracks && window.playedTracks.find(played => {
-      // Generate the same type of key for played tracks
-      let playedKey;
-      if (track.type === 'spotify') {
-        playedKey = played.uri;
-      } else {
-        playedKey = played.path || played.file_path || played.id || played.streamUrl || `${played.artist}_${played.title}_${played.album}`;
-      }
-      
-      return playedKey === trackKey && (now - played.timestamp) < lockTimeMs;
-    });
     
-    const currentAdminModeCheck = window.adminPanel && window.adminPanel.isAdminMode ? window.adminPanel.isAdminMode() : false;
-    if (recentPlay && !currentAdminModeCheck) {
-      const remainingTime = Math.ceil((lockTimeMs - (now - recentPlay.timestamp)) / (60 * 1000));
+    if (result.pending) {
+      // Moderated guest request - an admin approves it in the "Wünsche" tab
+      debugLog('queue', `[QUEUE] Track submitted for approval (request #${result.request.id})`);
       if (typeof toast !== 'undefined') {
-        toast.info((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.trackRecentlyPlayed', {minutes: remainingTime}) : `This track was recently played. Please wait ${remainingTime} more minutes.`);
+        toast.info((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.trackRequestPending', {title: track.title}) : `"${track.title}" is waiting for approval.`);
       }
-      debugLog('queue', `[QUEUE] Track blocked due to recent play. Remaining time: ${remainingTime} minutes`);
-      if (typeof window.isAddingToQueue !== 'undefined') {
-        window.isAddingToQueue = false; // Clear flag before return
-      }
-      return;
-    }
-  }
-  
-  // Check if track is already in queue
-  const isAlreadyInQueue = window.queue && window.queue.some(queueTrack => {
-    // Generate the same type of key for queue tracks
-    let queueKey;
-    if (queueTrack.type === 'spotify') {
-      queueKey = queueTrack.uri;
-    } else {
-      queueKey = queueTrack.path || queueTrack.file_path || queueTrack.id || queueTrack.streamUrl || `${queueTrack.artist}_${queueTrack.title}_${queueTrack.album}`;
+      return true;
     }
     
-    return queueKey === trackKey;
-  });
-  
-  const currentAdminModeQueue = window.adminPanel && window.adminPanel.isAdminMode ? window.adminPanel.isAdminMode() : false;
-  if (isAlreadyInQueue && !currentAdminModeQueue) {
+    debugLog('queue', `[QUEUE] Track added to queue. Current queue length: ${window.queue.length}`);
+    
+    // Show success message
     if (typeof toast !== 'undefined') {
-      toast.warning((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.trackAlreadyInQueue') : 'This track is already in the playlist.');
+      // Pay-to-play: show what is left
+      const creditsLeft = result.credits ? ` 🪙 ${result.credits.balance}` : '';
+      toast.success(`"${track.title}" ${(typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.labels.trackAddedToPlaylist') : 'added to playlist'}!${creditsLeft}`);
     }
-    debugLog('queue', `[QUEUE] Track already in queue`);
+    return true;
+  } finally {
     if (typeof window.isAddingToQueue !== 'undefined') {
-      window.isAddingToQueue = false; // Clear flag before return
-    }
-    return;
-  }
-  
-  if (!window.queue) {
-    window.queue = [];
-  }
-  
-  window.queue.push(track); 
-  
-  if (typeof window.debouncedUpdateQueueDisplay === 'function') {
-    window.debouncedUpdateQueueDisplay(); 
-  }
-  
-  if (typeof window.saveAppState === 'function') {
-    window.saveAppState(); // Save state after queue change
-  }
-  
-  debugLog('queue', `[QUEUE] Track added to queue. Current queue length: ${window.queue.length}`);
-  debugLog('queue', `[QUEUE] Current track index: ${window.currentTrackIndex}`);
-  
-  // Show success message
-  if (typeof toast !== 'undefined') {
-    toast.success(`"${track.title}" ${(typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.labels.trackAddedToPlaylist') : 'added to playlist'}!`);
-  }
-  
-  if (window.currentTrackIndex === -1) { 
-    debugLog('queue', `[QUEUE] Queue was empty, starting playback...`);
-    window.currentTrackIndex = 0; 
-    // Check if playback is already being initiated to avoid race condition
-    if (!window.isCurrentlyPlayingTrack && typeof window.playCurrentTrack === 'function') {
-      window.playCurrentTrack(); 
-    } else {
-      debugLog('queue', `[QUEUE] Playback already starting, skipping duplicate call`);
+      window.isAddingToQueue = false; // Clear flag
     }
-  } else {
-    debugLog('queue', `[QUEUE] Queue has tracks, added to end`);
-  }
-  
-  if (typeof window.isAddingToQueue !== 'undefined') {
-    window.isAddingToQueue = false; // Clear flag
   }
 }
 
 // Remove track from queue
-function removeFromQueue(track) {
+async function removeFromQueue(track) {
   debugLog('queue', `[QUEUE] Removing track from queue:`, track);
   
   if (!window.queue) {
     window.queue = [];
-    return;
+    return false;
   }
   
-  // Find the track in the queue
-  const trackKey = track.type === 'spotify' ? track.uri : (track.path || track.file_path || track.id || `${track.artist}_${track.title}`);
-  const trackIndex = window.queue.findIndex(queueTrack => {
-    const queueKey = queueTrack.type === 'spotify' ? queueTrack.uri : (queueTrack.path || queueTrack.file_path || queueTrack.id || `${queueTrack.artist}_${queueTrack.title}`);
-    return queueKey === trackKey;
-  });
-  
-  if (trackIndex === -1) {
-    debugLog('queue', `[QUEUE] Track not found in queue`);
-    return;
-  }
-  
-  // Can't remove the currently playing track
-  if (trackIndex === window.currentTrackIndex) {
-    if (typeof toast !== 'undefined') {
-      toast.warning((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.cannotRemoveCurrentTrack') : 'The currently playing track cannot be removed.');
-    }
-    return;
-  }
-  
-  // Remove the track from queue
-  window.queue.splice(trackIndex, 1);
-  
-  // Adjust currentTrackIndex if necessary
-  if (trackIndex < window.currentTrackIndex) {
-    window.currentTrackIndex--;
-    debugLog('queue', `[QUEUE] Adjusted currentTrackIndex to ${window.currentTrackIndex}`);
+  // Entries from the server carry a queueId; fall back to the track key for copies
+  let queueId = track.queueId;
+  if (!queueId) {
+    const trackKey = track.type === 'spotify' ? track.uri : (track.path || track.file_path || track.id || `${track.artist}_${track.title}`);
+    const entry = window.queue.find(queueTrack => {
+      const queueKey = queueTrack.type === 'spotify' ? queueTrack.uri : (queueTrack.path || queueTrack.file_path || queueTrack.id || `${queueTrack.artist}_${queueTrack.title}`);
+      return queueKey === trackKey;
+    });
+    queueId = entry && entry.queueId;
   }
   
-  if (typeof window.debouncedUpdateQueueDisplay === 'function') {
-    window.debouncedUpdateQueueDisplay();
+  if (!queueId) {
+    debugLog('queue', `[QUEUE] Track not found in queue`);
+    return false;
   }
   
-  if (typeof window.saveAppState === 'function') {
-    window.saveAppState(); // Save state after queue change
+  const result = await window.queueAPI.removeTrack(queueId);
+  if (!result.success) {
+    showQueueRejection(result);
+    return false;
   }
   
   debugLog('queue', `[QUEUE] Track removed from queue. Current queue length: ${window.queue.length}`);
@@ -457,63 +459,64 @@ function removeFromQueue(track) {
   if (typeof toast !== 'undefined') {
     toast.success((typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.messages.trackRemovedFromPlaylist', {title: track.title}) : `"${track.title}" removed from playlist!`);
   }
+  return true;
 }
 
-// Insert track as next in queue
-function insertNext(track) {
-  // Check if track was played within the configured lock time (same as addToQueue)
-  const trackKey = track.type === 'spotify' ? track.uri : track.path;
-  const now = Date.now();
-  const lockTimeMs = (window.trackLockTimeMinutes || 60) * 60 * 1000; // Convert minutes to milliseconds
-  
-  // Skip lock check if lock time is 0 (disabled)
-  if (lockTimeMs > 0) {
-    // Find if this track was played recently
-    const recentPlay = window.playedTracks && window.playedTracks.find(played => 
-      (played.uri === trackKey || played.path === trackKey) && 
-      (now - played.timestamp) < lockTimeMs
-    );
-    
-    const currentAdminMode = window.adminPanel && window.adminPanel.isAdminMode ? window.adminPanel.isAdminMode() : false;
-    if (recentPlay && !currentAdminMode) {
-      const remainingTime = Math.ceil((lockTimeMs - (now - recentPlay.timestamp)) / (60 * 1000));
-      if (typeof toast !== 'undefined') {
-        toast.warning(`Dieser Titel wurde kürzlich gespielt. Bitte warte noch ${remainingTime} Minuten.`);
-      }
-      return;
-    }
+// Move an upcoming track to another upcoming position (the playing track stays put)
+async function moveQueueTrack(fromIndex, toIndex) {
+  const entry = window.queue && window.queue[fromIndex];
+  if (!entry || !entry.queueId) {
+    debugLog('queue', `[QUEUE] Cannot move track from ${fromIndex} to ${toIndex}`);
+    return false;
   }
-
-  // Check if track is already in queue
-  const isAlreadyInQueue = window.queue && window.queue.some(queueTrack => {
-    const queueKey = queueTrack.type === 'spotify' ? queueTrack.uri : queueTrack.path;
-    return queueKey === trackKey;
-  });
   
-  const currentAdminMode = window.adminPanel && window.adminPanel.isAdminMode ? window.adminPanel.isAdminMode() : false;
-  if (isAlreadyInQueue && !currentAdminMode) {
-    if (typeof toast !== 'undefined') {
-      toast.warning(`Dieser Titel ist bereits in der Playlist.`);
-    }
-    return;
+  const result = await window.queueAPI.moveTrack(entry.queueId, toIndex);
+  if (!result.success) {
+    debugLog('queue', `[QUEUE] Move rejected: ${result.error}`);
+    return false;
   }
+  
+  debugLog('queue', `[QUEUE] Moved "${entry.title}" from ${fromIndex} to ${toIndex}`);
+  return true;
+}
 
-  if (!window.queue) {
-    window.queue = [];
+// Vote on a queue entry; voting the same way again withdraws the vote
+async function voteQueueTrack(queueId, vote) {
+  const queueAPI = window.queueAPI;
+  const newVote = queueAPI.myVotes.get(queueId) === vote ? 0 : vote;
+  
+  const result = await queueAPI.voteTrack(queueId, newVote);
+  if (!result.success) {
+    debugLog('queue', `[QUEUE] Vote rejected: ${result.error}`);
+    showQueueRejection(result);
+    return false;
   }
-
-  if (window.currentTrackIndex === -1) {
-    window.queue.push(track);
-    window.currentTrackIndex = 0;
-    if (typeof window.playCurrentTrack === 'function') {
-      window.playCurrentTrack();
-    }
+  
+  if (newVote === 0) {
+    queueAPI.myVotes.delete(queueId);
   } else {
-    window.queue.splice(window.currentTrackIndex + 1, 0, track);
-    if (typeof window.debouncedUpdateQueueDisplay === 'function') {
-      window.debouncedUpdateQueueDisplay();
-    }
+    queueAPI.myVotes.set(queueId, newVote);
   }
+  if (typeof window.debouncedUpdateQueueDisplay === 'function') {
+    window.debouncedUpdateQueueDisplay();
+  }
+  return true;
+}
+
+// Admin: keep an upcoming entry in place when votes reorder the queue
+async function pinQueueTrack(queueId, pinned) {
+  const result = await window.queueAPI.pinTrack(queueId, pinned);
+  if (!result.success) {
+    showQueueRejection(result);
+    return false;
+  }
+  return true;
+}
+
+// Insert track as next in queue
+async function insertNext(track) {
+  const added = await addToQueue(track, 'next');
+  if (!added) return false;
   
   // Clear search field when track is added
   const searchInput = document.getElementById('searchInput');
@@ -529,6 +532,7 @@ function insertNext(track) {
   if (typeof window.expandNowPlayingSection === 'function') {
     window.expandNowPlayingSection();
   }
+  return true;
 }
 
 // Enforce queue consistency - if queue is empty, stop everything
@@ -584,16 +588,11 @@ if (typeof window !== 'undefined') {
   window.addToQueue = addToQueue;
   window.removeFromQueue = removeFromQueue;
   window.insertNext = insertNext;
+  window.moveQueueTrack = moveQueueTrack;
+  window.voteQueueTrack = voteQueueTrack;
+  window.pinQueueTrack = pinQueueTrack;
+  window.applyServerQueueState = applyServerQueueState;
   window.enforceQueueConsistency = enforceQueueConsistency;
-  
-  // Auto-migrate legacy data on load
-  document.addEventListener('DOMContentLoaded', async () => {
-    try {
-      await window.queueAPI.migrateLegacyState();
-    } catch (error) {
-      debugLog('QUEUE-API', 'Migration on load failed:', error);
-    }
-  });
 }
 
 // Export for Node.js environments
@@ -0,0 +1,95 @@
+// Phone Remote Bridge
+// Executes playback commands sent from phones (remote.html) on the kiosk and
+// reports whether it is playing. The queue itself lives on the data server.
+class RemoteBridge {
+  constructor(pollInterval = 2000) {
+    this.pollInterval = pollInterval;
+    this.pollTimer = null;
+    this.lastCommandId = 0;
+    this.lastPublishedPlaying = null;
+    this.lastPublishedAt = 0;
+    this.isPolling = false;
+  }
+
+  start() {
+    this.stop();
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    debugLog('remote', '[REMOTE] 📱 Phone remote bridge started');
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async poll() {
+    if (this.isPolling || !window.musicAPI || !window.queueAPI) return;
+    this.isPolling = true;
+
+    try {
+      const response = await window.musicAPI.getRemoteCommands(this.lastCommandId);
+      for (const command of response.commands || []) {
+        this.lastCommandId = Math.max(this.lastCommandId, command.id);
+        await this.executeCommand(command);
+      }
+      await this.publishState();
+    } catch (error) {
+      // Data server unreachable - try again on the next tick
+      debugLog('REMOTE', 'Remote poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async executeCommand(command) {
+    const { type, payload = {} } = command;
+    debugLog('remote', `[REMOTE] Executing phone command: ${type}`, payload);
+
+    switch (type) {
+      case 'skip':
+        if (typeof skipTrack === 'function') {
+          skipTrack();
+        }
+        break;
+      case 'pause':
+        if (typeof pauseCurrentTrack === 'function') {
+          pauseCurrentTrack();
+        }
+        break;
+      case 'resume':
+        if (typeof resumeCurrentTrack === 'function') {
+          resumeCurrentTrack();
+        }
+        break;
+      default:
+        debugLog('REMOTE', 'Unknown phone command:', type);
+    }
+  }
+
+  isPlaying() {
+    const isLocalPlaying = window.audioPlayer && !window.audioPlayer.paused;
+    return Boolean(isLocalPlaying || window.isSpotifyCurrentlyPlaying);
+  }
+
+  // Only send when something changed, but refresh every 30s so a restarted data server catches up
+  async publishState() {
+    const isPlaying = this.isPlaying();
+    if (isPlaying === this.lastPublishedPlaying && Date.now() - this.lastPublishedAt < 30000) return;
+
+    const result = await window.queueAPI.setPlayback(isPlaying);
+    if (!result.success) throw new Error(result.error);
+    this.lastPublishedPlaying = isPlaying;
+    this.lastPublishedAt = Date.now();
+  }
+}
+
+// Initialize global remote bridge instance
+if (typeof window !== 'undefined') {
+  window.remoteBridge = new RemoteBridge();
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.remoteBridge.start();
+  });
+}
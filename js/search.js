@@ -176,8 +176,8 @@
         return [];
       }
       
-      const response = await deps.dataServerAPI.getTracks({ search: query, limit: 50 });
-      return response.tracks || [];
+      const response = await deps.dataServerAPI.search(query, { source: 'local', types: ['tracks'], limit: 50 });
+      return response.results.tracks;
     } catch (error) {
       console.error('Local search failed:', error);
       return [];
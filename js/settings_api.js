@@ -371,6 +371,16 @@ class SettingsAPI {
     return this.extractValues(settingsData);
   }
 
+  async getRequestSettings() {
+    const settingsData = await this.getCategory('requests');
+    return this.extractValues(settingsData);
+  }
+
+  async getCreditSettings() {
+    const settingsData = await this.getCategory('credits');
+    return this.extractValues(settingsData);
+  }
+
   // Auto-save functionality for form inputs
   setupAutoSave(category, formElement, debounceMs = 1000) {
     const debounceTimers = new Map();
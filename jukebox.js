@@ -30,9 +30,8 @@ window.isSpotifyCurrentlyPlaying = false;
 
 // App state persistence (migrated to database)
 async function saveAppState() {
+  // The queue itself is persisted by the data server
   const state = {
-    queue: queue, // Save queue for persistent playlist
-    currentTrackIndex: currentTrackIndex, // Save index for queue position
     currentFilter: currentFilter,
     currentView: currentView,
     currentAZFilter: currentAZFilter,
@@ -49,7 +48,6 @@ async function saveAppState() {
       console.warn('[STATE] State too large, clearing old data');
       const minimalState = {
         currentFilter: state.currentFilter,
-        currentTrackIndex: state.currentTrackIndex,
         volume: state.volume,
         timestamp: state.timestamp
       };
@@ -92,7 +90,6 @@ async function saveAppState() {
       try {
         const minimalState = {
           currentFilter: state.currentFilter,
-          currentTrackIndex: state.currentTrackIndex,
           volume: state.volume,
           timestamp: state.timestamp
         };
@@ -156,24 +153,7 @@ async function loadAppState() {
       return false;
     }
     
-    // Restore queue state for persistent playlist
-    if (state.queue && Array.isArray(state.queue)) {
-      queue.length = 0;
-      queue.push(...state.queue);
-      debugLog('QUEUE', 'Queue restored:', queue.length, 'tracks');
-      
-      // Update queue UI after loading
-      debouncedUpdateQueueDisplay();
-    }
-    
-    // Restore current track index if queue exists
-    if (typeof state.currentTrackIndex === 'number' && state.queue && state.queue.length > 0) {
-      currentTrackIndex = Math.min(state.currentTrackIndex, state.queue.length - 1);
-      debugLog('QUEUE', 'currentTrackIndex wiederhergestellt:', currentTrackIndex);
-    } else {
-      currentTrackIndex = -1;
-      debugLog('QUEUE', 'currentTrackIndex reset to -1 (empty playlist)');
-    }
+    // Queue and currentTrackIndex come from the data server (queueAPI.subscribe)
     
     if (state.currentFilter) {
       // Always start with 'new' filter regardless of saved state for consistent UX
@@ -357,6 +337,10 @@ async function initializeApp() {
     debugLog('STATE', (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('debug.system.appStateRestoreError') : 'Error loading app state:', error);
   }
   
+  // Mirror the server-owned queue; every change (kiosk, phones, Auto-DJ) is pushed here
+  window.queueAPI.baseUrl = dataServerURL;
+  window.queueAPI.subscribe();
+  
   // Initialize the main application
   debugLog('SYSTEM', (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('debug.system.mainInitializing') : 'Starting main initialization...');
   await initialize();
@@ -997,7 +981,13 @@ async function loadLocalIndex() {
       duration: track.duration,
       streamUrl: musicAPI.getStreamURL(track.id),
       coverUrl: musicAPI.getCoverURL(track.id),
-      path: track.file_path
+      path: track.file_path,
+      replaygain_track_gain: track.replaygain_track_gain,
+      replaygain_track_peak: track.replaygain_track_peak,
+      replaygain_album_gain: track.replaygain_album_gain,
+      replaygain_album_peak: track.replaygain_album_peak,
+      audio_start: track.audio_start,
+      audio_end: track.audio_end
     }));
     
     // Add to library and render
@@ -1289,6 +1279,9 @@ function updateBreadcrumb() {
       case 'album':
         renderAlbumsList();
         break;
+      case 'compilations':
+        renderAlbumsList(null, { compilations: true });
+        break;
       case 'genre':
         renderGenresList();
         break;
@@ -2341,9 +2334,10 @@ async function renderMostPlayedTracks() {
     statisticsSection.appendChild(statsTitle);
 
     // Get fresh data for statistics
-    const [albumsResponse, tracksResponse] = await Promise.all([
+    const [albumsResponse, tracksResponse, statsResponse] = await Promise.all([
       musicAPI.getAlbums(null, true),
-      musicAPI.getTracks({}, true)
+      musicAPI.getTracks({}, true),
+      musicAPI.getStats()
     ]);
     
     const albums = albumsResponse.data || albumsResponse;
@@ -2352,7 +2346,8 @@ async function renderMostPlayedTracks() {
     // Statistics data
     const totalAlbums = albums.length;
     const totalTracks = allTracks.length;
-    const totalArtists = new Set(albums.map(a => a.artist)).size;
+    // Every credited artist counts, featured guests too
+    const totalArtists = statsResponse.data.total_artists;
     const genres = allTracks.reduce((acc, track) => {
       if (track.genre) {
         acc[track.genre] = (acc[track.genre] || 0) + 1;
@@ -2732,8 +2727,8 @@ function updateAZNavigationVisibility() {
   const azNav = document.getElementById('azNav');
   if (!azNav) return;
   
-  // Hide A-Z navigation for 'new' filter (Recent Albums view), genres, decades, and most-played
-  if (currentFilter === 'new' || currentFilter === 'genre' || currentFilter === 'decade' || currentFilter === 'most-played') {
+  // Hide A-Z navigation for 'new' filter (Recent Albums view), genres, decades, most-played and playlists
+  if (currentFilter === 'new' || currentFilter === 'genre' || currentFilter === 'decade' || currentFilter === 'most-played' || currentFilter === 'playlists') {
     azNav.style.display = 'none';
   } else {
     azNav.style.display = 'flex';
@@ -2770,6 +2765,8 @@ function handleAZClick(evt) {
   } else if (currentFilter === 'album') {
     // Handle filtering in All Albums view
     renderAllAlbumsList();
+  } else if (currentFilter === 'compilations') {
+    renderAlbumsList(null, { compilations: true });
   } else if (currentFilter === 'decade') {
     // Handle filtering in Decades view
     renderDecadesList();
@@ -3218,6 +3215,9 @@ function handleNavClick(evt) {
     case 'album':
       renderAllAlbumsList();
       break;
+    case 'compilations':
+      renderAlbumsList(null, { compilations: true });
+      break;
     case 'genre':
       renderGenresList();
       break;
@@ -3230,6 +3230,9 @@ function handleNavClick(evt) {
     case 'most-played':
       renderMostPlayedTracks();
       break;
+    case 'playlists':
+      renderPlaylistsView();
+      break;
     default:
       renderLibrary();
       break;
@@ -3300,6 +3303,7 @@ function skipTrack(){
       currentTrackIndex = -1;
       queue.length = 0; // Clear the queue completely
       debugLog('queue', `[SKIP] Queue cleared, length now: ${queue.length}`);
+      window.queueAPI.endQueue();
       saveAppState(); // Save state when queue ends 
       
       // Use centralized stop function
@@ -3935,12 +3939,9 @@ async function searchMusicServer(query) {
   try {
     debugLog('api', '[DATA-API] Searching data server for:', query);
     
-    const response = await musicAPI.getTracks({ 
-      search: query,
-      limit: 50 
-    });
+    const response = await musicAPI.search(query, { source: 'local', types: ['tracks'], limit: 50 });
     
-    const tracks = response.data || [];
+    const tracks = response.results.tracks;
     
     // Convert server tracks to library format
     const libraryTracks = tracks.map(track => ({
@@ -3954,7 +3955,13 @@ async function searchMusicServer(query) {
       duration: track.duration,
       streamUrl: musicAPI.getStreamURL(track.id),
       coverUrl: musicAPI.getCoverURL(track.id),
-      path: track.file_path
+      path: track.file_path,
+      replaygain_track_gain: track.replaygain_track_gain,
+      replaygain_track_peak: track.replaygain_track_peak,
+      replaygain_album_gain: track.replaygain_album_gain,
+      replaygain_album_peak: track.replaygain_album_peak,
+      audio_start: track.audio_start,
+      audio_end: track.audio_end
     }));
     
     debugLog('api', `[DATA-API] Found ${libraryTracks.length} matching tracks`);
@@ -4329,6 +4336,7 @@ async function initialize(){
           queue.length = 0;
           playedTracks.length = 0;
           currentTrackIndex = -1;
+          window.queueAPI.endQueue();
           
           // Clear cover cache too
           coverCache.clear();
@@ -4427,10 +4435,11 @@ async function initialize(){
       }
     }, 200); // Noch schnellere Reaktion 
   });
-  audioPlayer.addEventListener('ended', skipTrack);
+  // Deck-aware listeners: the player switches between two <audio> elements for crossfades
+  addActiveDeckListener('ended', skipTrack);
   
   // Time update listener for progress bar
-  audioPlayer.addEventListener('timeupdate', () => {
+  addActiveDeckListener('timeupdate', () => {
     if (audioPlayer.duration && !isNaN(audioPlayer.duration)) {
       const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
       progressBar.value = progress;
@@ -5335,7 +5344,7 @@ function resetInactivityTimer() {
   
   // Cancel fallback timer when music starts playing
   if (audioPlayer) {
-    audioPlayer.addEventListener('play', () => {
+    addActiveDeckListener('play', () => {
       if (homePageFallbackTimer) {
         debugLog('main', '[NOW-PLAYING] Music started - canceling fallback timer');
         clearTimeout(homePageFallbackTimer);
@@ -5350,7 +5359,7 @@ function resetInactivityTimer() {
     });
     
     // Collapse section when music stops/pauses and no search activity
-    audioPlayer.addEventListener('pause', () => {
+    addActiveDeckListener('pause', () => {
       const searchInput = document.getElementById('searchInput');
       const searchValue = searchInput ? searchInput.value.trim() : '';
       
@@ -5360,7 +5369,7 @@ function resetInactivityTimer() {
       }
     });
     
-    audioPlayer.addEventListener('ended', () => {
+    addActiveDeckListener('ended', () => {
       const searchInput = document.getElementById('searchInput');
       const searchValue = searchInput ? searchInput.value.trim() : '';
       
@@ -5688,17 +5697,13 @@ async function playTrack(trackId) {
   try {
     const response = await musicAPI.getTrack(trackId);
     if (response && response.success && response.data) {
-      // Add to queue first, then play it
-      addToQueue(response.data);
-      // If this is the only track in queue, it should auto-play
-      if (queue.length === 1) {
-        currentTrackIndex = 0;
-        // Reset manual stop flag when user starts new playback
-        if (userManuallyStoppedMusic) {
-          userManuallyStoppedMusic = false;
-          debugLog('ui', '[DEBUG] New track started - Auto-DJ reactivated');
-        }
-        playCurrentTrack();
+      // Add to queue; the server starts it right away if nothing was queued
+      const wasEmpty = queue.length === 0;
+      const added = await addToQueue(response.data);
+      // Reset manual stop flag when user starts new playback
+      if (added && wasEmpty && userManuallyStoppedMusic) {
+        userManuallyStoppedMusic = false;
+        debugLog('ui', '[DEBUG] New track started - Auto-DJ reactivated');
       }
     } else {
       console.error('Track not found:', trackId);
@@ -6676,6 +6681,30 @@ function initializeTouchKeyboard() {
   
   let keyboardJustUsed = false;
   
+  // Suggestion chips above the keys: completions and "did you mean" for the typed text
+  const suggestionsContainer = document.getElementById('searchSuggestions');
+  const suggestionIcons = { artist: '🎤', album: '💿', title: '🎵' };
+  let suggestionTimer = null;
+  let suggestionRequest = 0;
+  
+  if (suggestionsContainer) {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(suggestionTimer);
+      suggestionTimer = setTimeout(updateSearchSuggestions, 150);
+    });
+    
+    suggestionsContainer.addEventListener('click', (e) => {
+      const chip = e.target.closest('.search-suggestion-chip');
+      if (!chip) return;
+      
+      searchInput.value = chip.dataset.text;
+      searchInput.setSelectionRange(searchInput.value.length, searchInput.value.length);
+      searchInput.focus();
+      keyboardJustUsed = true;
+      searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  }
+  
   // Toggle keyboard visibility
   toggleButton.addEventListener('click', (e) => {
     e.preventDefault();
@@ -6751,6 +6780,7 @@ function initializeTouchKeyboard() {
     // Focus search input
     searchInput.focus();
     keyboardJustUsed = true;
+    if (suggestionsContainer) updateSearchSuggestions();
     
     // No padding changes - keyboard is pure overlay like PIN panel
     
@@ -6766,6 +6796,43 @@ function initializeTouchKeyboard() {
     debugLog('KEYBOARD', 'Touch keyboard hidden');
   }
   
+  function createSuggestionChip(text, label) {
+    const chip = document.createElement('button');
+    chip.className = 'search-suggestion-chip';
+    chip.dataset.text = text;
+    chip.textContent = label;
+    return chip;
+  }
+  
+  async function updateSearchSuggestions() {
+    const query = searchInput.value.trim();
+    const requestId = ++suggestionRequest;
+    
+    if (!query || keyboard.classList.contains('hidden')) {
+      suggestionsContainer.innerHTML = '';
+      return;
+    }
+    
+    try {
+      const response = await musicAPI.getSearchSuggestions(query);
+      // Typing went on meanwhile, a newer request renders
+      if (requestId !== suggestionRequest) return;
+      
+      const didYouMean = (typeof window.i18nSystem !== 'undefined' && window.i18nSystem) ? window.i18nSystem.t('ui.labels.didYouMean') : 'Meinten Sie';
+      const chips = response.suggestions
+        .filter(suggestion => suggestion.text.toLowerCase() !== query.toLowerCase())
+        .map(suggestion => createSuggestionChip(suggestion.text, `${suggestionIcons[suggestion.type] || ''} ${suggestion.text}`));
+      if (response.correction) {
+        const chip = createSuggestionChip(response.correction, `✏️ ${didYouMean}: ${response.correction}`);
+        chip.classList.add('correction');
+        chips.unshift(chip);
+      }
+      suggestionsContainer.replaceChildren(...chips);
+    } catch (error) {
+      debugLog('KEYBOARD', 'Search suggestions failed:', error.message);
+    }
+  }
+  
   function addToSearchInput(char) {
     const currentValue = searchInput.value;
     const cursorPos = searchInput.selectionStart || currentValue.length;
@@ -6882,6 +6949,7 @@ let autoDjPlaybackInterval = null;
 let autoDjCooldown = false;
 let lastPlaybackStopTime = null;
 let userManuallyStoppedMusic = false;
+let activeAutoDjSlotId = null;
 
 // Auto-DJ Settings
 const AUTO_DJ_CONFIG = {
@@ -6889,7 +6957,8 @@ const AUTO_DJ_CONFIG = {
   checkInterval: 10000,  // 10 seconds
   cooldownTime: 60000,   // 1 minute between selections
   minQueueLength: 2,     // Start filling when queue has 2 or fewer tracks
-  maxTracksToAdd: 15     // Add up to 15 tracks at once for better coverage
+  maxTracksToAdd: 15,    // Add up to 15 tracks at once for better coverage
+  localBatchSize: 5      // Tracks per fill from the local library (picked fresh each time)
 };
 
 // Auto-DJ and playlist initialization functions moved to js/playlists.js
@@ -7059,7 +7128,7 @@ async function loadCustomPlaylistForAutoDj(playlist, forceReload = false) {
         const track = shuffledTracks[i];
         
         // Verwende Auto-DJ spezifische addToQueue Funktion
-        const success = addToQueueForAutoDj(track);
+        const success = await addToQueueForAutoDj(track);
         if (success) {
           addedCount++;
           debugLog('main', '[AUTO-DJ] Added custom track:', track.title, 'by', track.artist);
@@ -7096,7 +7165,7 @@ async function loadAutoLearnedPlaylistForAutoDj(playlist) {
       const track = shuffledTracks[i];
       
       // Verwende Auto-DJ spezifische addToQueue Funktion
-      const success = addToQueueForAutoDj(track);
+      const success = await addToQueueForAutoDj(track);
       if (success) {
         addedCount++;
         debugLog('main', '[AUTO-DJ] Added track:', track.title, 'by', track.artist);
@@ -7192,7 +7261,7 @@ function startAutoDj() {
           }, 500);
         } else {
           debugLog('main', '[AUTO-DJ] First track has no valid ID, removing and trying next');
-          queue.shift(); // Entferne ungültigen Track
+          window.queueAPI.removeTrack(queue.shift().queueId, { asAdmin: true }); // Entferne ungültigen Track
           debouncedUpdateQueueDisplay();
           if (queue.length > 0) {
             setTimeout(() => checkAndFillQueue(), 500); // Versuche mit nächstem Track
@@ -7205,6 +7274,7 @@ function startAutoDj() {
         debugLog('main', '[AUTO-DJ] Queue length inconsistent, resetting');
         queue.length = 0;
         currentTrackIndex = -1;
+        window.queueAPI.endQueue();
         debouncedUpdateQueueDisplay();
         setTimeout(() => checkAndFillQueue(), 1000);
       }
@@ -7270,7 +7340,7 @@ async function checkAndFillQueue() {
   
   if (shouldAddTracks) {
     debugLog('main', '[AUTO-DJ] Queue needs filling, adding tracks...');
-    await addAutoDjTracks();
+    await addAutoDjTracks(await getActiveAutoDjSlot());
     
     // Falls keine Musik spielt und Queue Tracks hat, starte Playback
     if (currentTrackIndex === -1 && queue.length > 0) {
@@ -7294,25 +7364,87 @@ async function checkAndFillQueue() {
           }, 500);
         } else {
           debugLog('main', '[AUTO-DJ] First track has no valid ID, removing it');
-          queue.shift(); // Entferne ungültigen Track
+          window.queueAPI.removeTrack(queue.shift().queueId, { asAdmin: true }); // Entferne ungültigen Track
           debouncedUpdateQueueDisplay();
         }
       } else {
         debugLog('main', '[AUTO-DJ] Queue length inconsistent after filling, resetting');
         queue.length = 0;
         currentTrackIndex = -1;
+        window.queueAPI.endQueue();
         debouncedUpdateQueueDisplay();
       }
     }
   }
 }
 
-async function addAutoDjTracks() {
+// Dayparting: aktives Zeitfenster aus dem Auto-DJ-Zeitplan (wird auf dem Data Server ausgewertet)
+async function getActiveAutoDjSlot() {
+  try {
+    const result = await window.musicAPI.getActiveAutoDjSlot();
+    const slot = result.success ? result.slot : null;
+    
+    const slotId = slot ? slot.id : null;
+    if (slotId !== activeAutoDjSlotId) {
+      activeAutoDjSlotId = slotId;
+      if (slot) {
+        debugLog('main', '[AUTO-DJ] Schedule slot active:', slot.name);
+        showNotification(`🕒 Auto-DJ: Zeitfenster "${slot.name}" aktiv`);
+      }
+    }
+    return slot;
+  } catch (error) {
+    debugLog('main', '[AUTO-DJ] Could not load schedule slot:', error.message);
+    return null;
+  }
+}
+
+// Auto-DJ aus der lokalen Bibliothek (Auswahl auf dem Data Server, siehe lib/auto_dj.js)
+async function addLocalAutoDjTracks() {
+  try {
+    const result = await window.queueAPI.addLocalAutoDjTracks(AUTO_DJ_CONFIG.localBatchSize);
+    const tracksAdded = result.success ? result.added.length : 0;
+    debugLog('main', '[AUTO-DJ] Local tracks added to queue:', tracksAdded);
+    
+    if (tracksAdded > 0) {
+      showNotification(`🤖 Auto-DJ: ${tracksAdded} Songs aus der Bibliothek hinzugefügt`);
+    } else {
+      showNotification('⚠️ Auto-DJ: Keine passenden Titel in der Bibliothek');
+    }
+    return tracksAdded;
+  } catch (error) {
+    console.error('[AUTO-DJ] Error adding local tracks:', error);
+    return 0;
+  }
+}
+
+async function addAutoDjTracks(slot = null) {
+  // Quelle: 'spotify', 'local' oder 'auto' (Spotify-Playlists wenn verbunden, sonst lokale Bibliothek).
+  // Ein aktives Zeitfenster hat Vorrang: 'local'/'smart' (Genres/Jahrzehnte bzw. Smart-Playlist filtert der Server) oder 'playlists'
+  const source = slot ? slot.source : await window.settingsAPI.getSetting('autodj', 'source', 'auto');
+  if (source === 'local' || source === 'smart' || (source !== 'spotify' && !spotifyAccessToken)) {
+    autoDjCooldown = true;
+    await addLocalAutoDjTracks();
+    setTimeout(() => {
+      autoDjCooldown = false;
+    }, AUTO_DJ_CONFIG.cooldownTime / 2);
+    return;
+  }
+  
   // Priorität: Custom Playlists > Auto-learned Playlists
   let availablePlaylists = [];
   
-  // Zuerst Custom Playlists prüfen
-  if (customPlaylists && customPlaylists.length > 0) {
+  if (source === 'playlists') {
+    // Nur die Playlists des Zeitfensters
+    availablePlaylists = customPlaylists
+      .filter(cp => slot.playlistIds.includes(cp.id))
+      .map(cp => ({
+        name: cp.name,
+        url: cp.spotify_url || cp.url,
+        isCustom: true
+      }));
+    debugLog('main', '[AUTO-DJ] Using schedule slot playlists:', availablePlaylists.length);
+  } else if (customPlaylists && customPlaylists.length > 0) {
     // Custom Playlists haben Vorrang
     availablePlaylists = customPlaylists.map(cp => ({
       name: cp.name,
@@ -7328,7 +7460,11 @@ async function addAutoDjTracks() {
   
   if (availablePlaylists.length === 0) {
     debugLog('main', '[AUTO-DJ] No playlists available for Auto-DJ');
-    showNotification('⚠️ Auto-DJ: Keine Playlists verfügbar');
+    if (source !== 'spotify') {
+      await addLocalAutoDjTracks();
+    } else {
+      showNotification('⚠️ Auto-DJ: Keine Playlists verfügbar');
+    }
     return;
   }
   
@@ -7351,6 +7487,11 @@ async function addAutoDjTracks() {
     
     debugLog('main', '[AUTO-DJ] Total tracks added to queue:', tracksAdded);
     
+    // Spotify lieferte nichts (offline, Token abgelaufen) - lokale Bibliothek übernimmt
+    if (tracksAdded === 0 && source !== 'spotify') {
+      tracksAdded = await addLocalAutoDjTracks();
+    }
+    
     // Wenn keine Tracks hinzugefügt wurden, versuche alternative Methode
     if (tracksAdded === 0) {
       debugLog('main', '[AUTO-DJ] No tracks were added, trying fallback method...');
@@ -7366,7 +7507,7 @@ async function addAutoDjTracks() {
           const tracksToAdd = Math.min(5, randomPlaylist.tracks.length);
           for (let i = 0; i < tracksToAdd; i++) {
             const track = randomPlaylist.tracks[i];
-            const success = addToQueueForAutoDj(track);
+            const success = await addToQueueForAutoDj(track);
             if (success) {
               tracksAdded++;
               debugLog('main', '[AUTO-DJ] Force-added track:', track.title, 'by', track.artist);
@@ -15,6 +15,9 @@ try {
 
 const PORT = process.env.PORT || config.server?.webPort || 5500;
 const HOST = config.server?.host || '127.0.0.1';
+const DATA_PORT = config.server?.dataPort || 3001;
+// The data server listens on the same host; 0.0.0.0 is reachable locally via loopback
+const DATA_HOST = HOST === '0.0.0.0' ? '127.0.0.1' : HOST;
 
 // Determine the correct root directory for both PKG and normal execution
 let ROOT;
@@ -40,6 +43,49 @@ const mimeTypes = {
   '.ico': 'image/x-icon',
 };
 
+// Data server routes the phone remote (remote.html) uses; everything else stays on the kiosk
+const REMOTE_API_ROUTES = [
+  { method: 'GET', path: /^\/api\/queue(\/events)?$/ },
+  { method: 'POST', path: /^\/api\/queue\/tracks$/ },
+  { method: 'DELETE', path: /^\/api\/queue\/tracks\/\d+$/ },
+  { method: 'POST', path: /^\/api\/queue\/tracks\/\d+\/(move|vote|pin)$/ },
+  { method: 'GET', path: /^\/api\/search$/ },
+  { method: 'GET', path: /^\/api\/cover\/\d+$/ },
+  { method: 'GET', path: /^\/api\/credits$/ },
+  { method: 'POST', path: /^\/api\/credits\/topup$/ },
+  { method: 'GET', path: /^\/api\/remote\/session$/ },
+  { method: 'POST', path: /^\/api\/remote\/(login|logout|control)$/ }
+];
+
+function isRemoteApiRoute(method, url) {
+  return REMOTE_API_ROUTES.some(route => route.method === method && route.path.test(url));
+}
+
+// Forward the remote's /api/* routes to the data server so phones only need to reach this port
+function proxyToDataServer(req, res) {
+  const proxyReq = http.request({
+    host: DATA_HOST,
+    port: DATA_PORT,
+    path: req.url,
+    method: req.method,
+    // Lets the data server tell proxied phones apart from the kiosk on this machine
+    headers: { ...req.headers, 'x-forwarded-for': req.socket.remoteAddress }
+  }, (proxyRes) => {
+    res.writeHead(proxyRes.statusCode, proxyRes.headers);
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on('error', (error) => {
+    console.warn(`⚠️ Data server not reachable for ${req.url}: ${error.message}`);
+    if (!res.headersSent) {
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ success: false, error: 'Data server not reachable' }));
+  });
+
+  req.pipe(proxyReq);
+}
+
 function sendFile(res, filePath, status=200) {
   fs.readFile(filePath, (err, data) => {
     if (err) {
@@ -55,8 +101,19 @@ function sendFile(res, filePath, status=200) {
 
 const server = http.createServer((req, res) => {
   let url = req.url.split('?')[0];
+  if (url.startsWith('/api/')) {
+    if (isRemoteApiRoute(req.method, url)) {
+      proxyToDataServer(req, res);
+    } else {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Not available on the remote' }));
+    }
+    return;
+  }
+  
   // URL rewrites for HTML files
   if (url === '/spotify_player') url = '/spotify_login.html';
+  if (url === '/remote') url = '/remote.html';
   if (url === '/index_web') url = '/jukebox.html';
   if (url === '/') url = '/jukebox.html';
   
@@ -136,5 +193,6 @@ server.listen(PORT, HOST, () => {
   if (HOST === '0.0.0.0') {
     console.log('🌍 Server accessible from all network interfaces');
   }
+  console.log(`📱 Phone remote: http://<this-computer>:${PORT}/remote`);
   console.log('💡 Server ready to handle requests');
 });
@@ -0,0 +1,35 @@
+// Multi-disc albums: folder-style album names ("Album (CD1)", "Album [Disc 2]", "Album - CD 3")
+// and disc folders ("Album/CD2/") become one album with disc numbers.
+
+// Disc marker at the end of an album name, optionally "of 2"
+const DISC_SUFFIX = /\s*(?:[-–:,]\s*)?[([]?\s*\b(?:cd|disc|disk)\s*(\d{1,2})(?:\s*(?:of|von|\/)\s*\d{1,2})?\s*[)\]]?$/i;
+// Folder named only after the disc
+const DISC_FOLDER = /^(?:cd|disc|disk)\s*(\d{1,2})$/i;
+
+// "Album (CD2)" -> { album: 'Album', disc_number: 2 }; names without a disc marker stay as they are
+function splitDiscSuffix(album) {
+  const text = String(album || '');
+  const match = DISC_SUFFIX.exec(text);
+  if (!match || match.index === 0) {
+    return { album: text, disc_number: null };
+  }
+  return { album: text.slice(0, match.index).trim(), disc_number: parseInt(match[1], 10) };
+}
+
+/**
+ * Album name and disc number of a track. Disc markers in the album name or folder win over the
+ * disc tag, as each disc of a folder-style rip is often tagged as disc 1.
+ */
+function resolveAlbumDisc(album, discNumber, folderName = '') {
+  const split = splitDiscSuffix(album);
+  const folderMatch = DISC_FOLDER.exec(String(folderName).trim());
+  return {
+    album: split.album,
+    disc_number: split.disc_number ?? (folderMatch ? parseInt(folderMatch[1], 10) : discNumber ?? null)
+  };
+}
+
+module.exports = {
+  splitDiscSuffix,
+  resolveAlbumDisc
+};
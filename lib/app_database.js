@@ -1,6 +1,7 @@
 const Database = require('sqlite3').Database;
 const path = require('path');
 const fs = require('fs-extra');
+const { parseTimeOfDay } = require('./time_of_day');
 
 /**
  * Unified App Database for Queue, Session, and Settings management
@@ -97,6 +98,50 @@ class AppDatabase {
 
         CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_category_key ON settings(category, key);
         CREATE INDEX IF NOT EXISTS idx_settings_category ON settings(category);
+
+        -- Guest song requests awaiting admin approval
+        CREATE TABLE IF NOT EXISTS song_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          track_data TEXT NOT NULL,
+          track_key TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'local',
+          requested_by TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          requested_at INTEGER NOT NULL,
+          decided_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_song_requests_status ON song_requests(status, requested_at);
+
+        -- Pay-to-play credits (session = kiosk or phone device id)
+        CREATE TABLE IF NOT EXISTS credit_balances (
+          session_id TEXT PRIMARY KEY,
+          balance INTEGER NOT NULL DEFAULT 0,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS credit_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          amount INTEGER NOT NULL,
+          reason TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_credit_transactions_session ON credit_transactions(session_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS credit_packs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          credits INTEGER NOT NULL,
+          price TEXT,
+          sort_order INTEGER DEFAULT 0
+        );
+
+        INSERT INTO credit_packs (name, credits, price, sort_order)
+        SELECT '1 Titel', 1, '0,50 €', 1 WHERE NOT EXISTS (SELECT 1 FROM credit_packs)
+        UNION ALL SELECT '3 Titel', 3, '1,00 €', 2 WHERE NOT EXISTS (SELECT 1 FROM credit_packs)
+        UNION ALL SELECT '7 Titel', 7, '2,00 €', 3 WHERE NOT EXISTS (SELECT 1 FROM credit_packs);
       `;
 
       this.db.exec(sql, (err) => {
@@ -416,6 +461,244 @@ class AppDatabase {
     });
   }
 
+  // ==========================================
+  // SONG REQUEST METHODS
+  // ==========================================
+
+  async createSongRequest({ track, trackKey, source, requestedBy }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO song_requests (track_data, track_key, source, requested_by, status, requested_at)
+        VALUES (?, ?, ?, ?, 'pending', ?)
+      `;
+
+      this.db.run(sql, [JSON.stringify(track), trackKey, source, requestedBy || null, Date.now()], function(err) {
+        if (err) {
+          console.error('❌ Failed to create song request:', err);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Requests with the given status (all if null), oldest first
+  async getSongRequests(status = 'pending', limit = 100) {
+    return new Promise((resolve, reject) => {
+      const sql = status
+        ? `SELECT * FROM song_requests WHERE status = ? ORDER BY requested_at ASC LIMIT ?`
+        : `SELECT * FROM song_requests ORDER BY requested_at DESC LIMIT ?`;
+      const params = status ? [status, limit] : [limit];
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('❌ Failed to get song requests:', err);
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => this.parseSongRequest(row)));
+        }
+      });
+    });
+  }
+
+  async getSongRequest(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM song_requests WHERE id = ?`, [id], (err, row) => {
+        if (err) {
+          console.error('❌ Failed to get song request:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseSongRequest(row) : null);
+        }
+      });
+    });
+  }
+
+  async isSongRequestPending(trackKey) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT 1 FROM song_requests WHERE track_key = ? AND status = 'pending' LIMIT 1`;
+
+      this.db.get(sql, [trackKey], (err, row) => {
+        if (err) {
+          console.error('❌ Failed to check pending song requests:', err);
+          reject(err);
+        } else {
+          resolve(!!row);
+        }
+      });
+    });
+  }
+
+  async updateSongRequestStatus(id, status) {
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE song_requests SET status = ?, decided_at = ? WHERE id = ?`;
+
+      this.db.run(sql, [status, Date.now(), id], function(err) {
+        if (err) {
+          console.error('❌ Failed to update song request:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  parseSongRequest(row) {
+    return {
+      id: row.id,
+      track: JSON.parse(row.track_data),
+      source: row.source,
+      requestedBy: row.requested_by,
+      status: row.status,
+      requestedAt: row.requested_at,
+      decidedAt: row.decided_at
+    };
+  }
+
+  // ==========================================
+  // CREDIT METHODS
+  // ==========================================
+
+  async getCreditBalance(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT balance FROM credit_balances WHERE session_id = ?`, [sessionId], (err, row) => {
+        if (err) {
+          console.error('❌ Failed to get credit balance:', err);
+          reject(err);
+        } else {
+          resolve(row ? row.balance : 0);
+        }
+      });
+    });
+  }
+
+  logCreditTransaction(sessionId, amount, reason) {
+    const sql = `INSERT INTO credit_transactions (session_id, amount, reason, created_at) VALUES (?, ?, ?, ?)`;
+    this.db.run(sql, [sessionId, amount, reason || null, Date.now()], (err) => {
+      if (err) console.error('❌ Failed to log credit transaction:', err);
+    });
+  }
+
+  // Top-ups, coins and refunds; resolves with the new balance
+  async addCredits(sessionId, amount, reason) {
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO credit_balances (session_id, balance, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(session_id) DO UPDATE SET balance = balance + excluded.balance, updated_at = excluded.updated_at
+      `;
+
+      this.db.run(sql, [sessionId, amount, Date.now()], (err) => {
+        if (err) {
+          console.error('❌ Failed to add credits:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    this.logCreditTransaction(sessionId, amount, reason);
+    return this.getCreditBalance(sessionId);
+  }
+
+  // Atomic: never goes below zero. Resolves with { success, balance }
+  async spendCredits(sessionId, amount, reason) {
+    const changes = await new Promise((resolve, reject) => {
+      const sql = `UPDATE credit_balances SET balance = balance - ?, updated_at = ? WHERE session_id = ? AND balance >= ?`;
+
+      this.db.run(sql, [amount, Date.now(), sessionId, amount], function(err) {
+        if (err) {
+          console.error('❌ Failed to spend credits:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+
+    if (changes > 0) {
+      this.logCreditTransaction(sessionId, -amount, reason);
+    }
+    return { success: changes > 0, balance: await this.getCreditBalance(sessionId) };
+  }
+
+  async getCreditPacks() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`SELECT * FROM credit_packs ORDER BY sort_order ASC, credits ASC`, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Failed to get credit packs:', err);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async getCreditPack(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM credit_packs WHERE id = ?`, [id], (err, row) => {
+        if (err) {
+          console.error('❌ Failed to get credit pack:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  async createCreditPack({ name, credits, price }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO credit_packs (name, credits, price, sort_order)
+        VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM credit_packs))
+      `;
+
+      this.db.run(sql, [name, credits, price || null], function(err) {
+        if (err) {
+          console.error('❌ Failed to create credit pack:', err);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async deleteCreditPack(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM credit_packs WHERE id = ?`, [id], function(err) {
+        if (err) {
+          console.error('❌ Failed to delete credit pack:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Price in credits (settings credits.localPrice / credits.spotifyPrice)
+  getTrackPrice(track) {
+    const price = track.type === 'spotify'
+      ? this.getSetting('credits', 'spotifyPrice', 2)
+      : this.getSetting('credits', 'localPrice', 1);
+    return Math.max(0, parseInt(price, 10) || 0);
+  }
+
+  // Free-play window "HH:MM"-"HH:MM" (may span midnight); equal or empty = none
+  isFreePlayTime(date = new Date()) {
+    const start = parseTimeOfDay(this.getSetting('credits', 'freePlayStart', ''));
+    const end = parseTimeOfDay(this.getSetting('credits', 'freePlayEnd', ''));
+    if (start === null || end === null || start === end) return false;
+
+    const now = date.getHours() * 60 + date.getMinutes();
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
   // ==========================================
   // SETTINGS MANAGEMENT METHODS
   // ==========================================
@@ -0,0 +1,115 @@
+// Artist credits: "A feat. B", "A & B" or multi-value artist tags -> one entry per credited artist.
+// Separators and names that must stay whole come from config.json ("artists"), see DEFAULT_OPTIONS.
+// Also the album artist, which groups compilations into one album.
+
+const DEFAULT_OPTIONS = {
+  // Artists after one of these are featured guests
+  featuring: ['feat.', 'feat', 'ft.', 'ft', 'featuring'],
+  // Co-artists; also what music-metadata joins multi-value tags with ("A, B & C")
+  separators: [',', '&', ';', '/', 'vs.'],
+  // Band names containing a separator
+  exceptions: ['Simon & Garfunkel', 'Earth, Wind & Fire', 'Crosby, Stills, Nash & Young', 'Hall & Oates']
+};
+
+// Album artist of compilations without an album artist tag
+const VARIOUS_ARTISTS = 'Various Artists';
+// Album artist tags that mark a compilation even without the compilation flag (TCMP/cpil)
+const VARIOUS_ARTISTS_TAGS = ['various artists', 'various', 'va', 'v.a.', 'verschiedene interpreten', 'diverse interpreten'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function resolveOptions(options = {}) {
+  return {
+    featuring: options.featuring || DEFAULT_OPTIONS.featuring,
+    separators: options.separators || DEFAULT_OPTIONS.separators,
+    exceptions: options.exceptions || DEFAULT_OPTIONS.exceptions
+  };
+}
+
+/**
+ * One artist tag value -> [{ name, role: 'main' | 'featured' }].
+ * Separators need whitespace around them (", " only after the word), so "AC/DC" or "Ke$ha" stay whole;
+ * a part starting with "the" stays with the one before it ("Kool & the Gang", "Tyler, the Creator").
+ */
+function splitArtistCredit(credit, options = {}) {
+  const { featuring, separators, exceptions } = resolveOptions(options);
+  let text = String(credit || '').trim();
+  if (!text) return [];
+
+  // Keep exceptions whole behind placeholders
+  const protectedNames = [];
+  for (const name of exceptions) {
+    text = text.replace(new RegExp(escapeRegExp(name), 'gi'), (found) => {
+      protectedNames.push(found);
+      return `\u0000${protectedNames.length - 1}\u0000`;
+    });
+  }
+  const restore = (part) => part.replace(/\u0000(\d+)\u0000/g, (_, index) => protectedNames[index]);
+
+  const featuringPattern = featuring.map(escapeRegExp).join('|');
+  // "A (feat. B)" -> "A feat. B"
+  text = text.replace(new RegExp(`\\s*[(\\[]\\s*((?:${featuringPattern})\\s[^)\\]]+)[)\\]]`, 'gi'), ' $1');
+
+  const [main, ...guests] = text.split(new RegExp(`\\s+(?:${featuringPattern})\\s+`, 'i'));
+  const separatorPattern = new RegExp(
+    `(${separators.map(separator => (/^[,;]$/.test(separator) ? `${escapeRegExp(separator)}\\s+` : `\\s+${escapeRegExp(separator)}\\s+`)).join('|')})`,
+    'i'
+  );
+
+  const splitNames = (part) => {
+    const pieces = part.split(separatorPattern);
+    const names = [pieces[0]];
+    for (let i = 1; i < pieces.length; i += 2) {
+      if (/^the\s/i.test(pieces[i + 1])) {
+        names[names.length - 1] += pieces[i] + pieces[i + 1];
+      } else {
+        names.push(pieces[i + 1]);
+      }
+    }
+    return names.map(name => restore(name).trim()).filter(Boolean);
+  };
+
+  return [
+    ...splitNames(main).map(name => ({ name, role: 'main' })),
+    ...guests.flatMap(splitNames).map(name => ({ name, role: 'featured' }))
+  ];
+}
+
+/**
+ * Credits of a track: multi-value artist frames (music-metadata's common.artists) when the file has
+ * several, otherwise the split artist tag. Each artist appears once, main credits first.
+ */
+function creditArtists(artist, artistValues = [], options = {}) {
+  const values = artistValues && artistValues.length > 1 ? artistValues : [artist];
+  const credits = values.flatMap(value => splitArtistCredit(value, options));
+
+  const seen = new Set();
+  return credits
+    .sort((a, b) => (a.role === b.role ? 0 : a.role === 'main' ? -1 : 1))
+    .filter(({ name }) => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Album artist and compilation flag from parsed tags (music-metadata's common).
+ * Compilations keep their tagged album artist, otherwise they are grouped under VARIOUS_ARTISTS.
+ */
+function creditAlbum(common) {
+  const albumArtist = String(common.albumartist || '').trim();
+  const compilation = Boolean(common.compilation) || VARIOUS_ARTISTS_TAGS.includes(albumArtist.toLowerCase());
+  return {
+    album_artist: albumArtist || (compilation ? VARIOUS_ARTISTS : common.artist),
+    compilation
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  splitArtistCredit,
+  creditArtists,
+  creditAlbum
+};
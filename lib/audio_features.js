@@ -0,0 +1,168 @@
+// Tempo and key estimation from decoded mono PCM (Float32Array), used by the
+// scanner for tracks without TBPM/TKEY tags. Deliberately simple: an energy
+// onset curve with autocorrelation for the tempo, a chromagram matched against
+// the Krumhansl-Kessler key profiles for the key.
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const PREFERRED_BPM = 120; // ties between half/double tempo go towards this
+
+const ONSET_HOP = 64;
+const ONSET_WINDOW = 512;
+const CHROMA_FRAME = 8192;
+const LOWEST_NOTE = 40;  // E2
+const HIGHEST_NOTE = 83; // B5
+
+function pearson(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let numerator = 0;
+  let denomA = 0;
+  let denomB = 0;
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    denomA += (a[i] - meanA) ** 2;
+    denomB += (b[i] - meanB) ** 2;
+  }
+  return denomA > 0 && denomB > 0 ? numerator / Math.sqrt(denomA * denomB) : 0;
+}
+
+// Positive changes of log energy, one value per hop
+function onsetCurve(samples) {
+  const prefix = new Float64Array(samples.length + 1);
+  for (let i = 0; i < samples.length; i++) {
+    prefix[i + 1] = prefix[i] + samples[i] * samples[i];
+  }
+
+  const frames = Math.floor((samples.length - ONSET_WINDOW) / ONSET_HOP);
+  if (frames < 2) return null;
+
+  const curve = new Float64Array(frames);
+  let previous = null;
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * ONSET_HOP;
+    const energy = Math.log(1e-9 + (prefix[start + ONSET_WINDOW] - prefix[start]) / ONSET_WINDOW);
+    curve[frame] = previous === null ? 0 : Math.max(0, energy - previous);
+    previous = energy;
+  }
+
+  const mean = curve.reduce((sum, value) => sum + value, 0) / frames;
+  return curve.map(value => value - mean);
+}
+
+/**
+ * Beats per minute (one decimal) or null for silence / no clear pulse.
+ */
+function estimateBpm(samples, sampleRate) {
+  const curve = onsetCurve(samples);
+  if (!curve) return null;
+
+  const framesPerSecond = sampleRate / ONSET_HOP;
+  const minLag = Math.floor(framesPerSecond * 60 / MAX_BPM);
+  const maxLag = Math.ceil(framesPerSecond * 60 / MIN_BPM);
+  if (maxLag + 1 >= curve.length) return null;
+
+  let zeroLag = 0;
+  for (let i = 0; i < curve.length; i++) zeroLag += curve[i] * curve[i];
+  if (zeroLag <= 0) return null;
+
+  const correlation = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < curve.length; i++) sum += curve[i] * curve[i - lag];
+    correlation[lag] = sum / (curve.length - lag);
+  }
+
+  let bestLag = null;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (correlation[lag] < correlation[lag - 1] || correlation[lag] < correlation[lag + 1]) continue;
+    // Log-normal preference around PREFERRED_BPM against octave errors
+    const bpm = framesPerSecond * 60 / lag;
+    const preference = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM) / 0.9) ** 2);
+    const score = correlation[lag] * preference;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  // Too weak compared to the signal's own energy: no steady beat
+  if (bestLag === null || correlation[bestLag] / (zeroLag / curve.length) < 0.05) return null;
+
+  // Parabolic interpolation between the neighbouring lags
+  const left = correlation[bestLag - 1];
+  const centre = correlation[bestLag];
+  const right = correlation[bestLag + 1];
+  const denominator = left - 2 * centre + right;
+  const offset = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / denominator)) : 0;
+
+  return Math.round(framesPerSecond * 600 / (bestLag + offset)) / 10;
+}
+
+// Energy per pitch class (Goertzel filters on the notes E2-B5)
+function chromagram(samples, sampleRate) {
+  const window = new Float64Array(CHROMA_FRAME);
+  for (let i = 0; i < CHROMA_FRAME; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (CHROMA_FRAME - 1));
+  }
+
+  const notes = [];
+  for (let note = LOWEST_NOTE; note <= HIGHEST_NOTE; note++) {
+    const frequency = 440 * Math.pow(2, (note - 69) / 12);
+    if (frequency < sampleRate / 2) {
+      notes.push({ pitchClass: note % 12, coefficient: 2 * Math.cos(2 * Math.PI * frequency / sampleRate) });
+    }
+  }
+
+  const chroma = new Array(12).fill(0);
+  const frame = new Float64Array(CHROMA_FRAME);
+  for (let start = 0; start + CHROMA_FRAME <= samples.length; start += CHROMA_FRAME) {
+    for (let i = 0; i < CHROMA_FRAME; i++) frame[i] = samples[start + i] * window[i];
+
+    const frameChroma = new Array(12).fill(0);
+    for (const { pitchClass, coefficient } of notes) {
+      let previous = 0;
+      let beforePrevious = 0;
+      for (let i = 0; i < CHROMA_FRAME; i++) {
+        const current = frame[i] + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+      }
+      const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+      frameChroma[pitchClass] += Math.sqrt(Math.max(0, power));
+    }
+
+    // Every frame counts the same, loud passages do not dominate
+    const total = frameChroma.reduce((sum, value) => sum + value, 0);
+    if (total > 0) frameChroma.forEach((value, pitchClass) => { chroma[pitchClass] += value / total; });
+  }
+  return chroma;
+}
+
+/**
+ * Key like "Am" or "F#" (see lib/track_similarity.js normalizeKey) or null.
+ */
+function estimateKey(samples, sampleRate) {
+  const chroma = chromagram(samples, sampleRate);
+  if (chroma.every(value => value === 0)) return null;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+    for (const [profile, minor] of [[MAJOR_PROFILE, false], [MINOR_PROFILE, true]]) {
+      const score = pearson(rotated, profile);
+      if (!best || score > best.score) best = { score, key: NOTE_NAMES[tonic] + (minor ? 'm' : '') };
+    }
+  }
+  return best.score > 0 ? best.key : null;
+}
+
+module.exports = {
+  estimateBpm,
+  estimateKey
+};
@@ -0,0 +1,318 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const ffmpegPath = require('ffmpeg-static');
+
+// Output formats the transcoder can produce
+const TARGET_FORMATS = {
+  mp3: {
+    extension: '.mp3',
+    mimeType: 'audio/mpeg',
+    codecArgs: ['-c:a', 'libmp3lame'],
+    defaultQualityArgs: ['-q:a', '2'],
+    containerArgs: ['-f', 'mp3']
+  },
+  opus: {
+    extension: '.opus',
+    mimeType: 'audio/ogg; codecs=opus',
+    codecArgs: ['-c:a', 'libopus'],
+    defaultQualityArgs: ['-b:a', '160k'],
+    containerArgs: ['-f', 'ogg']
+  }
+};
+
+// Bandwidth profiles for the ?quality= stream parameter (kbit/s per target format)
+const QUALITY_PROFILES = {
+  high: { mp3: 256, opus: 160 },
+  medium: { mp3: 160, opus: 96 },
+  low: { mp3: 96, opus: 64, sampleRate: 44100 }
+};
+
+/**
+ * On-the-fly ffmpeg transcoder with a persistent file cache.
+ * Conversions are written to "<key>.<ext>.part" and renamed once complete,
+ * so clients can stream the growing file while ffmpeg is still running.
+ */
+class AudioTranscoder {
+  constructor(cacheDir, jobs = new Map()) {
+    this.cacheDir = cacheDir;
+    this.jobs = jobs; // cacheKey -> running/failed conversion job
+  }
+
+  static isSupportedTarget(format) {
+    return Object.prototype.hasOwnProperty.call(TARGET_FORMATS, format);
+  }
+
+  static getTargetMimeType(format) {
+    return TARGET_FORMATS[format].mimeType;
+  }
+
+  static isSupportedQuality(quality) {
+    return quality === 'original' || Object.prototype.hasOwnProperty.call(QUALITY_PROFILES, quality);
+  }
+
+  // Target bitrate in kbit/s for a quality profile, or null for 'original'
+  static getQualityBitrate(quality, format = 'mp3') {
+    const profile = QUALITY_PROFILES[quality];
+    return profile ? profile[format] : null;
+  }
+
+  getCacheKey(track, format = 'mp3', quality = null) {
+    let key = `${track.id}_${track.file_mtime}`;
+    // Keep the historic "<id>_<mtime>.mp3" name for the default target
+    if (format !== 'mp3') key += `_${format}`;
+    if (quality && quality !== 'original') key += `_${quality}`;
+    return key;
+  }
+
+  getCachePath(track, format = 'mp3', quality = null) {
+    return path.join(this.cacheDir, `${this.getCacheKey(track, format, quality)}${TARGET_FORMATS[format].extension}`);
+  }
+
+  async isCached(track, format = 'mp3', quality = null) {
+    return fs.pathExists(this.getCachePath(track, format, quality));
+  }
+
+  getJob(track, format = 'mp3', quality = null) {
+    return this.jobs.get(this.getCacheKey(track, format, quality)) || null;
+  }
+
+  buildEncoderArgs(format, quality) {
+    const target = TARGET_FORMATS[format];
+    const profile = QUALITY_PROFILES[quality];
+    if (!profile) {
+      return [...target.codecArgs, ...target.defaultQualityArgs, ...target.containerArgs];
+    }
+
+    const args = [...target.codecArgs, '-b:a', `${profile[format]}k`];
+    // Opus always runs at 48 kHz internally, so only resample the MP3 renditions
+    if (profile.sampleRate && format === 'mp3') {
+      args.push('-ar', String(profile.sampleRate));
+    }
+    return [...args, ...target.containerArgs];
+  }
+
+  /**
+   * Start (or join) the conversion of a track. Returns the job object.
+   * quality selects a QUALITY_PROFILES rendition; null keeps full quality.
+   */
+  startConversion(track, sourcePath, format = 'mp3', quality = null) {
+    const key = this.getCacheKey(track, format, quality);
+    const existing = this.jobs.get(key);
+    if (existing && existing.status === 'converting') {
+      return existing;
+    }
+
+    const targetPath = this.getCachePath(track, format, quality);
+    const job = {
+      key,
+      trackId: track.id,
+      format,
+      quality: quality || 'original',
+      status: 'converting',
+      progress: 0,
+      duration: track.duration || null,
+      partPath: `${targetPath}.part`,
+      targetPath,
+      startedAt: Date.now(),
+      error: null,
+      events: new EventEmitter()
+    };
+    job.events.setMaxListeners(0);
+    this.jobs.set(key, job);
+
+    fs.ensureDirSync(this.cacheDir);
+
+    const args = [
+      '-hide_banner', '-loglevel', 'error', '-nostats',
+      '-i', sourcePath,
+      '-vn', '-map', '0:a:0',
+      ...this.buildEncoderArgs(format, quality),
+      '-progress', 'pipe:1',
+      '-y', job.partPath
+    ];
+
+    console.log(`[TRANSCODER] 🔄 Converting track ${track.id} to ${format.toUpperCase()} (${job.quality}): ${path.basename(sourcePath)}`);
+    const ffmpeg = spawn(ffmpegPath, args, { windowsHide: true });
+    let stderr = '';
+    let stdoutBuffer = '';
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      stdoutBuffer += chunk.toString();
+      const lines = stdoutBuffer.split('\n');
+      stdoutBuffer = lines.pop();
+
+      for (const line of lines) {
+        const [name, value] = line.trim().split('=');
+        // out_time_ms is reported in microseconds despite its name
+        if ((name === 'out_time_us' || name === 'out_time_ms') && job.duration) {
+          const seconds = parseInt(value, 10) / 1000000;
+          if (isFinite(seconds)) {
+            job.progress = Math.min(0.99, Math.max(job.progress, seconds / job.duration));
+          }
+        } else if (name === 'progress') {
+          job.events.emit('progress', job.progress);
+        }
+      }
+    });
+
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    const fail = async (error) => {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Conversion failed for track ${track.id}:`, error.message);
+      await fs.remove(job.partPath).catch(() => {});
+      job.events.emit('failed', error);
+    };
+
+    ffmpeg.on('error', fail);
+
+    ffmpeg.on('close', async (code) => {
+      if (job.status !== 'converting') return;
+
+      if (code !== 0) {
+        await fail(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+        return;
+      }
+
+      try {
+        await fs.move(job.partPath, job.targetPath, { overwrite: true });
+        job.status = 'done';
+        job.progress = 1;
+        this.jobs.delete(key);
+        console.log(`[TRANSCODER] ✅ Converted track ${track.id} in ${((Date.now() - job.startedAt) / 1000).toFixed(1)}s`);
+        job.events.emit('done');
+      } catch (error) {
+        await fail(error);
+      }
+    });
+
+    return job;
+  }
+
+  /**
+   * Pipe a running conversion to an HTTP response, following the growing
+   * .part file until ffmpeg has finished.
+   */
+  async streamJob(job, res) {
+    let fd = null;
+    let closed = res.destroyed;
+    res.on('close', () => { closed = true; });
+
+    // A client that disconnects never drains, so stop waiting on close/error as well
+    const waitForDrain = () => new Promise((resolve) => {
+      function done() {
+        res.removeListener('drain', done);
+        res.removeListener('close', done);
+        res.removeListener('error', done);
+        resolve();
+      }
+      if (res.destroyed) return resolve();
+      res.once('drain', done);
+      res.once('close', done);
+      res.once('error', done);
+    });
+
+    const waitForData = () => new Promise((resolve) => {
+      const timer = setTimeout(done, 250);
+      function done() {
+        clearTimeout(timer);
+        job.events.removeListener('progress', done);
+        job.events.removeListener('done', done);
+        job.events.removeListener('failed', done);
+        resolve();
+      }
+      job.events.once('progress', done);
+      job.events.once('done', done);
+      job.events.once('failed', done);
+    });
+
+    try {
+      // ffmpeg may not have created the output file yet
+      while (!fd && !closed) {
+        if (job.status === 'failed') throw new Error(job.error || 'Conversion failed');
+        const readPath = job.status === 'done' ? job.targetPath : job.partPath;
+        try {
+          fd = await fs.open(readPath, 'r');
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          await waitForData();
+        }
+      }
+
+      const buffer = Buffer.alloc(64 * 1024);
+      let position = 0;
+
+      while (!closed) {
+        const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, position);
+
+        if (bytesRead > 0) {
+          position += bytesRead;
+          if (!res.write(Buffer.from(buffer.subarray(0, bytesRead)))) {
+            await waitForDrain();
+          }
+          continue;
+        }
+
+        if (job.status === 'done') break;
+        if (job.status === 'failed') throw new Error(job.error || 'Conversion failed');
+        await waitForData();
+      }
+
+      if (!closed) res.end();
+    } catch (error) {
+      console.error(`❌ Streaming conversion of track ${job.trackId} failed:`, error.message);
+      res.destroy(error);
+    } finally {
+      if (fd) await fs.close(fd).catch(() => {});
+    }
+  }
+
+  async getStatus(track, format = 'mp3', quality = null) {
+    if (await this.isCached(track, format, quality)) {
+      return { status: 'cached', isCached: true, progress: 100 };
+    }
+
+    const job = this.getJob(track, format, quality);
+    if (job) {
+      return {
+        status: job.status === 'failed' ? 'failed' : 'converting',
+        isCached: false,
+        progress: Math.round(job.progress * 100),
+        error: job.error || undefined
+      };
+    }
+
+    return { status: 'will-convert', isCached: false, progress: 0 };
+  }
+
+  /**
+   * Remove leftover .part files and cache entries rejected by isCurrent(fileName).
+   */
+  async cleanup(isCurrent = () => true) {
+    if (!await fs.pathExists(this.cacheDir)) return 0;
+
+    const running = new Set(Array.from(this.jobs.values())
+      .filter(job => job.status === 'converting')
+      .map(job => path.basename(job.partPath)));
+
+    let removed = 0;
+    for (const file of await fs.readdir(this.cacheDir)) {
+      if (running.has(file)) continue;
+      if (file.endsWith('.part') || !await isCurrent(file)) {
+        await fs.remove(path.join(this.cacheDir, file));
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+AudioTranscoder.TARGET_FORMATS = TARGET_FORMATS;
+AudioTranscoder.QUALITY_PROFILES = QUALITY_PROFILES;
+
+module.exports = AudioTranscoder;
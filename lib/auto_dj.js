@@ -0,0 +1,221 @@
+const QueueManager = require('./queue_manager');
+const { GENRE_FAMILIES, getGenreFamilies } = require('./valid_genres');
+const { scoreSimilarity } = require('./track_similarity');
+const { parseTimeOfDay } = require('./time_of_day');
+
+const CANDIDATE_LIMIT = 300;
+const ARTIST_SEPARATION = 3; // no artist twice within this many upcoming tracks
+const SIMILARITY_SHARE = 0.8; // rest of the score: popularity and freshness
+
+/**
+ * Auto-DJ picks from the local library, so the jukebox keeps playing without Spotify.
+ *
+ * Candidates come from the tracks table (optional genre/decade filters from the
+ * 'autodj' settings, lock time via last_played). Every pick continues from the
+ * track before it: candidates are ranked by similarity (lib/track_similarity.js),
+ * with a smaller share for popularity and freshness. The "variety" setting
+ * (0-100) widens the pool the pick is drawn from; 0 always takes the best match.
+ * If the filters leave nothing, they are relaxed step by step.
+ *
+ * 'autodj.smartPlaylistId' limits the library to a smart playlist (lib/smart_playlist_rules.js),
+ * evaluated on every pick so it follows the library.
+ *
+ * Dayparting: 'autodj.schedule' is a list of slots
+ *   { id, name, days: [0-6, 0 = Sunday; empty = daily], start: "HH:MM", end: "HH:MM",
+ *     source: 'local' | 'smart' | 'playlists', genres, decades, smartPlaylistId, playlistIds }
+ * The first slot covering the current time wins. A slot ending before it starts
+ * runs past midnight and belongs to the day it starts on. Local and smart slots replace
+ * the filters here; playlist slots are played by the kiosk (jukebox.js).
+ */
+class AutoDj {
+  constructor(musicDB, appDB, queueManager) {
+    this.musicDB = musicDB;
+    this.appDB = appDB;
+    this.queueManager = queueManager;
+  }
+
+  async getFilters(date = new Date()) {
+    const slot = this.getActiveSlot(date);
+    if (slot && slot.source === 'local') {
+      return { genres: slot.genres, decades: slot.decades, rules: null };
+    }
+    if (slot && slot.source === 'smart') {
+      return { genres: [], decades: [], rules: await this.getSmartPlaylistRules(slot.smartPlaylistId) };
+    }
+
+    const toList = (value) => Array.isArray(value) ? value : [];
+    return {
+      genres: toList(this.appDB.getSetting('autodj', 'genres', [])).map(String).filter(Boolean),
+      decades: toList(this.appDB.getSetting('autodj', 'decades', [])).map(Number).filter(Boolean),
+      rules: await this.getSmartPlaylistRules(parseInt(this.appDB.getSetting('autodj', 'smartPlaylistId', 0), 10))
+    };
+  }
+
+  // null for no / deleted / static playlists, so the Auto-DJ falls back to the whole library
+  async getSmartPlaylistRules(playlistId) {
+    return playlistId ? this.musicDB.getPlaylistRules(playlistId) : null;
+  }
+
+  // Settings come from the admin editor; anything malformed is dropped
+  static normalizeSlot(slot, index) {
+    if (!slot || typeof slot !== 'object') return null;
+    const start = parseTimeOfDay(slot.start);
+    const end = parseTimeOfDay(slot.end);
+    if (start === null || end === null || start === end) return null;
+
+    const toList = (value) => Array.isArray(value) ? value : [];
+    return {
+      id: slot.id || `slot-${index + 1}`,
+      name: String(slot.name || '').trim() || `${slot.start}-${slot.end}`,
+      // Only real weekday numbers: Number('') or Number(null) would silently mean Sunday
+      days: toList(slot.days).filter(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      start: slot.start,
+      end: slot.end,
+      source: ['playlists', 'smart'].includes(slot.source) ? slot.source : 'local',
+      genres: toList(slot.genres).map(String).filter(Boolean),
+      decades: toList(slot.decades).map(Number).filter(Boolean),
+      smartPlaylistId: parseInt(slot.smartPlaylistId, 10) || null,
+      playlistIds: toList(slot.playlistIds).map(Number).filter(Boolean)
+    };
+  }
+
+  static isSlotActive(slot, date) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = parseTimeOfDay(slot.start);
+    const end = parseTimeOfDay(slot.end);
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const onDay = (day) => slot.days.length === 0 || slot.days.includes(day);
+
+    if (start < end) return onDay(today) && now >= start && now < end;
+    return (onDay(today) && now >= start) || (onDay(yesterday) && now < end);
+  }
+
+  getSchedule() {
+    const schedule = this.appDB.getSetting('autodj', 'schedule', []);
+    return (Array.isArray(schedule) ? schedule : [])
+      .map((slot, index) => AutoDj.normalizeSlot(slot, index))
+      .filter(Boolean);
+  }
+
+  getActiveSlot(date = new Date()) {
+    return this.getSchedule().find(slot => AutoDj.isSlotActive(slot, date)) || null;
+  }
+
+  getVariety() {
+    const variety = parseInt(this.appDB.getSetting('autodj', 'variety', 30), 10);
+    return isNaN(variety) ? 0.3 : Math.min(Math.max(variety, 0), 100) / 100;
+  }
+
+  // The last queued track is where the next pick continues from
+  getContext() {
+    const { queue } = this.queueManager;
+    return {
+      seed: queue[queue.length - 1] || null,
+      recentArtists: queue.slice(-ARTIST_SEPARATION).map(entry => AutoDj.normalizeArtist(entry.artist))
+    };
+  }
+
+  static normalizeArtist(artist) {
+    return (artist || '').trim().toLowerCase();
+  }
+
+  // last_played is stored as UTC "YYYY-MM-DD HH:MM:SS"
+  static hoursSince(lastPlayed) {
+    if (!lastPlayed) return null;
+    const time = new Date(String(lastPlayed).replace(' ', 'T') + 'Z').getTime();
+    return isNaN(time) ? null : (Date.now() - time) / 3600000;
+  }
+
+  // Played tracks rank higher, recently played ones lower
+  static getBaseWeight(track) {
+    const popularity = Math.log2(2 + (track.play_count || 0));
+    const hours = AutoDj.hoursSince(track.last_played);
+    const freshness = hours === null ? 1 : Math.min(1, 0.1 + hours / 72);
+    return popularity * freshness;
+  }
+
+  static chooseNext(candidates, seed, coPlays, variety) {
+    const maxBase = Math.max(...candidates.map(AutoDj.getBaseWeight)) || 1;
+    const ranked = candidates
+      .map(track => {
+        const similarity = seed ? scoreSimilarity(seed, track, { coPlays }) : 0;
+        const base = AutoDj.getBaseWeight(track) / maxBase;
+        return { track, score: SIMILARITY_SHARE * similarity + (1 - SIMILARITY_SHARE) * base };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    // Without a seed there is nothing to continue from - never start with the same track
+    const spread = seed ? variety : Math.max(variety, 0.3);
+    if (spread === 0) return ranked[0].track;
+
+    const pool = ranked.slice(0, Math.max(1, Math.ceil(ranked.length * spread)));
+    const total = pool.reduce((sum, { score }) => sum + score + 0.01, 0);
+    let target = Math.random() * total;
+    for (const candidate of pool) {
+      target -= candidate.score + 0.01;
+      if (target <= 0) return candidate.track;
+    }
+    return pool[pool.length - 1].track;
+  }
+
+  // Random candidates plus tracks from the seed's genre family, so good matches are in the pool
+  async loadCandidates(attempt, seed) {
+    const candidates = await this.musicDB.getAutoDjCandidates({ ...attempt, limit: CANDIDATE_LIMIT });
+    if (!seed || !seed.genre || attempt.genres.length > 0) return candidates;
+
+    const familyGenres = [seed.genre, ...getGenreFamilies(seed.genre).flatMap(family => GENRE_FAMILIES[family])];
+    const related = await this.musicDB.getAutoDjCandidates({ ...attempt, genres: [...new Set(familyGenres)], limit: CANDIDATE_LIMIT });
+    const ids = new Set(candidates.map(track => track.id));
+    return [...candidates, ...related.filter(track => !ids.has(track.id))];
+  }
+
+  /**
+   * Up to `count` library rows that can be queued now, each continuing from the previous one.
+   * Resolves with [{ track, ignoreLockTime }]; ignoreLockTime is set for the last resort pass.
+   */
+  async pickTracks(count) {
+    const filters = await this.getFilters();
+    const variety = this.getVariety();
+    const lockMinutes = parseInt(this.appDB.getSetting('admin', 'trackLockTimeMinutes', 60), 10) || 0;
+    const attempts = [
+      { ...filters, lockMinutes, ignoreLockTime: false },
+      { genres: [], decades: [], rules: null, lockMinutes, ignoreLockTime: false },
+      { genres: [], decades: [], rules: null, lockMinutes: 0, ignoreLockTime: true }
+    ];
+
+    let { seed, recentArtists } = this.getContext();
+    const picks = [];
+    const pickedIds = new Set();
+
+    for (const attempt of attempts) {
+      if (picks.length >= count) break;
+
+      const candidates = (await this.loadCandidates(attempt, seed))
+        .filter(track => !pickedIds.has(track.id))
+        .filter(track => !this.queueManager.checkTrack(QueueManager.normalizeTrack({ ...track, type: 'server' }), {
+          ignoreLockTime: attempt.ignoreLockTime,
+          ignoreQuota: true
+        }));
+
+      while (picks.length < count && candidates.length > 0) {
+        const artists = new Set(recentArtists.slice(-ARTIST_SEPARATION));
+        const eligible = candidates.filter(track => !artists.has(AutoDj.normalizeArtist(track.artist)));
+        // Small libraries: rather repeat an artist than stop the music
+        const pool = eligible.length > 0 ? eligible : candidates;
+
+        const coPlays = seed && seed.id && seed.type !== 'spotify' ? await this.musicDB.getCoPlayCounts(seed.id) : null;
+        const chosen = AutoDj.chooseNext(pool, seed, coPlays, variety);
+
+        candidates.splice(candidates.indexOf(chosen), 1);
+        pickedIds.add(chosen.id);
+        picks.push({ track: chosen, ignoreLockTime: attempt.ignoreLockTime });
+        recentArtists = [...recentArtists, AutoDj.normalizeArtist(chosen.artist)];
+        seed = chosen;
+      }
+    }
+    return picks;
+  }
+}
+
+module.exports = AutoDj;
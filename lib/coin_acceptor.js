@@ -0,0 +1,88 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const DRIVERS = ['none', 'http', 'serial'];
+const REOPEN_DELAY_MS = 5000;
+
+/**
+ * Coin acceptor input for the pay-to-play mode (config.json "coinAcceptor").
+ *
+ *   http   - POST /api/credits/coin from the jukebox machine (default; also
+ *            what a small script next to a GPIO/USB acceptor would call)
+ *   serial - reads lines from a device or named pipe: a number is a pulse
+ *            count, any other non-empty line counts as one pulse. Port speed
+ *            etc. are set outside (stty), so no native serial module is needed.
+ *
+ * Emits 'coin' with { credits, pulses, source }.
+ */
+class CoinAcceptor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.driver = DRIVERS.includes(options.driver) ? options.driver : 'http';
+    this.device = options.device || null;
+    this.creditsPerPulse = Math.max(1, parseInt(options.creditsPerPulse, 10) || 1);
+    this.stream = null;
+    this.reopenTimer = null;
+    this.stopped = true;
+  }
+
+  get acceptsHttp() {
+    return this.driver === 'http';
+  }
+
+  start() {
+    this.stopped = false;
+    if (this.driver === 'serial') {
+      this.openSerial();
+    }
+    console.log(`[COINS] 🪙 Coin acceptor: ${this.driver}${this.device ? ` (${this.device})` : ''}`);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reopenTimer);
+    if (this.stream) {
+      this.stream.destroy();
+      this.stream = null;
+    }
+  }
+
+  insert(pulses = 1, source = this.driver) {
+    const count = parseInt(pulses, 10);
+    if (!(count > 0)) return null;
+
+    const coin = { credits: count * this.creditsPerPulse, pulses: count, source };
+    this.emit('coin', coin);
+    return coin;
+  }
+
+  openSerial() {
+    if (!this.device) {
+      console.warn('[COINS] ⚠️ Serial coin acceptor without "device" - disabled');
+      return;
+    }
+
+    let buffer = '';
+    this.stream = fs.createReadStream(this.device, { encoding: 'utf8' });
+    this.stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.map(line => line.trim()).filter(Boolean).forEach(line => {
+        this.insert(/^\d+$/.test(line) ? parseInt(line, 10) : 1, 'serial');
+      });
+    });
+    this.stream.on('error', (error) => {
+      console.warn(`[COINS] ⚠️ Coin acceptor ${this.device}: ${error.message}`);
+    });
+    // Named pipes end when the writer closes; devices when unplugged
+    this.stream.on('close', () => {
+      this.stream = null;
+      if (!this.stopped) {
+        this.reopenTimer = setTimeout(() => this.openSerial(), REOPEN_DELAY_MS);
+      }
+    });
+  }
+}
+
+module.exports = CoinAcceptor;
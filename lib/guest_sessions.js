@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'jukebox_guest';
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Guest ids for phones (credits, request quotas, votes), issued by the server in a signed cookie,
+ * so a phone can neither pick its own id nor use another phone's.
+ */
+class GuestSessions {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  sign(id) {
+    return crypto.createHmac('sha256', this.secret).update(id).digest('hex').slice(0, 32);
+  }
+
+  // Guest id from a Cookie header; null if missing or not signed by this server
+  read(cookieHeader) {
+    const cookie = String(cookieHeader || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${COOKIE_NAME}=`));
+    if (!cookie) return null;
+
+    const [id, signature] = cookie.slice(COOKIE_NAME.length + 1).split('.');
+    if (!id || !signature) return null;
+    const expected = this.sign(id);
+    if (signature.length !== expected.length) return null;
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? id : null;
+  }
+
+  // New guest id plus the Set-Cookie header value that carries it
+  create() {
+    const id = crypto.randomBytes(12).toString('hex');
+    return {
+      id,
+      cookie: `${COOKIE_NAME}=${id}.${this.sign(id)}; Path=/; Max-Age=${COOKIE_MAX_AGE_SECONDS}; HttpOnly; SameSite=Strict`
+    };
+  }
+}
+
+module.exports = GuestSessions;
@@ -1,9 +1,14 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
+const { normalizeRules, buildRulesQuery } = require('./smart_playlist_rules');
+const { SEARCH_COLUMNS, COLUMN_WEIGHTS, toIndexText, tokenize, findAlternatives, buildMatchQuery, matchesTerms } = require('./search_index');
 
 let isDebuggingEnabled = false;
 
+// Album gain read from tags (album_gain_source 'tag'; rows from before the column count as tagged)
+const TAGGED_ALBUM_GAIN = "(album_gain_source = 'tag' OR (album_gain_source IS NULL AND replaygain_album_gain IS NOT NULL))";
+
 function debugLog(category, ...args) {
   if (isDebuggingEnabled) {
     console.log(`[${category.toUpperCase()}]`, ...args);
@@ -14,6 +19,11 @@ class MusicDatabase {
   constructor(dbPath) {
     this.dbPath = dbPath;
     this.db = null;
+    // Set once tracks_fts exists; without FTS5 searches fall back to LIKE
+    this.ftsAvailable = false;
+    // Bumped on every tracks_fts change; the typo vocabulary is cached per version
+    this.searchIndexVersion = 0;
+    this.searchVocabulary = null;
   }
 
   async init() {
@@ -79,6 +89,7 @@ class MusicDatabase {
         artist TEXT,
         album TEXT,
         album_artist TEXT,
+        compilation BOOLEAN,
         genre TEXT,
         year INTEGER,
         track_number INTEGER,
@@ -90,6 +101,18 @@ class MusicDatabase {
         has_cover BOOLEAN DEFAULT FALSE,
         play_count INTEGER DEFAULT 0,
         last_played DATETIME,
+        loudness_lufs REAL,
+        replaygain_track_gain REAL,
+        replaygain_track_peak REAL,
+        replaygain_album_gain REAL,
+        replaygain_album_peak REAL,
+        album_gain_source TEXT,
+        audio_start REAL,
+        audio_end REAL,
+        bpm REAL,
+        musical_key TEXT,
+        tempo_key_analyzed BOOLEAN DEFAULT FALSE,
+        analysis_failed_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
@@ -151,6 +174,47 @@ class MusicDatabase {
 
       CREATE INDEX IF NOT EXISTS idx_custom_playlists_name ON custom_playlists(name);
 
+      -- Own playlists: local tracks and Spotify tracks in any order.
+      -- Local items keep file_path as well, since a rescan of a changed file assigns a new track id.
+      -- Smart playlists have rules (JSON, see lib/smart_playlist_rules.js) instead of items.
+      CREATE TABLE IF NOT EXISTS playlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        rules TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS playlist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playlist_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        track_id INTEGER,
+        file_path TEXT,
+        spotify_id TEXT,
+        title TEXT,
+        artist TEXT,
+        album TEXT,
+        image_url TEXT,
+        duration REAL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (track_id IS NOT NULL OR spotify_id IS NOT NULL)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_playlist_items_playlist ON playlist_items(playlist_id, position);
+
+      -- Every artist credited on a track ("A feat. B" -> A main, B featured, see lib/artist_credits.js)
+      CREATE TABLE IF NOT EXISTS track_artists (
+        track_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        artist TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'main' CHECK(role IN ('main', 'featured')),
+        PRIMARY KEY (track_id, position)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_track_artists_artist ON track_artists(artist COLLATE NOCASE);
+
       CREATE TABLE IF NOT EXISTS play_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         track_id INTEGER,
@@ -180,6 +244,8 @@ class MusicDatabase {
           debugLog('DB', 'Database tables created/verified');
           // Run migrations after table creation
           this.runMigrations()
+            .then(() => this.runPlaylistMigrations())
+            .then(() => this.createSearchIndex())
             .then(() => resolve())
             .catch(reject);
         }
@@ -199,19 +265,35 @@ class MusicDatabase {
           return;
         }
         
-        const hasPlayCount = columns.some(col => col.name === 'play_count');
-        const hasLastPlayed = columns.some(col => col.name === 'last_played');
+        // Columns added after the initial schema, in the order they were introduced
+        const columnMigrations = [
+          { column: 'play_count', sql: "ALTER TABLE tracks ADD COLUMN play_count INTEGER DEFAULT 0" },
+          { column: 'last_played', sql: "ALTER TABLE tracks ADD COLUMN last_played DATETIME" },
+          { column: 'loudness_lufs', sql: "ALTER TABLE tracks ADD COLUMN loudness_lufs REAL" },
+          { column: 'replaygain_track_gain', sql: "ALTER TABLE tracks ADD COLUMN replaygain_track_gain REAL" },
+          { column: 'replaygain_track_peak', sql: "ALTER TABLE tracks ADD COLUMN replaygain_track_peak REAL" },
+          { column: 'replaygain_album_gain', sql: "ALTER TABLE tracks ADD COLUMN replaygain_album_gain REAL" },
+          { column: 'replaygain_album_peak', sql: "ALTER TABLE tracks ADD COLUMN replaygain_album_peak REAL" },
+          { column: 'audio_start', sql: "ALTER TABLE tracks ADD COLUMN audio_start REAL" },
+          { column: 'audio_end', sql: "ALTER TABLE tracks ADD COLUMN audio_end REAL" },
+          { column: 'bpm', sql: "ALTER TABLE tracks ADD COLUMN bpm REAL" },
+          { column: 'musical_key', sql: "ALTER TABLE tracks ADD COLUMN musical_key TEXT" },
+          { column: 'tempo_key_analyzed', sql: "ALTER TABLE tracks ADD COLUMN tempo_key_analyzed BOOLEAN DEFAULT FALSE" },
+          // NULL until the scanner has read the compilation flag of existing files
+          { column: 'compilation', sql: "ALTER TABLE tracks ADD COLUMN compilation BOOLEAN" },
+          // Set when ffmpeg cannot analyze the file; a changed file replaces the row and clears it
+          { column: 'analysis_failed_at', sql: "ALTER TABLE tracks ADD COLUMN analysis_failed_at DATETIME" },
+          // 'tag' or 'analysis'; only computed album gains are recomputed
+          { column: 'album_gain_source', sql: "ALTER TABLE tracks ADD COLUMN album_gain_source TEXT" }
+        ];
         
         let migrations = [];
         
-        if (!hasPlayCount) {
-          migrations.push("ALTER TABLE tracks ADD COLUMN play_count INTEGER DEFAULT 0");
-          console.log('[DB] Adding play_count column to tracks table');
-        }
-        
-        if (!hasLastPlayed) {
-          migrations.push("ALTER TABLE tracks ADD COLUMN last_played DATETIME");
-          console.log('[DB] Adding last_played column to tracks table');
+        for (const migration of columnMigrations) {
+          if (!columns.some(col => col.name === migration.column)) {
+            migrations.push(migration.sql);
+            console.log(`[DB] Adding ${migration.column} column to tracks table`);
+          }
         }
         
         if (migrations.length === 0) {
@@ -248,16 +330,212 @@ class MusicDatabase {
     });
   }
 
+  // playlists.rules came after the playlists table itself
+  async runPlaylistMigrations() {
+    return new Promise((resolve, reject) => {
+      this.db.all('PRAGMA table_info(playlists)', [], (err, columns) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (columns.some(col => col.name === 'rules')) {
+          resolve();
+          return;
+        }
+
+        console.log('[DB] Adding rules column to playlists table');
+        this.db.run('ALTER TABLE playlists ADD COLUMN rules TEXT', (alterErr) => {
+          if (alterErr) {
+            console.error('[DB] Playlist migration failed:', alterErr);
+            reject(alterErr);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
+  // Full-text index (lib/search_index.js); built from the tracks table when missing or out of step
+  async createSearchIndex() {
+    const schema = `
+      CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts USING fts5(
+        ${SEARCH_COLUMNS.join(', ')},
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+      CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts_vocab USING fts5vocab(tracks_fts, row);
+    `;
+
+    const created = await new Promise((resolve) => {
+      this.db.exec(schema, (err) => {
+        if (err) {
+          console.warn('[DB] FTS5 not available, search falls back to LIKE:', err.message);
+        }
+        resolve(!err);
+      });
+    });
+    if (!created) return;
+    this.ftsAvailable = true;
+
+    const counts = await this.query('SELECT (SELECT COUNT(*) FROM tracks) AS tracks, (SELECT COUNT(*) FROM tracks_fts) AS indexed');
+    if (counts[0].tracks !== counts[0].indexed) {
+      await this.rebuildSearchIndex();
+    }
+  }
+
+  async rebuildSearchIndex() {
+    console.log('[DB] Building search index...');
+    const tracks = await this.query(`SELECT id, ${SEARCH_COLUMNS.join(', ')} FROM tracks`);
+
+    await this.beginTransaction();
+    try {
+      await this.query('DELETE FROM tracks_fts');
+      this.searchIndexVersion++;
+      for (const track of tracks) {
+        await this.indexTrack(track.id, track);
+      }
+      await this.commitTransaction();
+      console.log(`[DB] Search index built (${tracks.length} tracks)`);
+    } catch (error) {
+      await this.rollbackTransaction();
+      throw error;
+    }
+  }
+
+  async indexTrack(trackId, trackData) {
+    if (!this.ftsAvailable) return;
+    this.searchIndexVersion++;
+    await this.query('DELETE FROM tracks_fts WHERE rowid = ?', [trackId]);
+    await this.query(
+      `INSERT INTO tracks_fts (rowid, ${SEARCH_COLUMNS.join(', ')}) VALUES (?, ${SEARCH_COLUMNS.map(() => '?').join(', ')})`,
+      [trackId, ...SEARCH_COLUMNS.map(column => toIndexText(trackData[column]))]
+    );
+  }
+
+  /**
+   * Words of a user query plus close index terms for words no indexed term starts with (typos).
+   * null for queries without any word or without FTS5.
+   */
+  async getSearchTerms(query) {
+    if (!this.ftsAvailable) return null;
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return null;
+
+    const alternatives = new Map();
+    for (const token of tokens) {
+      const prefixHits = await this.query(
+        'SELECT term FROM tracks_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+        [token, `${token}\uffff`]
+      );
+      if (prefixHits.length > 0) continue;
+
+      alternatives.set(token, findAlternatives(token, await this.getSearchVocabulary()));
+    }
+    return { tokens, alternatives };
+  }
+
+  // All index terms with their document counts, loaded again only after the index changed
+  async getSearchVocabulary() {
+    const version = this.searchIndexVersion;
+    if (!this.searchVocabulary || this.searchVocabulary.version !== version) {
+      const terms = await this.query('SELECT term, doc FROM tracks_fts_vocab');
+      this.searchVocabulary = { version, terms };
+    }
+    return this.searchVocabulary.terms;
+  }
+
+  // MATCH expression for a user query, or null (no words / no FTS5)
+  async getSearchMatch(query) {
+    const terms = await this.getSearchTerms(query);
+    return terms && buildMatchQuery(terms.tokens, terms.alternatives);
+  }
+
+  /**
+   * Search-as-you-type help for the touch keyboard: artists, albums and titles matching the typed
+   * words (the last one may be incomplete), values starting with the query first, plus the query
+   * with misspelled words corrected ("did you mean"), or null when nothing was corrected.
+   */
+  async getSearchSuggestions(query, limit = 8) {
+    const terms = await this.getSearchTerms(query);
+    const match = terms && buildMatchQuery(terms.tokens, terms.alternatives);
+    if (!match && (this.ftsAvailable || !query.trim())) {
+      return { suggestions: [], correction: null };
+    }
+
+    // All words anywhere in the track, the last (incomplete) one in the suggested value
+    const lastWord = terms && buildMatchQuery(terms.tokens.slice(-1), terms.alternatives);
+    const startsWith = `${query.trim()}%`;
+    const candidates = [];
+    for (const [type, column] of [['artist', 'artist'], ['album', 'album'], ['title', 'title']]) {
+      const condition = match ? 'id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)' : `LOWER(${column}) LIKE LOWER(?)`;
+      const rows = await this.query(`
+        SELECT ${column} AS text, MAX(LOWER(${column}) LIKE LOWER(?)) AS starts_with
+        FROM tracks
+        WHERE ${column} IS NOT NULL AND ${column} != '' AND ${condition}
+        GROUP BY LOWER(${column})
+        ORDER BY starts_with DESC, COUNT(*) DESC, SUM(play_count) DESC, LOWER(${column})
+        LIMIT ?
+      `, [startsWith, match ? `(${match}) AND {${column}} : (${lastWord})` : startsWith, limit]);
+      candidates.push(...rows.map(row => ({ type, text: row.text, startsWith: row.starts_with })));
+    }
+
+    const seen = new Set();
+    const suggestions = candidates
+      .sort((a, b) => b.startsWith - a.startsWith)
+      .filter(({ text }) => {
+        const key = text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ type, text }) => ({ type, text }));
+
+    let correction = null;
+    if (terms && terms.alternatives.size > 0) {
+      const corrected = terms.tokens.map(token => (terms.alternatives.get(token) || [])[0] || token);
+      if (corrected.join(' ') !== terms.tokens.join(' ')) {
+        correction = corrected.join(' ');
+      }
+    }
+
+    return { suggestions, correction };
+  }
+
+  // Ranked library search (bm25 with title/artist weighted highest)
+  async searchTracks(query, { limit = 50, offset = 0 } = {}) {
+    const match = await this.getSearchMatch(query);
+    if (!match) {
+      return this.getTracks({ search: query, limit, offset });
+    }
+
+    return this.query(`
+      SELECT tracks.*
+      FROM tracks_fts
+      JOIN tracks ON tracks.id = tracks_fts.rowid
+      WHERE tracks_fts MATCH ?
+      ORDER BY bm25(tracks_fts, ${COLUMN_WEIGHTS.join(', ')}), LOWER(tracks.title)
+      LIMIT ? OFFSET ?
+    `, [match, limit, offset]);
+  }
+
   async insertTrack(trackData) {
     const sql = `
       INSERT OR REPLACE INTO tracks (
-        file_path, file_size, file_mtime, title, artist, album, album_artist,
+        file_path, file_size, file_mtime, title, artist, album, album_artist, compilation,
         genre, year, track_number, disc_number, duration, bitrate, format,
-        cover_path, has_cover, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        cover_path, has_cover, loudness_lufs, replaygain_track_gain, replaygain_track_peak,
+        replaygain_album_gain, replaygain_album_peak, album_gain_source, bpm, musical_key, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
 
-    return new Promise((resolve, reject) => {
+    // REPLACE gives a changed file a new id; its old index entry and credits go first
+    if (this.ftsAvailable) {
+      await this.query('DELETE FROM tracks_fts WHERE rowid IN (SELECT id FROM tracks WHERE file_path = ?)', [trackData.file_path]);
+    }
+    await this.query('DELETE FROM track_artists WHERE track_id IN (SELECT id FROM tracks WHERE file_path = ?)', [trackData.file_path]);
+
+    const trackId = await new Promise((resolve, reject) => {
       this.db.run(sql, [
         trackData.file_path,
         trackData.file_size,
@@ -266,6 +544,7 @@ class MusicDatabase {
         trackData.artist,
         trackData.album,
         trackData.album_artist,
+        trackData.compilation ? 1 : 0,
         trackData.genre,
         trackData.year,
         trackData.track_number,
@@ -274,7 +553,15 @@ class MusicDatabase {
         trackData.bitrate,
         trackData.format,
         trackData.cover_path,
-        trackData.has_cover ? 1 : 0
+        trackData.has_cover ? 1 : 0,
+        trackData.loudness_lufs ?? null,
+        trackData.replaygain_track_gain ?? null,
+        trackData.replaygain_track_peak ?? null,
+        trackData.replaygain_album_gain ?? null,
+        trackData.replaygain_album_peak ?? null,
+        trackData.replaygain_album_gain != null ? 'tag' : null,
+        trackData.bpm ?? null,
+        trackData.musical_key ?? null
       ], function(err) {
         if (err) {
           reject(err);
@@ -283,6 +570,197 @@ class MusicDatabase {
         }
       });
     });
+
+    await this.indexTrack(trackId, trackData);
+    await this.setTrackArtists(trackId, trackData.artists || [{ name: trackData.artist, role: 'main' }]);
+    return trackId;
+  }
+
+  // artists: [{ name, role: 'main' | 'featured' }] in credit order
+  async setTrackArtists(trackId, artists) {
+    await this.query('DELETE FROM track_artists WHERE track_id = ?', [trackId]);
+    for (const [position, { name, role }] of artists.filter(artist => artist.name).entries()) {
+      await this.query('INSERT INTO track_artists (track_id, position, artist, role) VALUES (?, ?, ?, ?)', [trackId, position, name, role]);
+    }
+  }
+
+  // albumCredit: { album_artist, compilation } (see creditAlbum in lib/artist_credits.js)
+  async updateAlbumCredit(track, albumCredit) {
+    await this.query('UPDATE tracks SET album_artist = ?, compilation = ? WHERE id = ?', [
+      albumCredit.album_artist,
+      albumCredit.compilation ? 1 : 0,
+      track.id
+    ]);
+    if (albumCredit.album_artist !== track.album_artist) {
+      await this.indexTrack(track.id, { ...track, ...albumCredit });
+    }
+  }
+
+  // Tracks whose album name or folder may carry a disc marker ("CD2", "Disc 2", "Disk 2"), see lib/album_discs.js
+  async getDiscVariantCandidates() {
+    return this.query(`
+      SELECT * FROM tracks
+      WHERE album LIKE '%cd%' OR album LIKE '%dis%'
+         OR (disc_number IS NULL AND (file_path LIKE '%/cd%' OR file_path LIKE '%/dis%' OR file_path LIKE '%\\cd%' OR file_path LIKE '%\\dis%'))
+    `);
+  }
+
+  async updateTrackDisc(track, { album, disc_number }) {
+    await this.query('UPDATE tracks SET album = ?, disc_number = ? WHERE id = ?', [album, disc_number, track.id]);
+    if (album !== track.album) {
+      await this.indexTrack(track.id, { ...track, album });
+    }
+  }
+
+  // Tracks scanned before artist credits existed
+  async getTracksWithoutArtists() {
+    return this.query(`
+      SELECT id, artist FROM tracks
+      WHERE NOT EXISTS (SELECT 1 FROM track_artists WHERE track_artists.track_id = tracks.id)
+    `);
+  }
+
+  // Store the scanner's audio analysis; gains from ReplayGain tags take precedence
+  async updateTrackAnalysis(trackId, analysis) {
+    const sql = `
+      UPDATE tracks
+      SET loudness_lufs = COALESCE(loudness_lufs, ?),
+          replaygain_track_gain = COALESCE(replaygain_track_gain, ?),
+          replaygain_track_peak = COALESCE(replaygain_track_peak, ?),
+          audio_start = ?,
+          audio_end = ?
+      WHERE id = ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, [
+        analysis.loudness_lufs,
+        analysis.replaygain_track_gain,
+        analysis.replaygain_track_peak,
+        analysis.audio_start,
+        analysis.audio_end,
+        trackId
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Store estimated tempo/key; values from TBPM/TKEY tags take precedence
+  async updateTrackTempoKey(trackId, { bpm, musical_key }) {
+    const sql = `
+      UPDATE tracks
+      SET bpm = COALESCE(bpm, ?),
+          musical_key = COALESCE(musical_key, ?),
+          tempo_key_analyzed = 1
+      WHERE id = ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, [bpm ?? null, musical_key ?? null, trackId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Files ffmpeg cannot analyze are skipped by getTracksWithoutAnalysis until they change
+  async markAnalysisFailed(trackId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE tracks SET analysis_failed_at = CURRENT_TIMESTAMP WHERE id = ?', [trackId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Derive album gain from the measured loudness of all album tracks
+   * (duration-weighted energy average, ReplayGain 2.0 reference of -18 LUFS).
+   * Albums with tracks that have not been measured yet or that carry a tagged album gain are left alone.
+   */
+  async updateAlbumGain(album, albumArtist, referenceLufs = -18) {
+    const selectSql = `
+      SELECT loudness_lufs, replaygain_track_peak, duration, ${TAGGED_ALBUM_GAIN} AS album_gain_tagged
+      FROM tracks
+      WHERE LOWER(album) = LOWER(?) AND LOWER(COALESCE(album_artist, artist)) = LOWER(?)
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(selectSql, [album, albumArtist], (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        if (rows.length === 0 || rows.some(row => row.loudness_lufs === null || row.album_gain_tagged)) {
+          resolve(null);
+          return;
+        }
+
+        let weightedEnergy = 0;
+        let totalWeight = 0;
+        let albumPeak = null;
+        for (const row of rows) {
+          const weight = row.duration || 1;
+          weightedEnergy += weight * Math.pow(10, row.loudness_lufs / 10);
+          totalWeight += weight;
+          if (row.replaygain_track_peak !== null) {
+            albumPeak = Math.max(albumPeak ?? 0, row.replaygain_track_peak);
+          }
+        }
+
+        const albumLoudness = 10 * Math.log10(weightedEnergy / totalWeight);
+        const albumGain = Math.round((referenceLufs - albumLoudness) * 100) / 100;
+
+        const updateSql = `
+          UPDATE tracks
+          SET replaygain_album_gain = ?, replaygain_album_peak = ?, album_gain_source = 'analysis'
+          WHERE LOWER(album) = LOWER(?) AND LOWER(COALESCE(album_artist, artist)) = LOWER(?)
+        `;
+        this.db.run(updateSql, [albumGain, albumPeak, album, albumArtist], (updateErr) => {
+          if (updateErr) {
+            reject(updateErr);
+          } else {
+            resolve(albumGain);
+          }
+        });
+      });
+    });
+  }
+
+  async getTracksWithoutAnalysis(limit = 1000) {
+    const sql = `
+      SELECT id, file_path, album, album_artist, artist,
+             ${TAGGED_ALBUM_GAIN} AS album_gain_tagged,
+             audio_end IS NULL AS needs_loudness,
+             NOT tempo_key_analyzed AND (bpm IS NULL OR musical_key IS NULL) AS needs_tempo_key
+      FROM tracks
+      WHERE analysis_failed_at IS NULL
+        AND (audio_end IS NULL OR (NOT tempo_key_analyzed AND (bpm IS NULL OR musical_key IS NULL)))
+      ORDER BY id
+      LIMIT ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
   }
 
   async getTrackByPath(filePath) {
@@ -311,17 +789,52 @@ class MusicDatabase {
     });
   }
 
+  // Tracks whose path ends with "Artist/Album/file.mp3" (case-insensitive, either separator)
+  async findTracksByPathSuffix(suffix, limit = 10) {
+    const escaped = suffix.replace(/[\\%_]/g, '\\$&');
+    const sql = `
+      SELECT * FROM tracks
+      WHERE file_path LIKE ? ESCAPE '\\' OR file_path LIKE ? ESCAPE '\\'
+      LIMIT ?
+    `;
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [`%/${escaped}`, `%\\\\${escaped.replace(/\//g, '\\\\')}`, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Tracks whose title contains all words in this order, for fuzzy matching by the caller
+  async findTracksByTitle(words, limit = 50) {
+    if (!words.length) return [];
+    const pattern = `%${words.map(word => word.replace(/[\\%_]/g, '\\$&')).join('%')}%`;
+    const sql = `SELECT * FROM tracks WHERE title LIKE ? ESCAPE '\\' LIMIT ?`;
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [pattern, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
   async getTrackWithCover(artist, album) {
     const sql = `
       SELECT * FROM tracks 
-      WHERE LOWER(artist) = LOWER(?) 
+      WHERE (LOWER(artist) = LOWER(?) OR LOWER(COALESCE(album_artist, artist)) = LOWER(?))
       AND LOWER(album) = LOWER(?) 
       AND has_cover = 1 
       AND cover_path IS NOT NULL
       LIMIT 1
     `;
     return new Promise((resolve, reject) => {
-      this.db.get(sql, [artist, album], (err, row) => {
+      this.db.get(sql, [artist, artist, album], (err, row) => {
         if (err) {
           reject(err);
         } else {
@@ -335,7 +848,7 @@ class MusicDatabase {
     const sql = `
       SELECT DISTINCT album, cover_path, has_cover 
       FROM tracks 
-      WHERE LOWER(artist) = LOWER(?) 
+      WHERE id IN (SELECT track_id FROM track_artists WHERE LOWER(artist) = LOWER(?))
       AND has_cover = 1 
       AND cover_path IS NOT NULL
       ORDER BY album
@@ -352,12 +865,21 @@ class MusicDatabase {
   }
 
   async getTracks(filters = {}) {
-    let sql = 'SELECT * FROM tracks WHERE 1=1';
-    const params = [];
-
+    // Full-text search results come in relevance order
+    const match = filters.search ? await this.getSearchMatch(filters.search) : null;
+    let sql = match
+      ? `SELECT tracks.* FROM tracks
+         JOIN (SELECT rowid, bm25(tracks_fts, ${COLUMN_WEIGHTS.join(', ')}) AS rank FROM tracks_fts WHERE tracks_fts MATCH ?) AS hits
+           ON hits.rowid = tracks.id
+         WHERE 1=1`
+      : 'SELECT * FROM tracks WHERE 1=1';
+    const params = match ? [match] : [];
+
+    // Track artist, credited artist or album artist ("Various Artists" for a compilation)
     if (filters.artist) {
-      sql += ' AND LOWER(artist) LIKE LOWER(?)';
-      params.push(`%${filters.artist}%`);
+      sql += ` AND (LOWER(artist) LIKE LOWER(?) OR LOWER(COALESCE(album_artist, artist)) = LOWER(?)
+               OR id IN (SELECT track_id FROM track_artists WHERE LOWER(artist) = LOWER(?)))`;
+      params.push(`%${filters.artist}%`, filters.artist, filters.artist);
     }
 
     if (filters.album) {
@@ -375,13 +897,35 @@ class MusicDatabase {
       params.push(filters.year);
     }
 
-    if (filters.search) {
+    if (filters.bpmMin) {
+      sql += ' AND bpm >= ?';
+      params.push(filters.bpmMin);
+    }
+
+    if (filters.bpmMax) {
+      sql += ' AND bpm <= ?';
+      params.push(filters.bpmMax);
+    }
+
+    if (filters.key) {
+      sql += ' AND musical_key = ?';
+      params.push(filters.key);
+    }
+
+    if (filters.search && !match) {
       sql += ' AND (LOWER(title) LIKE LOWER(?) OR LOWER(artist) LIKE LOWER(?) OR LOWER(album) LIKE LOWER(?))';
       const searchTerm = `%${filters.search}%`;
       params.push(searchTerm, searchTerm, searchTerm);
     }
 
-    sql += ' ORDER BY LOWER(artist), LOWER(album), track_number, LOWER(title)';
+    // Album views keep the disc and track order, also on compilations
+    if (match) {
+      sql += ' ORDER BY hits.rank, LOWER(title)';
+    } else if (filters.album) {
+      sql += ' ORDER BY LOWER(album), COALESCE(disc_number, 1), track_number, LOWER(title)';
+    } else {
+      sql += ' ORDER BY LOWER(artist), LOWER(album), COALESCE(disc_number, 1), track_number, LOWER(title)';
+    }
 
     if (filters.limit) {
       sql += ' LIMIT ?';
@@ -404,95 +948,62 @@ class MusicDatabase {
     });
   }
 
+  // Every credited artist (main and featured, see track_artists) with their number of tracks
   async getArtists() {
-    const sql = `
-      SELECT 
-        artist,
-        COUNT(*) as track_count 
-      FROM tracks 
-      WHERE artist IS NOT NULL AND artist != '' 
-      GROUP BY LOWER(artist)
-      ORDER BY LOWER(artist)
-    `;
-    
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, [], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Post-process to use the most common capitalization for each artist
-          const artistMap = new Map();
-          
-          // Get all tracks to find the most common capitalization
-          const detailSql = `
-            SELECT artist, COUNT(*) as count
-            FROM tracks 
-            WHERE artist IS NOT NULL AND artist != ''
-            GROUP BY artist
-            ORDER BY COUNT(*) DESC
-          `;
-          
-          this.db.all(detailSql, [], (detailErr, detailRows) => {
-            if (detailErr) {
-              reject(detailErr);
-              return;
-            }
-            
-            // Group by lowercase and pick the most frequent capitalization
-            for (const row of detailRows) {
-              const lowerArtist = row.artist.toLowerCase();
-              if (!artistMap.has(lowerArtist) || artistMap.get(lowerArtist).count < row.count) {
-                artistMap.set(lowerArtist, {
-                  artist: row.artist, // Use the most frequent capitalization
-                  count: row.count
-                });
-              }
-            }
-            
-            // Now aggregate track counts by lowercase artist
-            const aggregatedSql = `
-              SELECT 
-                LOWER(artist) as lower_artist,
-                COUNT(*) as track_count 
-              FROM tracks 
-              WHERE artist IS NOT NULL AND artist != '' 
-              GROUP BY LOWER(artist)
-              ORDER BY LOWER(artist)
-            `;
-            
-            this.db.all(aggregatedSql, [], (aggErr, aggRows) => {
-              if (aggErr) {
-                reject(aggErr);
-                return;
-              }
-              
-              const result = aggRows.map(row => ({
-                artist: artistMap.get(row.lower_artist)?.artist || row.lower_artist,
-                track_count: row.track_count
-              }));
-              
-              resolve(result);
-            });
-          });
-        }
-      });
-    });
+    // Use the most frequent capitalization for each artist
+    const spellings = await this.query(`
+      SELECT artist, LOWER(artist) AS lower_artist, COUNT(*) AS count
+      FROM track_artists
+      GROUP BY artist
+      ORDER BY COUNT(*) DESC
+    `);
+    const names = new Map();
+    for (const row of spellings) {
+      if (!names.has(row.lower_artist)) {
+        names.set(row.lower_artist, row.artist);
+      }
+    }
+
+    const rows = await this.query(`
+      SELECT
+        LOWER(ta.artist) AS lower_artist,
+        COUNT(DISTINCT ta.track_id) AS track_count,
+        COUNT(DISTINCT CASE WHEN ta.role = 'featured' THEN ta.track_id END) AS featured_count
+      FROM track_artists ta
+      JOIN tracks t ON t.id = ta.track_id
+      GROUP BY LOWER(ta.artist)
+      ORDER BY LOWER(ta.artist)
+    `);
+
+    return rows.map(row => ({
+      artist: names.get(row.lower_artist) || row.lower_artist,
+      track_count: row.track_count,
+      featured_count: row.featured_count
+    }));
   }
 
-  async getAlbums(artist = null) {
+  // Albums by album artist, so a compilation is one album; options.compilations lists only those
+  async getAlbums(artist = null, options = {}) {
     let sql = `
-      SELECT album, artist, COUNT(*) as track_count, MIN(year) as year
+      SELECT album, COALESCE(album_artist, artist) AS artist, COUNT(*) as track_count, MIN(year) as year,
+             MAX(compilation) AS compilation, COUNT(DISTINCT LOWER(artist)) AS artist_count
       FROM tracks 
       WHERE album IS NOT NULL AND album != ''
     `;
     const params = [];
 
+    // Albums of the artist and albums the artist is credited on, also as featured guest
     if (artist) {
-      sql += ' AND LOWER(artist) = LOWER(?)';
-      params.push(artist);
+      sql += ` AND (LOWER(COALESCE(album_artist, artist)) = LOWER(?)
+               OR id IN (SELECT track_id FROM track_artists WHERE LOWER(artist) = LOWER(?)))`;
+      params.push(artist, artist);
+    }
+
+    if (options.compilations) {
+      sql += ' AND compilation = 1';
     }
 
-    sql += ' GROUP BY LOWER(album), LOWER(artist) ORDER BY LOWER(artist), year, LOWER(album)';
+    sql += ' GROUP BY LOWER(album), LOWER(COALESCE(album_artist, tracks.artist)) ORDER BY LOWER(artist), year, LOWER(album)';
 
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
@@ -525,6 +1036,81 @@ class MusicDatabase {
     });
   }
 
+  // Random local tracks for the Auto-DJ; filters are optional, lockMinutes skips recently played ones,
+  // rules (smart playlist) restrict the pool to that playlist
+  async getAutoDjCandidates({ genres = [], decades = [], rules = null, lockMinutes = 0, limit = 300 } = {}) {
+    const conditions = ['duration > 0'];
+    const params = [];
+
+    if (rules) {
+      const query = buildRulesQuery(rules);
+      if (query.limit > 0) {
+        conditions.push(`id IN (SELECT id FROM tracks WHERE ${query.where} ORDER BY ${query.orderBy} LIMIT ?)`);
+        params.push(...query.params, query.limit);
+      } else {
+        conditions.push(query.where);
+        params.push(...query.params);
+      }
+    }
+
+    if (genres.length > 0) {
+      conditions.push(`LOWER(genre) IN (${genres.map(() => 'LOWER(?)').join(', ')})`);
+      params.push(...genres);
+    }
+    if (decades.length > 0) {
+      conditions.push(`(year / 10) * 10 IN (${decades.map(() => '?').join(', ')})`);
+      params.push(...decades);
+    }
+    if (lockMinutes > 0) {
+      conditions.push(`(last_played IS NULL OR last_played < datetime('now', ?))`);
+      params.push(`-${lockMinutes} minutes`);
+    }
+
+    const sql = `
+      SELECT id, title, artist, album, album_artist, genre, year, duration, file_path, play_count, last_played, bpm, musical_key,
+        replaygain_track_gain, replaygain_track_peak, replaygain_album_gain, replaygain_album_peak,
+        audio_start, audio_end
+      FROM tracks
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY RANDOM()
+      LIMIT ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [...params, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Local tracks played within an hour of the given one (same session), with how often
+  async getCoPlayCounts(trackId, windowMs = 60 * 60 * 1000) {
+    const sql = `
+      SELECT other.track_id, COUNT(*) AS plays
+      FROM play_history seed
+      JOIN play_history other ON other.session_id = seed.session_id
+        AND other.track_id IS NOT NULL
+        AND other.track_id != seed.track_id
+        AND ABS(other.played_at - seed.played_at) <= ?
+      WHERE seed.track_id = ?
+      GROUP BY other.track_id
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [windowMs, trackId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(new Map((rows || []).map(row => [row.track_id, row.plays])));
+        }
+      });
+    });
+  }
+
   // Get most played tracks (both local and Spotify)
   async getMostPlayedTracks(limit = 10) {
     const localTracksSQL = `
@@ -690,7 +1276,7 @@ class MusicDatabase {
     const sql = `
       SELECT 
         COUNT(*) as total_tracks,
-        COUNT(DISTINCT artist) as total_artists,
+        (SELECT COUNT(DISTINCT LOWER(ta.artist)) FROM track_artists ta JOIN tracks t ON t.id = ta.track_id) as total_artists,
         COUNT(DISTINCT album) as total_albums,
         COUNT(DISTINCT genre) as total_genres,
         SUM(duration) as total_duration,
@@ -712,6 +1298,11 @@ class MusicDatabase {
   }
 
   async removeTrackByPath(filePath) {
+    if (this.ftsAvailable) {
+      await this.query('DELETE FROM tracks_fts WHERE rowid IN (SELECT id FROM tracks WHERE file_path = ?)', [filePath]);
+      this.searchIndexVersion++;
+    }
+    await this.query('DELETE FROM track_artists WHERE track_id IN (SELECT id FROM tracks WHERE file_path = ?)', [filePath]);
     const sql = 'DELETE FROM tracks WHERE file_path = ?';
     return new Promise((resolve, reject) => {
       this.db.run(sql, [filePath], function(err) {
@@ -761,6 +1352,11 @@ class MusicDatabase {
   }
 
   async removeTrack(trackId) {
+    if (this.ftsAvailable) {
+      await this.query('DELETE FROM tracks_fts WHERE rowid = ?', [trackId]);
+      this.searchIndexVersion++;
+    }
+    await this.query('DELETE FROM track_artists WHERE track_id = ?', [trackId]);
     const sql = 'DELETE FROM tracks WHERE id = ?';
     return new Promise((resolve, reject) => {
       this.db.run(sql, [trackId], function(err) {
@@ -965,8 +1561,18 @@ class MusicDatabase {
   }
 
   async searchAllTracks(searchTerm, limit = 50) {
-    // Search both local and Spotify tracks
-    const localSql = `
+    // Search both local (full-text index, see searchTracks) and Spotify tracks
+    const match = await this.getSearchMatch(searchTerm);
+    const localSql = match ? `
+      SELECT
+        tracks.id, title, artist, album, genre, year, duration,
+        'local' as source, file_path, cover_path
+      FROM tracks_fts
+      JOIN tracks ON tracks.id = tracks_fts.rowid
+      WHERE tracks_fts MATCH ?
+      ORDER BY bm25(tracks_fts, ${COLUMN_WEIGHTS.join(', ')})
+      LIMIT ?
+    ` : `
       SELECT 
         id, title, artist, album, genre, year, duration,
         'local' as source, file_path, cover_path
@@ -990,7 +1596,8 @@ class MusicDatabase {
     
     return new Promise((resolve, reject) => {
       const localPromise = new Promise((resolveLocal, rejectLocal) => {
-        this.db.all(localSql, [searchPattern, searchPattern, searchPattern, limit], (err, rows) => {
+        const localParams = match ? [match, limit] : [searchPattern, searchPattern, searchPattern, limit];
+        this.db.all(localSql, localParams, (err, rows) => {
           if (err) rejectLocal(err);
           else resolveLocal(rows || []);
         });
@@ -1015,6 +1622,152 @@ class MusicDatabase {
     });
   }
 
+  /**
+   * Grouped search for /api/search: artists, albums, tracks, genres, playlists and cached Spotify tracks.
+   * filters: year ("1994" or "1990-1999"), genre, source ('local' | 'spotify'), types (groups to fill).
+   * limit applies per group; counts holds the full number of hits per group.
+   */
+  async searchLibrary(query, { year = null, genre = null, source = null, types = null, limit = 20 } = {}) {
+    const terms = await this.getSearchTerms(query);
+    const match = terms && buildMatchQuery(terms.tokens, terms.alternatives);
+    const like = `%${query}%`;
+    const [yearFrom, yearTo] = year ? String(year).split('-').map(value => parseInt(value)) : [];
+
+    // year/genre filters, shared by local and Spotify tracks
+    const filterConditions = [];
+    const filterParams = [];
+    if (yearFrom) {
+      filterConditions.push('year BETWEEN ? AND ?');
+      filterParams.push(yearFrom, yearTo || yearFrom);
+    }
+    if (genre) {
+      filterConditions.push('LOWER(genre) = LOWER(?)');
+      filterParams.push(genre);
+    }
+
+    // Local tracks whose given index columns match the query (all tracks without columns), within the filters
+    const localWhere = (columns = []) => {
+      const conditions = [...filterConditions];
+      const params = [...filterParams];
+      if (columns.length > 0 && match) {
+        conditions.push('id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)');
+        params.push(`{${columns.join(' ')}} : (${match})`);
+      } else if (columns.length > 0 && query) {
+        conditions.push(`(${columns.map(column => `LOWER(${column}) LIKE LOWER(?)`).join(' OR ')})`);
+        params.push(...columns.map(() => like));
+      }
+      return { sql: conditions.length > 0 ? conditions.join(' AND ') : '1=1', params };
+    };
+
+    const groups = {
+      // Credited artists (track_artists) of matching tracks; only the credits matching the query count
+      artists: () => {
+        const where = localWhere(match ? ['artist'] : []);
+        return {
+          sql: `SELECT ta.artist, COUNT(DISTINCT ta.track_id) AS track_count
+                FROM track_artists ta
+                JOIN tracks ON tracks.id = ta.track_id
+                WHERE ${where.sql} ${match ? '' : 'AND LOWER(ta.artist) LIKE LOWER(?)'}
+                GROUP BY LOWER(ta.artist)`,
+          params: match ? where.params : [...where.params, like],
+          orderBy: 'track_count DESC, LOWER(artist)',
+          keep: match ? (row) => matchesTerms(row.artist, terms.tokens, terms.alternatives) : null
+        };
+      },
+      albums: () => {
+        const where = localWhere(['album', 'artist', 'album_artist']);
+        return {
+          sql: `SELECT album, COALESCE(MAX(album_artist), artist) AS artist, COUNT(*) AS track_count, MIN(year) AS year,
+                MAX(compilation) AS compilation FROM tracks
+                WHERE album IS NOT NULL AND album != '' AND ${where.sql}
+                GROUP BY LOWER(album), LOWER(COALESCE(album_artist, tracks.artist))`,
+          params: where.params,
+          orderBy: 'LOWER(artist), year, LOWER(album)'
+        };
+      },
+      tracks: () => {
+        const where = localWhere(match ? [] : SEARCH_COLUMNS);
+        return match
+          ? {
+            sql: `SELECT tracks.*, hits.rank FROM tracks
+                  JOIN (SELECT rowid, bm25(tracks_fts, ${COLUMN_WEIGHTS.join(', ')}) AS rank FROM tracks_fts WHERE tracks_fts MATCH ?) AS hits
+                    ON hits.rowid = tracks.id
+                  WHERE ${where.sql}`,
+            params: [match, ...where.params],
+            orderBy: 'rank, LOWER(title)'
+          }
+          : { sql: `SELECT * FROM tracks WHERE ${where.sql}`, params: where.params, orderBy: 'LOWER(title)' };
+      },
+      genres: () => {
+        const where = localWhere(['genre']);
+        return {
+          sql: `SELECT genre, COUNT(*) AS track_count FROM tracks
+                WHERE genre IS NOT NULL AND genre != '' AND ${where.sql}
+                GROUP BY LOWER(genre)`,
+          params: where.params,
+          orderBy: 'track_count DESC, LOWER(genre)'
+        };
+      },
+      // Smart playlists have no items; their count is filled in below like in getPlaylists
+      playlists: () => ({
+        sql: `SELECT p.id, p.name, p.description, p.rules, COUNT(pi.id) AS item_count
+              FROM playlists p
+              LEFT JOIN playlist_items pi ON pi.playlist_id = p.id
+              WHERE LOWER(p.name) LIKE LOWER(?)
+              GROUP BY p.id`,
+        params: [like],
+        orderBy: 'LOWER(name)'
+      }),
+      spotify: () => ({
+        sql: `SELECT * FROM spotify_tracks
+              WHERE (LOWER(title) LIKE LOWER(?) OR LOWER(artist) LIKE LOWER(?) OR LOWER(album) LIKE LOWER(?))
+              ${filterConditions.map(condition => `AND ${condition}`).join(' ')}`,
+        params: [like, like, like, ...filterParams],
+        orderBy: 'popularity DESC, LOWER(title)'
+      })
+    };
+
+    // source narrows down to local groups or cached Spotify tracks; playlists hold both
+    const skipped = { local: ['spotify'], spotify: ['artists', 'albums', 'tracks', 'genres'] }[source] || [];
+    // Playlists have no year or genre: filters without a query would list every playlist
+    if (!String(query || '').trim() && filterConditions.length > 0) skipped.push('playlists');
+
+    const results = {};
+    const counts = {};
+    for (const [type, build] of Object.entries(groups)) {
+      if (skipped.includes(type) || (types && !types.includes(type))) {
+        results[type] = [];
+        counts[type] = 0;
+        continue;
+      }
+
+      const { sql, params, orderBy, keep } = build();
+      if (keep) {
+        const rows = (await this.query(`SELECT * FROM (${sql}) ORDER BY ${orderBy}`, params)).filter(keep);
+        results[type] = rows.slice(0, limit);
+        counts[type] = rows.length;
+        continue;
+      }
+
+      const [{ count }] = await this.query(`SELECT COUNT(*) AS count FROM (${sql})`, params);
+      results[type] = count > 0
+        ? await this.query(`SELECT * FROM (${sql}) ORDER BY ${orderBy} LIMIT ?`, [...params, limit])
+        : [];
+      counts[type] = count;
+    }
+
+    results.tracks.forEach(track => { delete track.rank; });
+    for (const playlist of results.playlists) {
+      const rules = MusicDatabase.parseRules(playlist.rules);
+      playlist.smart = !!rules;
+      if (rules) {
+        playlist.item_count = await this.countSmartPlaylistTracks(rules);
+      }
+      delete playlist.rules;
+    }
+    return { results, counts };
+  }
+
   // Generic query method for raw SQL
   async query(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -1035,12 +1788,15 @@ class MusicDatabase {
   // Clear all data from the database (admin function)
   async clearDatabase() {
     console.log('[DB] Clearing entire database...');
+    this.searchIndexVersion++;
     
     const clearSql = `
       DELETE FROM tracks;
       DELETE FROM spotify_tracks;
       DELETE FROM covers;
       DELETE FROM custom_playlists;
+      DELETE FROM track_artists;
+      ${this.ftsAvailable ? 'DELETE FROM tracks_fts;' : ''}
       UPDATE sqlite_sequence SET seq = 0 WHERE name IN ('tracks', 'spotify_tracks', 'covers', 'custom_playlists');
     `;
     
@@ -1128,6 +1884,347 @@ class MusicDatabase {
     });
   }
 
+  // Local Playlists Methods (local and Spotify tracks, see playlist_items)
+  async getPlaylists() {
+    const sql = `
+      SELECT p.*, COUNT(pi.id) AS item_count
+      FROM playlists p
+      LEFT JOIN playlist_items pi ON pi.playlist_id = p.id
+      GROUP BY p.id
+      ORDER BY LOWER(p.name)
+    `;
+
+    const playlists = await new Promise((resolve, reject) => {
+      this.db.all(sql, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+
+    for (const playlist of playlists) {
+      playlist.rules = MusicDatabase.parseRules(playlist.rules);
+      if (playlist.rules) {
+        playlist.item_count = await this.countSmartPlaylistTracks(playlist.rules);
+      }
+    }
+    return playlists;
+  }
+
+  async getPlaylist(id) {
+    const playlist = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM playlists WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+    if (!playlist) return null;
+
+    playlist.rules = MusicDatabase.parseRules(playlist.rules);
+    playlist.items = playlist.rules
+      ? (await this.getSmartPlaylistTracks(playlist.rules)).map((track, position) => ({
+        id: track.id,
+        position,
+        source: 'local',
+        track_id: track.id,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        track,
+        available: true
+      }))
+      : await this.getPlaylistItems(id);
+    return playlist;
+  }
+
+  // Rules of a smart playlist; null for static or unknown playlists
+  async getPlaylistRules(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT rules FROM playlists WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? MusicDatabase.parseRules(row.rules) : null);
+        }
+      });
+    });
+  }
+
+  static parseRules(json) {
+    if (!json) return null;
+    try {
+      return normalizeRules(JSON.parse(json));
+    } catch (error) {
+      console.warn('[DB] Invalid smart playlist rules:', error.message);
+      return null;
+    }
+  }
+
+  // Tracks matching smart playlist rules, in the playlist's order and limit
+  async getSmartPlaylistTracks(rules) {
+    const query = buildRulesQuery(rules);
+    const sql = `
+      SELECT * FROM tracks
+      WHERE ${query.where}
+      ORDER BY ${query.orderBy}
+      ${query.limit > 0 ? 'LIMIT ?' : ''}
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, query.limit > 0 ? [...query.params, query.limit] : query.params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async countSmartPlaylistTracks(rules) {
+    const query = buildRulesQuery(rules);
+    const sql = `SELECT COUNT(*) AS count FROM tracks WHERE ${query.where}`;
+
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, query.params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          const count = row ? row.count : 0;
+          resolve(query.limit > 0 ? Math.min(count, query.limit) : count);
+        }
+      });
+    });
+  }
+
+  // Items in order; local items carry the current library row (null if the file is gone)
+  async getPlaylistItems(playlistId) {
+    const sql = `
+      SELECT pi.id AS item_id, pi.position, pi.spotify_id, pi.title AS item_title, pi.artist AS item_artist,
+             pi.album AS item_album, pi.image_url, pi.duration AS item_duration, pi.added_at,
+             COALESCE(byId.id, byPath.id) AS track_id
+      FROM playlist_items pi
+      LEFT JOIN tracks byId ON byId.id = pi.track_id AND byId.file_path = pi.file_path
+      LEFT JOIN tracks byPath ON byId.id IS NULL AND byPath.file_path = pi.file_path
+      WHERE pi.playlist_id = ?
+      ORDER BY pi.position, pi.id
+    `;
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(sql, [playlistId], (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result || []);
+        }
+      });
+    });
+
+    const items = [];
+    for (const row of rows) {
+      const item = { id: row.item_id, position: row.position, added_at: row.added_at };
+      if (row.spotify_id) {
+        items.push({
+          ...item,
+          source: 'spotify',
+          spotify_id: row.spotify_id,
+          title: row.item_title,
+          artist: row.item_artist,
+          album: row.item_album,
+          image_url: row.image_url,
+          duration: row.item_duration,
+          available: true
+        });
+      } else {
+        const track = row.track_id ? await this.getTrackById(row.track_id) : null;
+        items.push({
+          ...item,
+          source: 'local',
+          track_id: row.track_id,
+          title: track ? track.title : row.item_title,
+          artist: track ? track.artist : row.item_artist,
+          album: track ? track.album : row.item_album,
+          duration: track ? track.duration : row.item_duration,
+          track,
+          available: !!track
+        });
+      }
+    }
+    return items;
+  }
+
+  // rules (normalized, see lib/smart_playlist_rules.js) make it a smart playlist
+  async createPlaylist(name, description = null, rules = null) {
+    const sql = 'INSERT INTO playlists (name, description, rules) VALUES (?, ?, ?)';
+
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, [name, description, rules ? JSON.stringify(rules) : null], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          debugLog('DB', 'Created playlist:', name);
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Rules can only be changed on smart playlists, a static playlist stays static
+  async updatePlaylist(id, { name, description, rules }) {
+    const sql = `
+      UPDATE playlists
+      SET name = COALESCE(?, name),
+          description = COALESCE(?, description),
+          rules = CASE WHEN rules IS NOT NULL THEN COALESCE(?, rules) ELSE rules END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, [name ?? null, description ?? null, rules ? JSON.stringify(rules) : null, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async deletePlaylist(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM playlist_items WHERE playlist_id = ?', [id], (itemsErr) => {
+        if (itemsErr) {
+          reject(itemsErr);
+          return;
+        }
+        this.db.run('DELETE FROM playlists WHERE id = ?', [id], function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            debugLog('DB', 'Deleted playlist:', id);
+            resolve(this.changes);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Append items ({ trackId } or { spotifyId, title, artist, album, image, duration })
+   * and move them to `position` if given. Resolves with the new item ids; unknown
+   * local tracks are skipped.
+   */
+  async addPlaylistItems(playlistId, items, position = null) {
+    const existing = await this.getPlaylistItemIds(playlistId);
+    const insertSql = `
+      INSERT INTO playlist_items (playlist_id, position, track_id, file_path, spotify_id, title, artist, album, image_url, duration)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const insert = (params) => new Promise((resolve, reject) => {
+      this.db.run(insertSql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+
+    const added = [];
+    for (const item of items) {
+      const nextPosition = existing.length + added.length;
+      if (item.trackId) {
+        const track = await this.getTrackById(item.trackId);
+        if (!track) continue;
+        added.push(await insert([playlistId, nextPosition, track.id, track.file_path, null, track.title, track.artist, track.album, null, track.duration]));
+      } else if (item.spotifyId) {
+        added.push(await insert([playlistId, nextPosition, null, null, String(item.spotifyId), item.title || null, item.artist || null, item.album || null, item.image || null, item.duration || null]));
+      }
+    }
+
+    if (position !== null && added.length > 0) {
+      const index = Math.min(Math.max(parseInt(position, 10) || 0, 0), existing.length);
+      await this.setPlaylistOrder(playlistId, [...existing.slice(0, index), ...added, ...existing.slice(index)]);
+    }
+    await this.touchPlaylist(playlistId);
+    return added;
+  }
+
+  async removePlaylistItem(playlistId, itemId) {
+    const changes = await new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM playlist_items WHERE id = ? AND playlist_id = ?', [itemId, playlistId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+    if (changes > 0) {
+      await this.setPlaylistOrder(playlistId, await this.getPlaylistItemIds(playlistId));
+      await this.touchPlaylist(playlistId);
+    }
+    return changes;
+  }
+
+  // Resolves false if the item is not in the playlist
+  async movePlaylistItem(playlistId, itemId, toIndex) {
+    const ids = await this.getPlaylistItemIds(playlistId);
+    const fromIndex = ids.indexOf(itemId);
+    if (fromIndex === -1) return false;
+
+    ids.splice(fromIndex, 1);
+    ids.splice(Math.min(Math.max(toIndex, 0), ids.length), 0, itemId);
+    await this.setPlaylistOrder(playlistId, ids);
+    await this.touchPlaylist(playlistId);
+    return true;
+  }
+
+  async getPlaylistItemIds(playlistId) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT id FROM playlist_items WHERE playlist_id = ? ORDER BY position, id', [playlistId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => row.id));
+        }
+      });
+    });
+  }
+
+  async setPlaylistOrder(playlistId, itemIds) {
+    for (let position = 0; position < itemIds.length; position++) {
+      await new Promise((resolve, reject) => {
+        this.db.run('UPDATE playlist_items SET position = ? WHERE id = ? AND playlist_id = ?', [position, itemIds[position], playlistId], (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  async touchPlaylist(playlistId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlistId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   async close() {
     if (this.db) {
       return new Promise((resolve) => {
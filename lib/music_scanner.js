@@ -4,19 +4,35 @@ const chokidar = require('chokidar');
 // PKG Bugfix: Dynamic import for music-metadata ES module
 let parseFile;
 const sharp = require('sharp');
-const { execSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
 const ffprobeStatic = require('ffprobe-static');
 const ffprobePath = ffprobeStatic.path;
 const { validateGenres } = require('./valid_genres');
+const { normalizeKey } = require('./track_similarity');
+const { estimateBpm, estimateKey } = require('./audio_features');
+const { creditArtists, creditAlbum } = require('./artist_credits');
+const { resolveAlbumDisc } = require('./album_discs');
+
+// Tempo/key estimation decodes an excerpt at a low sample rate
+const TEMPO_KEY_SAMPLE_RATE = 11025;
+const TEMPO_KEY_SKIP_SECONDS = 15;
+const TEMPO_KEY_SECONDS = 90;
 
 class MusicScanner {
-  constructor(musicDir, database) {
+  // options.artists: separators for artist credits (config.json "artists", see lib/artist_credits.js)
+  constructor(musicDir, database, options = {}) {
     this.musicDir = musicDir;
     this.db = database;
+    this.artistOptions = options.artists || {};
     this.watcher = null;
-    this.supportedFormats = ['.mp3']; // Only support MP3 files
+    // Lossy and lossless formats readable by music-metadata (ffprobe as fallback)
+    this.supportedFormats = ['.mp3', '.flac', '.ogg', '.oga', '.opus', '.m4a', '.mp4', '.aac', '.wma', '.wav'];
     this.scanning = false;
     this.musicMetadataLoaded = false;
+    // Tracks waiting for ffmpeg loudness/silence and tempo/key analysis
+    this.analysisQueue = [];
+    this.queuedAnalysisIds = new Set(); // ids in analysisQueue, for cheap duplicate checks
+    this.analyzingAudio = false;
   }
 
   // PKG Bugfix: Dynamic loader for music-metadata ES module
@@ -54,9 +70,49 @@ class MusicScanner {
     
     // PKG Bugfix: Load music-metadata dynamically
     await this.loadMusicMetadata();
+    await this.creditExistingArtists();
+    await this.mergeDiscVariants();
     await this.setupWatcher();
   }
 
+  // Split the artist tag of tracks scanned before artist credits existed (unchanged files are not rescanned)
+  async creditExistingArtists() {
+    const tracks = await this.db.getTracksWithoutArtists();
+    if (tracks.length === 0) return;
+
+    console.log(`👥 Crediting artists of ${tracks.length} tracks...`);
+    await this.db.beginTransaction();
+    try {
+      for (const track of tracks) {
+        await this.db.setTrackArtists(track.id, creditArtists(track.artist, [], this.artistOptions));
+      }
+      await this.db.commitTransaction();
+    } catch (error) {
+      await this.db.rollbackTransaction();
+      console.error('❌ Crediting artists failed:', error.message);
+    }
+  }
+
+  // Join "Album (CD1)"/"Album (CD2)" of tracks scanned before multi-disc albums were merged
+  async mergeDiscVariants() {
+    const tracks = (await this.db.getDiscVariantCandidates())
+      .map(track => ({ track, ...resolveAlbumDisc(track.album, track.disc_number, path.basename(path.dirname(track.file_path))) }))
+      .filter(({ track, album, disc_number }) => album !== track.album || disc_number !== track.disc_number);
+    if (tracks.length === 0) return;
+
+    console.log(`💿 Merging disc variants of ${tracks.length} tracks...`);
+    await this.db.beginTransaction();
+    try {
+      for (const { track, album, disc_number } of tracks) {
+        await this.db.updateTrackDisc(track, { album, disc_number });
+      }
+      await this.db.commitTransaction();
+    } catch (error) {
+      await this.db.rollbackTransaction();
+      console.error('❌ Merging disc variants failed:', error.message);
+    }
+  }
+
   async setupWatcher() {
     // Watch for file changes
     this.watcher = chokidar.watch(this.musicDir, {
@@ -171,15 +227,21 @@ class MusicScanner {
       }
 
       console.log(`[SCANNER] ✅ Scan completed: ${processed} processed, ${errors} errors`);
+      
+      // Pick up tracks indexed before audio analysis existed (files that failed before are skipped)
+      const unanalyzed = await this.db.getTracksWithoutAnalysis(100000);
+      unanalyzed.forEach(track => this.queueAudioAnalysis(track));
     } catch (error) {
       console.error('❌ Full scan failed:', error);
     } finally {
       this.scanning = false;
+      this.processAnalysisQueue();
     }
   }
 
   async findMusicFiles(dir) {
     const files = [];
+    const supportedFormats = this.supportedFormats;
     
     async function walk(currentDir) {
       const entries = await fs.readdir(currentDir, { withFileTypes: true });
@@ -191,7 +253,7 @@ class MusicScanner {
           await walk(fullPath);
         } else if (entry.isFile()) {
           const ext = path.extname(entry.name).toLowerCase();
-          if (['.mp3'].includes(ext)) { // Only support MP3 files
+          if (supportedFormats.includes(ext)) {
             files.push(fullPath);
           }
         }
@@ -211,6 +273,10 @@ class MusicScanner {
         existingTrack = await this.db.getTrackByPath(filePath);
       }
       if (existingTrack && existingTrack.file_mtime === stats.mtime.getTime()) {
+        // Tracks scanned before compilations were recognized only need their album tags
+        if (existingTrack.compilation === null) {
+          await this.readAlbumCredit(existingTrack);
+        }
         return; // Skip unchanged files
       }
 
@@ -292,21 +358,39 @@ class MusicScanner {
         file_mtime: stats.mtime.getTime(),
         title: common.title || path.basename(filePath, path.extname(filePath)),
         artist: common.artist || 'Unknown Artist',
-        album: common.album || 'Unknown Album',
-        album_artist: common.albumartist || common.artist,
+        // Every credited artist: multi-value frames or the split artist tag
+        artists: creditArtists(common.artist || 'Unknown Artist', common.artists, this.artistOptions),
+        // "Album (CD2)" or a "CD2" folder is disc 2 of "Album"
+        ...resolveAlbumDisc(common.album || 'Unknown Album', common.disk?.no || null, path.basename(path.dirname(filePath))),
+        // Compilations share one album artist ("Various Artists" unless tagged)
+        ...creditAlbum(common),
         genre: validateGenres(common.genre), // Use validated genre or null
         year: common.year || null,
         track_number: common.track?.no || null,
-        disc_number: common.disk?.no || null,
         duration: metadata.format?.duration || null,
         bitrate: metadata.format?.bitrate || null,
         format: metadata.format?.container || path.extname(filePath).slice(1),
         cover_path: coverPath,
-        has_cover: hasCover
+        has_cover: hasCover,
+        ...this.readReplayGain(common),
+        ...this.readTempoKey(common)
       };
 
       // Insert into database
-      await this.db.insertTrack(trackData);
+      const trackId = await this.db.insertTrack(trackData);
+      
+      // Measure loudness, silence, tempo and key in the background (tagged values are kept)
+      if (trackId) {
+        this.queueAudioAnalysis({
+          id: trackId,
+          file_path: filePath,
+          album: trackData.album,
+          album_artist: trackData.album_artist,
+          album_gain_tagged: trackData.replaygain_album_gain !== null,
+          needs_loudness: true,
+          needs_tempo_key: trackData.bpm === null || trackData.musical_key === null
+        });
+      }
       
       // Return info about whether cover was found
       return { hasCover };
@@ -346,6 +430,18 @@ class MusicScanner {
     }
   }
 
+  // Album artist and compilation flag of an unchanged file, without touching the rest of the track
+  async readAlbumCredit(track) {
+    let common = { albumartist: track.album_artist };
+    try {
+      const metadata = await parseFile(track.file_path, { skipCovers: true, duration: false });
+      common = metadata.common || {};
+    } catch (error) {
+      console.warn(`⚠️  Could not read album tags of ${path.basename(track.file_path)}: ${error.message}`);
+    }
+    await this.db.updateAlbumCredit(track, creditAlbum({ ...common, artist: track.artist }));
+  }
+
   async parseWithFfprobe(filePath) {
     try {
       const command = `"${ffprobePath}" -v quiet -print_format json -show_format -show_streams "${filePath}"`;
@@ -354,7 +450,8 @@ class MusicScanner {
       
       const audioStream = data.streams?.find(s => s.codec_type === 'audio');
       const format = data.format || {};
-      const tags = format.tags || {};
+      // Ogg/Opus keep their Vorbis comments on the audio stream, not the container
+      const tags = { ...(audioStream?.tags || {}), ...(format.tags || {}) };
       
       // Extract cover art if present
       let picture = null;
@@ -376,11 +473,18 @@ class MusicScanner {
           title: tags.title || tags.TITLE,
           artist: tags.artist || tags.ARTIST,
           album: tags.album || tags.ALBUM,
-          albumartist: tags.albumartist || tags.ALBUMARTIST,
+          albumartist: tags.albumartist || tags.ALBUMARTIST || tags.album_artist,
+          compilation: ['1', 'true'].includes(String(tags.compilation || tags.COMPILATION || tags.TCMP || '').toLowerCase()),
           genre: validateGenres(tags.genre || tags.GENRE), // Use validated genre
           year: tags.date ? parseInt(tags.date) : (tags.DATE ? parseInt(tags.DATE) : null),
           track: tags.track ? { no: parseInt(tags.track) } : (tags.TRACK ? { no: parseInt(tags.TRACK) } : null),
           disk: tags.disc ? { no: parseInt(tags.disc) } : (tags.DISC ? { no: parseInt(tags.DISC) } : null),
+          replaygain_track_gain: this.parseGainTag(tags.REPLAYGAIN_TRACK_GAIN || tags.replaygain_track_gain),
+          replaygain_track_peak: this.parsePeakTag(tags.REPLAYGAIN_TRACK_PEAK || tags.replaygain_track_peak),
+          replaygain_album_gain: this.parseGainTag(tags.REPLAYGAIN_ALBUM_GAIN || tags.replaygain_album_gain),
+          replaygain_album_peak: this.parsePeakTag(tags.REPLAYGAIN_ALBUM_PEAK || tags.replaygain_album_peak),
+          bpm: tags.TBPM || tags.BPM || tags.bpm,
+          key: tags.TKEY || tags.INITIALKEY || tags.initialkey || tags.KEY || tags.key,
           picture: picture
         },
         metadata: {
@@ -396,6 +500,206 @@ class MusicScanner {
     }
   }
 
+  // ffprobe reports ReplayGain tags as strings like "-6.48 dB" / "0.988553"
+  parseGainTag(value) {
+    const dB = parseFloat(value);
+    return isFinite(dB) ? { dB } : undefined;
+  }
+
+  parsePeakTag(value) {
+    const ratio = parseFloat(value);
+    return isFinite(ratio) ? { ratio } : undefined;
+  }
+
+  /**
+   * Extract ReplayGain values (music-metadata IRatio objects: { dB, ratio }).
+   * Gains are stored in dB, peaks as linear sample ratio.
+   */
+  readReplayGain(common) {
+    const gainDb = (value) => (value && isFinite(value.dB) ? Math.round(value.dB * 100) / 100 : null);
+    const peakRatio = (value) => (value && isFinite(value.ratio) ? value.ratio : null);
+
+    const trackGain = gainDb(common.replaygain_track_gain);
+    return {
+      // ReplayGain 2.0 targets -18 LUFS, so the tag implies the measured loudness
+      loudness_lufs: trackGain !== null ? Math.round((-18 - trackGain) * 100) / 100 : null,
+      replaygain_track_gain: trackGain,
+      replaygain_track_peak: peakRatio(common.replaygain_track_peak),
+      replaygain_album_gain: gainDb(common.replaygain_album_gain),
+      replaygain_album_peak: peakRatio(common.replaygain_album_peak)
+    };
+  }
+
+  // TBPM/TKEY (ID3), BPM/INITIALKEY (Vorbis comments); keys are stored as "Am" / "F#"
+  readTempoKey(common) {
+    const bpm = parseFloat(common.bpm);
+    return {
+      bpm: bpm >= 40 && bpm <= 250 ? Math.round(bpm * 10) / 10 : null,
+      musical_key: normalizeKey(common.key)
+    };
+  }
+
+  queueAudioAnalysis(track) {
+    if (this.queuedAnalysisIds.has(track.id)) return;
+    this.queuedAnalysisIds.add(track.id);
+    this.analysisQueue.push(track);
+    this.processAnalysisQueue();
+  }
+
+  // Analyze queued tracks one at a time; waits while a full scan holds the DB transaction
+  async processAnalysisQueue() {
+    if (this.analyzingAudio || this.scanning || this.analysisQueue.length === 0) return;
+
+    this.analyzingAudio = true;
+    console.log(`[SCANNER] 🔊 Analyzing loudness/silence/tempo of ${this.analysisQueue.length} track(s)...`);
+
+    try {
+      while (this.analysisQueue.length > 0 && !this.scanning) {
+        const track = this.analysisQueue.shift();
+        this.queuedAnalysisIds.delete(track.id);
+        if (track.needs_loudness) {
+          try {
+            const analysis = await this.analyzeAudio(track.file_path);
+            await this.db.updateTrackAnalysis(track.id, analysis);
+            if (!track.album_gain_tagged) {
+              await this.db.updateAlbumGain(track.album, track.album_artist || track.artist);
+            }
+          } catch (error) {
+            console.warn(`⚠️  Audio analysis failed for ${path.basename(track.file_path)}: ${error.message}`);
+            await this.db.markAnalysisFailed(track.id).catch(() => {});
+          }
+        }
+        if (track.needs_tempo_key) {
+          try {
+            // Marked as analyzed even without a result, so undetectable tracks are not retried every scan
+            await this.db.updateTrackTempoKey(track.id, await this.analyzeTempoKey(track.file_path));
+          } catch (error) {
+            console.warn(`⚠️  Tempo/key analysis failed for ${path.basename(track.file_path)}: ${error.message}`);
+            await this.db.markAnalysisFailed(track.id).catch(() => {});
+          }
+        }
+      }
+      console.log('[SCANNER] ✅ Audio analysis finished');
+    } finally {
+      this.analyzingAudio = false;
+    }
+  }
+
+  /**
+   * Decode a file once with ffmpeg to measure integrated loudness and true peak
+   * (EBU R128 via ebur128) and the audible range (silencedetect), used for
+   * ReplayGain and for trimming silence at crossfades.
+   */
+  analyzeAudio(filePath) {
+    const ffmpegPath = require('ffmpeg-static');
+    const filters = 'silencedetect=noise=-50dB:duration=0.5,ebur128=peak=true:framelog=verbose';
+    const args = ['-hide_banner', '-nostats', '-i', filePath, '-vn', '-filter_complex', filters, '-f', 'null', '-'];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, args, { windowsHide: true });
+      const silences = [];
+      let duration = null;
+      let pending = '';
+      let summary = '';
+
+      ffmpeg.stderr.on('data', (chunk) => {
+        const lines = (pending + chunk.toString()).split(/\r?\n/);
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const durationMatch = line.match(/Duration: (\d+):(\d+):([\d.]+)/);
+          const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+          const endMatch = line.match(/silence_end: (-?[\d.]+)/);
+
+          if (durationMatch && duration === null) {
+            duration = parseInt(durationMatch[1], 10) * 3600 + parseInt(durationMatch[2], 10) * 60 + parseFloat(durationMatch[3]);
+          } else if (startMatch) {
+            silences.push({ start: Math.max(0, parseFloat(startMatch[1])), end: null });
+          } else if (endMatch && silences.length > 0) {
+            silences[silences.length - 1].end = parseFloat(endMatch[1]);
+          } else if (line.includes('Summary:') || summary) {
+            summary += line + '\n';
+          }
+        }
+      });
+
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        summary += pending;
+        const integrated = summary.match(/I:\s+(-?[\d.]+) LUFS/);
+        const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+
+        if (code !== 0 || !integrated) {
+          reject(new Error(`ffmpeg analysis failed (exit code ${code})`));
+          return;
+        }
+
+        const loudness = parseFloat(integrated[1]);
+        const peakDb = peak ? parseFloat(peak[1]) : NaN;
+
+        // Leading silence starts at 0; trailing silence runs until the end of the file
+        const first = silences[0];
+        const last = silences[silences.length - 1];
+        const audioStart = first && first.start < 0.05 && first.end !== null ? first.end : 0;
+        const trailingSilence = last && last.start > audioStart && (last.end === null || (duration && last.end >= duration - 0.05));
+        const audioEnd = trailingSilence ? last.start : (duration || 0);
+
+        resolve({
+          loudness_lufs: loudness,
+          replaygain_track_gain: Math.round((-18 - loudness) * 100) / 100,
+          replaygain_track_peak: isFinite(peakDb) ? Math.pow(10, peakDb / 20) : null,
+          audio_start: Math.round(audioStart * 1000) / 1000,
+          audio_end: Math.round(audioEnd * 1000) / 1000
+        });
+      });
+    });
+  }
+
+  /**
+   * Decode an excerpt to mono PCM and estimate tempo and key (lib/audio_features.js).
+   * The intro is skipped when the file is long enough; short files are used whole.
+   */
+  async analyzeTempoKey(filePath) {
+    let samples = await this.decodeExcerpt(filePath, TEMPO_KEY_SKIP_SECONDS);
+    if (samples.length < TEMPO_KEY_SAMPLE_RATE * 10) {
+      samples = await this.decodeExcerpt(filePath, 0);
+    }
+
+    return {
+      bpm: estimateBpm(samples, TEMPO_KEY_SAMPLE_RATE),
+      musical_key: estimateKey(samples, TEMPO_KEY_SAMPLE_RATE)
+    };
+  }
+
+  decodeExcerpt(filePath, skipSeconds) {
+    const ffmpegPath = require('ffmpeg-static');
+    const args = [
+      '-hide_banner', '-nostats', '-loglevel', 'error',
+      '-ss', String(skipSeconds), '-t', String(TEMPO_KEY_SECONDS), '-i', filePath,
+      '-vn', '-ac', '1', '-ar', String(TEMPO_KEY_SAMPLE_RATE), '-f', 'f32le', 'pipe:1'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, args, { windowsHide: true });
+      const chunks = [];
+
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.stderr.resume();
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg decoding failed (exit code ${code})`));
+          return;
+        }
+        const buffer = Buffer.concat(chunks);
+        // Copy into an aligned buffer; Buffer.concat may return an offset slice of the pool
+        const samples = new Float32Array(Math.floor(buffer.length / 4));
+        for (let i = 0; i < samples.length; i++) samples[i] = buffer.readFloatLE(i * 4);
+        resolve(samples);
+      });
+    });
+  }
+
   async findFolderCover(musicFilePath) {
     try {
       const musicDir = path.dirname(musicFilePath);
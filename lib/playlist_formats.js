@@ -0,0 +1,289 @@
+const path = require('path');
+
+// Playlist files from other players: M3U/M3U8, PLS and XSPF.
+// parsePlaylist() -> entries { location, title, artist, duration }, serializePlaylist() writes them back.
+
+const FORMATS = ['m3u', 'm3u8', 'pls', 'xspf'];
+const SPOTIFY_TRACK = /^(?:spotify:track:|https?:\/\/open\.spotify\.com\/(?:intl-[a-z]+\/)?track\/)([A-Za-z0-9]{22})/;
+
+const CONTENT_TYPES = {
+  m3u: 'audio/x-mpegurl',
+  m3u8: 'application/vnd.apple.mpegurl; charset=utf-8',
+  pls: 'audio/x-scpls',
+  xspf: 'application/xspf+xml; charset=utf-8'
+};
+
+function detectFormat(content, filename = '') {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+
+  const start = content.trimStart().slice(0, 200).toLowerCase();
+  if (start.startsWith('<?xml') || start.includes('<playlist')) return 'xspf';
+  if (start.startsWith('[playlist]')) return 'pls';
+  return 'm3u8';
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "Artist - Title" as written by most players into EXTINF / PLS titles
+function splitArtistTitle(text) {
+  const value = (text || '').trim();
+  const separator = value.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: value || null };
+  return { artist: value.slice(0, separator).trim(), title: value.slice(separator + 3).trim() };
+}
+
+function parseDuration(value) {
+  const seconds = parseFloat(value);
+  return seconds > 0 ? seconds : null;
+}
+
+function parseM3u(content) {
+  const entries = [];
+  let info = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const extinf = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i.exec(line);
+    if (extinf) {
+      info = { duration: parseDuration(extinf[1]), ...splitArtistTitle(extinf[2]) };
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, artist: null, title: null, duration: null, ...info });
+      info = null;
+    }
+  }
+  return entries;
+}
+
+function parsePls(content) {
+  const fields = {};
+  for (const rawLine of content.split(/\r?\n/)) {
+    const match = /^(File|Title|Length)(\d+)\s*=\s*(.*)$/i.exec(rawLine.trim());
+    if (!match) continue;
+    const index = parseInt(match[2], 10);
+    fields[index] = fields[index] || {};
+    fields[index][match[1].toLowerCase()] = match[3].trim();
+  }
+
+  return Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter(index => fields[index].file)
+    .map(index => ({
+      location: fields[index].file,
+      duration: parseDuration(fields[index].length),
+      ...splitArtistTitle(fields[index].title)
+    }));
+}
+
+function parseXspf(content) {
+  const entries = [];
+  const trackPattern = /<track\b[^>]*>([\s\S]*?)<\/track>/gi;
+  const field = (block, name) => {
+    const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i').exec(block);
+    return match ? decodeXml(match[1]).trim() : null;
+  };
+
+  let match;
+  while ((match = trackPattern.exec(content)) !== null) {
+    const block = match[1];
+    const location = field(block, 'location');
+    if (!location) continue;
+    const milliseconds = parseFloat(field(block, 'duration'));
+    entries.push({
+      location,
+      title: field(block, 'title'),
+      artist: field(block, 'creator'),
+      duration: milliseconds > 0 ? milliseconds / 1000 : null
+    });
+  }
+  return entries;
+}
+
+function parsePlaylist(content, format) {
+  const text = content.replace(/^\uFEFF/, '');
+  switch (format) {
+    case 'pls':
+      return parsePls(text);
+    case 'xspf':
+      return parseXspf(text);
+    default:
+      return parseM3u(text);
+  }
+}
+
+/**
+ * Write items { location, title, artist, album, duration } in the given format.
+ * Plain M3U is written as UTF-8 as well; current players read it that way.
+ */
+function serializePlaylist(items, format, { name = 'Playlist' } = {}) {
+  const label = (item) => [item.artist, item.title].filter(Boolean).join(' - ');
+  const seconds = (item) => item.duration > 0 ? Math.round(item.duration) : -1;
+
+  if (format === 'pls') {
+    const lines = ['[playlist]'];
+    items.forEach((item, index) => {
+      lines.push(`File${index + 1}=${item.location}`);
+      lines.push(`Title${index + 1}=${label(item)}`);
+      lines.push(`Length${index + 1}=${seconds(item)}`);
+    });
+    lines.push(`NumberOfEntries=${items.length}`, 'Version=2');
+    return lines.join('\n') + '\n';
+  }
+
+  if (format === 'xspf') {
+    const tracks = items.map(item => [
+      '    <track>',
+      `      <location>${encodeXml(toXspfLocation(item.location))}</location>`,
+      item.title ? `      <title>${encodeXml(item.title)}</title>` : null,
+      item.artist ? `      <creator>${encodeXml(item.artist)}</creator>` : null,
+      item.album ? `      <album>${encodeXml(item.album)}</album>` : null,
+      item.duration > 0 ? `      <duration>${Math.round(item.duration * 1000)}</duration>` : null,
+      '    </track>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${encodeXml(name)}</title>`,
+      '  <trackList>',
+      ...tracks,
+      '  </trackList>',
+      '</playlist>'
+    ].join('\n') + '\n';
+  }
+
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  items.forEach(item => {
+    lines.push(`#EXTINF:${seconds(item)},${label(item)}`);
+    lines.push(item.location);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// XSPF locations are URIs
+function toXspfLocation(location) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(location) && !/^[a-z]:[\\/]/i.test(location)) return location;
+  const normalized = location.replace(/\\/g, '/');
+  const encoded = normalized
+    .split('/')
+    .map((part, index) => index === 0 && /^[a-z]:$/i.test(part) ? part : encodeURIComponent(part))
+    .join('/');
+  if (normalized.startsWith('/')) return `file://${encoded}`;
+  if (/^[a-z]:\//i.test(normalized)) return `file:///${encoded}`;
+  return encoded;
+}
+
+// file:// URIs and percent-encoding -> plain path with forward slashes
+function normalizeLocation(location) {
+  let value = location.trim();
+  if (/^file:\/\//i.test(value)) {
+    value = value.replace(/^file:\/\/(localhost)?/i, '');
+    // file:///C:/Music -> C:/Music
+    if (/^\/[a-z]:\//i.test(value)) value = value.slice(1);
+  }
+  if (/%[0-9a-f]{2}/i.test(value)) {
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Keep literal percent signs
+    }
+  }
+  return value.replace(/\\/g, '/');
+}
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\s*[([](?:feat|ft|with)\.?[^)\]]*[)\]]/g, '')
+    .replace(/\s+(?:feat|ft)\.?\s.*$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Find library tracks for playlist entries:
+ *   1. Spotify URIs/URLs become Spotify items
+ *   2. exact path (absolute, or relative to one of baseDirs)
+ *   3. trailing path components (playlists written on another machine)
+ *   4. artist + title from the playlist (or "Artist - Title" file names)
+ * Resolves with { items: [{ trackId } | { spotifyId }], unresolved: [{ index, location, artist, title }] }.
+ */
+async function resolveEntries(musicDB, entries, baseDirs = []) {
+  const items = [];
+  const unresolved = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const spotify = SPOTIFY_TRACK.exec(entry.location.trim());
+    if (spotify) {
+      items.push({ spotifyId: spotify[1], title: entry.title, artist: entry.artist, duration: entry.duration });
+      continue;
+    }
+
+    const location = normalizeLocation(entry.location);
+    const track = /^[a-z][a-z0-9+.-]*:\/\//i.test(location) ? null : await findTrack(musicDB, location, entry, baseDirs);
+    if (track) {
+      items.push({ trackId: track.id });
+    } else {
+      unresolved.push({ index, location: entry.location, artist: entry.artist, title: entry.title });
+    }
+  }
+  return { items, unresolved };
+}
+
+async function findTrack(musicDB, location, entry, baseDirs) {
+  const isAbsolute = location.startsWith('/') || /^[a-z]:\//i.test(location);
+  const candidates = isAbsolute ? [location] : baseDirs.map(dir => path.resolve(dir, location));
+  for (const candidate of candidates) {
+    const track = await musicDB.getTrackByPath(candidate) || await musicDB.getTrackByPath(candidate.replace(/\//g, path.sep));
+    if (track) return track;
+  }
+
+  // Last three, then two path components ("Artist/Album/01 Song.mp3")
+  const parts = location.split('/').filter(part => part && part !== '.' && part !== '..');
+  for (const count of [3, 2]) {
+    if (parts.length < count) continue;
+    const matches = await musicDB.findTracksByPathSuffix(parts.slice(-count).join('/'));
+    if (matches.length === 1) return matches[0];
+  }
+
+  const fromName = splitArtistTitle(path.basename(location, path.extname(location)).replace(/^\d+[\s.-]+/, ''));
+  const artist = normalizeText(entry.artist || fromName.artist);
+  const title = normalizeText(entry.title || fromName.title);
+  if (!title) return null;
+
+  const matches = (await musicDB.findTracksByTitle(title.split(' ')))
+    .filter(track => normalizeText(track.title) === title);
+  if (artist) {
+    return matches.find(track => normalizeText(track.artist) === artist || normalizeText(track.album_artist) === artist) || null;
+  }
+  return matches.length === 1 ? matches[0] : null;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  detectFormat,
+  parsePlaylist,
+  serializePlaylist,
+  resolveEntries
+};
@@ -0,0 +1,419 @@
+const { EventEmitter } = require('events');
+
+const QUEUE_SESSION_ID = 'server';
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Server-owned play queue. All clients (kiosk, phones, admin screens) change
+ * the queue through this class; every change is emitted as 'change' with the
+ * full state so the data server can push it to subscribers.
+ *
+ * Operations return { success: true, state } or { success: false, code, error }.
+ */
+class QueueManager extends EventEmitter {
+  constructor(appDB) {
+    super();
+    this.appDB = appDB;
+    this.queue = [];
+    this.currentTrackIndex = -1;
+    this.playedHistory = []; // { key, timestamp } for the lock-time check
+    this.requestLog = [];    // { requesterId, clientAddress, timestamp } for the hourly quota (not persisted)
+    this.playback = { isPlaying: false };
+    this.version = Date.now(); // keeps growing across restarts, so clients never see it go back
+    this.nextEntryId = 1;
+    this.saveTimer = null;
+  }
+
+  async load() {
+    const saved = await this.appDB.loadQueueState(QUEUE_SESSION_ID);
+    if (!saved) return;
+
+    this.queue = Array.isArray(saved.queue) ? saved.queue : [];
+    this.currentTrackIndex = this.queue.length > 0 ? Math.min(saved.currentTrackIndex, this.queue.length - 1) : -1;
+    this.playedHistory = Array.isArray(saved.playedTracks) ? saved.playedTracks : [];
+    this.nextEntryId = this.queue.reduce((max, entry) => Math.max(max, entry.queueId || 0), 0) + 1;
+    this.queue.forEach(entry => {
+      if (!entry.queueId) entry.queueId = this.nextEntryId++;
+    });
+    console.log(`[QUEUE] 📋 Server queue restored: ${this.queue.length} tracks, current index ${this.currentTrackIndex}`);
+  }
+
+  // Same key logic the browser used in addToQueue()
+  static getTrackKey(track) {
+    if (track.type === 'spotify') {
+      return track.uri;
+    }
+    return track.path || track.file_path || track.id || track.streamUrl || `${track.artist}_${track.title}_${track.album}`;
+  }
+
+  static normalizeTrack(track) {
+    const normalized = { ...track };
+    if (!normalized.type) {
+      if (normalized.uri || normalized.spotify_uri) {
+        normalized.type = 'spotify';
+      } else if (normalized.file_path || normalized.id || normalized.streamUrl) {
+        normalized.type = 'server';
+      }
+    }
+    // Entry bookkeeping is assigned by the server only
+    ['queueId', 'requesterId', 'votes', 'upvotes', 'downvotes', 'pinned', 'voteSkipped', 'creditCharge'].forEach(field => delete normalized[field]);
+    return normalized;
+  }
+
+  // Downvotes that skip the playing track (0 = never)
+  getSkipThreshold() {
+    const threshold = parseInt(this.appDB.getSetting('requests', 'downvoteSkipThreshold', 0), 10);
+    return isFinite(threshold) && threshold > 0 ? threshold : 0;
+  }
+
+  // Guest requests per requester and hour (0 = unlimited)
+  getRequestQuota() {
+    const limit = parseInt(this.appDB.getSetting('requests', 'maxPerHour', 0), 10);
+    return isFinite(limit) && limit > 0 ? limit : 0;
+  }
+
+  // Max consecutive upcoming slots per requester in fair-share mode (0 = off)
+  getFairShareSlots() {
+    if (!this.appDB.getSetting('requests', 'fairShare', false)) return 0;
+    const slots = parseInt(this.appDB.getSetting('requests', 'maxConsecutive', 1), 10);
+    return isFinite(slots) && slots > 0 ? slots : 1;
+  }
+
+  getLockTimeMs() {
+    const minutes = parseFloat(this.appDB.getSetting('admin', 'trackLockTimeMinutes', 60));
+    return (isFinite(minutes) ? minutes : 60) * 60 * 1000;
+  }
+
+  static countVotes(entry) {
+    const values = Object.values(entry.votes || {});
+    return { up: values.filter(value => value > 0).length, down: values.filter(value => value < 0).length };
+  }
+
+  // Clients see vote counts, not who voted
+  static toPublicEntry(entry) {
+    const { votes, ...publicEntry } = entry;
+    const { up, down } = QueueManager.countVotes(entry);
+    return { ...publicEntry, upvotes: up, downvotes: down };
+  }
+
+  getState() {
+    return {
+      queue: this.queue.map(QueueManager.toPublicEntry),
+      currentTrackIndex: this.currentTrackIndex,
+      playback: this.playback,
+      version: this.version
+    };
+  }
+
+  // Lock-time, duplicate and quota checks (admins may bypass all, Auto-DJ the lock time and quota)
+  checkTrack(track, { isAdmin = false, ignoreLockTime = false, ignoreQuota = false, requesterId = null, clientAddress = null } = {}) {
+    if (isAdmin) return null;
+
+    const key = QueueManager.getTrackKey(track);
+    const lockTimeMs = ignoreLockTime ? 0 : this.getLockTimeMs();
+    if (lockTimeMs > 0) {
+      const now = Date.now();
+      const recentPlay = this.playedHistory.find(played => played.key === key && (now - played.timestamp) < lockTimeMs);
+      if (recentPlay) {
+        const remainingMinutes = Math.ceil((lockTimeMs - (now - recentPlay.timestamp)) / (60 * 1000));
+        return { success: false, code: 'RECENTLY_PLAYED', error: 'Track was played recently', remainingMinutes };
+      }
+    }
+
+    if (this.queue.some(entry => QueueManager.getTrackKey(entry) === key)) {
+      return { success: false, code: 'ALREADY_QUEUED', error: 'Track is already in the queue' };
+    }
+
+    const quota = this.getRequestQuota();
+    if (quota > 0 && !ignoreQuota && (requesterId || clientAddress)) {
+      const requests = this.getRecentRequests(requesterId, clientAddress);
+      if (requests.length >= quota) {
+        const retryMinutes = Math.ceil((requests[0].timestamp + 60 * 60 * 1000 - Date.now()) / (60 * 1000));
+        return { success: false, code: 'QUOTA_EXCEEDED', error: `Only ${quota} requests per hour allowed`, retryMinutes };
+      }
+    }
+
+    return null;
+  }
+
+  // Requests of one requester or from one address within the last hour, oldest first.
+  // The address keeps a guest that drops its guest id on the same quota.
+  getRecentRequests(requesterId, clientAddress = null) {
+    const cutoff = Date.now() - 60 * 60 * 1000;
+    this.requestLog = this.requestLog.filter(request => request.timestamp >= cutoff);
+    return this.requestLog.filter(request =>
+      (requesterId && request.requesterId === requesterId) || (clientAddress && request.clientAddress === clientAddress));
+  }
+
+  // Count a guest request against the hourly quota (also used for moderated requests)
+  recordRequest(requesterId, clientAddress = null) {
+    if (requesterId || clientAddress) {
+      this.requestLog.push({ requesterId, clientAddress, timestamp: Date.now() });
+    }
+  }
+
+  static getRequesterKey(entry) {
+    return entry.requesterId || entry.addedBy || 'unknown';
+  }
+
+  /**
+   * Insert position for fair-share mode: every requester gets up to `slots`
+   * upcoming entries per round. The new entry goes after the requester's own
+   * entries and before the first entry of a later round.
+   */
+  getFairShareIndex(entry, slots) {
+    const requesterKey = QueueManager.getRequesterKey(entry);
+    const counts = new Map();
+    let insertIndex = this.queue.length;
+    let afterOwnEntries = this.currentTrackIndex + 1;
+    const rounds = [];
+
+    for (let index = this.currentTrackIndex + 1; index < this.queue.length; index++) {
+      const key = QueueManager.getRequesterKey(this.queue[index]);
+      const count = counts.get(key) || 0;
+      counts.set(key, count + 1);
+      rounds.push({ index, round: Math.floor(count / slots) });
+      if (key === requesterKey) afterOwnEntries = index + 1;
+    }
+
+    const newRound = Math.floor((counts.get(requesterKey) || 0) / slots);
+    const later = rounds.find(({ index, round }) => index >= afterOwnEntries && round > newRound);
+    if (later) insertIndex = later.index;
+    return insertIndex;
+  }
+
+  /**
+   * Add a track at the end or right after the current track.
+   * @param {Object} track - Track object as used by the kiosk
+   * @param {Object} options - { position: 'end'|'next', isAdmin, ignoreLockTime, ignoreQuota, requesterId, clientAddress, addedBy }
+   */
+  add(track, { position = 'end', isAdmin = false, ignoreLockTime = false, ignoreQuota = false, requesterId = null, clientAddress = null, addedBy = 'kiosk' } = {}) {
+    const entry = QueueManager.normalizeTrack(track);
+    const rejection = this.checkTrack(entry, { isAdmin, ignoreLockTime, ignoreQuota, requesterId, clientAddress });
+    if (rejection) return rejection;
+
+    if (!isAdmin && !ignoreQuota) {
+      this.recordRequest(requesterId, clientAddress);
+    }
+
+    entry.queueId = this.nextEntryId++;
+    entry.requesterId = requesterId;
+    entry.addedBy = addedBy;
+    entry.addedAt = Date.now();
+    const fairShareSlots = this.getFairShareSlots();
+
+    if (this.currentTrackIndex === -1) {
+      // Nothing playing: the queue restarts with this track
+      this.queue = [entry];
+      this.setCurrentIndexInternal(0);
+    } else if (position === 'next') {
+      this.queue.splice(this.currentTrackIndex + 1, 0, entry);
+    } else if (fairShareSlots > 0) {
+      this.queue.splice(this.getFairShareIndex(entry, fairShareSlots), 0, entry);
+    } else {
+      this.queue.push(entry);
+    }
+    this.applyVoteOrder();
+
+    this.commit('add');
+    return { success: true, entry, state: this.getState() };
+  }
+
+  remove(queueId) {
+    const index = this.queue.findIndex(entry => entry.queueId === queueId);
+    if (index === -1) {
+      return { success: false, code: 'NOT_FOUND', error: 'Track not in queue' };
+    }
+    if (index === this.currentTrackIndex) {
+      return { success: false, code: 'CURRENT_TRACK', error: 'The currently playing track cannot be removed' };
+    }
+
+    const [entry] = this.queue.splice(index, 1);
+    if (index < this.currentTrackIndex) {
+      this.currentTrackIndex--;
+    }
+
+    this.commit('remove');
+    return { success: true, entry, state: this.getState() };
+  }
+
+  // Move an upcoming track to another upcoming position (the playing track stays put)
+  move(queueId, toIndex) {
+    const fromIndex = this.queue.findIndex(entry => entry.queueId === queueId);
+    if (fromIndex === -1) {
+      return { success: false, code: 'NOT_FOUND', error: 'Track not in queue' };
+    }
+    const firstMovable = this.currentTrackIndex + 1;
+    const lastIndex = this.queue.length - 1;
+    if (!Number.isInteger(toIndex) || fromIndex < firstMovable || toIndex < firstMovable || toIndex > lastIndex) {
+      return { success: false, code: 'INVALID_POSITION', error: `Cannot move track to position ${toIndex}` };
+    }
+
+    const [entry] = this.queue.splice(fromIndex, 1);
+    this.queue.splice(toIndex, 0, entry);
+
+    this.commit('move');
+    return { success: true, entry, state: this.getState() };
+  }
+
+  /**
+   * Guest vote on an entry: 1 (up), -1 (down) or 0 (withdraw), one per voter.
+   * Returns skip: true once the playing track collects enough downvotes.
+   */
+  vote(queueId, voterId, value) {
+    const index = this.queue.findIndex(entry => entry.queueId === queueId);
+    if (index === -1) {
+      return { success: false, code: 'NOT_FOUND', error: 'Track not in queue' };
+    }
+    if (index < this.currentTrackIndex) {
+      return { success: false, code: 'INVALID_POSITION', error: 'Track was already played' };
+    }
+
+    const entry = this.queue[index];
+    entry.votes = { ...(entry.votes || {}) };
+    if (value === 0) {
+      delete entry.votes[voterId];
+    } else {
+      entry.votes[voterId] = value;
+    }
+
+    let skip = false;
+    if (index === this.currentTrackIndex) {
+      const threshold = this.getSkipThreshold();
+      const { up, down } = QueueManager.countVotes(entry);
+      if (threshold > 0 && !entry.voteSkipped && down >= threshold && down > up) {
+        entry.voteSkipped = true;
+        skip = true;
+      }
+    } else {
+      this.applyVoteOrder();
+    }
+
+    this.commit('vote');
+    return { success: true, skip, state: this.getState() };
+  }
+
+  // Pinned upcoming entries keep their position when votes reorder the queue
+  setPinned(queueId, pinned) {
+    const entry = this.queue.find(queueEntry => queueEntry.queueId === queueId);
+    if (!entry) {
+      return { success: false, code: 'NOT_FOUND', error: 'Track not in queue' };
+    }
+
+    entry.pinned = !!pinned;
+    this.applyVoteOrder();
+    this.commit('pin');
+    return { success: true, entry, state: this.getState() };
+  }
+
+  // Vote ordering mode: upcoming entries by score (stable), pinned ones stay put
+  applyVoteOrder() {
+    if (!this.appDB.getSetting('requests', 'voteOrdering', false)) return;
+
+    const start = this.currentTrackIndex + 1;
+    const upcoming = this.queue.slice(start);
+    const sorted = upcoming
+      .filter(entry => !entry.pinned)
+      .map((entry, order) => {
+        const { up, down } = QueueManager.countVotes(entry);
+        return { entry, order, score: up - down };
+      })
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map(({ entry }) => entry);
+
+    let next = 0;
+    const reordered = upcoming.map(entry => entry.pinned ? entry : sorted[next++]);
+    this.queue.splice(start, upcoming.length, ...reordered);
+  }
+
+  /**
+   * Set the playing position. -1 (or an index past the end) ends the queue.
+   */
+  setCurrentIndex(index) {
+    if (!Number.isInteger(index) || index < -1) {
+      return { success: false, code: 'INVALID_POSITION', error: `Invalid queue index ${index}` };
+    }
+
+    if (index === -1 || index >= this.queue.length) {
+      this.queue = [];
+      this.currentTrackIndex = -1;
+    } else {
+      this.setCurrentIndexInternal(index);
+    }
+
+    this.commit('current');
+    return { success: true, state: this.getState() };
+  }
+
+  // Replace the whole queue (playlist load, clear); skips the per-track checks
+  replace(tracks, currentTrackIndex = -1) {
+    this.queue = (Array.isArray(tracks) ? tracks : []).map(track => ({
+      ...QueueManager.normalizeTrack(track),
+      queueId: this.nextEntryId++,
+      addedBy: 'kiosk',
+      addedAt: Date.now()
+    }));
+
+    if (this.queue.length === 0 || currentTrackIndex < 0) {
+      this.currentTrackIndex = this.queue.length === 0 ? -1 : currentTrackIndex;
+    } else {
+      this.setCurrentIndexInternal(Math.min(currentTrackIndex, this.queue.length - 1));
+    }
+
+    this.commit('replace');
+    return { success: true, state: this.getState() };
+  }
+
+  setPlayback(playback) {
+    this.playback = { ...this.playback, ...playback };
+    this.commit('playback', false);
+    return { success: true, state: this.getState() };
+  }
+
+  setCurrentIndexInternal(index) {
+    const changed = index !== this.currentTrackIndex;
+    this.currentTrackIndex = index;
+
+    const entry = this.queue[index];
+    if (changed && entry) {
+      const now = Date.now();
+      const maxAge = Math.max(this.getLockTimeMs(), 60 * 60 * 1000);
+      this.playedHistory = this.playedHistory.filter(played => (now - played.timestamp) < maxAge);
+      this.playedHistory.push({ key: QueueManager.getTrackKey(entry), title: entry.title, timestamp: now });
+    }
+  }
+
+  commit(reason, persist = true) {
+    this.version++;
+    this.emit('change', { reason, state: this.getState() });
+    if (persist) this.scheduleSave();
+  }
+
+  // Coalesce bursts of changes (e.g. a playlist being queued) into one write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      await this.save();
+    }, SAVE_DELAY_MS);
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      await this.appDB.saveQueueState(QUEUE_SESSION_ID, {
+        queue: this.queue,
+        currentTrackIndex: this.currentTrackIndex,
+        playedTracks: this.playedHistory
+      });
+    } catch (error) {
+      console.error('❌ Failed to persist server queue:', error.message);
+    }
+  }
+}
+
+module.exports = QueueManager;
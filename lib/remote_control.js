@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Playback commands executed by the kiosk player; they need a PIN session
+const ADMIN_COMMANDS = ['skip', 'pause', 'resume'];
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // admin login on a phone lasts one evening
+const COMMAND_TTL_MS = 60 * 1000;            // kiosk polls every few seconds
+const MAX_PIN_ATTEMPTS = 5;                  // wrong PINs in a row before a client is locked out
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Admin sessions for phone remotes and a relay for playback commands.
+ * The queue itself is owned by QueueManager; only the player (the kiosk
+ * browser) can skip or pause, so those commands are queued here and polled.
+ */
+class RemoteControl {
+  constructor() {
+    this.sessions = new Map(); // token -> { createdAt, lastSeen }
+    this.pinAttempts = new Map(); // client address -> { failures, lockedUntil }
+    this.commands = [];
+    this.nextCommandId = 1;
+  }
+
+  static isAdminCommand(type) {
+    return ADMIN_COMMANDS.includes(type);
+  }
+
+  createAdminSession() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(token, { createdAt: Date.now(), lastSeen: Date.now() });
+    return token;
+  }
+
+  isAdminSession(token) {
+    if (!token) return false;
+    const session = this.sessions.get(token);
+    if (!session) return false;
+
+    if (Date.now() - session.createdAt > SESSION_TTL_MS) {
+      this.sessions.delete(token);
+      return false;
+    }
+    session.lastSeen = Date.now();
+    return true;
+  }
+
+  endSession(token) {
+    this.sessions.delete(token);
+  }
+
+  // Milliseconds a client still has to wait after too many wrong PINs (0 = may try)
+  getPinLockout(clientId) {
+    const attempts = this.pinAttempts.get(clientId);
+    return attempts ? Math.max(attempts.lockedUntil - Date.now(), 0) : 0;
+  }
+
+  recordPinAttempt(clientId, success) {
+    if (success) {
+      this.pinAttempts.delete(clientId);
+      return;
+    }
+    const attempts = this.pinAttempts.get(clientId) || { failures: 0, lockedUntil: 0 };
+    attempts.failures++;
+    if (attempts.failures >= MAX_PIN_ATTEMPTS) {
+      attempts.failures = 0;
+      attempts.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+    }
+    this.pinAttempts.set(clientId, attempts);
+  }
+
+  pushCommand(type, payload = {}) {
+    this.pruneCommands();
+    const command = { id: this.nextCommandId++, type, payload, createdAt: Date.now() };
+    this.commands.push(command);
+    return command;
+  }
+
+  // Commands newer than the last id the kiosk has executed
+  getCommandsSince(lastId = 0) {
+    this.pruneCommands();
+    return this.commands.filter(command => command.id > lastId);
+  }
+
+  getLastCommandId() {
+    return this.nextCommandId - 1;
+  }
+
+  pruneCommands() {
+    const cutoff = Date.now() - COMMAND_TTL_MS;
+    this.commands = this.commands.filter(command => command.createdAt >= cutoff);
+  }
+}
+
+RemoteControl.ADMIN_COMMANDS = ADMIN_COMMANDS;
+
+module.exports = RemoteControl;
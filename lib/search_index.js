@@ -0,0 +1,126 @@
+// Full-text search over the library (FTS5 table tracks_fts, maintained by MusicDatabase).
+//
+// - The tokenizer folds case and diacritics ("Ärzte" -> "arzte"); the indexed text also
+//   carries the German transliteration ("aerzte"), so both spellings find the track.
+// - Every search word is a prefix ("beat" finds "Beatles") for live typing on the touch keyboard.
+// - Leading articles are optional: "the beatles" finds "Beatles" and "The Beatles".
+// - Words that no indexed term starts with are replaced by close terms (edit distance), so
+//   "beatels" still finds "Beatles".
+
+const SEARCH_COLUMNS = ['title', 'artist', 'album', 'album_artist', 'genre'];
+// bm25() weights in SEARCH_COLUMNS order: title and artist hits rank first
+const COLUMN_WEIGHTS = [10, 8, 4, 6, 2];
+const ARTICLES = new Set(['the', 'a', 'an', 'die', 'der', 'das', 'le', 'la', 'les', 'el', 'los']);
+const MAX_ALTERNATIVES = 5;
+
+const TRANSLITERATIONS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss', Ä: 'Ae', Ö: 'Oe', Ü: 'Ue' };
+
+// Lowercase without diacritics, as the unicode61 tokenizer indexes it
+function foldText(text) {
+  return String(text || '')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Column value as indexed: original plus transliterated spelling if it differs
+function toIndexText(text) {
+  if (!text) return '';
+  const transliterated = text.replace(/[äöüßÄÖÜ]/g, char => TRANSLITERATIONS[char]);
+  return transliterated !== text ? `${text} ${transliterated}` : text;
+}
+
+function tokenize(query) {
+  const tokens = foldText(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const withoutArticles = tokens.filter(token => !ARTICLES.has(token));
+  return withoutArticles.length > 0 ? withoutArticles : tokens;
+}
+
+// Edit distance with swapped neighbours counting once ("beatels"), max + 1 once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        rows[i - 1][j] + 1,
+        row[j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+function maxTypos(token) {
+  if (token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+/**
+ * Closest vocabulary terms ([{ term, doc }]) for a word without prefix matches.
+ * A term also counts if its beginning is close, so half-typed words are corrected too.
+ */
+function findAlternatives(token, vocabulary) {
+  const max = maxTypos(token);
+  if (max === 0) return [];
+
+  return vocabulary
+    .map(({ term, doc }) => ({
+      term,
+      doc,
+      distance: Math.min(editDistance(token, term, max), editDistance(token, term.slice(0, token.length), max))
+    }))
+    .filter(entry => entry.distance <= max)
+    .sort((a, b) => a.distance - b.distance || b.doc - a.doc)
+    .slice(0, MAX_ALTERNATIVES)
+    .map(entry => entry.term);
+}
+
+// Whether every query word (or one of its replacements) starts a word of text, as a MATCH would
+function matchesTerms(text, tokens, alternatives = new Map()) {
+  const words = foldText(toIndexText(text)).split(/[^\p{L}\p{N}]+/u);
+  return tokens.every(token => {
+    const replacements = alternatives.get(token);
+    const candidates = replacements && replacements.length > 0 ? replacements : [token];
+    return candidates.some(term => words.some(word => word.startsWith(term)));
+  });
+}
+
+const quote = (term) => `"${term.replace(/"/g, '""')}"`;
+
+/**
+ * FTS5 MATCH expression; alternatives maps a token to replacement terms.
+ * null for queries without any word.
+ */
+function buildMatchQuery(tokens, alternatives = new Map()) {
+  if (tokens.length === 0) return null;
+  return tokens
+    .map(token => {
+      const replacements = alternatives.get(token);
+      if (!replacements || replacements.length === 0) return `${quote(token)}*`;
+      return `(${replacements.map(term => `${quote(term)}*`).join(' OR ')})`;
+    })
+    .join(' AND ');
+}
+
+module.exports = {
+  SEARCH_COLUMNS,
+  COLUMN_WEIGHTS,
+  foldText,
+  toIndexText,
+  tokenize,
+  editDistance,
+  findAlternatives,
+  buildMatchQuery,
+  matchesTerms
+};
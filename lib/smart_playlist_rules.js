@@ -0,0 +1,145 @@
+// Smart playlists: rules over the tracks table, evaluated on every read so they follow the library.
+//
+// Rules (stored as JSON in playlists.rules):
+//   { match: 'all' | 'any',
+//     conditions: [{ field, operator, value }],   // between: value = [from, to]; dates: value = days
+//     sort: 'random' | 'title' | 'artist' | 'year' | 'added' | 'last_played' | 'most_played',
+//     limit: 0 (= all) .. MAX_LIMIT }
+// Only whitelisted fields, operators and sort orders reach the SQL; values are always parameters.
+
+const MAX_LIMIT = 1000;
+
+const FIELDS = {
+  title: { type: 'text', column: 'title' },
+  artist: { type: 'text', column: 'artist' },
+  album: { type: 'text', column: 'album' },
+  album_artist: { type: 'text', column: 'album_artist' },
+  genre: { type: 'text', column: 'genre' },
+  musical_key: { type: 'text', column: 'musical_key' },
+  year: { type: 'number', column: 'year' },
+  bpm: { type: 'number', column: 'bpm' },
+  duration: { type: 'number', column: 'duration' },
+  play_count: { type: 'number', column: 'COALESCE(play_count, 0)' },
+  date_added: { type: 'date', column: 'created_at' },
+  last_played: { type: 'date', column: 'last_played' }
+};
+
+const OPERATORS = {
+  text: ['is', 'is_not', 'contains', 'not_contains', 'starts_with'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between'],
+  date: ['in_last', 'not_in_last', 'never']
+};
+
+const SORT_ORDERS = {
+  random: 'RANDOM()',
+  title: 'LOWER(title), LOWER(artist)',
+  artist: 'LOWER(artist), LOWER(album), disc_number, track_number',
+  year: 'year, LOWER(artist)',
+  added: 'created_at DESC, id DESC',
+  last_played: 'last_played DESC',
+  most_played: 'COALESCE(play_count, 0) DESC, last_played DESC'
+};
+
+const NUMBER_SQL = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+// One condition from the client -> normalized condition or null if unusable
+function normalizeCondition(condition) {
+  if (!condition || typeof condition !== 'object') return null;
+  const field = FIELDS[condition.field];
+  if (!field || !OPERATORS[field.type].includes(condition.operator)) return null;
+  const { operator } = condition;
+
+  if (field.type === 'text') {
+    const value = String(condition.value ?? '').trim();
+    return value ? { field: condition.field, operator, value } : null;
+  }
+
+  if (operator === 'never') {
+    return { field: condition.field, operator, value: null };
+  }
+
+  if (operator === 'between') {
+    const [from, to] = Array.isArray(condition.value) ? condition.value.map(toNumber) : [null, null];
+    if (from === null || to === null) return null;
+    return { field: condition.field, operator, value: [Math.min(from, to), Math.max(from, to)] };
+  }
+
+  const value = toNumber(condition.value);
+  if (value === null || (field.type === 'date' && value <= 0)) return null;
+  return { field: condition.field, operator, value };
+}
+
+/**
+ * Validated copy of client rules, or null if `rules` is not a rules object at all.
+ * Unusable conditions are dropped; no conditions means the whole library.
+ */
+function normalizeRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return null;
+  const conditions = Array.isArray(rules.conditions) ? rules.conditions : [];
+  const limit = parseInt(rules.limit, 10);
+  return {
+    match: rules.match === 'any' ? 'any' : 'all',
+    conditions: conditions.map(normalizeCondition).filter(Boolean),
+    sort: SORT_ORDERS[rules.sort] ? rules.sort : 'random',
+    limit: isFinite(limit) ? Math.min(Math.max(limit, 0), MAX_LIMIT) : 0
+  };
+}
+
+function conditionToSql({ field, operator, value }) {
+  const { column } = FIELDS[field];
+  switch (operator) {
+    case 'is':
+      return { sql: `LOWER(${column}) = LOWER(?)`, params: [value] };
+    case 'is_not':
+      return { sql: `(${column} IS NULL OR LOWER(${column}) != LOWER(?))`, params: [value] };
+    case 'contains':
+      return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(value)}%`] };
+    case 'not_contains':
+      return { sql: `(${column} IS NULL OR ${column} NOT LIKE ? ESCAPE '\\')`, params: [`%${escapeLike(value)}%`] };
+    case 'starts_with':
+      return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`${escapeLike(value)}%`] };
+    case 'between':
+      return { sql: `${column} BETWEEN ? AND ?`, params: value };
+    case 'in_last':
+      return { sql: `${column} >= datetime('now', ?)`, params: [`-${value} days`] };
+    case 'not_in_last':
+      return { sql: `(${column} IS NULL OR ${column} < datetime('now', ?))`, params: [`-${value} days`] };
+    case 'never':
+      return { sql: `${column} IS NULL`, params: [] };
+    default:
+      return { sql: `${column} ${NUMBER_SQL[operator]} ?`, params: [value] };
+  }
+}
+
+/**
+ * Normalized rules -> { where, params, orderBy, limit } for a query on tracks.
+ */
+function buildRulesQuery(rules) {
+  const parts = rules.conditions.map(conditionToSql);
+  const where = parts.length > 0
+    ? `(${parts.map(part => part.sql).join(rules.match === 'any' ? ' OR ' : ' AND ')})`
+    : '1 = 1';
+  return {
+    where,
+    params: parts.flatMap(part => part.params),
+    orderBy: SORT_ORDERS[rules.sort],
+    limit: rules.limit
+  };
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  SORT_ORDERS,
+  normalizeRules,
+  buildRulesQuery
+};
@@ -0,0 +1,14 @@
+// Times of day as entered in the admin panel ("HH:MM"): free-play hours and Auto-DJ schedule slots.
+
+// "HH:MM" -> minutes after midnight; null for empty or impossible times ("25:99", "7")
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+module.exports = {
+  parseTimeOfDay
+};
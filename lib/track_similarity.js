@@ -0,0 +1,120 @@
+const { getGenreFamilies } = require('./valid_genres');
+
+// Share of each aspect in the score; aspects missing on either track are left out
+const WEIGHTS = {
+  artist: 0.2,
+  genre: 0.3,
+  year: 0.15,
+  bpm: 0.1,
+  key: 0.05,
+  coPlay: 0.2
+};
+
+const YEAR_RANGE = 20; // years apart until the year no longer counts
+const BPM_RANGE = 30;  // BPM apart until the tempo no longer counts
+
+// Keys as Camelot numbers (1-12) + mode, so harmonic neighbours are easy to find
+const PITCH_CLASSES = { C: 0, 'C#': 1, DB: 1, D: 2, 'D#': 3, EB: 3, E: 4, F: 5, 'F#': 6, GB: 6, G: 7, 'G#': 8, AB: 8, A: 9, 'A#': 10, BB: 10, B: 11 };
+const CAMELOT_MAJOR = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];  // by pitch class
+const CAMELOT_MINOR = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function normalize(text) {
+  return (text || '').trim().toLowerCase();
+}
+
+// "Am", "F#", "Bbm", "C major", "8A" -> { number, minor } or null
+function parseKey(key) {
+  if (!key) return null;
+  const value = String(key).trim();
+
+  const camelot = /^(\d{1,2})([AB])$/i.exec(value);
+  if (camelot) {
+    const number = parseInt(camelot[1], 10);
+    return number >= 1 && number <= 12 ? { number, minor: camelot[2].toUpperCase() === 'A' } : null;
+  }
+
+  const match = /^([A-G])([#b]?)\s*(m|min|minor|maj|major)?$/i.exec(value);
+  if (!match) return null;
+  const pitchClass = PITCH_CLASSES[(match[1] + match[2]).toUpperCase()];
+  if (pitchClass === undefined) return null;
+  const minor = /^m(in(or)?)?$/i.test(match[3] || '');
+  return { number: (minor ? CAMELOT_MINOR : CAMELOT_MAJOR)[pitchClass], minor };
+}
+
+// Parsed key -> "Am" / "F#" (sharps), the notation stored in tracks.musical_key
+function normalizeKey(key) {
+  const parsed = parseKey(key);
+  if (!parsed) return null;
+  const pitchClass = (parsed.minor ? CAMELOT_MINOR : CAMELOT_MAJOR).indexOf(parsed.number);
+  return NOTE_NAMES[pitchClass] + (parsed.minor ? 'm' : '');
+}
+
+// Same key, relative major/minor or one step on the Camelot wheel mix well
+function keysCompatible(keyA, keyB) {
+  const a = parseKey(keyA);
+  const b = parseKey(keyB);
+  if (!a || !b) return null;
+  if (a.number === b.number) return true;
+  const distance = Math.min((a.number - b.number + 12) % 12, (b.number - a.number + 12) % 12);
+  return a.minor === b.minor && distance === 1;
+}
+
+// Half and double time count as the same groove
+function bpmCloseness(bpmA, bpmB) {
+  if (!(bpmA > 0) || !(bpmB > 0)) return null;
+  const difference = Math.min(
+    Math.abs(bpmA - bpmB),
+    Math.abs(bpmA * 2 - bpmB),
+    Math.abs(bpmA - bpmB * 2)
+  );
+  return Math.max(0, 1 - difference / BPM_RANGE);
+}
+
+function genreCloseness(genreA, genreB) {
+  if (!genreA || !genreB) return null;
+  if (normalize(genreA) === normalize(genreB)) return 1;
+  const familiesB = getGenreFamilies(genreB);
+  return getGenreFamilies(genreA).some(family => familiesB.includes(family)) ? 0.6 : 0;
+}
+
+function artistCloseness(a, b) {
+  const artistsA = [normalize(a.artist), normalize(a.album_artist)].filter(Boolean);
+  const artistsB = [normalize(b.artist), normalize(b.album_artist)].filter(Boolean);
+  if (artistsA.length === 0 || artistsB.length === 0) return null;
+  return artistsA.some(artist => artistsB.includes(artist)) ? 1 : 0;
+}
+
+/**
+ * Similarity of a candidate to the seed track, 0 (nothing in common) to 1.
+ * coPlays: Map of track id -> how often it was played close to the seed (play_history).
+ */
+function scoreSimilarity(seed, candidate, { coPlays = null } = {}) {
+  const parts = {
+    artist: artistCloseness(seed, candidate),
+    genre: genreCloseness(seed.genre, candidate.genre),
+    year: seed.year > 0 && candidate.year > 0 ? Math.max(0, 1 - Math.abs(seed.year - candidate.year) / YEAR_RANGE) : null,
+    bpm: bpmCloseness(seed.bpm, candidate.bpm),
+    key: (() => {
+      const compatible = keysCompatible(seed.musical_key, candidate.musical_key);
+      return compatible === null ? null : (compatible ? 1 : 0);
+    })(),
+    coPlay: coPlays && coPlays.size > 0 ? Math.min(1, (coPlays.get(candidate.id) || 0) / 3) : null
+  };
+
+  let total = 0;
+  let weightSum = 0;
+  Object.entries(parts).forEach(([aspect, value]) => {
+    if (value === null) return;
+    total += WEIGHTS[aspect] * value;
+    weightSum += WEIGHTS[aspect];
+  });
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+module.exports = {
+  scoreSimilarity,
+  parseKey,
+  normalizeKey,
+  keysCompatible
+};
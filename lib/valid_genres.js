@@ -2,62 +2,97 @@
 // Only tracks with exactly these genres will be categorized accordingly
 // All others will be classified as "Unknown"
 
-const VALID_GENRES = [
+// Genres grouped into families; the Auto-DJ treats genres of one family as related
+const GENRE_FAMILIES = {
   // Electronic/Dance
-  'Electronic', 'Dance', 'House', 'Techno', 'Trance', 'Dubstep', 'EDM', 'Electro',
-  'Progressive House', 'Deep House', 'Tech House', 'Minimal', 'Ambient', 'Drum & Bass',
-  'Jungle', 'Breakbeat', 'Hardcore', 'Hardstyle', 'Gabber', 'IDM', 'Downtempo',
-  'Chillout', 'Lounge', 'Trip Hop', 'Synthwave', 'Synthpop', 'New Wave',
+  electronic: [
+    'Electronic', 'Dance', 'House', 'Techno', 'Trance', 'Dubstep', 'EDM', 'Electro',
+    'Progressive House', 'Deep House', 'Tech House', 'Minimal', 'Ambient', 'Drum & Bass',
+    'Jungle', 'Breakbeat', 'Hardcore', 'Hardstyle', 'Gabber', 'IDM', 'Downtempo',
+    'Chillout', 'Lounge', 'Trip Hop', 'Synthwave', 'Synthpop', 'New Wave'
+  ],
   
   // Pop
-  'Pop', 'Dance Pop', 'Synth Pop', 'Electropop', 'Teen Pop', 'Adult Contemporary',
-  'Contemporary R&B', 'Europop', 'J-Pop', 'K-Pop', 'Latin Pop', 'Ballad',
+  pop: [
+    'Pop', 'Dance Pop', 'Synth Pop', 'Electropop', 'Teen Pop', 'Adult Contemporary',
+    'Contemporary R&B', 'Europop', 'J-Pop', 'K-Pop', 'Latin Pop', 'Ballad'
+  ],
   
   // Rock
-  'Rock', 'Hard Rock', 'Soft Rock', 'Classic Rock', 'Alternative Rock', 'Indie Rock',
-  'Progressive Rock', 'Psychedelic Rock', 'Punk Rock', 'Post-Punk', 'New Wave',
-  'Grunge', 'Metal', 'Heavy Metal', 'Death Metal', 'Black Metal', 'Power Metal',
-  'Thrash Metal', 'Folk Rock', 'Country Rock', 'Southern Rock', 'Blues Rock',
+  rock: [
+    'Rock', 'Hard Rock', 'Soft Rock', 'Classic Rock', 'Alternative Rock', 'Indie Rock',
+    'Progressive Rock', 'Psychedelic Rock', 'Punk Rock', 'Post-Punk', 'New Wave',
+    'Grunge', 'Metal', 'Heavy Metal', 'Death Metal', 'Black Metal', 'Power Metal',
+    'Thrash Metal', 'Folk Rock', 'Country Rock', 'Southern Rock', 'Blues Rock'
+  ],
   
   // Hip-Hop/Rap
-  'Hip Hop', 'Hip-Hop', 'Rap', 'Gangsta Rap', 'East Coast Hip Hop', 'West Coast Hip Hop',
-  'Southern Hip Hop', 'Trap', 'Conscious Hip Hop', 'Alternative Hip Hop', 'Old School Hip Hop',
-  'Boom Bap', 'Crunk', 'Grime', 'UK Hip Hop', 'German Rap', 'Deutschrap', 'French Rap',
+  hiphop: [
+    'Hip Hop', 'Hip-Hop', 'Rap', 'Gangsta Rap', 'East Coast Hip Hop', 'West Coast Hip Hop',
+    'Southern Hip Hop', 'Trap', 'Conscious Hip Hop', 'Alternative Hip Hop', 'Old School Hip Hop',
+    'Boom Bap', 'Crunk', 'Grime', 'UK Hip Hop', 'German Rap', 'Deutschrap', 'French Rap'
+  ],
   
   // R&B/Soul/Funk
-  'R&B', 'Soul', 'Funk', 'Disco', 'Motown', 'Neo-Soul', 'Contemporary R&B',
-  'Classic Soul', 'Northern Soul', 'Gospel', 'Blues', 'Rhythm & Blues',
+  soul: [
+    'R&B', 'Soul', 'Funk', 'Disco', 'Motown', 'Neo-Soul', 'Contemporary R&B',
+    'Classic Soul', 'Northern Soul', 'Gospel', 'Blues', 'Rhythm & Blues'
+  ],
   
   // Country/Folk
-  'Country', 'Country Pop', 'Country Rock', 'Bluegrass', 'Folk', 'Folk Rock',
-  'Americana', 'Alt-Country', 'Honky Tonk', 'Western', 'Celtic', 'Traditional',
+  country: [
+    'Country', 'Country Pop', 'Country Rock', 'Bluegrass', 'Folk', 'Folk Rock',
+    'Americana', 'Alt-Country', 'Honky Tonk', 'Western', 'Celtic', 'Traditional'
+  ],
+  
+  // Schlager/Volksmusik
+  schlager: [
+    'Schlager', 'Volksmusik', 'Neue Deutsche Welle', 'Party Schlager'
+  ],
   
   // Jazz
-  'Jazz', 'Smooth Jazz', 'Bebop', 'Cool Jazz', 'Free Jazz', 'Fusion', 'Swing',
-  'Big Band', 'Dixieland', 'Contemporary Jazz', 'Acid Jazz', 'Nu Jazz',
+  jazz: [
+    'Jazz', 'Smooth Jazz', 'Bebop', 'Cool Jazz', 'Free Jazz', 'Fusion', 'Swing',
+    'Big Band', 'Dixieland', 'Contemporary Jazz', 'Acid Jazz', 'Nu Jazz'
+  ],
   
   // Classical/Instrumental
-  'Classical', 'Baroque', 'Romantic', 'Modern Classical', 'Orchestral', 'Chamber Music',
-  'Opera', 'Instrumental', 'Soundtrack', 'Score', 'New Age', 'Meditation',
+  classical: [
+    'Classical', 'Baroque', 'Romantic', 'Modern Classical', 'Orchestral', 'Chamber Music',
+    'Opera', 'Instrumental', 'Soundtrack', 'Score', 'New Age', 'Meditation'
+  ],
   
   // World Music
-  'World', 'World Music', 'Latin', 'Salsa', 'Reggaeton', 'Bachata', 'Merengue',
-  'Bossa Nova', 'Samba', 'Tango', 'Flamenco', 'Reggae', 'Dancehall', 'Ska',
-  'Afrobeat', 'Highlife', 'Soukous', 'Bhangra', 'Bollywood', 'Arabic', 'Turkish',
-  'Greek', 'Russian', 'French', 'Italian', 'Spanish', 'Portuguese', 'German',
+  world: [
+    'World', 'World Music', 'Latin', 'Salsa', 'Reggaeton', 'Bachata', 'Merengue',
+    'Bossa Nova', 'Samba', 'Tango', 'Flamenco', 'Reggae', 'Dancehall', 'Ska',
+    'Afrobeat', 'Highlife', 'Soukous', 'Bhangra', 'Bollywood', 'Arabic', 'Turkish',
+    'Greek', 'Russian', 'French', 'Italian', 'Spanish', 'Portuguese', 'German'
+  ],
   
   // Alternative/Indie
-  'Alternative', 'Indie', 'Indie Pop', 'Indie Rock', 'Alternative Rock', 'Shoegaze',
-  'Dream Pop', 'Post-Rock', 'Math Rock', 'Emo', 'Screamo', 'Hardcore', 'Metalcore',
+  alternative: [
+    'Alternative', 'Indie', 'Indie Pop', 'Indie Rock', 'Alternative Rock', 'Shoegaze',
+    'Dream Pop', 'Post-Rock', 'Math Rock', 'Emo', 'Screamo', 'Hardcore', 'Metalcore'
+  ],
   
   // Era/Style Descriptors (not decades)
-  'Oldies', 'Retro', 'Vintage',
+  era: [
+    'Oldies', 'Retro', 'Vintage'
+  ],
   
   // Miscellaneous
-  'Easy Listening', 'Smooth', 'Chill', 'Acoustic', 'Live', 'Unplugged',
-  'Cover', 'Remix', 'Compilation', 'Christmas', 'Holiday', 'Seasonal',
-  'Experimental', 'Avant-Garde', 'Noise', 'Industrial', 'Gothic'
-];
+  misc: [
+    'Easy Listening', 'Smooth', 'Chill', 'Acoustic', 'Live', 'Unplugged',
+    'Cover', 'Remix', 'Compilation', 'Christmas', 'Holiday', 'Seasonal',
+    'Experimental', 'Avant-Garde', 'Noise', 'Industrial', 'Gothic'
+  ]
+};
+
+// Descriptors that say nothing about how a track sounds
+const NON_STYLE_FAMILIES = ['era', 'misc'];
+
+const VALID_GENRES = [...new Set(Object.values(GENRE_FAMILIES).flat())];
 
 // Function to normalize and validate genre
 function validateGenre(rawGenre) {
@@ -114,8 +149,20 @@ function validateGenres(rawGenres) {
   return validGenres.length > 0 ? validGenres[0] : null;
 }
 
+// Style families of a genre (a genre like "Folk Rock" belongs to several)
+function getGenreFamilies(genre) {
+  if (!genre) return [];
+  const lowerGenre = String(genre).trim().toLowerCase();
+  return Object.keys(GENRE_FAMILIES).filter(family =>
+    !NON_STYLE_FAMILIES.includes(family) &&
+    GENRE_FAMILIES[family].some(validGenre => validGenre.toLowerCase() === lowerGenre)
+  );
+}
+
 module.exports = {
   VALID_GENRES,
+  GENRE_FAMILIES,
+  getGenreFamilies,
   validateGenre,
   validateGenres
 };
@@ -0,0 +1,44 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitDiscSuffix, resolveAlbumDisc } = require('../lib/album_discs');
+
+describe('splitDiscSuffix', () => {
+  test('removes folder-style disc markers', () => {
+    assert.deepEqual(splitDiscSuffix('The Wall (CD1)'), { album: 'The Wall', disc_number: 1 });
+    assert.deepEqual(splitDiscSuffix('The Wall [Disc 2]'), { album: 'The Wall', disc_number: 2 });
+    assert.deepEqual(splitDiscSuffix('Mellon Collie - CD 2'), { album: 'Mellon Collie', disc_number: 2 });
+    assert.deepEqual(splitDiscSuffix('Greatest Hits, disk 3'), { album: 'Greatest Hits', disc_number: 3 });
+    assert.deepEqual(splitDiscSuffix('Live (CD 2 of 3)'), { album: 'Live', disc_number: 2 });
+    assert.deepEqual(splitDiscSuffix('Live (CD 1 von 2)'), { album: 'Live', disc_number: 1 });
+  });
+
+  test('keeps names without a disc marker', () => {
+    assert.deepEqual(splitDiscSuffix('Abbey Road'), { album: 'Abbey Road', disc_number: null });
+    assert.deepEqual(splitDiscSuffix('Discovery'), { album: 'Discovery', disc_number: null });
+    assert.deepEqual(splitDiscSuffix('Songs from the CD Player'), { album: 'Songs from the CD Player', disc_number: null });
+  });
+
+  test('keeps albums that are only a disc marker', () => {
+    assert.deepEqual(splitDiscSuffix('CD1'), { album: 'CD1', disc_number: null });
+  });
+
+  test('handles missing album tags', () => {
+    assert.deepEqual(splitDiscSuffix(null), { album: '', disc_number: null });
+  });
+});
+
+describe('resolveAlbumDisc', () => {
+  test('prefers the disc marker in the album name over the disc tag', () => {
+    assert.deepEqual(resolveAlbumDisc('The Wall (CD2)', 1, 'The Wall (CD2)'), { album: 'The Wall', disc_number: 2 });
+  });
+
+  test('reads the disc number from disc folders', () => {
+    assert.deepEqual(resolveAlbumDisc('The Wall', 1, 'CD2'), { album: 'The Wall', disc_number: 2 });
+    assert.deepEqual(resolveAlbumDisc('The Wall', null, ' Disc 3 '), { album: 'The Wall', disc_number: 3 });
+  });
+
+  test('falls back to the disc tag', () => {
+    assert.deepEqual(resolveAlbumDisc('The Wall', 2, 'The Wall'), { album: 'The Wall', disc_number: 2 });
+    assert.deepEqual(resolveAlbumDisc('The Wall', undefined), { album: 'The Wall', disc_number: null });
+  });
+});
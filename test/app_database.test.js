@@ -0,0 +1,82 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AppDatabase = require('../lib/app_database');
+
+// Settings are read from the cache, so free-play checks need no database
+function withFreePlay(start, end) {
+  const appDB = new AppDatabase(':memory:');
+  appDB.settingsCache.set('credits.freePlayStart', start);
+  appDB.settingsCache.set('credits.freePlayEnd', end);
+  return appDB;
+}
+
+const at = (hours, minutes = 0) => new Date(2026, 0, 15, hours, minutes);
+
+describe('AppDatabase.isFreePlayTime', () => {
+  test('is free within a window on the same day', () => {
+    const appDB = withFreePlay('14:00', '16:30');
+    assert.equal(appDB.isFreePlayTime(at(13, 59)), false);
+    assert.equal(appDB.isFreePlayTime(at(14, 0)), true);
+    assert.equal(appDB.isFreePlayTime(at(16, 29)), true);
+    assert.equal(appDB.isFreePlayTime(at(16, 30)), false);
+  });
+
+  test('spans midnight when the window ends before it starts', () => {
+    const appDB = withFreePlay('22:00', '02:00');
+    assert.equal(appDB.isFreePlayTime(at(21, 59)), false);
+    assert.equal(appDB.isFreePlayTime(at(23, 30)), true);
+    assert.equal(appDB.isFreePlayTime(at(0, 0)), true);
+    assert.equal(appDB.isFreePlayTime(at(1, 59)), true);
+    assert.equal(appDB.isFreePlayTime(at(2, 0)), false);
+  });
+
+  test('has no free play for empty, equal or impossible times', () => {
+    assert.equal(withFreePlay('', '').isFreePlayTime(at(12)), false);
+    assert.equal(withFreePlay('12:00', '12:00').isFreePlayTime(at(12)), false);
+    assert.equal(withFreePlay('10:00', '25:99').isFreePlayTime(at(12)), false);
+  });
+});
+
+describe('AppDatabase credits', () => {
+  const appDB = new AppDatabase(':memory:');
+
+  before(async () => {
+    // The database logs every connection and balance change
+    mock.method(console, 'log', () => {});
+    await appDB.init();
+    await appDB.createTables();
+  });
+
+  after(async () => {
+    await appDB.close();
+    mock.restoreAll();
+  });
+
+  test('adds credits per session', async () => {
+    assert.equal(await appDB.addCredits('phone-a', 3, 'topup'), 3);
+    assert.equal(await appDB.addCredits('phone-a', 2, 'coin'), 5);
+    assert.equal(await appDB.getCreditBalance('phone-b'), 0);
+  });
+
+  test('spends credits down to zero but never below', async () => {
+    await appDB.addCredits('phone-c', 2, 'topup');
+    assert.deepEqual(await appDB.spendCredits('phone-c', 2, 'track'), { success: true, balance: 0 });
+    assert.deepEqual(await appDB.spendCredits('phone-c', 1, 'track'), { success: false, balance: 0 });
+  });
+
+  test('refuses to spend more than the balance and keeps it', async () => {
+    await appDB.addCredits('phone-d', 1, 'topup');
+    assert.deepEqual(await appDB.spendCredits('phone-d', 2, 'spotify'), { success: false, balance: 1 });
+    assert.deepEqual(await appDB.spendCredits('phone-e', 1, 'track'), { success: false, balance: 0 });
+  });
+
+  test('lets only one of two concurrent spends of the last credit through', async () => {
+    await appDB.addCredits('phone-f', 1, 'topup');
+    const results = await Promise.all([
+      appDB.spendCredits('phone-f', 1, 'track'),
+      appDB.spendCredits('phone-f', 1, 'track')
+    ]);
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.equal(await appDB.getCreditBalance('phone-f'), 0);
+  });
+});
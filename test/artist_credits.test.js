@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitArtistCredit, creditArtists, creditAlbum } = require('../lib/artist_credits');
+
+const names = (credits) => credits.map(credit => `${credit.name}${credit.role === 'featured' ? ' (feat)' : ''}`);
+
+describe('splitArtistCredit', () => {
+  test('splits co-artists and featured guests', () => {
+    assert.deepEqual(names(splitArtistCredit('Jay-Z & Kanye West feat. Frank Ocean, The-Dream')), [
+      'Jay-Z', 'Kanye West', 'Frank Ocean (feat)', 'The-Dream (feat)'
+    ]);
+    assert.deepEqual(names(splitArtistCredit('Mark Ronson (ft. Bruno Mars)')), ['Mark Ronson', 'Bruno Mars (feat)']);
+    assert.deepEqual(names(splitArtistCredit('Armin van Buuren vs. Vini Vici')), ['Armin van Buuren', 'Vini Vici']);
+  });
+
+  test('keeps configured band names whole, in any case', () => {
+    assert.deepEqual(names(splitArtistCredit('Simon & Garfunkel')), ['Simon & Garfunkel']);
+    assert.deepEqual(names(splitArtistCredit('earth, wind & fire feat. The Emotions')), ['earth, wind & fire', 'The Emotions (feat)']);
+    assert.deepEqual(names(splitArtistCredit('Hall & Oates & Friends')), ['Hall & Oates', 'Friends']);
+  });
+
+  test('uses exceptions from the config instead of the defaults', () => {
+    assert.deepEqual(names(splitArtistCredit('Simon & Garfunkel', { exceptions: [] })), ['Simon', 'Garfunkel']);
+    assert.deepEqual(names(splitArtistCredit('Rock & Roll Band', { exceptions: ['Rock & Roll Band'] })), ['Rock & Roll Band']);
+  });
+
+  test('needs whitespace around separators', () => {
+    assert.deepEqual(names(splitArtistCredit('AC/DC')), ['AC/DC']);
+    assert.deepEqual(names(splitArtistCredit('Ke$ha')), ['Ke$ha']);
+    assert.deepEqual(names(splitArtistCredit('Earth,Wind')), ['Earth,Wind']);
+  });
+
+  test('keeps parts starting with "the" with the artist before them', () => {
+    assert.deepEqual(names(splitArtistCredit('Kool & the Gang')), ['Kool & the Gang']);
+    assert.deepEqual(names(splitArtistCredit('Tyler, The Creator')), ['Tyler, The Creator']);
+  });
+
+  test('returns nothing for empty tags', () => {
+    assert.deepEqual(splitArtistCredit(''), []);
+    assert.deepEqual(splitArtistCredit(null), []);
+  });
+});
+
+describe('creditArtists', () => {
+  test('prefers multi-value tags and lists each artist once, main credits first', () => {
+    const credits = creditArtists('A feat. B', ['A feat. B', 'B', 'C']);
+    assert.deepEqual(names(credits), ['A', 'B', 'C']);
+  });
+
+  test('splits the artist tag when there is only one value', () => {
+    assert.deepEqual(names(creditArtists('A & B', ['A & B'])), ['A', 'B']);
+  });
+});
+
+describe('creditAlbum', () => {
+  test('groups compilations without an album artist under Various Artists', () => {
+    assert.deepEqual(creditAlbum({ artist: 'A', compilation: true }), { album_artist: 'Various Artists', compilation: true });
+  });
+
+  test('treats "Various" album artists as compilations and keeps the tag', () => {
+    assert.deepEqual(creditAlbum({ artist: 'A', albumartist: 'V.A.' }), { album_artist: 'V.A.', compilation: true });
+  });
+
+  test('falls back to the track artist for regular albums', () => {
+    assert.deepEqual(creditAlbum({ artist: 'Queen' }), { album_artist: 'Queen', compilation: false });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateBpm, estimateKey } = require('../lib/audio_features');
+
+// Same rate the scanner decodes to (lib/music_scanner.js)
+const SAMPLE_RATE = 11025;
+
+// Short decaying noise bursts on every beat
+function clickTrack(bpm, seconds) {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  const beat = SAMPLE_RATE * 60 / bpm;
+  let seed = 1;
+  for (let start = 0; start < samples.length; start += beat) {
+    for (let i = 0; i < 200 && Math.round(start) + i < samples.length; i++) {
+      seed = (seed * 16807) % 2147483647;
+      samples[Math.round(start) + i] = (seed / 2147483647 - 0.5) * Math.exp(-i / 40);
+    }
+  }
+  return samples;
+}
+
+function chord(frequencies, seconds) {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  for (let i = 0; i < samples.length; i++) {
+    for (const frequency of frequencies) {
+      samples[i] += Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) / frequencies.length;
+    }
+  }
+  return samples;
+}
+
+describe('estimateBpm', () => {
+  test('finds the tempo of a click track', () => {
+    // Lags are whole onset hops, interpolation brings 120 BPM to within 0.1
+    assert.equal(estimateBpm(clickTrack(120, 20), SAMPLE_RATE), 120.1);
+  });
+
+  test('stays within half a beat per minute across the usual tempos', () => {
+    for (const tempo of [90, 100, 128, 140]) {
+      const bpm = estimateBpm(clickTrack(tempo, 20), SAMPLE_RATE);
+      assert.ok(Math.abs(bpm - tempo) <= 0.5, `${tempo} BPM estimated as ${bpm}`);
+    }
+  });
+
+  test('returns null for silence and for clips too short to hold a beat', () => {
+    assert.equal(estimateBpm(new Float32Array(SAMPLE_RATE * 10), SAMPLE_RATE), null);
+    assert.equal(estimateBpm(clickTrack(120, 1), SAMPLE_RATE), null);
+  });
+});
+
+describe('estimateKey', () => {
+  test('names the A minor triad Am', () => {
+    // A3, C4, E4
+    assert.equal(estimateKey(chord([220, 261.63, 329.63], 3), SAMPLE_RATE), 'Am');
+  });
+
+  test('names the C major triad C', () => {
+    // C4, E4, G4
+    assert.equal(estimateKey(chord([261.63, 329.63, 392], 3), SAMPLE_RATE), 'C');
+  });
+
+  test('returns null for silence', () => {
+    assert.equal(estimateKey(new Float32Array(SAMPLE_RATE * 3), SAMPLE_RATE), null);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoDj = require('../lib/auto_dj');
+const QueueManager = require('../lib/queue_manager');
+
+const LIBRARY = [
+  { id: 1, title: 'One', artist: 'Alpha', genre: 'Rock', year: 1985, duration: 200, file_path: '/music/1.mp3' },
+  { id: 2, title: 'Two', artist: 'Alpha', genre: 'Rock', year: 1986, duration: 200, file_path: '/music/2.mp3' },
+  { id: 3, title: 'Three', artist: 'Beta', genre: 'Rock', year: 1987, duration: 200, file_path: '/music/3.mp3' },
+  { id: 4, title: 'Four', artist: 'Gamma', genre: 'Pop', year: 1999, duration: 200, file_path: '/music/4.mp3' },
+  { id: 5, title: 'Five', artist: 'Delta', genre: 'Rock', year: 1984, duration: 200, file_path: '/music/5.mp3' }
+];
+
+// Settings as "category.key" -> value; the fake library only knows the genre filter
+function createAutoDj(settings = {}) {
+  const appDB = {
+    getSetting: (category, key, defaultValue) => settings[`${category}.${key}`] ?? defaultValue,
+    loadQueueState: async () => null,
+    saveQueueState: async () => {}
+  };
+  const musicDB = {
+    getAutoDjCandidates: async ({ genres = [] }) => LIBRARY
+      .filter(track => genres.length === 0 || genres.map(genre => genre.toLowerCase()).includes(track.genre.toLowerCase()))
+      .map(track => ({ ...track })),
+    getCoPlayCounts: async () => new Map()
+  };
+  const queueManager = new QueueManager(appDB);
+  queueManager.scheduleSave = () => {};
+  return { autoDj: new AutoDj(musicDB, appDB, queueManager), queueManager };
+}
+
+describe('AutoDj', () => {
+  test('continues from the last queued track without repeating its artist', async () => {
+    const { autoDj, queueManager } = createAutoDj({ 'autodj.variety': 0 });
+    queueManager.add({ ...LIBRARY[0], type: 'server' });
+
+    const picks = await autoDj.pickTracks(2);
+    assert.deepEqual(picks.map(pick => pick.track.id), [5, 3]);
+    assert.ok(picks.every(pick => !pick.ignoreLockTime));
+  });
+
+  test('never picks tracks that are already queued', async () => {
+    const { autoDj, queueManager } = createAutoDj({ 'autodj.variety': 0 });
+    LIBRARY.slice(0, 4).forEach(track => queueManager.add({ ...track, type: 'server' }));
+
+    const picks = await autoDj.pickTracks(3);
+    assert.deepEqual(picks.map(pick => pick.track.id), [5]);
+  });
+
+  test('relaxes genre filters that leave nothing to play', async () => {
+    const { autoDj } = createAutoDj({ 'autodj.variety': 0, 'autodj.genres': ['Jazz'] });
+    const picks = await autoDj.pickTracks(2);
+    assert.equal(picks.length, 2);
+  });
+
+  test('keeps to the configured genres when they have tracks', async () => {
+    const { autoDj } = createAutoDj({ 'autodj.genres': ['Pop'] });
+    const picks = await autoDj.pickTracks(1);
+    assert.deepEqual(picks.map(pick => pick.track.id), [4]);
+  });
+
+  test('takes the best match at variety 0', () => {
+    const seed = LIBRARY[0];
+    const candidates = [LIBRARY[3], LIBRARY[1]];
+    assert.equal(AutoDj.chooseNext(candidates, seed, null, 0).id, 2);
+  });
+});
+
+describe('AutoDj schedule', () => {
+  const slot = (fields) => AutoDj.normalizeSlot({ start: '18:00', end: '22:00', ...fields }, 0);
+  // 2026-01-16 is a Friday (day 5)
+  const friday = (hours, minutes = 0) => new Date(2026, 0, 16, hours, minutes);
+  const saturday = (hours, minutes = 0) => new Date(2026, 0, 17, hours, minutes);
+
+  test('drops slots with impossible or equal times', () => {
+    assert.equal(slot({ start: '25:99' }), null);
+    assert.equal(slot({ end: '22:60' }), null);
+    assert.equal(slot({ end: '18:00' }), null);
+    assert.equal(slot({ start: '' }), null);
+  });
+
+  test('keeps only whole weekday numbers', () => {
+    assert.deepEqual(slot({ days: [5, '', null, 7, -1, 2.5, '3', 0] }).days, [5, 0]);
+    assert.deepEqual(slot({ days: 'weekends' }).days, []);
+  });
+
+  test('a slot is active from its start until just before its end', () => {
+    const evening = slot({ days: [5] });
+    assert.equal(AutoDj.isSlotActive(evening, friday(17, 59)), false);
+    assert.equal(AutoDj.isSlotActive(evening, friday(18, 0)), true);
+    assert.equal(AutoDj.isSlotActive(evening, friday(21, 59)), true);
+    assert.equal(AutoDj.isSlotActive(evening, friday(22, 0)), false);
+    assert.equal(AutoDj.isSlotActive(evening, saturday(19, 0)), false);
+  });
+
+  test('a slot without days runs every day', () => {
+    assert.equal(AutoDj.isSlotActive(slot({}), saturday(19, 0)), true);
+  });
+
+  test('a slot past midnight belongs to the day it starts on', () => {
+    const party = slot({ start: '22:00', end: '03:00', days: [5] });
+    assert.equal(AutoDj.isSlotActive(party, friday(23, 30)), true);
+    assert.equal(AutoDj.isSlotActive(party, saturday(2, 59)), true);
+    assert.equal(AutoDj.isSlotActive(party, saturday(3, 0)), false);
+    assert.equal(AutoDj.isSlotActive(party, saturday(23, 0)), false);
+    assert.equal(AutoDj.isSlotActive(party, friday(1, 0)), false);
+  });
+
+  test('the first active slot wins', () => {
+    const { autoDj } = createAutoDj({
+      'autodj.schedule': [
+        { name: 'Broken', start: '24:00', end: '23:00' },
+        { name: 'Evening', start: '18:00', end: '23:00', days: [5] },
+        { name: 'Always', start: '00:00', end: '23:59' }
+      ]
+    });
+    assert.equal(autoDj.getActiveSlot(friday(19, 0)).name, 'Evening');
+    assert.equal(autoDj.getActiveSlot(saturday(19, 0)).name, 'Always');
+  });
+});
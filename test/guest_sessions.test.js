@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GuestSessions = require('../lib/guest_sessions');
+
+const cookieValue = (cookie) => cookie.split(';')[0];
+
+describe('GuestSessions', () => {
+  const sessions = new GuestSessions('test-secret');
+
+  test('reads back the id of a cookie it issued', () => {
+    const { id, cookie } = sessions.create();
+    assert.match(id, /^[0-9a-f]{24}$/);
+    assert.equal(sessions.read(`theme=dark; ${cookieValue(cookie)}`), id);
+  });
+
+  test('issues an HttpOnly, same-site cookie', () => {
+    const { cookie } = sessions.create();
+    assert.match(cookie, /; HttpOnly/);
+    assert.match(cookie, /; SameSite=Strict/);
+    assert.match(cookie, /; Path=\//);
+  });
+
+  test('rejects ids chosen by the client', () => {
+    const { cookie } = sessions.create();
+    const [, signature] = cookieValue(cookie).split('.');
+    assert.equal(sessions.read(`jukebox_guest=kiosk.${signature}`), null);
+    assert.equal(sessions.read('jukebox_guest=kiosk'), null);
+    assert.equal(sessions.read('jukebox_guest=kiosk.'), null);
+  });
+
+  test('rejects tampered and truncated signatures', () => {
+    const { cookie } = sessions.create();
+    const value = cookieValue(cookie);
+    const flipped = value.slice(0, -1) + (value.endsWith('0') ? '1' : '0');
+    assert.equal(sessions.read(flipped), null);
+    assert.equal(sessions.read(value.slice(0, -4)), null);
+  });
+
+  test('rejects cookies signed with another secret', () => {
+    const { cookie } = new GuestSessions('other-secret').create();
+    assert.equal(sessions.read(cookieValue(cookie)), null);
+  });
+
+  test('returns null without a guest cookie', () => {
+    assert.equal(sessions.read(undefined), null);
+    assert.equal(sessions.read(''), null);
+    assert.equal(sessions.read('theme=dark'), null);
+  });
+});
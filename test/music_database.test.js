@@ -0,0 +1,44 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MusicDatabase = require('../lib/music_database');
+
+describe('MusicDatabase.searchLibrary playlists', () => {
+  const musicDB = new MusicDatabase(':memory:');
+
+  const track = (title, genre, year) => ({
+    file_path: `/music/${title}.mp3`, title, artist: 'Band', album: 'Album', genre, year, duration: 200, format: 'mp3'
+  });
+
+  before(async () => {
+    // The database logs its connection and every playlist change
+    mock.method(console, 'log', () => {});
+    await musicDB.init();
+    const rockId = await musicDB.insertTrack(track('Loud', 'Rock', 1994));
+    await musicDB.insertTrack(track('Louder', 'Rock', 1996));
+    await musicDB.insertTrack(track('Quiet', 'Jazz', 1959));
+
+    const partyId = await musicDB.createPlaylist('Party Mix');
+    await musicDB.addPlaylistItems(partyId, [{ trackId: rockId }]);
+    await musicDB.createPlaylist('Party Rock', null, { conditions: [{ field: 'genre', operator: 'is', value: 'Rock' }] });
+  });
+
+  after(async () => {
+    await musicDB.close();
+    mock.restoreAll();
+  });
+
+  test('counts the tracks a smart playlist would play', async () => {
+    const { results } = await musicDB.searchLibrary('party', { types: ['playlists'] });
+    assert.deepEqual(results.playlists.map(({ name, smart, item_count }) => ({ name, smart, item_count })), [
+      { name: 'Party Mix', smart: false, item_count: 1 },
+      { name: 'Party Rock', smart: true, item_count: 2 }
+    ]);
+  });
+
+  test('returns no playlists for a year or genre filter without a query', async () => {
+    const { results, counts } = await musicDB.searchLibrary('', { genre: 'Rock' });
+    assert.deepEqual(results.playlists, []);
+    assert.equal(counts.playlists, 0);
+    assert.equal(counts.tracks, 2);
+  });
+});
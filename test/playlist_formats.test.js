@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, parsePlaylist, serializePlaylist, resolveEntries } = require('../lib/playlist_formats');
+
+const ITEMS = [
+  { location: '/music/Ärzte/Westerland.mp3', artist: 'Die Ärzte', title: 'Westerland', album: 'Das ist nicht die ganze Wahrheit', duration: 221.4 },
+  { location: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC', artist: 'Rick Astley', title: 'Never Gonna Give You Up', duration: null }
+];
+
+describe('detectFormat', () => {
+  test('prefers the file extension', () => {
+    assert.equal(detectFormat('[playlist]', 'mix.M3U'), 'm3u');
+  });
+
+  test('recognizes the content without an extension', () => {
+    assert.equal(detectFormat('<?xml version="1.0"?><playlist/>'), 'xspf');
+    assert.equal(detectFormat('[playlist]\nFile1=a.mp3'), 'pls');
+    assert.equal(detectFormat('#EXTM3U\na.mp3'), 'm3u8');
+  });
+});
+
+describe('parsePlaylist', () => {
+  test('reads EXTINF duration, artist and title from M3U', () => {
+    const entries = parsePlaylist('\uFEFF#EXTM3U\r\n#EXTINF:221,Die Ärzte - Westerland\r\nWesterland.mp3\r\nplain.mp3\r\n', 'm3u8');
+    assert.deepEqual(entries, [
+      { location: 'Westerland.mp3', artist: 'Die Ärzte', title: 'Westerland', duration: 221 },
+      { location: 'plain.mp3', artist: null, title: null, duration: null }
+    ]);
+  });
+
+  test('reads PLS entries in index order and skips entries without a file', () => {
+    const entries = parsePlaylist('[playlist]\nFile2=b.mp3\nFile1=a.mp3\nTitle1=A - One\nLength1=-1\nTitle3=orphan\n', 'pls');
+    assert.deepEqual(entries.map(entry => entry.location), ['a.mp3', 'b.mp3']);
+    assert.equal(entries[0].artist, 'A');
+    assert.equal(entries[0].duration, null);
+  });
+
+  test('decodes XSPF entities and converts milliseconds', () => {
+    const xml = '<playlist><trackList><track><location>file:///M%C3%BCsic/a.mp3</location>'
+      + '<title>Rock &amp; Roll</title><creator><![CDATA[AC/DC]]></creator><duration>1500</duration></track>'
+      + '<track><title>no location</title></track></trackList></playlist>';
+    assert.deepEqual(parsePlaylist(xml, 'xspf'), [
+      { location: 'file:///M%C3%BCsic/a.mp3', title: 'Rock & Roll', artist: 'AC/DC', duration: 1.5 }
+    ]);
+  });
+});
+
+describe('serializePlaylist', () => {
+  for (const format of ['m3u8', 'pls', 'xspf']) {
+    test(`${format} reads back what it wrote`, () => {
+      const entries = parsePlaylist(serializePlaylist(ITEMS, format, { name: 'Mix' }), format);
+      assert.equal(entries.length, 2);
+      assert.equal(entries[0].artist, 'Die Ärzte');
+      assert.equal(entries[0].title, 'Westerland');
+      assert.equal(entries[1].location, 'spotify:track:4uLU6hMCjMI75M1A2tKUQC');
+    });
+  }
+
+  test('writes local XSPF locations as file URIs', () => {
+    const xml = serializePlaylist([{ location: 'C:\\Music\\AC DC\\T.N.T.mp3' }], 'xspf');
+    assert.match(xml, /<location>file:\/\/\/C:\/Music\/AC%20DC\/T.N.T.mp3<\/location>/);
+  });
+});
+
+describe('resolveEntries', () => {
+  const library = [
+    { id: 1, file_path: '/music/Die Ärzte/Westerland.mp3', artist: 'Die Ärzte', title: 'Westerland' },
+    { id: 2, file_path: '/music/Queen/Innuendo/01 Innuendo.mp3', artist: 'Queen', title: 'Innuendo' },
+    { id: 3, file_path: '/music/Queen/Live/01 Innuendo.mp3', artist: 'Queen', title: 'Innuendo (Live)' }
+  ];
+  const musicDB = {
+    getTrackByPath: async (filePath) => library.find(track => track.file_path === filePath) || null,
+    findTracksByPathSuffix: async (suffix) => library.filter(track => track.file_path.endsWith(`/${suffix}`)),
+    findTracksByTitle: async () => library
+  };
+
+  test('matches Spotify links, paths, path endings and artist/title', async () => {
+    const { items, unresolved } = await resolveEntries(musicDB, [
+      { location: 'https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC?si=x' },
+      { location: 'file:///music/Die%20%C3%84rzte/Westerland.mp3' },
+      { location: 'D:\\Backup\\Queen\\Innuendo\\01 Innuendo.mp3' },
+      { location: 'elsewhere/track.mp3', artist: 'Queen', title: 'Innuendo' },
+      { location: 'http://radio.example/stream' }
+    ], ['/playlists']);
+
+    assert.deepEqual(items, [
+      { spotifyId: '4uLU6hMCjMI75M1A2tKUQC', title: undefined, artist: undefined, duration: undefined },
+      { trackId: 1 },
+      { trackId: 2 },
+      { trackId: 2 }
+    ]);
+    assert.deepEqual(unresolved.map(entry => entry.index), [4]);
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QueueManager = require('../lib/queue_manager');
+
+// Settings as "category.key" -> value, in place of AppDatabase
+function createQueue(settings = {}) {
+  const appDB = {
+    getSetting: (category, key, defaultValue) => settings[`${category}.${key}`] ?? defaultValue,
+    loadQueueState: async () => null,
+    saveQueueState: async () => {}
+  };
+  const queue = new QueueManager(appDB);
+  queue.scheduleSave = () => {};
+  return queue;
+}
+
+const track = (name) => ({ id: name, title: name, path: `/music/${name}.mp3` });
+const titles = (queue) => queue.queue.map(entry => entry.title);
+const queueIdOf = (queue, name) => queue.queue.find(entry => entry.title === name).queueId;
+
+describe('QueueManager', () => {
+  test('the first track starts playing, later ones are appended', () => {
+    const queue = createQueue();
+    queue.add(track('a'));
+    queue.add(track('b'));
+    assert.equal(queue.currentTrackIndex, 0);
+    assert.deepEqual(titles(queue), ['a', 'b']);
+  });
+
+  test('position "next" inserts right after the playing track', () => {
+    const queue = createQueue();
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    queue.add(track('c'), { position: 'next' });
+    assert.deepEqual(titles(queue), ['a', 'c', 'b']);
+  });
+
+  test('rejects a track that is already queued unless an admin adds it', () => {
+    const queue = createQueue();
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    assert.equal(queue.add(track('b')).code, 'ALREADY_QUEUED');
+    assert.equal(queue.add(track('b'), { isAdmin: true }).success, true);
+  });
+
+  test('assigns queue ids on the server', () => {
+    const queue = createQueue();
+    const result = queue.add({ ...track('a'), queueId: 99, votes: { guest: 1 } });
+    assert.equal(result.entry.queueId, 1);
+    assert.equal(result.entry.votes, undefined);
+  });
+
+  test('keeps the playing track when removing others', () => {
+    const queue = createQueue();
+    ['a', 'b', 'c'].forEach(name => queue.add(track(name)));
+    queue.setCurrentIndex(1);
+
+    assert.equal(queue.remove(queueIdOf(queue, 'b')).code, 'CURRENT_TRACK');
+    assert.equal(queue.remove(queueIdOf(queue, 'a')).success, true);
+    assert.equal(queue.currentTrackIndex, 0);
+    assert.equal(queue.queue[queue.currentTrackIndex].title, 'b');
+    assert.equal(queue.remove(12345).code, 'NOT_FOUND');
+  });
+
+  test('moves upcoming tracks only', () => {
+    const queue = createQueue();
+    ['a', 'b', 'c', 'd'].forEach(name => queue.add(track(name)));
+
+    assert.equal(queue.move(queueIdOf(queue, 'd'), 1).success, true);
+    assert.deepEqual(titles(queue), ['a', 'd', 'b', 'c']);
+    assert.equal(queue.move(queueIdOf(queue, 'c'), 0).code, 'INVALID_POSITION');
+    assert.equal(queue.move(queueIdOf(queue, 'a'), 2).code, 'INVALID_POSITION');
+    assert.equal(queue.move(queueIdOf(queue, 'b'), 4).code, 'INVALID_POSITION');
+  });
+
+  test('rejects a missing target position', () => {
+    const queue = createQueue();
+    ['a', 'b', 'c'].forEach(name => queue.add(track(name)));
+
+    assert.equal(queue.move(queueIdOf(queue, 'c'), NaN).code, 'INVALID_POSITION');
+    assert.equal(queue.move(queueIdOf(queue, 'c'), 1.5).code, 'INVALID_POSITION');
+    assert.deepEqual(titles(queue), ['a', 'b', 'c']);
+    assert.equal(queue.currentTrackIndex, 0);
+  });
+
+  test('reports an unknown entry as not found when moving', () => {
+    const queue = createQueue();
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    assert.equal(queue.move(12345, 1).code, 'NOT_FOUND');
+  });
+
+  test('blocks tracks played within the lock time', () => {
+    const queue = createQueue({ 'admin.trackLockTimeMinutes': 30 });
+    queue.add(track('a'));
+    queue.setCurrentIndex(-1);
+
+    const result = queue.add(track('a'));
+    assert.equal(result.code, 'RECENTLY_PLAYED');
+    assert.equal(result.remainingMinutes, 30);
+    assert.equal(queue.add(track('a'), { ignoreLockTime: true }).success, true);
+  });
+});
+
+describe('QueueManager fair share and quotas', () => {
+  const request = (queue, name, requesterId) => queue.add(track(name), { requesterId, addedBy: 'remote' });
+
+  test('a new requester goes ahead of the second round of others', () => {
+    const queue = createQueue({ 'requests.fairShare': true });
+    ['a1', 'a2', 'a3'].forEach(name => request(queue, name, 'anna'));
+    request(queue, 'b1', 'ben');
+    request(queue, 'c1', 'cleo');
+    assert.deepEqual(titles(queue), ['a1', 'a2', 'b1', 'c1', 'a3']);
+  });
+
+  test("a requester's next track waits for the next round", () => {
+    const queue = createQueue({ 'requests.fairShare': true });
+    ['a1', 'a2', 'a3'].forEach(name => request(queue, name, 'anna'));
+    request(queue, 'b1', 'ben');
+    request(queue, 'b2', 'ben');
+    assert.deepEqual(titles(queue), ['a1', 'a2', 'b1', 'a3', 'b2']);
+  });
+
+  test('maxConsecutive gives every requester several slots per round', () => {
+    const queue = createQueue({ 'requests.fairShare': true, 'requests.maxConsecutive': 2 });
+    ['a1', 'a2', 'a3', 'a4'].forEach(name => request(queue, name, 'anna'));
+    request(queue, 'b1', 'ben');
+    request(queue, 'b2', 'ben');
+    assert.deepEqual(titles(queue), ['a1', 'a2', 'a3', 'b1', 'b2', 'a4']);
+  });
+
+  test('without fair share tracks are appended in request order', () => {
+    const queue = createQueue();
+    ['a1', 'a2', 'a3'].forEach(name => request(queue, name, 'anna'));
+    request(queue, 'b1', 'ben');
+    assert.deepEqual(titles(queue), ['a1', 'a2', 'a3', 'b1']);
+  });
+
+  test('limits requests per requester and hour', () => {
+    const queue = createQueue({ 'requests.maxPerHour': 2 });
+    request(queue, 'a1', 'anna');
+    request(queue, 'a2', 'anna');
+
+    const result = request(queue, 'a3', 'anna');
+    assert.equal(result.code, 'QUOTA_EXCEEDED');
+    assert.equal(result.retryMinutes, 60);
+    assert.equal(request(queue, 'b1', 'ben').success, true);
+    assert.equal(queue.add(track('a3'), { requesterId: 'anna', isAdmin: true }).success, true);
+  });
+
+  test('a guest who drops its guest id keeps the quota of the address', () => {
+    const queue = createQueue({ 'requests.maxPerHour': 2 });
+    const fromPhone = (name, requesterId) => queue.add(track(name), { requesterId, clientAddress: '192.168.0.23', addedBy: 'remote' });
+    fromPhone('a1', 'guest-1');
+    fromPhone('a2', 'guest-2');
+
+    assert.equal(fromPhone('a3', 'guest-3').code, 'QUOTA_EXCEEDED');
+    assert.equal(queue.add(track('b1'), { requesterId: 'guest-4', clientAddress: '192.168.0.42' }).success, true);
+  });
+});
+
+describe('QueueManager votes', () => {
+  test('upvoted tracks move ahead, ties keep their order', () => {
+    const queue = createQueue({ 'requests.voteOrdering': true });
+    ['a', 'b', 'c', 'd'].forEach(name => queue.add(track(name)));
+
+    queue.vote(queueIdOf(queue, 'd'), 'guest1', 1);
+    queue.vote(queueIdOf(queue, 'b'), 'guest1', -1);
+    assert.deepEqual(titles(queue), ['a', 'd', 'c', 'b']);
+  });
+
+  test('pinned tracks keep their position', () => {
+    const queue = createQueue({ 'requests.voteOrdering': true });
+    ['a', 'b', 'c', 'd'].forEach(name => queue.add(track(name)));
+
+    queue.setPinned(queueIdOf(queue, 'b'), true);
+    queue.vote(queueIdOf(queue, 'd'), 'guest1', 1);
+    assert.deepEqual(titles(queue), ['a', 'b', 'd', 'c']);
+  });
+
+  test('counts one vote per voter and hides who voted', () => {
+    const queue = createQueue();
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    const queueId = queueIdOf(queue, 'b');
+
+    queue.vote(queueId, 'guest1', 1);
+    queue.vote(queueId, 'guest1', 1);
+    queue.vote(queueId, 'guest2', -1);
+    const entry = queue.getState().queue[1];
+    assert.equal(entry.upvotes, 1);
+    assert.equal(entry.downvotes, 1);
+    assert.equal(entry.votes, undefined);
+
+    queue.vote(queueId, 'guest2', 0);
+    assert.equal(queue.getState().queue[1].downvotes, 0);
+  });
+
+  test('without vote ordering votes do not reorder the queue', () => {
+    const queue = createQueue();
+    ['a', 'b', 'c'].forEach(name => queue.add(track(name)));
+    queue.vote(queueIdOf(queue, 'c'), 'guest1', 1);
+    assert.deepEqual(titles(queue), ['a', 'b', 'c']);
+  });
+
+  test('skips the playing track once at the downvote threshold', () => {
+    const queue = createQueue({ 'requests.downvoteSkipThreshold': 2 });
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    const queueId = queueIdOf(queue, 'a');
+
+    assert.equal(queue.vote(queueId, 'guest1', -1).skip, false);
+    assert.equal(queue.vote(queueId, 'guest2', -1).skip, true);
+    assert.equal(queue.vote(queueId, 'guest3', -1).skip, false);
+  });
+
+  test('rejects votes on unknown and already played entries', () => {
+    const queue = createQueue();
+    ['a', 'b'].forEach(name => queue.add(track(name)));
+    queue.setCurrentIndex(1);
+    assert.equal(queue.vote(12345, 'guest1', 1).code, 'NOT_FOUND');
+    assert.equal(queue.vote(queueIdOf(queue, 'a'), 'guest1', 1).code, 'INVALID_POSITION');
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RemoteControl = require('../lib/remote_control');
+
+describe('RemoteControl PIN lockout', () => {
+  let now;
+  let remote;
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 0, 15, 20, 0);
+    mock.method(Date, 'now', () => now);
+    remote = new RemoteControl();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const failTimes = (client, count) => {
+    for (let i = 0; i < count; i++) remote.recordPinAttempt(client, false);
+  };
+
+  test('allows four wrong PINs and locks the fifth for five minutes', () => {
+    failTimes('192.168.0.23', 4);
+    assert.equal(remote.getPinLockout('192.168.0.23'), 0);
+
+    failTimes('192.168.0.23', 1);
+    assert.equal(remote.getPinLockout('192.168.0.23'), 5 * 60 * 1000);
+  });
+
+  test('locks out only the client that guessed', () => {
+    failTimes('192.168.0.23', 5);
+    assert.equal(remote.getPinLockout('192.168.0.42'), 0);
+  });
+
+  test('lifts the lockout after five minutes', () => {
+    failTimes('192.168.0.23', 5);
+    now += 4 * 60 * 1000;
+    assert.equal(remote.getPinLockout('192.168.0.23'), 60 * 1000);
+    now += 60 * 1000;
+    assert.equal(remote.getPinLockout('192.168.0.23'), 0);
+  });
+
+  test('a correct PIN resets the count of wrong ones', () => {
+    failTimes('192.168.0.23', 4);
+    remote.recordPinAttempt('192.168.0.23', true);
+    failTimes('192.168.0.23', 4);
+    assert.equal(remote.getPinLockout('192.168.0.23'), 0);
+  });
+});
+
+describe('RemoteControl admin sessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('accepts issued tokens until logout', () => {
+    const remote = new RemoteControl();
+    const token = remote.createAdminSession();
+    assert.equal(remote.isAdminSession(token), true);
+    assert.equal(remote.isAdminSession('guessed'), false);
+    assert.equal(remote.isAdminSession(undefined), false);
+
+    remote.endSession(token);
+    assert.equal(remote.isAdminSession(token), false);
+  });
+
+  test('expires sessions after twelve hours', () => {
+    let now = Date.UTC(2026, 0, 15, 20, 0);
+    mock.method(Date, 'now', () => now);
+    const remote = new RemoteControl();
+    const token = remote.createAdminSession();
+
+    now += 12 * 60 * 60 * 1000 + 1;
+    assert.equal(remote.isAdminSession(token), false);
+  });
+});
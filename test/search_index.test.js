@@ -0,0 +1,92 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  foldText,
+  toIndexText,
+  tokenize,
+  editDistance,
+  findAlternatives,
+  buildMatchQuery,
+  matchesTerms
+} = require('../lib/search_index');
+
+describe('foldText / toIndexText / tokenize', () => {
+  test('folds case and diacritics like the unicode61 tokenizer', () => {
+    assert.equal(foldText('Die Ärzte – Straße'), 'die arzte – strasse');
+  });
+
+  test('indexes the transliterated spelling next to the original', () => {
+    assert.equal(toIndexText('Die Ärzte'), 'Die Ärzte Die Aerzte');
+    assert.equal(toIndexText('Queen'), 'Queen');
+    assert.equal(toIndexText(null), '');
+  });
+
+  test('drops leading articles unless the query is only articles', () => {
+    assert.deepEqual(tokenize('The Beatles: Help!'), ['beatles', 'help']);
+    assert.deepEqual(tokenize('The The'), ['the', 'the']);
+    assert.deepEqual(tokenize('  --  '), []);
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('queen', 'queen', 2), 0);
+    assert.equal(editDistance('quen', 'queen', 2), 1);
+    assert.equal(editDistance('queem', 'queen', 2), 1);
+  });
+
+  test('counts swapped neighbours once', () => {
+    assert.equal(editDistance('beatels', 'beatles', 2), 1);
+  });
+
+  test('stops at max + 1', () => {
+    assert.equal(editDistance('abba', 'metallica', 2), 3);
+    assert.equal(editDistance('abcdef', 'uvwxyz', 1), 2);
+  });
+});
+
+describe('findAlternatives', () => {
+  const vocabulary = [
+    { term: 'beatles', doc: 40 },
+    { term: 'beatless', doc: 1 },
+    { term: 'metallica', doc: 12 },
+    { term: 'metal', doc: 30 }
+  ];
+
+  test('corrects typos in whole and half-typed words', () => {
+    assert.deepEqual(findAlternatives('beatels', vocabulary), ['beatles', 'beatless']);
+    assert.deepEqual(findAlternatives('metsll', vocabulary), ['metallica']);
+  });
+
+  test('does not correct short words', () => {
+    assert.deepEqual(findAlternatives('abc', [{ term: 'abd', doc: 1 }]), []);
+  });
+});
+
+describe('buildMatchQuery', () => {
+  test('makes every word a prefix and requires all of them', () => {
+    assert.equal(buildMatchQuery(['beat', 'help']), '"beat"* AND "help"*');
+  });
+
+  test('replaces misspelled words by their alternatives', () => {
+    const alternatives = new Map([['beatels', ['beatles', 'beatless']]]);
+    assert.equal(buildMatchQuery(['beatels', 'help'], alternatives), '("beatles"* OR "beatless"*) AND "help"*');
+  });
+
+  test('keeps a word without alternatives and escapes quotes', () => {
+    assert.equal(buildMatchQuery(['xyzzy'], new Map([['xyzzy', []]])), '"xyzzy"*');
+    assert.equal(buildMatchQuery(['a"b']), '"a""b"*');
+  });
+
+  test('returns null without words', () => {
+    assert.equal(buildMatchQuery([]), null);
+  });
+});
+
+describe('matchesTerms', () => {
+  test('checks word prefixes like a MATCH would', () => {
+    assert.equal(matchesTerms('Die Ärzte', ['aerz']), true);
+    assert.equal(matchesTerms('Die Ärzte', ['rzte']), false);
+    assert.equal(matchesTerms('The Beatles', ['beatels'], new Map([['beatels', ['beatles']]])), true);
+  });
+});
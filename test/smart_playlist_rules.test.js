@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, buildRulesQuery } = require('../lib/smart_playlist_rules');
+
+describe('normalizeRules', () => {
+  test('rejects anything that is not a rules object', () => {
+    assert.equal(normalizeRules(null), null);
+    assert.equal(normalizeRules([]), null);
+    assert.equal(normalizeRules('genre = Rock'), null);
+  });
+
+  test('fills in defaults', () => {
+    assert.deepEqual(normalizeRules({}), { match: 'all', conditions: [], sort: 'random', limit: 0 });
+  });
+
+  test('drops unknown fields, operators that do not fit the field and empty values', () => {
+    const rules = normalizeRules({
+      conditions: [
+        { field: 'genre', operator: 'is', value: ' Rock ' },
+        { field: 'file_path', operator: 'is', value: '/etc/passwd' },
+        { field: 'year', operator: 'contains', value: '19' },
+        { field: 'artist', operator: 'is', value: '   ' },
+        { field: 'bpm', operator: 'gt', value: 'fast' },
+        { field: 'date_added', operator: 'in_last', value: 0 },
+        'year > 1990'
+      ]
+    });
+    assert.deepEqual(rules.conditions, [{ field: 'genre', operator: 'is', value: 'Rock' }]);
+  });
+
+  test('orders between ranges and parses numbers', () => {
+    const rules = normalizeRules({ conditions: [{ field: 'year', operator: 'between', value: ['1999', 1990] }] });
+    assert.deepEqual(rules.conditions[0].value, [1990, 1999]);
+  });
+
+  test('clamps the limit and falls back to a random order', () => {
+    assert.equal(normalizeRules({ limit: 5000 }).limit, 1000);
+    assert.equal(normalizeRules({ limit: -3 }).limit, 0);
+    assert.equal(normalizeRules({ sort: 'file_path; DROP TABLE tracks' }).sort, 'random');
+    assert.equal(normalizeRules({ match: 'any', sort: 'most_played' }).match, 'any');
+  });
+});
+
+describe('buildRulesQuery', () => {
+  test('joins conditions with AND or OR and passes values as parameters', () => {
+    const conditions = [
+      { field: 'genre', operator: 'is', value: 'Rock' },
+      { field: 'year', operator: 'between', value: [1980, 1989] }
+    ];
+    const all = buildRulesQuery(normalizeRules({ conditions, sort: 'year', limit: 50 }));
+    assert.equal(all.where, '(LOWER(genre) = LOWER(?) AND year BETWEEN ? AND ?)');
+    assert.deepEqual(all.params, ['Rock', 1980, 1989]);
+    assert.equal(all.orderBy, 'year, LOWER(artist)');
+    assert.equal(all.limit, 50);
+
+    const any = buildRulesQuery(normalizeRules({ match: 'any', conditions }));
+    assert.match(any.where, / OR /);
+  });
+
+  test('matches the whole library without conditions', () => {
+    assert.equal(buildRulesQuery(normalizeRules({})).where, '1 = 1');
+  });
+
+  test('escapes LIKE wildcards in text values', () => {
+    const query = buildRulesQuery(normalizeRules({ conditions: [{ field: 'title', operator: 'contains', value: '100%_' }] }));
+    assert.deepEqual(query.params, ['%100\\%\\_%']);
+  });
+
+  test('includes never played tracks in "not played lately"', () => {
+    const query = buildRulesQuery(normalizeRules({ conditions: [{ field: 'last_played', operator: 'not_in_last', value: 30 }] }));
+    assert.equal(query.where, "((last_played IS NULL OR last_played < datetime('now', ?)))");
+    assert.deepEqual(query.params, ['-30 days']);
+  });
+});
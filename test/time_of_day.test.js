@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeOfDay } = require('../lib/time_of_day');
+
+test('parseTimeOfDay reads HH:MM as minutes after midnight', () => {
+  assert.equal(parseTimeOfDay('00:00'), 0);
+  assert.equal(parseTimeOfDay('7:05'), 425);
+  assert.equal(parseTimeOfDay(' 23:59 '), 1439);
+});
+
+test('parseTimeOfDay rejects impossible and malformed times', () => {
+  assert.equal(parseTimeOfDay('24:00'), null);
+  assert.equal(parseTimeOfDay('25:99'), null);
+  assert.equal(parseTimeOfDay('12:60'), null);
+  assert.equal(parseTimeOfDay('7'), null);
+  assert.equal(parseTimeOfDay('7:5'), null);
+  assert.equal(parseTimeOfDay(''), null);
+  assert.equal(parseTimeOfDay(null), null);
+  assert.equal(parseTimeOfDay(1200), null);
+});
@@ -0,0 +1,63 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreSimilarity, parseKey, normalizeKey, keysCompatible } = require('../lib/track_similarity');
+
+describe('parseKey / normalizeKey', () => {
+  test('reads note names, flats, modes and Camelot notation', () => {
+    assert.deepEqual(parseKey('Am'), { number: 8, minor: true });
+    assert.deepEqual(parseKey('C major'), { number: 8, minor: false });
+    assert.deepEqual(parseKey('8A'), { number: 8, minor: true });
+    assert.deepEqual(parseKey('Bbm'), parseKey('A#m'));
+    assert.equal(parseKey('H'), null);
+    assert.equal(parseKey('13A'), null);
+  });
+
+  test('stores keys with sharps', () => {
+    assert.equal(normalizeKey('Bbm'), 'A#m');
+    assert.equal(normalizeKey('Db major'), 'C#');
+    assert.equal(normalizeKey('8B'), 'C');
+    assert.equal(normalizeKey('nonsense'), null);
+  });
+});
+
+describe('keysCompatible', () => {
+  test('accepts the same key, the relative key and Camelot neighbours', () => {
+    assert.equal(keysCompatible('C', 'C'), true);
+    assert.equal(keysCompatible('C', 'Am'), true);
+    assert.equal(keysCompatible('C', 'G'), true);
+    assert.equal(keysCompatible('12B', '1B'), true);
+  });
+
+  test('rejects distant keys and unknown ones', () => {
+    assert.equal(keysCompatible('C', 'F#'), false);
+    assert.equal(keysCompatible('C', 'Em'), false);
+    assert.equal(keysCompatible('C', null), null);
+  });
+});
+
+describe('scoreSimilarity', () => {
+  const seed = { id: 1, artist: 'Alpha', genre: 'Rock', year: 1985, bpm: 120, musical_key: 'C' };
+
+  test('scores an identical track as 1 and an unrelated one lower', () => {
+    const same = scoreSimilarity(seed, { ...seed, id: 2 });
+    const other = scoreSimilarity(seed, { id: 3, artist: 'Beta', genre: 'Schlager', year: 2015, bpm: 90, musical_key: 'F#' });
+    assert.equal(same, 1);
+    assert.ok(other < 0.2);
+  });
+
+  test('counts half and double time as the same tempo', () => {
+    const half = scoreSimilarity({ bpm: 120 }, { bpm: 60 });
+    assert.equal(half, 1);
+  });
+
+  test('leaves out aspects missing on either track', () => {
+    assert.equal(scoreSimilarity({ artist: 'Alpha' }, { artist: 'alpha', genre: 'Rock' }), 1);
+    assert.equal(scoreSimilarity({}, {}), 0);
+  });
+
+  test('ranks tracks often played after the seed higher', () => {
+    const candidate = { id: 2, artist: 'Beta' };
+    const coPlays = new Map([[2, 3]]);
+    assert.ok(scoreSimilarity(seed, candidate, { coPlays }) > scoreSimilarity(seed, candidate));
+  });
+});